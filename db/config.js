@@ -0,0 +1,18 @@
+import fs from 'fs';
+
+// Connection settings, read lazily so callers can load .env first.
+// DB_CLIENT selects the driver: "mysql" (default, the hosted database) or "postgres".
+// MySQL connects over SSL with ca.pem unless DB_SSL=false; Postgres only when DB_SSL=true.
+export const getDbConfig = () => {
+  const client = process.env.DB_CLIENT === 'postgres' ? 'postgres' : 'mysql';
+  const useSsl = client === 'mysql' ? process.env.DB_SSL !== 'false' : process.env.DB_SSL === 'true';
+  return {
+    client,
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    port: process.env.DB_PORT,
+    ssl: useSsl ? { ca: fs.readFileSync('ca.pem') } : undefined,
+  };
+};
@@ -0,0 +1,74 @@
+import mysql from 'mysql2/promise';
+
+const makeExecutor = (client) => ({
+  dialect: 'mysql',
+
+  // Rows of a SELECT
+  async query(sql, params = []) {
+    const [rows] = await client.query(sql, params);
+    return rows;
+  },
+
+  // INSERT/UPDATE/DELETE
+  async execute(sql, params = []) {
+    const [result] = await client.query(sql, params);
+    return { insertId: result.insertId, affectedRows: result.affectedRows };
+  },
+
+  // Insert a row, or update every non-key column when a unique key already matches
+  async upsert(table, values, conflictColumns) {
+    const columns = Object.keys(values);
+    const updates = columns.filter((column) => !conflictColumns.includes(column));
+    const [result] = await client.query(
+      `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})
+       ON DUPLICATE KEY UPDATE ${updates.map((column) => `${column} = VALUES(${column})`).join(', ')}`,
+      Object.values(values)
+    );
+    return { affectedRows: result.affectedRows };
+  },
+
+  // Insert a row unless a unique key already matches
+  async insertIgnore(table, values) {
+    const columns = Object.keys(values);
+    const [result] = await client.query(
+      `INSERT IGNORE INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      Object.values(values)
+    );
+    return { insertId: result.insertId || undefined, affectedRows: result.affectedRows };
+  },
+});
+
+export function createMysqlDriver(config) {
+  const pool = mysql.createPool({
+    host: config.host,
+    user: config.user,
+    password: config.password,
+    database: config.database,
+    port: config.port,
+    ssl: config.ssl,
+  });
+
+  return {
+    dialect: 'mysql',
+    executor: makeExecutor(pool),
+    async acquire() {
+      const connection = await pool.getConnection();
+      return {
+        executor: makeExecutor(connection),
+        begin: () => connection.beginTransaction(),
+        commit: () => connection.commit(),
+        rollback: () => connection.rollback(),
+        release: () => connection.release(),
+      };
+    },
+    async ping() {
+      const connection = await pool.getConnection();
+      try {
+        await connection.ping();
+      } finally {
+        connection.release();
+      }
+    },
+    end: () => pool.end(),
+  };
+}
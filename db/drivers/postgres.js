@@ -0,0 +1,116 @@
+import pg from 'pg';
+
+// Repositories use MySQL's error codes; translate the Postgres ones they check for
+const ERROR_CODES = {
+  23505: 'ER_DUP_ENTRY',
+  23503: 'ER_NO_REFERENCED_ROW_2',
+  '42P01': 'ER_NO_SUCH_TABLE',
+};
+
+const translateError = (error) => {
+  if (ERROR_CODES[error.code]) {
+    error.pgCode = error.code;
+    error.code = ERROR_CODES[error.code];
+  }
+  return error;
+};
+
+// Rewrite ? placeholders as $1, $2, ... leaving quoted strings untouched
+const toPositional = (sql) => {
+  let index = 0;
+  let quote = null;
+  let output = '';
+  for (const char of sql) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === "'" || char === '"') {
+      quote = char;
+    } else if (char === '?') {
+      index += 1;
+      output += `$${index}`;
+      continue;
+    }
+    output += char;
+  }
+  return output;
+};
+
+const makeExecutor = (client) => {
+  const run = async (sql, params = []) => {
+    try {
+      return await client.query(toPositional(sql), params);
+    } catch (error) {
+      throw translateError(error);
+    }
+  };
+
+  // Every table has an id column, so inserts return it to mirror MySQL's insertId
+  const runWrite = async (sql, params) => {
+    const isInsert = /^\s*INSERT\b/i.test(sql) && !/\bRETURNING\b/i.test(sql);
+    const result = await run(isInsert ? `${sql} RETURNING id` : sql, params);
+    return { insertId: isInsert ? result.rows[0]?.id : undefined, affectedRows: result.rowCount };
+  };
+
+  return {
+    dialect: 'postgres',
+
+    async query(sql, params) {
+      return (await run(sql, params)).rows;
+    },
+
+    execute: runWrite,
+
+    async upsert(table, values, conflictColumns) {
+      const columns = Object.keys(values);
+      const updates = columns.filter((column) => !conflictColumns.includes(column));
+      const result = await run(
+        `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})
+         ON CONFLICT (${conflictColumns.join(', ')}) DO UPDATE SET ${updates.map((column) => `${column} = EXCLUDED.${column}`).join(', ')}`,
+        Object.values(values)
+      );
+      return { affectedRows: result.rowCount };
+    },
+
+    async insertIgnore(table, values) {
+      const columns = Object.keys(values);
+      return runWrite(
+        `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')}) ON CONFLICT DO NOTHING`,
+        Object.values(values)
+      );
+    },
+  };
+};
+
+export function createPostgresDriver(config) {
+  const pool = new pg.Pool({
+    host: config.host,
+    user: config.user,
+    password: config.password,
+    database: config.database,
+    port: config.port ? Number(config.port) : undefined,
+    ssl: config.ssl,
+  });
+
+  return {
+    dialect: 'postgres',
+    executor: makeExecutor(pool),
+    async acquire() {
+      const client = await pool.connect();
+      return {
+        executor: makeExecutor(client),
+        begin: () => client.query('BEGIN'),
+        commit: () => client.query('COMMIT'),
+        rollback: () => client.query('ROLLBACK'),
+        release: () => client.release(),
+      };
+    },
+    async ping() {
+      try {
+        await pool.query('SELECT 1');
+      } catch (error) {
+        throw translateError(error);
+      }
+    },
+    end: () => pool.end(),
+  };
+}
@@ -0,0 +1,45 @@
+import { getDbConfig } from './config.js';
+import { createMysqlDriver } from './drivers/mysql.js';
+import { createPostgresDriver } from './drivers/postgres.js';
+import { createRepositories } from './repositories/index.js';
+
+// The data-access layer. Handlers go through the repositories (db.employees, db.salary, ...);
+// SQL that differs between MySQL and PostgreSQL lives in the drivers.
+export function createDatabase(config = getDbConfig()) {
+  const driver = config.client === 'postgres' ? createPostgresDriver(config) : createMysqlDriver(config);
+
+  // Run fn with a dedicated connection's executor
+  const withConnection = async (fn) => {
+    const connection = await driver.acquire();
+    try {
+      return await fn(connection.executor, connection);
+    } finally {
+      connection.release();
+    }
+  };
+
+  return {
+    dialect: driver.dialect,
+    executor: driver.executor,
+    ...createRepositories(driver.executor),
+
+    withConnection,
+
+    // Run fn inside a transaction with repositories bound to its connection. Rolls back if fn throws.
+    transaction: (fn) =>
+      withConnection(async (executor, connection) => {
+        await connection.begin();
+        try {
+          const result = await fn(createRepositories(executor));
+          await connection.commit();
+          return result;
+        } catch (error) {
+          await connection.rollback().catch(() => {});
+          throw error;
+        }
+      }),
+
+    ping: () => driver.ping(),
+    end: () => driver.end(),
+  };
+}
@@ -0,0 +1,161 @@
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { createDatabase } from './index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const migrationsDir = path.join(path.dirname(__filename), 'migrations');
+
+// Column types that are spelled differently per dialect
+const TYPES = {
+  mysql: { id: 'INT AUTO_INCREMENT PRIMARY KEY', datetime: 'DATETIME', longText: 'MEDIUMTEXT', blob: 'LONGBLOB' },
+  postgres: { id: 'SERIAL PRIMARY KEY', datetime: 'TIMESTAMP', longText: 'TEXT', blob: 'BYTEA' },
+};
+
+// Serialises concurrent migration runs (e.g. several instances starting at once)
+const LOCKS = {
+  mysql: {
+    acquire: async (executor) => {
+      const [lock] = await executor.query("SELECT GET_LOCK('schema_migrations', 60) AS acquired");
+      if (!lock.acquired) throw new Error('Timed out waiting for another migration run to finish');
+    },
+    release: (executor) => executor.query("SELECT RELEASE_LOCK('schema_migrations')"),
+  },
+  postgres: {
+    acquire: (executor) => executor.query("SELECT pg_advisory_lock(hashtext('schema_migrations'))"),
+    release: (executor) => executor.query("SELECT pg_advisory_unlock(hashtext('schema_migrations'))"),
+  },
+};
+
+// Helpers handed to each migration's up(). The *IfMissing helpers let migrations evolve tables
+// that may already exist in databases created before migrations were introduced.
+const createMigrationContext = (executor) => {
+  const { dialect } = executor;
+  const schema = dialect === 'postgres' ? 'current_schema()' : 'DATABASE()';
+
+  const columnExists = async (table, column) => {
+    const rows = await executor.query(
+      `SELECT 1 FROM information_schema.columns WHERE table_schema = ${schema} AND table_name = ? AND column_name = ?`,
+      [table, column]
+    );
+    return rows.length > 0;
+  };
+
+  const indexExists = async (table, index) => {
+    const rows = dialect === 'postgres'
+      ? await executor.query('SELECT 1 FROM pg_indexes WHERE schemaname = current_schema() AND tablename = ? AND indexname = ?', [table, index])
+      : await executor.query(
+        'SELECT 1 FROM information_schema.statistics WHERE table_schema = DATABASE() AND table_name = ? AND index_name = ?',
+        [table, index]
+      );
+    return rows.length > 0;
+  };
+
+  // Name and column list of every unique index on a table, e.g. { name: 'uniq_salary_employee_month', columns: 'employee_id,month' }
+  const uniqueIndexes = (table) =>
+    dialect === 'postgres'
+      ? executor.query(
+        `SELECT ic.relname AS name, string_agg(a.attname, ',' ORDER BY array_position(i.indkey, a.attnum)) AS columns
+         FROM pg_index i
+         JOIN pg_class t ON t.oid = i.indrelid
+         JOIN pg_class ic ON ic.oid = i.indexrelid
+         JOIN pg_attribute a ON a.attrelid = t.oid AND a.attnum = ANY(i.indkey)
+         WHERE t.relname = ? AND i.indisunique
+         GROUP BY ic.relname`,
+        [table]
+      )
+      : executor.query(
+        `SELECT index_name AS name, GROUP_CONCAT(column_name ORDER BY seq_in_index) AS columns
+         FROM information_schema.statistics
+         WHERE table_schema = DATABASE() AND table_name = ? AND non_unique = 0
+         GROUP BY index_name`,
+        [table]
+      );
+
+  return {
+    dialect,
+    types: TYPES[dialect],
+    query: (sql, params) => executor.query(sql, params),
+    insertIgnore: (table, values) => executor.insertIgnore(table, values),
+    columnExists,
+    indexExists,
+    addColumnIfMissing: async (table, column, definition) => {
+      if (!(await columnExists(table, column))) await executor.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    },
+    addIndexIfMissing: async (table, index, columns) => {
+      if (!(await indexExists(table, index))) await executor.query(`CREATE INDEX ${index} ON ${table} (${columns.join(', ')})`);
+    },
+    // Skips tables that already enforce uniqueness on these columns under another name
+    addUniqueKeyIfMissing: async (table, index, columns) => {
+      if (!(await uniqueIndexes(table)).some((unique) => unique.columns === columns.join(','))) {
+        await executor.query(`ALTER TABLE ${table} ADD CONSTRAINT ${index} UNIQUE (${columns.join(', ')})`);
+      }
+    },
+    // Drops the unique key on exactly these columns, whatever it was named
+    dropUniqueKeyIfExists: async (table, columns) => {
+      for (const { name } of (await uniqueIndexes(table)).filter((unique) => unique.columns === columns.join(','))) {
+        if (dialect === 'mysql') {
+          await executor.query(`ALTER TABLE ${table} DROP INDEX ${name}`);
+        } else if ((await executor.query('SELECT 1 FROM pg_constraint WHERE conname = ?', [name])).length > 0) {
+          await executor.query(`ALTER TABLE ${table} DROP CONSTRAINT ${name}`);
+        } else {
+          await executor.query(`DROP INDEX ${name}`);
+        }
+      }
+    },
+  };
+};
+
+const listMigrations = () =>
+  fs
+    .readdirSync(migrationsDir)
+    .filter((file) => /^\d+_[\w-]+\.js$/.test(file))
+    .sort()
+    .map((file) => ({ version: file.split('_')[0], name: file.replace(/\.js$/, ''), file: path.join(migrationsDir, file) }));
+
+// Apply every migration in db/migrations that is not yet recorded in schema_migrations.
+// MySQL commits DDL implicitly, so each migration must be safe to re-run if it fails partway.
+export function runMigrations(db) {
+  return db.withConnection(async (executor) => {
+    const lock = LOCKS[executor.dialect];
+    await lock.acquire(executor);
+    try {
+      await executor.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version VARCHAR(20) PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      const appliedRows = await executor.query('SELECT version FROM schema_migrations');
+      const applied = new Set(appliedRows.map((row) => row.version));
+      const context = createMigrationContext(executor);
+
+      const pending = listMigrations().filter((migration) => !applied.has(migration.version));
+      for (const migration of pending) {
+        console.log(`Applying migration ${migration.name}`);
+        const { up } = await import(pathToFileURL(migration.file).href);
+        await up(context);
+        await executor.query('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+      }
+      console.log(pending.length > 0 ? `Applied ${pending.length} migration(s)` : 'Database schema is up to date');
+      return pending.map((migration) => migration.name);
+    } finally {
+      await lock.release(executor).catch(() => {});
+    }
+  });
+}
+
+// `npm run migrate`
+if (process.argv[1] === __filename) {
+  dotenv.config();
+  const db = createDatabase();
+  runMigrations(db)
+    .then(() => db.end())
+    .catch(async (error) => {
+      console.error('Migration failed:', error);
+      await db.end();
+      process.exit(1);
+    });
+}
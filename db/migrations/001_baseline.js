@@ -0,0 +1,92 @@
+// Tables the API was originally written against. Uses IF NOT EXISTS so it is a no-op on databases
+// created before migrations existed, then makes sure the unique keys the upserts rely on are present.
+export const up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS admins (
+      id ${db.types.id},
+      username VARCHAR(100) NOT NULL UNIQUE,
+      password VARCHAR(255) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS employees (
+      id ${db.types.id},
+      name VARCHAR(255) NOT NULL,
+      email VARCHAR(255) NOT NULL UNIQUE,
+      phone VARCHAR(20),
+      address TEXT,
+      city VARCHAR(100),
+      country VARCHAR(100),
+      state VARCHAR(100),
+      dob DATE,
+      doj DATE,
+      aadhar_photo VARCHAR(255),
+      pan_photo VARCHAR(255),
+      password VARCHAR(255) NOT NULL,
+      salary_amount DECIMAL(12, 2),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS salary (
+      id ${db.types.id},
+      employee_id INT NOT NULL,
+      month VARCHAR(7) NOT NULL,
+      paid BOOLEAN NOT NULL DEFAULT FALSE,
+      CONSTRAINT uniq_salary_employee_month UNIQUE (employee_id, month),
+      FOREIGN KEY (employee_id) REFERENCES employees(id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS attendance (
+      id ${db.types.id},
+      employee_id INT NOT NULL,
+      date DATE NOT NULL,
+      present BOOLEAN NOT NULL DEFAULT FALSE,
+      CONSTRAINT uniq_attendance_employee_date UNIQUE (employee_id, date),
+      FOREIGN KEY (employee_id) REFERENCES employees(id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS holidays (
+      id ${db.types.id},
+      date DATE NOT NULL,
+      CONSTRAINT uniq_holidays_date UNIQUE (date)
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS service_requests (
+      id ${db.types.id},
+      name VARCHAR(255),
+      contact VARCHAR(50),
+      email VARCHAR(255),
+      service VARCHAR(255),
+      message TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  for (const table of ['contact_details', 'contacts']) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS ${table} (
+        id ${db.types.id},
+        name VARCHAR(255),
+        email VARCHAR(255),
+        subject VARCHAR(255),
+        message TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  // Older databases may have these tables without the unique keys that upserts and insert-ignores rely on
+  await db.addUniqueKeyIfMissing('salary', 'uniq_salary_employee_month', ['employee_id', 'month']);
+  await db.addUniqueKeyIfMissing('attendance', 'uniq_attendance_employee_date', ['employee_id', 'date']);
+  await db.addUniqueKeyIfMissing('holidays', 'uniq_holidays_date', ['date']);
+};
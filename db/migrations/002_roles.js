@@ -0,0 +1,5 @@
+// Role assignments for role-based access control
+export const up = async (db) => {
+  await db.addColumnIfMissing('admins', 'role', "VARCHAR(20) NOT NULL DEFAULT 'super_admin'");
+  await db.addColumnIfMissing('employees', 'role', "VARCHAR(20) NOT NULL DEFAULT 'employee'");
+};
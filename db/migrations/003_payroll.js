@@ -0,0 +1,50 @@
+// Payroll runs, one record per employee per run, and the line items behind each record
+export const up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS payroll_runs (
+      id ${db.types.id},
+      month VARCHAR(7) NOT NULL UNIQUE,
+      status VARCHAR(20) NOT NULL,
+      total_gross DECIMAL(14, 2) NOT NULL DEFAULT 0,
+      total_deductions DECIMAL(14, 2) NOT NULL DEFAULT 0,
+      total_net DECIMAL(14, 2) NOT NULL DEFAULT 0,
+      locked_by INT,
+      locked_at ${db.types.datetime},
+      paid_by INT,
+      paid_at ${db.types.datetime},
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS payroll_records (
+      id ${db.types.id},
+      run_id INT NOT NULL,
+      employee_id INT NOT NULL,
+      gross_salary DECIMAL(12, 2) NOT NULL,
+      calendar_days INT NOT NULL,
+      holiday_days INT NOT NULL,
+      working_days INT NOT NULL,
+      present_days INT NOT NULL,
+      leave_days INT NOT NULL DEFAULT 0,
+      lop_days INT NOT NULL,
+      payable_days INT NOT NULL,
+      lop_deduction DECIMAL(12, 2) NOT NULL,
+      net_pay DECIMAL(12, 2) NOT NULL,
+      CONSTRAINT uniq_payroll_records_run_employee UNIQUE (run_id, employee_id),
+      FOREIGN KEY (run_id) REFERENCES payroll_runs(id) ON DELETE CASCADE,
+      FOREIGN KEY (employee_id) REFERENCES employees(id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS payroll_line_items (
+      id ${db.types.id},
+      record_id INT NOT NULL,
+      type VARCHAR(20) NOT NULL,
+      label VARCHAR(255) NOT NULL,
+      amount DECIMAL(12, 2) NOT NULL,
+      FOREIGN KEY (record_id) REFERENCES payroll_records(id) ON DELETE CASCADE
+    )
+  `);
+};
@@ -0,0 +1,45 @@
+// Leave types, leave requests and the attendance columns that mark approved leave days
+export const up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS leave_types (
+      id ${db.types.id},
+      name VARCHAR(100) NOT NULL,
+      code VARCHAR(20) NOT NULL UNIQUE,
+      yearly_quota INT,
+      paid BOOLEAN NOT NULL DEFAULT TRUE,
+      active BOOLEAN NOT NULL DEFAULT TRUE
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS leave_requests (
+      id ${db.types.id},
+      employee_id INT NOT NULL,
+      leave_type_id INT NOT NULL,
+      start_date DATE NOT NULL,
+      end_date DATE NOT NULL,
+      days INT NOT NULL,
+      reason TEXT,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      review_note TEXT,
+      reviewed_by INT,
+      reviewer_type VARCHAR(20),
+      reviewed_at ${db.types.datetime},
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (employee_id) REFERENCES employees(id) ON DELETE CASCADE,
+      FOREIGN KEY (leave_type_id) REFERENCES leave_types(id)
+    )
+  `);
+  await db.addIndexIfMissing('leave_requests', 'idx_leave_requests_employee_status', ['employee_id', 'status']);
+
+  await db.addColumnIfMissing('attendance', 'status', 'VARCHAR(20)');
+  await db.addColumnIfMissing('attendance', 'leave_request_id', 'INT');
+  await db.query("UPDATE attendance SET status = CASE WHEN present THEN 'present' ELSE 'absent' END WHERE status IS NULL");
+
+  const defaultLeaveTypes = [
+    { name: 'Casual Leave', code: 'CL', yearly_quota: 12, paid: true },
+    { name: 'Sick Leave', code: 'SL', yearly_quota: 6, paid: true },
+    { name: 'Leave Without Pay', code: 'LWP', yearly_quota: null, paid: false },
+  ];
+  for (const leaveType of defaultLeaveTypes) await db.insertIgnore('leave_types', leaveType);
+};
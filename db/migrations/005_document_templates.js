@@ -0,0 +1,17 @@
+// Versioned document templates. Only one version per kind is active at a time.
+export const up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS document_templates (
+      id ${db.types.id},
+      kind VARCHAR(50) NOT NULL,
+      version INT NOT NULL,
+      subject VARCHAR(255) NOT NULL,
+      body_html ${db.types.longText} NOT NULL,
+      email_text TEXT NOT NULL,
+      is_active BOOLEAN NOT NULL DEFAULT FALSE,
+      created_by INT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT uniq_document_templates_kind_version UNIQUE (kind, version)
+    )
+  `);
+};
@@ -0,0 +1,29 @@
+// Every offer sent, with the rendered letter and the candidate's response
+export const up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS offer_letters (
+      id ${db.types.id},
+      employee_id INT NOT NULL,
+      token CHAR(64) NOT NULL UNIQUE,
+      status VARCHAR(20) NOT NULL DEFAULT 'draft',
+      role VARCHAR(255),
+      salary_amount DECIMAL(12, 2),
+      doj DATE,
+      template_version INT,
+      html ${db.types.longText} NOT NULL,
+      subject VARCHAR(255) NOT NULL,
+      email_text TEXT NOT NULL,
+      expires_at DATE NOT NULL,
+      sent_at ${db.types.datetime},
+      viewed_at ${db.types.datetime},
+      responded_at ${db.types.datetime},
+      response_ip VARCHAR(45),
+      response_user_agent VARCHAR(512),
+      decline_reason TEXT,
+      created_by INT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (employee_id) REFERENCES employees(id) ON DELETE CASCADE
+    )
+  `);
+  await db.addIndexIfMissing('offer_letters', 'idx_offer_letters_status', ['status']);
+};
@@ -0,0 +1,43 @@
+// Encrypted KYC documents (the files themselves live in the vault directory) and who accessed them
+export const up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS documents (
+      id ${db.types.id},
+      employee_id INT NOT NULL,
+      kind VARCHAR(20) NOT NULL,
+      storage_key CHAR(32) NOT NULL UNIQUE,
+      original_name VARCHAR(255),
+      mime_type VARCHAR(100) NOT NULL,
+      size_bytes INT NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      id_number_encrypted TEXT,
+      id_number_masked VARCHAR(32),
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      review_note TEXT,
+      reviewed_by INT,
+      reviewer_type VARCHAR(20),
+      reviewed_at ${db.types.datetime},
+      uploaded_by INT,
+      uploaded_by_type VARCHAR(20),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (employee_id) REFERENCES employees(id) ON DELETE CASCADE
+    )
+  `);
+  await db.addIndexIfMissing('documents', 'idx_documents_employee_kind', ['employee_id', 'kind']);
+
+  // No foreign keys: the log outlives the documents and employees it mentions
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS document_access_log (
+      id ${db.types.id},
+      document_id INT NOT NULL,
+      employee_id INT NOT NULL,
+      action VARCHAR(20) NOT NULL,
+      actor_id INT,
+      actor_type VARCHAR(20),
+      ip VARCHAR(45),
+      user_agent VARCHAR(512),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.addIndexIfMissing('document_access_log', 'idx_document_access_log_document', ['document_id']);
+};
@@ -0,0 +1,20 @@
+// Who changed what, and from where. Rows are never updated or deleted.
+export const up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id ${db.types.id},
+      actor_id INT,
+      actor_type VARCHAR(20) NOT NULL,
+      action VARCHAR(20) NOT NULL,
+      entity VARCHAR(50) NOT NULL,
+      entity_id VARCHAR(64),
+      employee_id INT,
+      changes TEXT NOT NULL,
+      ip VARCHAR(45),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.addIndexIfMissing('audit_log', 'idx_audit_log_employee', ['employee_id', 'created_at']);
+  await db.addIndexIfMissing('audit_log', 'idx_audit_log_entity', ['entity', 'entity_id']);
+  await db.addIndexIfMissing('audit_log', 'idx_audit_log_created', ['created_at']);
+};
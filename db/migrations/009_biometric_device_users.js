@@ -0,0 +1,11 @@
+// Maps the user IDs enrolled on biometric attendance devices to employees, for punch log imports
+export const up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS biometric_device_users (
+      device_user_id VARCHAR(64) PRIMARY KEY,
+      employee_id INT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (employee_id) REFERENCES employees(id) ON DELETE CASCADE
+    )
+  `);
+};
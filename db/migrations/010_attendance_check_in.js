@@ -0,0 +1,26 @@
+// Self check-in/check-out times on attendance, fractional payroll day counts for half days, and a settings table holding the work schedule they are judged against
+export const up = async (db) => {
+  await db.addColumnIfMissing('attendance', 'check_in_at', db.types.datetime);
+  await db.addColumnIfMissing('attendance', 'check_out_at', db.types.datetime);
+  await db.addColumnIfMissing('attendance', 'worked_minutes', 'INT');
+  await db.addColumnIfMissing('attendance', 'late_minutes', 'INT');
+  await db.addColumnIfMissing('attendance', 'early_exit_minutes', 'INT');
+
+  // Half days make payroll day counts fractional
+  for (const column of ['present_days', 'lop_days', 'payable_days']) {
+    await db.query(
+      db.dialect === 'postgres'
+        ? `ALTER TABLE payroll_records ALTER COLUMN ${column} TYPE DECIMAL(5, 1)`
+        : `ALTER TABLE payroll_records MODIFY ${column} DECIMAL(5, 1) NOT NULL`
+    );
+  }
+
+  // One JSON value per setting name
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS settings (
+      name VARCHAR(100) PRIMARY KEY,
+      value TEXT NOT NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
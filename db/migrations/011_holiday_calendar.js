@@ -0,0 +1,6 @@
+// Holiday names, types (national, festival, optional) and the state a holiday applies to (NULL for every state)
+export const up = async (db) => {
+  await db.addColumnIfMissing('holidays', 'name', 'VARCHAR(150)');
+  await db.addColumnIfMissing('holidays', 'type', "VARCHAR(20) NOT NULL DEFAULT 'national'");
+  await db.addColumnIfMissing('holidays', 'state', 'VARCHAR(100)');
+};
@@ -0,0 +1,59 @@
+// Login sessions with rotating refresh tokens, failed login attempts for lockout, one-time password
+// reset codes, and an optional admin email to send those codes to. Times here are written by the
+// app rather than defaulted by the database, so lockout and expiry checks compare like with like.
+export const up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS auth_sessions (
+      id CHAR(32) PRIMARY KEY,
+      user_id INT NOT NULL,
+      user_type VARCHAR(20) NOT NULL,
+      ip VARCHAR(45),
+      user_agent VARCHAR(512),
+      created_at ${db.types.datetime} NOT NULL,
+      last_used_at ${db.types.datetime},
+      expires_at ${db.types.datetime} NOT NULL,
+      revoked_at ${db.types.datetime},
+      revoked_reason VARCHAR(50)
+    )
+  `);
+  await db.addIndexIfMissing('auth_sessions', 'idx_auth_sessions_user', ['user_type', 'user_id']);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS refresh_tokens (
+      id ${db.types.id},
+      session_id CHAR(32) NOT NULL,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      created_at ${db.types.datetime} NOT NULL,
+      used_at ${db.types.datetime},
+      FOREIGN KEY (session_id) REFERENCES auth_sessions(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Only failures are stored; a successful login clears its account's failures
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS login_failures (
+      id ${db.types.id},
+      account VARCHAR(255) NOT NULL,
+      ip VARCHAR(45),
+      created_at ${db.types.datetime} NOT NULL
+    )
+  `);
+  await db.addIndexIfMissing('login_failures', 'idx_login_failures_account', ['account', 'created_at']);
+  await db.addIndexIfMissing('login_failures', 'idx_login_failures_ip', ['ip', 'created_at']);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS password_resets (
+      id ${db.types.id},
+      user_id INT NOT NULL,
+      user_type VARCHAR(20) NOT NULL,
+      code_hash CHAR(64) NOT NULL,
+      attempts INT NOT NULL DEFAULT 0,
+      created_at ${db.types.datetime} NOT NULL,
+      expires_at ${db.types.datetime} NOT NULL,
+      used_at ${db.types.datetime}
+    )
+  `);
+  await db.addIndexIfMissing('password_resets', 'idx_password_resets_user', ['user_type', 'user_id']);
+
+  await db.addColumnIfMissing('admins', 'email', 'VARCHAR(255)');
+};
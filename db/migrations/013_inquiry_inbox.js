@@ -0,0 +1,23 @@
+// Workflow columns shared by the three website inquiry tables, and notes on any inquiry
+export const up = async (db) => {
+  for (const table of ['service_requests', 'contact_details', 'contacts']) {
+    await db.addColumnIfMissing(table, 'status', "VARCHAR(20) NOT NULL DEFAULT 'new'");
+    await db.addColumnIfMissing(table, 'owner_type', 'VARCHAR(20)');
+    await db.addColumnIfMissing(table, 'owner_id', 'INT');
+    await db.addColumnIfMissing(table, 'updated_at', db.types.datetime);
+    await db.addIndexIfMissing(table, `idx_${table}_status`, ['status', 'created_at']);
+  }
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS inquiry_notes (
+      id ${db.types.id},
+      source VARCHAR(20) NOT NULL,
+      inquiry_id INT NOT NULL,
+      note TEXT NOT NULL,
+      author_id INT,
+      author_type VARCHAR(20),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.addIndexIfMissing('inquiry_notes', 'idx_inquiry_notes_inquiry', ['source', 'inquiry_id']);
+};
@@ -0,0 +1,25 @@
+// Sender IP and message fingerprint on website inquiries, for rate limiting and duplicate detection,
+// and a log of submissions that were turned away
+export const up = async (db) => {
+  for (const table of ['service_requests', 'contact_details', 'contacts']) {
+    await db.addColumnIfMissing(table, 'ip', 'VARCHAR(45)');
+    await db.addColumnIfMissing(table, 'message_hash', 'CHAR(64)');
+    await db.addIndexIfMissing(table, `idx_${table}_ip`, ['ip', 'created_at']);
+    await db.addIndexIfMissing(table, `idx_${table}_message_hash`, ['message_hash', 'created_at']);
+  }
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS rejected_submissions (
+      id ${db.types.id},
+      source VARCHAR(20) NOT NULL,
+      reason VARCHAR(30) NOT NULL,
+      detail VARCHAR(500),
+      ip VARCHAR(45),
+      user_agent VARCHAR(512),
+      payload TEXT,
+      created_at ${db.types.datetime} NOT NULL
+    )
+  `);
+  await db.addIndexIfMissing('rejected_submissions', 'idx_rejected_submissions_ip', ['ip', 'created_at']);
+  await db.addIndexIfMissing('rejected_submissions', 'idx_rejected_submissions_created', ['created_at']);
+};
@@ -0,0 +1,24 @@
+// Outgoing email is queued here and delivered by a background worker, so a mail server outage
+// delays messages instead of failing the request that sent them
+export const up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS email_outbox (
+      id ${db.types.id},
+      category VARCHAR(50) NOT NULL,
+      to_address VARCHAR(512) NOT NULL,
+      subject VARCHAR(512) NOT NULL,
+      message ${db.types.longText} NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'queued',
+      attempts INT NOT NULL DEFAULT 0,
+      max_attempts INT NOT NULL,
+      next_attempt_at ${db.types.datetime} NOT NULL,
+      last_error TEXT,
+      message_id VARCHAR(255),
+      created_by INT,
+      created_at ${db.types.datetime} NOT NULL,
+      updated_at ${db.types.datetime} NOT NULL,
+      sent_at ${db.types.datetime}
+    )
+  `);
+  await db.addIndexIfMissing('email_outbox', 'idx_email_outbox_due', ['status', 'next_attempt_at']);
+};
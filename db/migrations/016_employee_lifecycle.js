@@ -0,0 +1,29 @@
+// Employee lifecycle status, soft deletion, and the exit process for leavers
+export const up = async (db) => {
+  // Everyone already on the books is treated as active
+  await db.addColumnIfMissing('employees', 'status', "VARCHAR(20) NOT NULL DEFAULT 'active'");
+  await db.addColumnIfMissing('employees', 'deleted_at', db.types.datetime);
+  await db.addIndexIfMissing('employees', 'idx_employees_status', ['status']);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS employee_exits (
+      id ${db.types.id},
+      employee_id INT NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'open',
+      notice_date DATE,
+      last_working_day DATE NOT NULL,
+      reason VARCHAR(30) NOT NULL,
+      reason_detail TEXT,
+      settlement_status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      settlement_amount DECIMAL(12, 2),
+      settled_at ${db.types.datetime},
+      notes TEXT,
+      created_by INT,
+      created_at ${db.types.datetime} NOT NULL,
+      updated_at ${db.types.datetime} NOT NULL,
+      completed_at ${db.types.datetime},
+      FOREIGN KEY (employee_id) REFERENCES employees(id) ON DELETE CASCADE
+    )
+  `);
+  await db.addIndexIfMissing('employee_exits', 'idx_employee_exits_employee', ['employee_id', 'status']);
+};
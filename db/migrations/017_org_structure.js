@@ -0,0 +1,31 @@
+// Departments, designations, and where each employee sits in the organisation
+export const up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS departments (
+      id ${db.types.id},
+      name VARCHAR(100) NOT NULL UNIQUE,
+      description TEXT,
+      created_at ${db.types.datetime} NOT NULL,
+      updated_at ${db.types.datetime} NOT NULL
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS designations (
+      id ${db.types.id},
+      title VARCHAR(100) NOT NULL UNIQUE,
+      department_id INT,
+      level INT,
+      created_at ${db.types.datetime} NOT NULL,
+      updated_at ${db.types.datetime} NOT NULL,
+      FOREIGN KEY (department_id) REFERENCES departments(id) ON DELETE SET NULL
+    )
+  `);
+
+  await db.addColumnIfMissing('employees', 'department_id', 'INT');
+  await db.addColumnIfMissing('employees', 'designation_id', 'INT');
+  await db.addColumnIfMissing('employees', 'manager_id', 'INT');
+  await db.addIndexIfMissing('employees', 'idx_employees_department', ['department_id']);
+  await db.addIndexIfMissing('employees', 'idx_employees_designation', ['designation_id']);
+  await db.addIndexIfMissing('employees', 'idx_employees_manager', ['manager_id']);
+};
@@ -0,0 +1,82 @@
+import fs from 'fs';
+
+// Tables whose rows belong to one company
+const COMPANY_TABLES = [
+  'employees', 'admins', 'holidays', 'documents', 'departments', 'designations', 'payroll_runs', 'audit_log', 'email_outbox',
+];
+
+// Unique keys that now hold within a company rather than across the whole database
+const COMPANY_UNIQUE_KEYS = [
+  { table: 'holidays', index: 'uniq_holidays_company_date', columns: ['date'] },
+  { table: 'departments', index: 'uniq_departments_company_name', columns: ['name'] },
+  { table: 'designations', index: 'uniq_designations_company_title', columns: ['title'] },
+  { table: 'payroll_runs', index: 'uniq_payroll_runs_company_month', columns: ['month'] },
+];
+
+const readAsset = (file) => {
+  const url = new URL(`../../${file}`, import.meta.url);
+  return fs.existsSync(url) ? fs.readFileSync(url) : null;
+};
+
+// Companies (tenants) with their letterhead details and brand assets. Everything already in the database
+// is given to a first company holding the details that used to be hard-coded in server.js.
+export const up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS companies (
+      id ${db.types.id},
+      name VARCHAR(255) NOT NULL,
+      address TEXT,
+      city VARCHAR(100),
+      phone VARCHAR(30),
+      email VARCHAR(255),
+      website VARCHAR(255),
+      hr_name VARCHAR(255),
+      hr_title VARCHAR(100),
+      logo ${db.types.blob},
+      logo_type VARCHAR(50),
+      signature ${db.types.blob},
+      signature_type VARCHAR(50),
+      created_at ${db.types.datetime} NOT NULL,
+      updated_at ${db.types.datetime} NOT NULL
+    )
+  `);
+
+  if ((await db.query('SELECT id FROM companies')).length === 0) {
+    const logo = readAsset('logo.jpeg');
+    const signature = readAsset('signature.png');
+    const now = new Date();
+    await db.query(
+      `INSERT INTO companies (name, address, city, phone, email, website, hr_name, hr_title, logo, logo_type, signature, signature_type,
+         created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        'Motion View Ventures Pvt. Ltd.',
+        'Near Medi Mercy Emergency Hospital, B.H Colony, Vijay Nagar, Kankarbagh, Patna, Bihar - 800026',
+        'Patna',
+        '+91 7079367125',
+        'contact@motionviewventure.in',
+        'motionviewventures.in',
+        'Priya Gupta',
+        'HR',
+        logo,
+        logo && 'image/jpeg',
+        signature,
+        signature && 'image/png',
+        now,
+        now,
+      ]
+    );
+  }
+  const [{ id: companyId }] = await db.query('SELECT id FROM companies ORDER BY id LIMIT 1');
+
+  for (const table of COMPANY_TABLES) {
+    await db.addColumnIfMissing(table, 'company_id', 'INT');
+    await db.query(`UPDATE ${table} SET company_id = ? WHERE company_id IS NULL`, [companyId]);
+    await db.addIndexIfMissing(table, `idx_${table}_company`, ['company_id']);
+  }
+
+  for (const { table, index, columns } of COMPANY_UNIQUE_KEYS) {
+    await db.dropUniqueKeyIfExists(table, columns);
+    await db.addUniqueKeyIfMissing(table, index, ['company_id', ...columns]);
+  }
+};
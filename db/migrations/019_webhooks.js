@@ -0,0 +1,46 @@
+// Webhook subscriptions, and the deliveries queued for them when an event happens. Deliveries are
+// posted by a background worker and kept as a log that can be queried and replayed.
+export const up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+      id ${db.types.id},
+      company_id INT NOT NULL,
+      url VARCHAR(2048) NOT NULL,
+      description VARCHAR(255),
+      events TEXT NOT NULL,
+      secret VARCHAR(255) NOT NULL,
+      active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_by INT,
+      created_at ${db.types.datetime} NOT NULL,
+      updated_at ${db.types.datetime} NOT NULL
+    )
+  `);
+  await db.addIndexIfMissing('webhook_subscriptions', 'idx_webhook_subscriptions_company', ['company_id']);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id ${db.types.id},
+      company_id INT NOT NULL,
+      subscription_id INT NOT NULL,
+      event VARCHAR(100) NOT NULL,
+      event_id VARCHAR(36) NOT NULL,
+      payload ${db.types.longText} NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'queued',
+      attempts INT NOT NULL DEFAULT 0,
+      max_attempts INT NOT NULL,
+      next_attempt_at ${db.types.datetime} NOT NULL,
+      last_error TEXT,
+      response_status INT,
+      response_body TEXT,
+      duration_ms INT,
+      replay_of INT,
+      created_at ${db.types.datetime} NOT NULL,
+      updated_at ${db.types.datetime} NOT NULL,
+      delivered_at ${db.types.datetime},
+      FOREIGN KEY (subscription_id) REFERENCES webhook_subscriptions(id) ON DELETE CASCADE
+    )
+  `);
+  await db.addIndexIfMissing('webhook_deliveries', 'idx_webhook_deliveries_due', ['status', 'next_attempt_at']);
+  await db.addIndexIfMissing('webhook_deliveries', 'idx_webhook_deliveries_subscription', ['subscription_id']);
+  await db.addIndexIfMissing('webhook_deliveries', 'idx_webhook_deliveries_company', ['company_id']);
+};
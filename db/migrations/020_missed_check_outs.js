@@ -0,0 +1,5 @@
+// Check-ins left open past their day are flagged for HR to review instead of counting as worked
+export const up = async (db) => {
+  await db.addColumnIfMissing('attendance', 'missed_check_out', 'BOOLEAN NOT NULL DEFAULT FALSE');
+  await db.addIndexIfMissing('attendance', 'idx_attendance_open_check_ins', ['check_out_at', 'check_in_at']);
+};
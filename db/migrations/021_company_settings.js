@@ -0,0 +1,36 @@
+// Leave types, document templates, settings and website inquiries belong to a company too. Everything
+// already stored is given to the first company, as in 018_companies.
+const COMPANY_TABLES = [
+  'leave_types', 'document_templates', 'settings', 'service_requests', 'contact_details', 'contacts', 'rejected_submissions',
+];
+
+// Unique keys that now hold within a company rather than across the whole database
+const COMPANY_UNIQUE_KEYS = [
+  { table: 'leave_types', index: 'uniq_leave_types_company_code', columns: ['code'] },
+  { table: 'document_templates', index: 'uniq_document_templates_company_kind_version', columns: ['kind', 'version'] },
+];
+
+export const up = async (db) => {
+  const [{ id: companyId }] = await db.query('SELECT id FROM companies ORDER BY id LIMIT 1');
+
+  for (const table of COMPANY_TABLES) {
+    await db.addColumnIfMissing(table, 'company_id', 'INT');
+    await db.query(`UPDATE ${table} SET company_id = ? WHERE company_id IS NULL`, [companyId]);
+    await db.addIndexIfMissing(table, `idx_${table}_company`, ['company_id']);
+  }
+
+  for (const { table, index, columns } of COMPANY_UNIQUE_KEYS) {
+    await db.dropUniqueKeyIfExists(table, columns);
+    await db.addUniqueKeyIfMissing(table, index, ['company_id', ...columns]);
+  }
+
+  // A setting's name was its primary key; now each company has its own value under the same name. The key is
+  // swapped in one statement so the table is never without one (MySQL's sql_require_primary_key forbids that).
+  if (db.dialect === 'postgres') {
+    await db.query('ALTER TABLE settings ALTER COLUMN company_id SET NOT NULL');
+    await db.query('ALTER TABLE settings DROP CONSTRAINT IF EXISTS settings_pkey, ADD CONSTRAINT settings_pkey PRIMARY KEY (company_id, name)');
+  } else {
+    await db.query('ALTER TABLE settings MODIFY company_id INT NOT NULL');
+    await db.query('ALTER TABLE settings DROP PRIMARY KEY, ADD PRIMARY KEY (company_id, name)');
+  }
+};
@@ -0,0 +1,9 @@
+// Holidays are unique per company, date and state, so states can mark the same date. state_key holds the
+// state trimmed and lower-cased ('' for every state) because a unique key treats NULLs as distinct.
+export const up = async (db) => {
+  await db.addColumnIfMissing('holidays', 'state_key', "VARCHAR(100) NOT NULL DEFAULT ''");
+  await db.query("UPDATE holidays SET state_key = LOWER(TRIM(COALESCE(state, '')))");
+  // Add the new key before dropping the old one so company_id stays indexed throughout
+  await db.addUniqueKeyIfMissing('holidays', 'uniq_holidays_company_date_state', ['company_id', 'date', 'state_key']);
+  await db.dropUniqueKeyIfExists('holidays', ['company_id', 'date']);
+};
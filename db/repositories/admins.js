@@ -0,0 +1,39 @@
+export const createAdminRepository = (db) => ({
+  // Usernames are unique across companies, so logins need no company
+  async findByUsername(username) {
+    const rows = await db.query('SELECT * FROM admins WHERE username = ?', [username]);
+    return rows[0] || null;
+  },
+
+  async findById(id) {
+    const rows = await db.query('SELECT * FROM admins WHERE id = ?', [id]);
+    return rows[0] || null;
+  },
+
+  async findRole(id, companyId) {
+    const rows = await db.query('SELECT id, role FROM admins WHERE id = ? AND company_id = ?', [id, companyId]);
+    return rows[0] || null;
+  },
+
+  listRoles: (companyId) => db.query('SELECT id, username, role FROM admins WHERE company_id = ? ORDER BY id', [companyId]),
+
+  async countSuperAdmins(companyId) {
+    const rows = await db.query(
+      "SELECT COUNT(*) AS count FROM admins WHERE company_id = ? AND (role = 'super_admin' OR role IS NULL)",
+      [companyId]
+    );
+    return Number(rows[0].count);
+  },
+
+  updateRole: (id, role) => db.execute('UPDATE admins SET role = ? WHERE id = ?', [role, id]),
+
+  updatePassword: (id, password) => db.execute('UPDATE admins SET password = ? WHERE id = ?', [password, id]),
+
+  async create({ companyId, username, password, role, email = null }) {
+    const result = await db.execute(
+      'INSERT INTO admins (company_id, username, password, role, email) VALUES (?, ?, ?, ?, ?)',
+      [companyId, username, password, role, email]
+    );
+    return result.insertId;
+  },
+});
@@ -0,0 +1,94 @@
+export const createAttendanceRepository = (db) => ({
+  history: (employeeId) =>
+    db.query(
+      `SELECT date, present, status, check_in_at, check_out_at, worked_minutes, late_minutes, early_exit_minutes, missed_check_out
+       FROM attendance WHERE employee_id = ? ORDER BY date DESC`,
+      [employeeId]
+    ),
+
+  async find(employeeId, date) {
+    const rows = await db.query(
+      `SELECT employee_id, date, present, status, leave_request_id, check_in_at, check_out_at, worked_minutes, late_minutes,
+         early_exit_minutes, missed_check_out
+       FROM attendance WHERE employee_id = ? AND date = ?`,
+      [employeeId, date]
+    );
+    return rows[0] || null;
+  },
+
+  checkIn: (employeeId, date, { checkInAt, lateMinutes }) =>
+    db.upsert(
+      'attendance',
+      {
+        employee_id: employeeId, date, present: true, status: 'present', leave_request_id: null, check_in_at: checkInAt,
+        check_out_at: null, worked_minutes: null, late_minutes: lateMinutes, early_exit_minutes: null, missed_check_out: false,
+      },
+      ['employee_id', 'date']
+    ),
+
+  // Status comes from the hours worked: present, half_day or absent
+  checkOut: (employeeId, date, { checkOutAt, workedMinutes, earlyExitMinutes, status }) =>
+    db.execute(
+      `UPDATE attendance SET check_out_at = ?, worked_minutes = ?, early_exit_minutes = ?, status = ?, present = ?
+       WHERE employee_id = ? AND date = ?`,
+      [checkOutAt, workedMinutes, earlyExitMinutes, status, status !== 'absent', employeeId, date]
+    ),
+
+  // Check-ins of the company's employees before a date that were never checked out nor flagged
+  listOpenBefore: (date, companyId) =>
+    db.query(
+      `SELECT a.employee_id, a.date, a.check_in_at FROM attendance a JOIN employees e ON e.id = a.employee_id
+       WHERE e.company_id = ? AND a.check_in_at IS NOT NULL AND a.check_out_at IS NULL AND a.missed_check_out = FALSE AND a.date < ?`,
+      [companyId, date]
+    ),
+
+  // Leaves the day without hours and waiting for HR. Returns whether a still-open check-in was flagged.
+  async flagMissedCheckOut(employeeId, date) {
+    const result = await db.execute(
+      `UPDATE attendance SET missed_check_out = TRUE, status = 'needs_review', present = FALSE, worked_minutes = NULL, early_exit_minutes = NULL
+       WHERE employee_id = ? AND date = ? AND check_in_at IS NOT NULL AND check_out_at IS NULL AND missed_check_out = FALSE`,
+      [employeeId, date]
+    );
+    return result.affectedRows > 0;
+  },
+
+  // Manual marking replaces any leave previously recorded for the day
+  mark: (employeeId, date, present) =>
+    db.upsert(
+      'attendance',
+      { employee_id: employeeId, date, present, status: present ? 'present' : 'absent', leave_request_id: null, missed_check_out: false },
+      ['employee_id', 'date']
+    ),
+
+  markLeave: (employeeId, date, leaveRequestId) =>
+    db.upsert(
+      'attendance',
+      { employee_id: employeeId, date, present: false, status: 'on_leave', leave_request_id: leaveRequestId },
+      ['employee_id', 'date']
+    ),
+
+  deleteByLeaveRequest: (leaveRequestId) => db.execute('DELETE FROM attendance WHERE leave_request_id = ?', [leaveRequestId]),
+
+  // Attendance in a date range with employee names, for exports
+  list({ companyId, start, end, employeeId }) {
+    const params = [companyId, start, end];
+    if (employeeId) params.push(employeeId);
+    return db.query(
+      `SELECT a.employee_id, e.name AS employee_name, a.date, a.status, a.present FROM attendance a
+       JOIN employees e ON e.id = a.employee_id
+       WHERE e.company_id = ? AND a.date BETWEEN ? AND ?${employeeId ? ' AND a.employee_id = ?' : ''}
+       ORDER BY a.date, a.employee_id`,
+      params
+    );
+  },
+
+  // Attendance in a date range, with whether any leave taken was paid
+  listWithLeaveBetween: (start, end) =>
+    db.query(
+      `SELECT a.employee_id, a.date, a.present, a.status, a.late_minutes, lt.paid AS paid_leave FROM attendance a
+       LEFT JOIN leave_requests lr ON lr.id = a.leave_request_id
+       LEFT JOIN leave_types lt ON lt.id = lr.leave_type_id
+       WHERE a.date BETWEEN ? AND ?`,
+      [start, end]
+    ),
+});
@@ -0,0 +1,42 @@
+export const createAuditRepository = (db) => ({
+  record: ({ companyId, actorId, actorType, action, entity, entityId, employeeId, changes, ip }) =>
+    db.execute(
+      `INSERT INTO audit_log (company_id, actor_id, actor_type, action, entity, entity_id, employee_id, changes, ip)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [companyId, actorId, actorType, action, entity, entityId, employeeId, JSON.stringify(changes), ip]
+    ),
+
+  // One company's entries, newest first. `since` is inclusive and `until` exclusive.
+  async list({ companyId, employeeId, entity, entityId, since, until, limit = 100, offset = 0 }) {
+    const conditions = ['company_id = ?'];
+    const params = [companyId];
+    if (employeeId) {
+      conditions.push('employee_id = ?');
+      params.push(employeeId);
+    }
+    if (entity) {
+      conditions.push('entity = ?');
+      params.push(entity);
+    }
+    if (entityId) {
+      conditions.push('entity_id = ?');
+      params.push(String(entityId));
+    }
+    if (since) {
+      conditions.push('created_at >= ?');
+      params.push(since);
+    }
+    if (until) {
+      conditions.push('created_at < ?');
+      params.push(until);
+    }
+    const rows = await db.query(
+      `SELECT id, actor_id, actor_type, action, entity, entity_id, employee_id, changes, ip, created_at FROM audit_log
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY created_at DESC, id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, Number(limit), Number(offset)]
+    );
+    return rows.map((row) => ({ ...row, changes: JSON.parse(row.changes) }));
+  },
+});
@@ -0,0 +1,85 @@
+export const createAuthRepository = (db) => ({
+  createSession: ({ id, userId, userType, ip, userAgent, expiresAt }) =>
+    db.execute(
+      `INSERT INTO auth_sessions (id, user_id, user_type, ip, user_agent, created_at, last_used_at, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, userId, userType, ip, userAgent, new Date(), new Date(), expiresAt]
+    ),
+
+  // A session that has not been revoked or expired
+  async findActiveSession(id) {
+    const rows = await db.query(
+      'SELECT id, user_id, user_type, expires_at FROM auth_sessions WHERE id = ? AND revoked_at IS NULL AND expires_at > ?',
+      [id, new Date()]
+    );
+    return rows[0] || null;
+  },
+
+  listActiveSessions: (userType, userId) =>
+    db.query(
+      `SELECT id, ip, user_agent, created_at, last_used_at, expires_at FROM auth_sessions
+       WHERE user_type = ? AND user_id = ? AND revoked_at IS NULL AND expires_at > ? ORDER BY last_used_at DESC`,
+      [userType, userId, new Date()]
+    ),
+
+  extendSession: (id, expiresAt) =>
+    db.execute('UPDATE auth_sessions SET last_used_at = ?, expires_at = ? WHERE id = ?', [new Date(), expiresAt, id]),
+
+  revokeSession: (id, reason) =>
+    db.execute('UPDATE auth_sessions SET revoked_at = ?, revoked_reason = ? WHERE id = ? AND revoked_at IS NULL', [new Date(), reason, id]),
+
+  // Revoke every session of a user, optionally keeping one (the caller's own)
+  revokeUserSessions: (userType, userId, reason, exceptSessionId = null) =>
+    db.execute(
+      `UPDATE auth_sessions SET revoked_at = ?, revoked_reason = ?
+       WHERE user_type = ? AND user_id = ? AND revoked_at IS NULL${exceptSessionId ? ' AND id <> ?' : ''}`,
+      [new Date(), reason, userType, userId, ...(exceptSessionId ? [exceptSessionId] : [])]
+    ),
+
+  createRefreshToken: (sessionId, tokenHash) =>
+    db.execute('INSERT INTO refresh_tokens (session_id, token_hash, created_at) VALUES (?, ?, ?)', [sessionId, tokenHash, new Date()]),
+
+  async findRefreshToken(tokenHash) {
+    const rows = await db.query('SELECT id, session_id, used_at FROM refresh_tokens WHERE token_hash = ?', [tokenHash]);
+    return rows[0] || null;
+  },
+
+  // Marks a refresh token used. affectedRows is 0 when another request used it first.
+  useRefreshToken: (id) => db.execute('UPDATE refresh_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL', [new Date(), id]),
+
+  recordLoginFailure: (account, ip) =>
+    db.execute('INSERT INTO login_failures (account, ip, created_at) VALUES (?, ?, ?)', [account, ip, new Date()]),
+
+  // Times of recent failures for an account or an IP, oldest first
+  listLoginFailures: ({ account, ip, since }) =>
+    db.query(
+      `SELECT created_at FROM login_failures WHERE ${account ? 'account' : 'ip'} = ? AND created_at > ? ORDER BY created_at`,
+      [account || ip, since]
+    ),
+
+  clearLoginFailures: (account) => db.execute('DELETE FROM login_failures WHERE account = ?', [account]),
+
+  pruneLoginFailures: (before) => db.execute('DELETE FROM login_failures WHERE created_at < ?', [before]),
+
+  createPasswordReset: ({ userId, userType, codeHash, expiresAt }) =>
+    db.execute(
+      'INSERT INTO password_resets (user_id, user_type, code_hash, created_at, expires_at) VALUES (?, ?, ?, ?, ?)',
+      [userId, userType, codeHash, new Date(), expiresAt]
+    ),
+
+  // The newest reset code for a user that is unused and unexpired
+  async findPendingPasswordReset(userType, userId) {
+    const rows = await db.query(
+      `SELECT id, code_hash, attempts, created_at FROM password_resets
+       WHERE user_type = ? AND user_id = ? AND used_at IS NULL AND expires_at > ? ORDER BY id DESC LIMIT 1`,
+      [userType, userId, new Date()]
+    );
+    return rows[0] || null;
+  },
+
+  countPasswordResetAttempt: (id) => db.execute('UPDATE password_resets SET attempts = attempts + 1 WHERE id = ?', [id]),
+
+  // Using one code invalidates every other outstanding code for the user
+  usePasswordResets: (userType, userId) =>
+    db.execute('UPDATE password_resets SET used_at = ? WHERE user_type = ? AND user_id = ? AND used_at IS NULL', [new Date(), userType, userId]),
+});
@@ -0,0 +1,25 @@
+export const createBiometricRepository = (db) => ({
+  listDeviceUsers: (companyId) =>
+    db.query(
+      `SELECT b.device_user_id, b.employee_id, e.name AS employee_name, b.created_at FROM biometric_device_users b
+       JOIN employees e ON e.id = b.employee_id WHERE e.company_id = ? ORDER BY b.device_user_id`,
+      [companyId]
+    ),
+
+  async findDeviceUser(deviceUserId) {
+    const rows = await db.query(
+      `SELECT b.device_user_id, b.employee_id, e.company_id FROM biometric_device_users b
+       JOIN employees e ON e.id = b.employee_id WHERE b.device_user_id = ?`,
+      [deviceUserId]
+    );
+    return rows[0] || null;
+  },
+
+  mapDeviceUser: (deviceUserId, employeeId) =>
+    db.upsert('biometric_device_users', { device_user_id: deviceUserId, employee_id: employeeId }, ['device_user_id']),
+
+  async unmapDeviceUser(deviceUserId) {
+    const result = await db.execute('DELETE FROM biometric_device_users WHERE device_user_id = ?', [deviceUserId]);
+    return result.affectedRows;
+  },
+});
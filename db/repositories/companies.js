@@ -0,0 +1,46 @@
+// Everything but the brand assets, which are read separately
+const COMPANY_COLUMNS = 'id, name, address, city, phone, email, website, hr_name, hr_title, logo_type, signature_type, created_at, updated_at';
+
+export const createCompanyRepository = (db) => ({
+  async findById(id) {
+    const rows = await db.query(`SELECT ${COMPANY_COLUMNS} FROM companies WHERE id = ?`, [id]);
+    return rows[0] || null;
+  },
+
+  // The first company, which owns everything created before companies existed
+  async findDefault() {
+    const rows = await db.query(`SELECT ${COMPANY_COLUMNS} FROM companies ORDER BY id LIMIT 1`);
+    return rows[0] || null;
+  },
+
+  listIds: () => db.query('SELECT id FROM companies ORDER BY id'),
+
+  // Logo and signature images ({ logo, logo_type, signature, signature_type }), null where none is stored
+  async findAssets(id) {
+    const rows = await db.query('SELECT logo, logo_type, signature, signature_type FROM companies WHERE id = ?', [id]);
+    return rows[0] || null;
+  },
+
+  async create(company) {
+    const now = new Date();
+    const result = await db.execute(
+      `INSERT INTO companies (name, address, city, phone, email, website, hr_name, hr_title, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [company.name, company.address, company.city, company.phone, company.email, company.website, company.hr_name, company.hr_title, now, now]
+    );
+    return result.insertId;
+  },
+
+  update: (id, company) =>
+    db.execute(
+      `UPDATE companies SET name = ?, address = ?, city = ?, phone = ?, email = ?, website = ?, hr_name = ?, hr_title = ?, updated_at = ?
+       WHERE id = ?`,
+      [company.name, company.address, company.city, company.phone, company.email, company.website, company.hr_name, company.hr_title,
+        new Date(), id]
+    ),
+
+  updateLogo: (id, logo, type) => db.execute('UPDATE companies SET logo = ?, logo_type = ?, updated_at = ? WHERE id = ?', [logo, type, new Date(), id]),
+
+  updateSignature: (id, signature, type) =>
+    db.execute('UPDATE companies SET signature = ?, signature_type = ?, updated_at = ? WHERE id = ?', [signature, type, new Date(), id]),
+});
@@ -0,0 +1,47 @@
+const DEPARTMENT_COLUMNS = 'id, name, description, created_at, updated_at';
+
+export const createDepartmentRepository = (db) => ({
+  // A company's departments with the number of current (not archived, not exited) employees in each
+  list: (companyId) =>
+    db.query(
+      `SELECT ${DEPARTMENT_COLUMNS},
+        (SELECT COUNT(*) FROM employees e WHERE e.department_id = departments.id AND e.deleted_at IS NULL AND e.status <> 'exited')
+          AS employee_count
+       FROM departments WHERE company_id = ? ORDER BY name`,
+      [companyId]
+    ),
+
+  async findById(id, companyId) {
+    const rows = await db.query(`SELECT ${DEPARTMENT_COLUMNS} FROM departments WHERE id = ? AND company_id = ?`, [id, companyId]);
+    return rows[0] || null;
+  },
+
+  async findByName(name, companyId) {
+    const rows = await db.query(
+      `SELECT ${DEPARTMENT_COLUMNS} FROM departments WHERE LOWER(name) = LOWER(?) AND company_id = ?`,
+      [name, companyId]
+    );
+    return rows[0] || null;
+  },
+
+  async create({ name, description }, companyId) {
+    const now = new Date();
+    const result = await db.execute(
+      'INSERT INTO departments (company_id, name, description, created_at, updated_at) VALUES (?, ?, ?, ?, ?)',
+      [companyId, name, description, now, now]
+    );
+    return result.insertId;
+  },
+
+  update: (id, { name, description }) =>
+    db.execute('UPDATE departments SET name = ?, description = ?, updated_at = ? WHERE id = ?', [name, description, new Date(), id]),
+
+  // Employees (archived ones included) and designations still pointing at a department
+  async countReferences(id) {
+    const [employees] = await db.query('SELECT COUNT(*) AS count FROM employees WHERE department_id = ?', [id]);
+    const [designations] = await db.query('SELECT COUNT(*) AS count FROM designations WHERE department_id = ?', [id]);
+    return { employees: Number(employees.count), designations: Number(designations.count) };
+  },
+
+  delete: (id) => db.execute('DELETE FROM departments WHERE id = ?', [id]),
+});
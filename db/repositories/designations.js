@@ -0,0 +1,57 @@
+const DESIGNATION_COLUMNS = 'd.id, d.title, d.department_id, p.name AS department_name, d.level, d.created_at, d.updated_at';
+
+export const createDesignationRepository = (db) => ({
+  list({ companyId, departmentId }) {
+    const params = [companyId];
+    let where = ' WHERE d.company_id = ?';
+    if (departmentId) {
+      where += ' AND d.department_id = ?';
+      params.push(departmentId);
+    }
+    return db.query(
+      `SELECT ${DESIGNATION_COLUMNS},
+        (SELECT COUNT(*) FROM employees e WHERE e.designation_id = d.id AND e.deleted_at IS NULL AND e.status <> 'exited')
+          AS employee_count
+       FROM designations d LEFT JOIN departments p ON p.id = d.department_id${where}
+       ORDER BY d.level IS NULL, d.level, d.title`,
+      params
+    );
+  },
+
+  async findById(id, companyId) {
+    const rows = await db.query(
+      `SELECT ${DESIGNATION_COLUMNS} FROM designations d LEFT JOIN departments p ON p.id = d.department_id
+       WHERE d.id = ? AND d.company_id = ?`,
+      [id, companyId]
+    );
+    return rows[0] || null;
+  },
+
+  async findByTitle(title, companyId) {
+    const rows = await db.query('SELECT id, title FROM designations WHERE LOWER(title) = LOWER(?) AND company_id = ?', [title, companyId]);
+    return rows[0] || null;
+  },
+
+  async create({ title, departmentId, level }, companyId) {
+    const now = new Date();
+    const result = await db.execute(
+      'INSERT INTO designations (company_id, title, department_id, level, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)',
+      [companyId, title, departmentId, level, now, now]
+    );
+    return result.insertId;
+  },
+
+  update: (id, { title, departmentId, level }) =>
+    db.execute(
+      'UPDATE designations SET title = ?, department_id = ?, level = ?, updated_at = ? WHERE id = ?',
+      [title, departmentId, level, new Date(), id]
+    ),
+
+  // Employees (archived ones included) holding a designation
+  async countEmployees(id) {
+    const rows = await db.query('SELECT COUNT(*) AS count FROM employees WHERE designation_id = ?', [id]);
+    return Number(rows[0].count);
+  },
+
+  delete: (id) => db.execute('DELETE FROM designations WHERE id = ?', [id]),
+});
@@ -0,0 +1,65 @@
+// Columns safe to return from the API: no storage key and no encrypted ID number
+const DOCUMENT_COLUMNS = `id, employee_id, kind, original_name, mime_type, size_bytes, checksum, id_number_masked, status,
+  review_note, reviewed_by, reviewer_type, reviewed_at, uploaded_by, uploaded_by_type, created_at`;
+
+export const createDocumentRepository = (db) => ({
+  async create(document) {
+    const result = await db.execute(
+      `INSERT INTO documents (company_id, employee_id, kind, storage_key, original_name, mime_type, size_bytes, checksum,
+         id_number_encrypted, id_number_masked, status, uploaded_by, uploaded_by_type)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?)`,
+      [document.company_id, document.employee_id, document.kind, document.storage_key, document.original_name, document.mime_type, document.size_bytes,
+        document.checksum, document.id_number_encrypted, document.id_number_masked, document.uploaded_by, document.uploaded_by_type]
+    );
+    return result.insertId;
+  },
+
+  // Includes the storage key, for reading the file from the vault
+  async findById(id, companyId) {
+    const rows = await db.query('SELECT * FROM documents WHERE id = ? AND company_id = ?', [id, companyId]);
+    return rows[0] || null;
+  },
+
+  listForEmployee: (employeeId, companyId) =>
+    db.query(
+      `SELECT ${DOCUMENT_COLUMNS} FROM documents WHERE employee_id = ? AND company_id = ? ORDER BY kind, created_at DESC`,
+      [employeeId, companyId]
+    ),
+
+  // Kind, status and masked ID number of every document, for attaching to employee listings
+  listSummaries: (companyId) =>
+    db.query('SELECT id, employee_id, kind, status, id_number_masked FROM documents WHERE company_id = ? ORDER BY employee_id, kind', [companyId]),
+
+  listSummariesFor: (employeeIds, companyId) =>
+    employeeIds.length === 0
+      ? Promise.resolve([])
+      : db.query(
+        `SELECT id, employee_id, kind, status, id_number_masked FROM documents
+         WHERE company_id = ? AND employee_id IN (${employeeIds.map(() => '?').join(', ')}) ORDER BY employee_id, kind`,
+        [companyId, ...employeeIds]
+      ),
+
+  listByEmployeeAndKind: (employeeId, kind, companyId) =>
+    db.query('SELECT id, storage_key FROM documents WHERE employee_id = ? AND kind = ? AND company_id = ?', [employeeId, kind, companyId]),
+
+  delete: (id) => db.execute('DELETE FROM documents WHERE id = ?', [id]),
+
+  review: (id, { status, note, reviewedBy, reviewerType }) =>
+    db.execute(
+      'UPDATE documents SET status = ?, review_note = ?, reviewed_by = ?, reviewer_type = ?, reviewed_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [status, note, reviewedBy, reviewerType, id]
+    ),
+
+  logAccess: ({ documentId, employeeId, action, actorId, actorType, ip, userAgent }) =>
+    db.execute(
+      `INSERT INTO document_access_log (document_id, employee_id, action, actor_id, actor_type, ip, user_agent)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [documentId, employeeId, action, actorId, actorType, ip, userAgent]
+    ),
+
+  listAccessLog: (documentId) =>
+    db.query(
+      'SELECT id, action, actor_id, actor_type, ip, user_agent, created_at FROM document_access_log WHERE document_id = ? ORDER BY id DESC',
+      [documentId]
+    ),
+});
@@ -0,0 +1,88 @@
+// Columns listed in the outbox views; the stored message (with attachments) is only read by the worker
+const SUMMARY_COLUMNS = `id, category, to_address, subject, status, attempts, max_attempts, next_attempt_at, last_error,
+  message_id, created_by, created_at, updated_at, sent_at`;
+
+export const createEmailRepository = (db) => ({
+  async enqueue({ companyId = null, category, to, subject, message, maxAttempts, createdBy = null }) {
+    const now = new Date();
+    const result = await db.execute(
+      `INSERT INTO email_outbox
+        (company_id, category, to_address, subject, message, status, attempts, max_attempts, next_attempt_at, created_by, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, 'queued', 0, ?, ?, ?, ?, ?)`,
+      [companyId, category, to, subject, message, maxAttempts, now, createdBy, now, now]
+    );
+    return result.insertId;
+  },
+
+  // Queued emails whose next attempt is due, oldest first
+  listDue: (limit) =>
+    db.query(
+      `SELECT id, message, attempts, max_attempts FROM email_outbox
+       WHERE status = 'queued' AND next_attempt_at <= ? ORDER BY next_attempt_at, id LIMIT ?`,
+      [new Date(), limit]
+    ),
+
+  // Marks an email as being sent. affectedRows is 0 when another worker claimed it first.
+  claim: (id) =>
+    db.execute("UPDATE email_outbox SET status = 'sending', updated_at = ? WHERE id = ? AND status = 'queued'", [new Date(), id]),
+
+  markSent: (id, attempts, messageId) =>
+    db.execute(
+      "UPDATE email_outbox SET status = 'sent', attempts = ?, message_id = ?, last_error = NULL, sent_at = ?, updated_at = ? WHERE id = ?",
+      [attempts, messageId, new Date(), new Date(), id]
+    ),
+
+  markRetry: (id, attempts, error, nextAttemptAt) =>
+    db.execute(
+      "UPDATE email_outbox SET status = 'queued', attempts = ?, last_error = ?, next_attempt_at = ?, updated_at = ? WHERE id = ?",
+      [attempts, error, nextAttemptAt, new Date(), id]
+    ),
+
+  markFailed: (id, attempts, error) =>
+    db.execute("UPDATE email_outbox SET status = 'failed', attempts = ?, last_error = ?, updated_at = ? WHERE id = ?", [attempts, error, new Date(), id]),
+
+  // Put emails left mid-send (by a crash or restart) back in the queue
+  releaseStale: (before) =>
+    db.execute("UPDATE email_outbox SET status = 'queued', updated_at = ? WHERE status = 'sending' AND updated_at < ?", [new Date(), before]),
+
+  // Queue a failed or sent email again with a fresh set of attempts
+  requeue: (id) =>
+    db.execute(
+      `UPDATE email_outbox SET status = 'queued', attempts = 0, next_attempt_at = ?, updated_at = ?
+       WHERE id = ? AND status IN ('failed', 'sent')`,
+      [new Date(), new Date(), id]
+    ),
+
+  // A company sees its own emails and those sent for no company in particular, such as inquiry notifications
+  async list({ companyId, status, category, limit, offset }) {
+    const conditions = ['(company_id = ? OR company_id IS NULL)'];
+    const params = [companyId];
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    if (category) {
+      conditions.push('category = ?');
+      params.push(category);
+    }
+    const where = ` WHERE ${conditions.join(' AND ')}`;
+    const [{ total }] = await db.query(`SELECT COUNT(*) AS total FROM email_outbox${where}`, params);
+    const emails = await db.query(`SELECT ${SUMMARY_COLUMNS} FROM email_outbox${where} ORDER BY id DESC LIMIT ? OFFSET ?`, [
+      ...params,
+      limit,
+      offset,
+    ]);
+    return { total: Number(total), emails };
+  },
+
+  countByStatus: (companyId) =>
+    db.query('SELECT status, COUNT(*) AS count FROM email_outbox WHERE company_id = ? OR company_id IS NULL GROUP BY status', [companyId]),
+
+  async find(id, companyId) {
+    const rows = await db.query(
+      `SELECT ${SUMMARY_COLUMNS}, message FROM email_outbox WHERE id = ? AND (company_id = ? OR company_id IS NULL)`,
+      [id, companyId]
+    );
+    return rows[0] || null;
+  },
+});
@@ -0,0 +1,238 @@
+// Columns the employee listing may return
+export const EMPLOYEE_LIST_COLUMNS = [
+  'id', 'name', 'email', 'phone', 'address', 'city', 'state', 'country', 'dob', 'doj', 'salary_amount', 'role', 'status',
+  'department_id', 'designation_id', 'manager_id', 'created_at', 'deleted_at',
+];
+
+// Sort orders for the employee listing. NULLs sort as the fallback value so keyset cursors can compare them.
+export const EMPLOYEE_SORTS = {
+  id: { expression: 'id', type: 'number' },
+  name: { expression: "COALESCE(name, '')", type: 'string' },
+  email: { expression: "COALESCE(email, '')", type: 'string' },
+  city: { expression: "COALESCE(city, '')", type: 'string' },
+  state: { expression: "COALESCE(state, '')", type: 'string' },
+  doj: { expression: "COALESCE(doj, '0001-01-01')", type: 'date' },
+  salary_amount: { expression: 'COALESCE(salary_amount, -1)', type: 'number' },
+  created_at: { expression: 'created_at', type: 'datetime' },
+};
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, (char) => `\\${char}`);
+
+// WHERE clause for the employee listing filters
+const buildEmployeeFilters = ({
+  companyId, archived = false, statuses, employeeIds, departmentId, designationId, managerId, search, searchPhone, city, state, dojFrom, dojTo,
+  salaryMin, salaryMax,
+}) => {
+  const conditions = ['company_id = ?', archived ? 'deleted_at IS NOT NULL' : 'deleted_at IS NULL'];
+  const params = [companyId];
+  if (statuses) {
+    conditions.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+    params.push(...statuses);
+  }
+  // A manager's team; an empty team matches nobody
+  if (employeeIds) {
+    conditions.push(employeeIds.length ? `id IN (${employeeIds.map(() => '?').join(', ')})` : '1 = 0');
+    params.push(...employeeIds);
+  }
+  if (departmentId) {
+    conditions.push('department_id = ?');
+    params.push(departmentId);
+  }
+  if (designationId) {
+    conditions.push('designation_id = ?');
+    params.push(designationId);
+  }
+  if (managerId) {
+    conditions.push('manager_id = ?');
+    params.push(managerId);
+  }
+  if (search) {
+    const pattern = `%${escapeLike(search.toLowerCase())}%`;
+    const columns = searchPhone ? ['name', 'email', 'phone'] : ['name', 'email'];
+    conditions.push(`(${columns.map((column) => `LOWER(${column}) LIKE ?`).join(' OR ')})`);
+    params.push(...columns.map(() => pattern));
+  }
+  if (city) {
+    conditions.push('LOWER(city) = ?');
+    params.push(city.toLowerCase());
+  }
+  if (state) {
+    conditions.push('LOWER(state) = ?');
+    params.push(state.toLowerCase());
+  }
+  if (dojFrom) {
+    conditions.push('doj >= ?');
+    params.push(dojFrom);
+  }
+  if (dojTo) {
+    conditions.push('doj <= ?');
+    params.push(dojTo);
+  }
+  if (salaryMin !== undefined) {
+    conditions.push('salary_amount >= ?');
+    params.push(salaryMin);
+  }
+  if (salaryMax !== undefined) {
+    conditions.push('salary_amount <= ?');
+    params.push(salaryMax);
+  }
+  return { conditions, params };
+};
+
+export const createEmployeeRepository = (db) => ({
+  // Lookups skip archived (soft deleted) employees and employees of other companies
+  async findById(id, companyId) {
+    const rows = await db.query('SELECT * FROM employees WHERE id = ? AND company_id = ? AND deleted_at IS NULL', [id, companyId]);
+    return rows[0] || null;
+  },
+
+  // Lookup in any company, for flows that start from a session or an offer link rather than a company's staff
+  async findAccount(id) {
+    const rows = await db.query('SELECT * FROM employees WHERE id = ? AND deleted_at IS NULL', [id]);
+    return rows[0] || null;
+  },
+
+  async findArchived(id, companyId) {
+    const rows = await db.query('SELECT * FROM employees WHERE id = ? AND company_id = ? AND deleted_at IS NOT NULL', [id, companyId]);
+    return rows[0] || null;
+  },
+
+  // Email addresses are unique across companies, so logins need no company
+  async findByEmail(email) {
+    const rows = await db.query('SELECT * FROM employees WHERE email = ? AND deleted_at IS NULL', [email]);
+    return rows[0] || null;
+  },
+
+  updatePassword: (id, password) => db.execute('UPDATE employees SET password = ? WHERE id = ?', [password, id]),
+
+  // Archived employees, and employees of every company, still hold their email address
+  async emailExists(email) {
+    const rows = await db.query('SELECT id FROM employees WHERE email = ?', [email]);
+    return rows.length > 0;
+  },
+
+  async findProfile(id) {
+    const rows = await db.query(
+      'SELECT id, company_id, name, email, phone, address, city, state, country, dob, salary_amount FROM employees WHERE id = ? AND deleted_at IS NULL',
+      [id]
+    );
+    return rows[0] || null;
+  },
+
+  // Aadhar/PAN photos uploaded before the document vault, still stored unencrypted in uploads/
+  listLegacyDocuments: () =>
+    db.query('SELECT id, company_id, aadhar_photo, pan_photo FROM employees WHERE aadhar_photo IS NOT NULL OR pan_photo IS NOT NULL'),
+
+  clearLegacyDocuments: (id) => db.execute('UPDATE employees SET aadhar_photo = NULL, pan_photo = NULL WHERE id = ?', [id]),
+
+  // A page of employees with the total matching count. `fields` must come from EMPLOYEE_LIST_COLUMNS and
+  // `sort` from EMPLOYEE_SORTS. Page with offset, or with `after` ({ value, id } of the last row seen).
+  // A null limit returns every match.
+  async list({ fields, sort = 'id', descending = false, after, limit = null, offset = 0, ...filters }) {
+    const { expression } = EMPLOYEE_SORTS[sort];
+    const { conditions, params } = buildEmployeeFilters(filters);
+    const [{ total }] = await db.query(`SELECT COUNT(*) AS total FROM employees WHERE ${conditions.join(' AND ')}`, params);
+
+    const pageConditions = [...conditions];
+    const pageParams = [...params];
+    if (after) {
+      const operator = descending ? '<' : '>';
+      pageConditions.push(`(${expression} ${operator} ? OR (${expression} = ? AND id ${operator} ?))`);
+      pageParams.push(after.value, after.value, after.id);
+    }
+    const direction = descending ? 'DESC' : 'ASC';
+    const columns = [...new Set(['id', ...fields])];
+    const employees = await db.query(
+      `SELECT ${columns.join(', ')}, ${expression} AS sort_value FROM employees
+       WHERE ${pageConditions.join(' AND ')}
+       ORDER BY ${expression} ${direction}${sort === 'id' ? '' : `, id ${direction}`}${limit === null ? '' : ' LIMIT ? OFFSET ?'}`,
+      limit === null ? pageParams : [...pageParams, limit, offset]
+    );
+    return { total: Number(total), employees };
+  },
+
+  // Employees on the payroll for the month from monthStart to monthEnd: active or serving notice and joined
+  // by the month's end, or exited during or after that month
+  listForPayroll: (monthStart, monthEnd, companyId) =>
+    db.query(
+      `SELECT id, name, email, state, doj, salary_amount FROM employees
+       WHERE company_id = ? AND deleted_at IS NULL AND (doj IS NULL OR doj <= ?)
+         AND (status IN ('active', 'on_notice') OR (status = 'exited' AND id IN (
+           SELECT employee_id FROM employee_exits WHERE status = 'completed' AND last_working_day >= ?
+         )))
+       ORDER BY id`,
+      [companyId, monthEnd, monthStart]
+    ),
+
+  listForReports: (companyId) =>
+    db.query(
+      `SELECT id, name, email, phone, city, state, doj, salary_amount, status, created_at FROM employees
+       WHERE company_id = ? AND deleted_at IS NULL ORDER BY id`,
+      [companyId]
+    ),
+
+  // States decide which holidays apply to whom
+  listStates: (companyId) => db.query('SELECT id, state FROM employees WHERE company_id = ? AND deleted_at IS NULL', [companyId]),
+
+  listRoles: (companyId) =>
+    db.query('SELECT id, name, email, role FROM employees WHERE company_id = ? AND deleted_at IS NULL ORDER BY id', [companyId]),
+
+  async findRole(id, companyId) {
+    const rows = await db.query('SELECT id, role FROM employees WHERE id = ? AND company_id = ?', [id, companyId]);
+    return rows[0] || null;
+  },
+
+  updateRole: (id, role) => db.execute('UPDATE employees SET role = ? WHERE id = ?', [role, id]),
+
+  async create(employee) {
+    const result = await db.execute(
+      `INSERT INTO employees (company_id, name, email, phone, address, city, country, state, dob, password, salary_amount, status)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [employee.company_id, employee.name, employee.email, employee.phone, employee.address, employee.city, employee.country,
+        employee.state, employee.dob, employee.password, employee.salary_amount, employee.status]
+    );
+    return result.insertId;
+  },
+
+  async update(id, employee) {
+    const result = await db.execute(
+      `UPDATE employees SET name = ?, email = ?, phone = ?, address = ?, city = ?, country = ?, state = ?, dob = ?, salary_amount = ?
+       WHERE id = ?`,
+      [employee.name, employee.email, employee.phone, employee.address, employee.city, employee.country, employee.state,
+        employee.dob, employee.salary_amount, id]
+    );
+    return result.affectedRows;
+  },
+
+  updateJoiningTerms: (id, doj, salaryAmount) =>
+    db.execute('UPDATE employees SET doj = ?, salary_amount = ? WHERE id = ?', [doj, salaryAmount, id]),
+
+  updatePosition: (id, { departmentId, designationId, managerId }) =>
+    db.execute('UPDATE employees SET department_id = ?, designation_id = ?, manager_id = ? WHERE id = ?', [departmentId, designationId, managerId, id]),
+
+  // Who reports to whom, for the org chart and manager scoping. Archived and exited employees are left out.
+  listReportingLines: (companyId) =>
+    db.query(
+      `SELECT e.id, e.name, e.email, e.status, e.manager_id, e.department_id, p.name AS department_name, e.designation_id,
+        d.title AS designation_title, d.level AS designation_level
+       FROM employees e
+       LEFT JOIN departments p ON p.id = e.department_id
+       LEFT JOIN designations d ON d.id = e.designation_id
+       WHERE e.company_id = ? AND e.deleted_at IS NULL AND e.status <> 'exited'
+       ORDER BY e.name, e.id`,
+      [companyId]
+    ),
+
+  updateStatus: (id, status) => db.execute('UPDATE employees SET status = ? WHERE id = ?', [status, id]),
+
+  // Soft delete: the row and its attendance, salary and document history stay, hidden from lookups
+  async archive(id) {
+    const result = await db.execute('UPDATE employees SET deleted_at = ? WHERE id = ? AND deleted_at IS NULL', [new Date(), id]);
+    return result.affectedRows;
+  },
+
+  async restore(id) {
+    const result = await db.execute('UPDATE employees SET deleted_at = NULL WHERE id = ? AND deleted_at IS NOT NULL', [id]);
+    return result.affectedRows;
+  },
+});
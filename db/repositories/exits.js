@@ -0,0 +1,50 @@
+const EXIT_COLUMNS = `id, employee_id, status, notice_date, last_working_day, reason, reason_detail, settlement_status,
+  settlement_amount, settled_at, notes, created_by, created_at, updated_at, completed_at`;
+
+export const createExitRepository = (db) => ({
+  // The exit in progress or completed most recently; cancelled exits are ignored
+  async findCurrent(employeeId) {
+    const rows = await db.query(
+      `SELECT ${EXIT_COLUMNS} FROM employee_exits WHERE employee_id = ? AND status <> 'cancelled' ORDER BY id DESC LIMIT 1`,
+      [employeeId]
+    );
+    return rows[0] || null;
+  },
+
+  listForEmployee: (employeeId) =>
+    db.query(`SELECT ${EXIT_COLUMNS} FROM employee_exits WHERE employee_id = ? ORDER BY id DESC`, [employeeId]),
+
+  // Open and completed exits whose last working day falls in a date range, for payroll
+  listLastWorkingDaysBetween: (start, end) =>
+    db.query(
+      `SELECT employee_id, last_working_day FROM employee_exits
+       WHERE status <> 'cancelled' AND last_working_day BETWEEN ? AND ?`,
+      [start, end]
+    ),
+
+  async create({ employeeId, noticeDate, lastWorkingDay, reason, reasonDetail, notes, createdBy }) {
+    const now = new Date();
+    const result = await db.execute(
+      `INSERT INTO employee_exits
+        (employee_id, status, notice_date, last_working_day, reason, reason_detail, settlement_status, notes, created_by, created_at, updated_at)
+       VALUES (?, 'open', ?, ?, ?, ?, 'pending', ?, ?, ?, ?)`,
+      [employeeId, noticeDate, lastWorkingDay, reason, reasonDetail, notes, createdBy, now, now]
+    );
+    return result.insertId;
+  },
+
+  update: (id, exit) =>
+    db.execute(
+      `UPDATE employee_exits SET notice_date = ?, last_working_day = ?, reason = ?, reason_detail = ?, settlement_status = ?,
+        settlement_amount = ?, settled_at = ?, notes = ?, updated_at = ? WHERE id = ?`,
+      [exit.notice_date, exit.last_working_day, exit.reason, exit.reason_detail, exit.settlement_status, exit.settlement_amount,
+        exit.settled_at, exit.notes, new Date(), id]
+    ),
+
+  // Close an open exit as completed or cancelled
+  close: (id, status) =>
+    db.execute(
+      "UPDATE employee_exits SET status = ?, completed_at = ?, updated_at = ? WHERE id = ? AND status = 'open'",
+      [status, status === 'completed' ? new Date() : null, new Date(), id]
+    ),
+});
@@ -0,0 +1,62 @@
+const HOLIDAY_COLUMNS = 'id, date, name, type, state';
+
+// How a state is compared and stored in state_key: trimmed, lower-cased and '' for every state
+export const toStateKey = (state) => String(state || '').trim().toLowerCase();
+
+// Every lookup is within one company's calendar
+export const createHolidayRepository = (db) => ({
+  list({ companyId, start, end, state, type }) {
+    const conditions = ['company_id = ?'];
+    const params = [companyId];
+    if (start) {
+      conditions.push('date >= ?');
+      params.push(start);
+    }
+    if (end) {
+      conditions.push('date <= ?');
+      params.push(end);
+    }
+    // A state filter keeps the holidays that apply to every state
+    if (state) {
+      conditions.push('(state IS NULL OR LOWER(state) = LOWER(?))');
+      params.push(state);
+    }
+    if (type) {
+      conditions.push('type = ?');
+      params.push(type);
+    }
+    return db.query(
+      `SELECT ${HOLIDAY_COLUMNS} FROM holidays WHERE ${conditions.join(' AND ')} ORDER BY date`,
+      params
+    );
+  },
+
+  listBetween: (start, end, companyId) =>
+    db.query(`SELECT ${HOLIDAY_COLUMNS} FROM holidays WHERE company_id = ? AND date BETWEEN ? AND ?`, [companyId, start, end]),
+
+  async findById(id, companyId) {
+    const rows = await db.query(`SELECT ${HOLIDAY_COLUMNS} FROM holidays WHERE id = ? AND company_id = ?`, [id, companyId]);
+    return rows[0] || null;
+  },
+
+  // The holiday on this date for exactly this state (or for every state when state is empty)
+  async findByDate(date, state, companyId) {
+    const rows = await db.query(`SELECT ${HOLIDAY_COLUMNS} FROM holidays WHERE date = ? AND state_key = ? AND company_id = ?`, [date, toStateKey(state), companyId]);
+    return rows[0] || null;
+  },
+
+  async create(holiday, companyId) {
+    const result = await db.execute(
+      'INSERT INTO holidays (company_id, date, name, type, state, state_key) VALUES (?, ?, ?, ?, ?, ?)',
+      [companyId, holiday.date, holiday.name, holiday.type, holiday.state, toStateKey(holiday.state)]
+    );
+    return result.insertId;
+  },
+
+  update: (id, holiday) =>
+    db.execute('UPDATE holidays SET date = ?, name = ?, type = ?, state = ?, state_key = ? WHERE id = ?', [
+      holiday.date, holiday.name, holiday.type, holiday.state, toStateKey(holiday.state), id,
+    ]),
+
+  delete: (id) => db.execute('DELETE FROM holidays WHERE id = ?', [id]),
+});
@@ -0,0 +1,46 @@
+import { createAdminRepository } from './admins.js';
+import { createAttendanceRepository } from './attendance.js';
+import { createAuditRepository } from './audit.js';
+import { createAuthRepository } from './auth.js';
+import { createBiometricRepository } from './biometric.js';
+import { createCompanyRepository } from './companies.js';
+import { createDepartmentRepository } from './departments.js';
+import { createDesignationRepository } from './designations.js';
+import { createDocumentRepository } from './documents.js';
+import { createEmailRepository } from './emails.js';
+import { createEmployeeRepository } from './employees.js';
+import { createExitRepository } from './exits.js';
+import { createHolidayRepository } from './holidays.js';
+import { createInquiryRepository } from './inquiries.js';
+import { createLeaveRepository } from './leaves.js';
+import { createOfferRepository } from './offers.js';
+import { createPayrollRepository } from './payroll.js';
+import { createSalaryRepository } from './salary.js';
+import { createSettingsRepository } from './settings.js';
+import { createTemplateRepository } from './templates.js';
+import { createWebhookRepository } from './webhooks.js';
+
+// Every repository bound to one executor: the pool, or a single connection inside a transaction
+export const createRepositories = (executor) => ({
+  admins: createAdminRepository(executor),
+  attendance: createAttendanceRepository(executor),
+  audit: createAuditRepository(executor),
+  auth: createAuthRepository(executor),
+  biometric: createBiometricRepository(executor),
+  companies: createCompanyRepository(executor),
+  departments: createDepartmentRepository(executor),
+  designations: createDesignationRepository(executor),
+  documents: createDocumentRepository(executor),
+  emails: createEmailRepository(executor),
+  employees: createEmployeeRepository(executor),
+  exits: createExitRepository(executor),
+  holidays: createHolidayRepository(executor),
+  inquiries: createInquiryRepository(executor),
+  leaves: createLeaveRepository(executor),
+  offers: createOfferRepository(executor),
+  payroll: createPayrollRepository(executor),
+  salary: createSalaryRepository(executor),
+  settings: createSettingsRepository(executor),
+  templates: createTemplateRepository(executor),
+  webhooks: createWebhookRepository(executor),
+});
@@ -0,0 +1,165 @@
+// The website forms write to three tables; the inbox reads them as one list of inquiries, each
+// identified by its source and its id within that source's table. Every inquiry belongs to one company.
+export const INQUIRY_SOURCES = {
+  service_request: { table: 'service_requests', phone: 'contact', subject: 'service' },
+  contact_detail: { table: 'contact_details', phone: 'NULL', subject: 'subject' },
+  contact: { table: 'contacts', phone: 'NULL', subject: 'subject' },
+};
+
+const inquirySelect = (source) => {
+  const { table, phone, subject } = INQUIRY_SOURCES[source];
+  return `SELECT '${source}' AS source, id, company_id, name, email, ${phone} AS phone, ${subject} AS subject, message, status,
+    owner_type, owner_id, created_at, updated_at FROM ${table}`;
+};
+
+// WHERE clause and parameters for inbox filters
+const buildInquiryFilters = ({ companyId, status, ownerType, ownerId, unassigned, search, since, until }) => {
+  const conditions = ['company_id = ?'];
+  const params = [companyId];
+  if (status) {
+    conditions.push('status = ?');
+    params.push(status);
+  }
+  if (ownerType && ownerId) {
+    conditions.push('owner_type = ? AND owner_id = ?');
+    params.push(ownerType, ownerId);
+  }
+  if (unassigned) conditions.push('owner_id IS NULL');
+  if (search) {
+    conditions.push('(LOWER(name) LIKE ? OR LOWER(email) LIKE ? OR LOWER(phone) LIKE ? OR LOWER(subject) LIKE ? OR LOWER(message) LIKE ?)');
+    const pattern = `%${search.toLowerCase().replace(/[\\%_]/g, (char) => `\\${char}`)}%`;
+    params.push(pattern, pattern, pattern, pattern, pattern);
+  }
+  if (since) {
+    conditions.push('created_at >= ?');
+    params.push(since);
+  }
+  if (until) {
+    conditions.push('created_at < ?');
+    params.push(until);
+  }
+  return { where: ` WHERE ${conditions.join(' AND ')}`, params };
+};
+
+export const createInquiryRepository = (db) => ({
+  // Creation times are written by the app so rate limit and duplicate windows compare like with like
+  async createServiceRequest({ name, contact, email, service, message, ip = null, messageHash = null }, companyId) {
+    const result = await db.execute(
+      `INSERT INTO service_requests (company_id, name, contact, email, service, message, ip, message_hash, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [companyId, name, contact, email, service, message, ip, messageHash, new Date()]
+    );
+    return result.insertId;
+  },
+
+  async createContactDetail({ name, email, subject, message, ip = null, messageHash = null }, companyId) {
+    const result = await db.execute(
+      'INSERT INTO contact_details (company_id, name, email, subject, message, ip, message_hash, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      [companyId, name, email, subject, message, ip, messageHash, new Date()]
+    );
+    return result.insertId;
+  },
+
+  async createContact({ name, email, subject, message, ip = null, messageHash = null }, companyId) {
+    const result = await db.execute(
+      'INSERT INTO contacts (company_id, name, email, subject, message, ip, message_hash, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      [companyId, name, email, subject, message, ip, messageHash, new Date()]
+    );
+    return result.insertId;
+  },
+
+  // Submissions from an IP since a time across every form of every company, accepted or rejected
+  async countRecentFromIp(ip, since) {
+    const counts = await Promise.all([
+      ...Object.values(INQUIRY_SOURCES).map(({ table }) =>
+        db.query(`SELECT COUNT(*) AS count FROM ${table} WHERE ip = ? AND created_at > ?`, [ip, since])),
+      db.query('SELECT COUNT(*) AS count FROM rejected_submissions WHERE ip = ? AND created_at > ?', [ip, since]),
+    ]);
+    return counts.reduce((total, [row]) => total + Number(row.count), 0);
+  },
+
+  // An earlier submission of the same message to the same company's form by the same sender (email or IP)
+  async findDuplicate(source, { companyId, messageHash, email, ip, since }) {
+    const rows = await db.query(
+      `SELECT id FROM ${INQUIRY_SOURCES[source].table}
+       WHERE company_id = ? AND message_hash = ? AND created_at > ? AND (LOWER(email) = LOWER(?) OR ip = ?) LIMIT 1`,
+      [companyId, messageHash, since, email || '', ip || '']
+    );
+    return rows[0] || null;
+  },
+
+  logRejected: ({ companyId, source, reason, detail, ip, userAgent, payload }) =>
+    db.execute(
+      `INSERT INTO rejected_submissions (company_id, source, reason, detail, ip, user_agent, payload, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [companyId, source, reason, detail, ip, userAgent, payload, new Date()]
+    ),
+
+  async listRejected({ companyId, source, reason, limit, offset }) {
+    const conditions = ['company_id = ?'];
+    const params = [companyId];
+    if (source) {
+      conditions.push('source = ?');
+      params.push(source);
+    }
+    if (reason) {
+      conditions.push('reason = ?');
+      params.push(reason);
+    }
+    const where = ` WHERE ${conditions.join(' AND ')}`;
+    const [{ total }] = await db.query(`SELECT COUNT(*) AS total FROM rejected_submissions${where}`, params);
+    const submissions = await db.query(
+      `SELECT id, source, reason, detail, ip, user_agent, payload, created_at FROM rejected_submissions${where}
+       ORDER BY id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    return { total: Number(total), submissions: submissions.map((row) => ({ ...row, payload: row.payload ? JSON.parse(row.payload) : null })) };
+  },
+
+  // A page of inquiries from one source or all of them, newest first, with the total matching count
+  async list({ source, limit, offset, ...filters }) {
+    const sources = source ? [source] : Object.keys(INQUIRY_SOURCES);
+    const union = sources.map(inquirySelect).join(' UNION ALL ');
+    const { where, params } = buildInquiryFilters(filters);
+    const [{ total }] = await db.query(`SELECT COUNT(*) AS total FROM (${union}) inquiries${where}`, params);
+    const inquiries = await db.query(
+      `SELECT * FROM (${union}) inquiries${where} ORDER BY created_at DESC, source, id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    return { total: Number(total), inquiries };
+  },
+
+  // A company's inquiry counts per source and status, for the inbox summary
+  countByStatus: (companyId) =>
+    db.query(
+      `SELECT source, status, COUNT(*) AS count FROM (${Object.keys(INQUIRY_SOURCES).map(inquirySelect).join(' UNION ALL ')}) inquiries
+       WHERE company_id = ? GROUP BY source, status`,
+      [companyId]
+    ),
+
+  async find(source, id, companyId) {
+    const rows = await db.query(`${inquirySelect(source)} WHERE id = ? AND company_id = ?`, [id, companyId]);
+    return rows[0] || null;
+  },
+
+  update: (source, id, { status, ownerType, ownerId }) =>
+    db.execute(
+      `UPDATE ${INQUIRY_SOURCES[source].table} SET status = ?, owner_type = ?, owner_id = ?, updated_at = ? WHERE id = ?`,
+      [status, ownerType, ownerId, new Date(), id]
+    ),
+
+  listNotes: (source, id) =>
+    db.query(
+      'SELECT id, note, author_id, author_type, created_at FROM inquiry_notes WHERE source = ? AND inquiry_id = ? ORDER BY id',
+      [source, id]
+    ),
+
+  async addNote(source, id, { note, authorId, authorType }) {
+    const result = await db.execute(
+      'INSERT INTO inquiry_notes (source, inquiry_id, note, author_id, author_type) VALUES (?, ?, ?, ?, ?)',
+      [source, id, note, authorId, authorType]
+    );
+    await db.execute(`UPDATE ${INQUIRY_SOURCES[source].table} SET updated_at = ? WHERE id = ?`, [new Date(), id]);
+    return result.insertId;
+  },
+});
@@ -0,0 +1,111 @@
+// Leave types every company starts with
+export const DEFAULT_LEAVE_TYPES = [
+  { name: 'Casual Leave', code: 'CL', yearly_quota: 12, paid: true },
+  { name: 'Sick Leave', code: 'SL', yearly_quota: 6, paid: true },
+  { name: 'Leave Without Pay', code: 'LWP', yearly_quota: null, paid: false },
+];
+
+export const createLeaveRepository = (db) => ({
+  listTypes: (companyId) =>
+    db.query('SELECT id, name, code, yearly_quota, paid, active FROM leave_types WHERE company_id = ? ORDER BY id', [companyId]),
+
+  listActiveTypes: (companyId) =>
+    db.query('SELECT id, name, code, yearly_quota, paid FROM leave_types WHERE company_id = ? AND active = TRUE ORDER BY id', [companyId]),
+
+  async findType(id, companyId) {
+    const rows = await db.query('SELECT id, name, code, yearly_quota, paid, active FROM leave_types WHERE id = ? AND company_id = ?', [id, companyId]);
+    return rows[0] || null;
+  },
+
+  async findActiveType(id, companyId) {
+    const rows = await db.query('SELECT id, yearly_quota FROM leave_types WHERE id = ? AND company_id = ? AND active = TRUE', [id, companyId]);
+    return rows[0] || null;
+  },
+
+  async createType({ name, code, yearly_quota, paid }, companyId) {
+    const result = await db.execute(
+      'INSERT INTO leave_types (company_id, name, code, yearly_quota, paid, active) VALUES (?, ?, ?, ?, ?, TRUE)',
+      [companyId, name, code, yearly_quota, paid]
+    );
+    return result.insertId;
+  },
+
+  async updateType(id, { name, yearly_quota, paid, active }, companyId) {
+    const result = await db.execute('UPDATE leave_types SET name = ?, yearly_quota = ?, paid = ?, active = ? WHERE id = ? AND company_id = ?', [
+      name, yearly_quota, paid, active, id, companyId,
+    ]);
+    return result.affectedRows;
+  },
+
+  listForEmployee: (employeeId) =>
+    db.query(
+      `SELECT lr.id, lr.leave_type_id, lt.name AS leave_type, lr.start_date, lr.end_date, lr.days, lr.reason,
+         lr.status, lr.review_note, lr.reviewed_at, lr.created_at
+       FROM leave_requests lr JOIN leave_types lt ON lt.id = lr.leave_type_id
+       WHERE lr.employee_id = ? ORDER BY lr.start_date DESC`,
+      [employeeId]
+    ),
+
+  // Pending and approved days per leave type for requests starting within the range
+  sumDaysByType: (employeeId, start, end) =>
+    db.query(
+      `SELECT leave_type_id, status, SUM(days) AS days FROM leave_requests
+       WHERE employee_id = ? AND start_date BETWEEN ? AND ? AND status IN ('pending', 'approved')
+       GROUP BY leave_type_id, status`,
+      [employeeId, start, end]
+    ),
+
+  async hasOverlapping(employeeId, start, end) {
+    const rows = await db.query(
+      `SELECT id FROM leave_requests
+       WHERE employee_id = ? AND status IN ('pending', 'approved') AND start_date <= ? AND end_date >= ?`,
+      [employeeId, end, start]
+    );
+    return rows.length > 0;
+  },
+
+  async create({ employee_id, leave_type_id, start_date, end_date, days, reason }) {
+    const result = await db.execute(
+      `INSERT INTO leave_requests (employee_id, leave_type_id, start_date, end_date, days, reason, status)
+       VALUES (?, ?, ?, ?, ?, ?, 'pending')`,
+      [employee_id, leave_type_id, start_date, end_date, days, reason]
+    );
+    return result.insertId;
+  },
+
+  async findById(id) {
+    const rows = await db.query('SELECT * FROM leave_requests WHERE id = ?', [id]);
+    return rows[0] || null;
+  },
+
+  cancel: (id) => db.execute("UPDATE leave_requests SET status = 'cancelled' WHERE id = ?", [id]),
+
+  review: (id, { status, note, reviewedBy, reviewerType }) =>
+    db.execute(
+      'UPDATE leave_requests SET status = ?, review_note = ?, reviewed_by = ?, reviewer_type = ?, reviewed_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [status, note, reviewedBy, reviewerType, id]
+    ),
+
+  list({ companyId, status, employeeId }) {
+    const conditions = ['e.company_id = ?'];
+    const params = [companyId];
+    if (status) {
+      conditions.push('lr.status = ?');
+      params.push(status);
+    }
+    if (employeeId) {
+      conditions.push('lr.employee_id = ?');
+      params.push(employeeId);
+    }
+    return db.query(
+      `SELECT lr.id, lr.employee_id, e.name AS employee_name, lt.name AS leave_type, lr.start_date, lr.end_date,
+         lr.days, lr.reason, lr.status, lr.review_note, lr.reviewed_by, lr.reviewed_at, lr.created_at
+       FROM leave_requests lr
+       JOIN employees e ON e.id = lr.employee_id
+       JOIN leave_types lt ON lt.id = lr.leave_type_id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY lr.created_at DESC`,
+      params
+    );
+  },
+});
@@ -0,0 +1,73 @@
+export const createOfferRepository = (db) => ({
+  async create(offer) {
+    const result = await db.execute(
+      `INSERT INTO offer_letters (employee_id, token, status, role, salary_amount, doj, template_version, html, subject, email_text, expires_at, created_by)
+       VALUES (?, ?, 'draft', ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [offer.employee_id, offer.token, offer.role, offer.salary_amount, offer.doj, offer.template_version, offer.html,
+        offer.subject, offer.email_text, offer.expires_at, offer.created_by]
+    );
+    return result.insertId;
+  },
+
+  markSent: (id) => db.execute("UPDATE offer_letters SET status = 'sent', sent_at = CURRENT_TIMESTAMP WHERE id = ?", [id]),
+
+  // A resend keeps "viewed" so the candidate's earlier visit is not lost, and stores the letter as sent again
+  markResent: (id, { expiresAt, templateVersion, html, subject, emailText }) =>
+    db.execute(
+      `UPDATE offer_letters SET status = CASE WHEN status = 'viewed' THEN 'viewed' ELSE 'sent' END,
+         sent_at = CURRENT_TIMESTAMP, expires_at = ?, template_version = ?, html = ?, subject = ?, email_text = ?
+       WHERE id = ?`,
+      [expiresAt, templateVersion, html, subject, emailText, id]
+    ),
+
+  // Offers still awaiting a response once their expiry date has passed become expired
+  expireOverdue: () =>
+    db.execute("UPDATE offer_letters SET status = 'expired' WHERE status IN ('sent', 'viewed') AND expires_at < CURRENT_DATE"),
+
+  async findByToken(token) {
+    const rows = await db.query(
+      'SELECT o.id, o.employee_id, e.company_id, o.status, o.html, o.expires_at FROM offer_letters o JOIN employees e ON e.id = o.employee_id WHERE o.token = ?',
+      [token]
+    );
+    return rows[0] || null;
+  },
+
+  async findWithEmployeeEmail(id, companyId) {
+    const rows = await db.query(
+      'SELECT o.*, e.name, e.email FROM offer_letters o JOIN employees e ON e.id = o.employee_id WHERE o.id = ? AND e.company_id = ?',
+      [id, companyId]
+    );
+    return rows[0] || null;
+  },
+
+  markViewed: (id) => db.execute("UPDATE offer_letters SET status = 'viewed', viewed_at = CURRENT_TIMESTAMP WHERE id = ?", [id]),
+
+  recordResponse: (id, { status, ip, userAgent, declineReason }) =>
+    db.execute(
+      `UPDATE offer_letters SET status = ?, responded_at = CURRENT_TIMESTAMP, response_ip = ?, response_user_agent = ?,
+         viewed_at = COALESCE(viewed_at, CURRENT_TIMESTAMP), decline_reason = ?
+       WHERE id = ?`,
+      [status, ip, userAgent, declineReason, id]
+    ),
+
+  list({ companyId, status, employeeId }) {
+    const conditions = ['e.company_id = ?'];
+    const params = [companyId];
+    if (status) {
+      conditions.push('o.status = ?');
+      params.push(status);
+    }
+    if (employeeId) {
+      conditions.push('o.employee_id = ?');
+      params.push(employeeId);
+    }
+    return db.query(
+      `SELECT o.id, o.employee_id, e.name AS employee_name, e.email, o.status, o.role, o.salary_amount, o.doj,
+         o.template_version, o.expires_at, o.sent_at, o.viewed_at, o.responded_at, o.response_ip, o.decline_reason, o.created_at
+       FROM offer_letters o JOIN employees e ON e.id = o.employee_id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY o.created_at DESC`,
+      params
+    );
+  },
+});
@@ -0,0 +1,70 @@
+export const createPayrollRepository = (db) => ({
+  listRuns: (companyId) =>
+    db.query(
+      `SELECT id, month, status, total_gross, total_deductions, total_net, locked_at, paid_at FROM payroll_runs
+       WHERE company_id = ? ORDER BY month DESC`,
+      [companyId]
+    ),
+
+  async findRun(month, companyId) {
+    const rows = await db.query('SELECT * FROM payroll_runs WHERE month = ? AND company_id = ?', [month, companyId]);
+    return rows[0] || null;
+  },
+
+  listRecords: (runId) =>
+    db.query(
+      `SELECT r.*, e.name, e.email FROM payroll_records r
+       JOIN employees e ON e.id = r.employee_id
+       WHERE r.run_id = ? ORDER BY r.employee_id`,
+      [runId]
+    ),
+
+  listLineItems: (runId) =>
+    db.query(
+      `SELECT li.record_id, li.type, li.label, li.amount FROM payroll_line_items li
+       JOIN payroll_records r ON r.id = li.record_id
+       WHERE r.run_id = ? ORDER BY li.id`,
+      [runId]
+    ),
+
+  async createLockedRun(month, companyId, totals, lockedBy) {
+    const result = await db.execute(
+      `INSERT INTO payroll_runs (company_id, month, status, total_gross, total_deductions, total_net, locked_by, locked_at)
+       VALUES (?, ?, 'locked', ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+      [companyId, month, totals.gross, totals.deductions, totals.net, lockedBy]
+    );
+    return result.insertId;
+  },
+
+  async createRecord(runId, record) {
+    const result = await db.execute(
+      `INSERT INTO payroll_records (run_id, employee_id, gross_salary, calendar_days, holiday_days, working_days,
+         present_days, leave_days, lop_days, payable_days, lop_deduction, net_pay)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [runId, record.employee_id, record.gross_salary, record.calendar_days, record.holiday_days, record.working_days,
+        record.present_days, record.leave_days, record.lop_days, record.payable_days, record.lop_deduction, record.net_pay]
+    );
+    return result.insertId;
+  },
+
+  createLineItem: (recordId, item) =>
+    db.execute('INSERT INTO payroll_line_items (record_id, type, label, amount) VALUES (?, ?, ?, ?)', [
+      recordId, item.type, item.label, item.amount,
+    ]),
+
+  // Only a locked run can be paid; affectedRows is 0 when another request got there first
+  markPaid: (runId, paidBy) =>
+    db.execute(
+      "UPDATE payroll_runs SET status = 'paid', paid_by = ?, paid_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'locked'",
+      [paidBy, runId]
+    ),
+
+  listPaidForEmployee: (employeeId) =>
+    db.query(
+      `SELECT pr.month, r.gross_salary, r.lop_deduction, r.net_pay FROM payroll_records r
+       JOIN payroll_runs pr ON pr.id = r.run_id
+       WHERE r.employee_id = ? AND pr.status = 'paid'
+       ORDER BY pr.month DESC`,
+      [employeeId]
+    ),
+});
@@ -0,0 +1,18 @@
+export const createSalaryRepository = (db) => ({
+  async isPaid(employeeId, month) {
+    const rows = await db.query('SELECT paid FROM salary WHERE employee_id = ? AND month = ?', [employeeId, month]);
+    return rows.length > 0 ? rows[0].paid : false;
+  },
+
+  async find(employeeId, month) {
+    const rows = await db.query('SELECT employee_id, month, paid FROM salary WHERE employee_id = ? AND month = ?', [employeeId, month]);
+    return rows[0] || null;
+  },
+
+  listForMonth: (month) => db.query('SELECT employee_id, paid FROM salary WHERE month = ?', [month]),
+
+  history: (employeeId) => db.query('SELECT month, paid FROM salary WHERE employee_id = ? ORDER BY month DESC', [employeeId]),
+
+  setPaid: (employeeId, month, paid) =>
+    db.upsert('salary', { employee_id: employeeId, month, paid }, ['employee_id', 'month']),
+});
@@ -0,0 +1,10 @@
+export const createSettingsRepository = (db) => ({
+  // Parsed value of a company's setting, or null when it has never been saved
+  async get(name, companyId) {
+    const rows = await db.query('SELECT value FROM settings WHERE name = ? AND company_id = ?', [name, companyId]);
+    return rows[0] ? JSON.parse(rows[0].value) : null;
+  },
+
+  set: (name, value, companyId) =>
+    db.upsert('settings', { company_id: companyId, name, value: JSON.stringify(value), updated_at: new Date() }, ['company_id', 'name']),
+});
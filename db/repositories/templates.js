@@ -0,0 +1,48 @@
+export const createTemplateRepository = (db) => ({
+  async findActive(kind, companyId) {
+    const rows = await db.query(
+      'SELECT kind, version, subject, body_html, email_text FROM document_templates WHERE kind = ? AND company_id = ? AND is_active = TRUE',
+      [kind, companyId]
+    );
+    return rows[0] || null;
+  },
+
+  listActive: (companyId) =>
+    db.query('SELECT kind, version, subject, created_at FROM document_templates WHERE company_id = ? AND is_active = TRUE', [companyId]),
+
+  listVersions: (kind, companyId) =>
+    db.query(
+      'SELECT version, subject, is_active, created_by, created_at FROM document_templates WHERE kind = ? AND company_id = ? ORDER BY version DESC',
+      [kind, companyId]
+    ),
+
+  async findVersion(kind, version, companyId) {
+    const rows = await db.query('SELECT * FROM document_templates WHERE kind = ? AND version = ? AND company_id = ?', [kind, version, companyId]);
+    return rows[0] || null;
+  },
+
+  // Locks the newest version row so concurrent saves cannot pick the same number. Use inside a transaction.
+  async lockLatestVersion(kind, companyId) {
+    const rows = await db.query(
+      'SELECT version FROM document_templates WHERE kind = ? AND company_id = ? ORDER BY version DESC LIMIT 1 FOR UPDATE',
+      [kind, companyId]
+    );
+    return rows.length > 0 ? Number(rows[0].version) : 0;
+  },
+
+  createVersion: ({ kind, version, subject, body_html, email_text, is_active, created_by }, companyId) =>
+    db.execute(
+      `INSERT INTO document_templates (company_id, kind, version, subject, body_html, email_text, is_active, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [companyId, kind, version, subject, body_html, email_text, is_active, created_by]
+    ),
+
+  deactivateAll: (kind, companyId) =>
+    db.execute('UPDATE document_templates SET is_active = FALSE WHERE kind = ? AND company_id = ?', [kind, companyId]),
+
+  activate: (kind, version, companyId) =>
+    db.execute('UPDATE document_templates SET is_active = TRUE WHERE kind = ? AND version = ? AND company_id = ?', [kind, version, companyId]),
+
+  deleteVersion: (kind, version, companyId) =>
+    db.execute('DELETE FROM document_templates WHERE kind = ? AND version = ? AND company_id = ?', [kind, version, companyId]),
+});
@@ -0,0 +1,128 @@
+// Subscription columns shown to admins; the signing secret is only read by the worker
+const SUBSCRIPTION_COLUMNS = 'id, url, description, events, active, created_by, created_at, updated_at';
+
+// Columns listed in the delivery log; the payload and response are only read one delivery at a time
+const DELIVERY_COLUMNS = `d.id, d.subscription_id, s.url, d.event, d.event_id, d.status, d.attempts, d.max_attempts, d.next_attempt_at,
+  d.last_error, d.response_status, d.duration_ms, d.replay_of, d.created_at, d.updated_at, d.delivered_at`;
+
+const parseSubscription = (row) => row && { ...row, events: JSON.parse(row.events), active: Boolean(row.active) };
+
+export const createWebhookRepository = (db) => ({
+  listSubscriptions: async (companyId) =>
+    (await db.query(`SELECT ${SUBSCRIPTION_COLUMNS} FROM webhook_subscriptions WHERE company_id = ? ORDER BY id`, [companyId]))
+      .map(parseSubscription),
+
+  async findSubscription(id, companyId) {
+    const rows = await db.query(`SELECT ${SUBSCRIPTION_COLUMNS} FROM webhook_subscriptions WHERE id = ? AND company_id = ?`, [id, companyId]);
+    return parseSubscription(rows[0]);
+  },
+
+  // A company's active subscriptions to an event
+  async listSubscribers(event, companyId) {
+    const rows = await db.query('SELECT id, company_id, events FROM webhook_subscriptions WHERE active = TRUE AND company_id = ?', [companyId]);
+    return rows.map(parseSubscription).filter((subscription) => subscription.events.includes(event));
+  },
+
+  async createSubscription({ companyId, url, description, events, secret, active, createdBy }) {
+    const now = new Date();
+    const result = await db.execute(
+      `INSERT INTO webhook_subscriptions (company_id, url, description, events, secret, active, created_by, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [companyId, url, description, JSON.stringify(events), secret, active, createdBy, now, now]
+    );
+    return result.insertId;
+  },
+
+  updateSubscription: (id, { url, description, events, active }) =>
+    db.execute(
+      'UPDATE webhook_subscriptions SET url = ?, description = ?, events = ?, active = ?, updated_at = ? WHERE id = ?',
+      [url, description, JSON.stringify(events), active, new Date(), id]
+    ),
+
+  updateSecret: (id, secret) => db.execute('UPDATE webhook_subscriptions SET secret = ?, updated_at = ? WHERE id = ?', [secret, new Date(), id]),
+
+  // Deleting a subscription also deletes its delivery log
+  deleteSubscription: (id) => db.execute('DELETE FROM webhook_subscriptions WHERE id = ?', [id]),
+
+  async enqueue({ companyId, subscriptionId, event, eventId, payload, maxAttempts, replayOf = null }) {
+    const now = new Date();
+    const result = await db.execute(
+      `INSERT INTO webhook_deliveries
+        (company_id, subscription_id, event, event_id, payload, status, attempts, max_attempts, next_attempt_at, replay_of, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, 'queued', 0, ?, ?, ?, ?, ?)`,
+      [companyId, subscriptionId, event, eventId, payload, maxAttempts, now, replayOf, now, now]
+    );
+    return result.insertId;
+  },
+
+  // Queued deliveries whose next attempt is due, oldest first, with where and how to send them
+  listDue: (limit) =>
+    db.query(
+      `SELECT d.id, d.event, d.event_id, d.payload, d.attempts, d.max_attempts, s.url, s.secret, s.active
+       FROM webhook_deliveries d JOIN webhook_subscriptions s ON s.id = d.subscription_id
+       WHERE d.status = 'queued' AND d.next_attempt_at <= ? ORDER BY d.next_attempt_at, d.id LIMIT ?`,
+      [new Date(), limit]
+    ),
+
+  // Marks a delivery as being sent. affectedRows is 0 when another worker claimed it first.
+  claim: (id) =>
+    db.execute("UPDATE webhook_deliveries SET status = 'sending', updated_at = ? WHERE id = ? AND status = 'queued'", [new Date(), id]),
+
+  markDelivered: (id, attempts, { status, body, durationMs }) =>
+    db.execute(
+      `UPDATE webhook_deliveries SET status = 'delivered', attempts = ?, last_error = NULL, response_status = ?, response_body = ?,
+         duration_ms = ?, delivered_at = ?, updated_at = ? WHERE id = ?`,
+      [attempts, status, body, durationMs, new Date(), new Date(), id]
+    ),
+
+  markRetry: (id, attempts, error, response, nextAttemptAt) =>
+    db.execute(
+      `UPDATE webhook_deliveries SET status = 'queued', attempts = ?, last_error = ?, response_status = ?, response_body = ?, duration_ms = ?,
+         next_attempt_at = ?, updated_at = ? WHERE id = ?`,
+      [attempts, error, response.status, response.body, response.durationMs, nextAttemptAt, new Date(), id]
+    ),
+
+  markFailed: (id, attempts, error, response) =>
+    db.execute(
+      `UPDATE webhook_deliveries SET status = 'failed', attempts = ?, last_error = ?, response_status = ?, response_body = ?, duration_ms = ?,
+         updated_at = ? WHERE id = ?`,
+      [attempts, error, response.status, response.body, response.durationMs, new Date(), id]
+    ),
+
+  // Put deliveries left mid-send (by a crash or restart) back in the queue
+  releaseStale: (before) =>
+    db.execute("UPDATE webhook_deliveries SET status = 'queued', updated_at = ? WHERE status = 'sending' AND updated_at < ?", [new Date(), before]),
+
+  async listDeliveries({ companyId, subscriptionId, status, event, limit, offset }) {
+    const conditions = ['d.company_id = ?'];
+    const params = [companyId];
+    if (subscriptionId) {
+      conditions.push('d.subscription_id = ?');
+      params.push(subscriptionId);
+    }
+    if (status) {
+      conditions.push('d.status = ?');
+      params.push(status);
+    }
+    if (event) {
+      conditions.push('d.event = ?');
+      params.push(event);
+    }
+    const from = ` FROM webhook_deliveries d JOIN webhook_subscriptions s ON s.id = d.subscription_id WHERE ${conditions.join(' AND ')}`;
+    const [{ total }] = await db.query(`SELECT COUNT(*) AS total${from}`, params);
+    const deliveries = await db.query(`SELECT ${DELIVERY_COLUMNS}${from} ORDER BY d.id DESC LIMIT ? OFFSET ?`, [...params, limit, offset]);
+    return { total: Number(total), deliveries };
+  },
+
+  countByStatus: (companyId) =>
+    db.query('SELECT status, COUNT(*) AS count FROM webhook_deliveries WHERE company_id = ? GROUP BY status', [companyId]),
+
+  async findDelivery(id, companyId) {
+    const rows = await db.query(
+      `SELECT ${DELIVERY_COLUMNS}, d.payload, d.response_body
+       FROM webhook_deliveries d JOIN webhook_subscriptions s ON s.id = d.subscription_id WHERE d.id = ? AND d.company_id = ?`,
+      [id, companyId]
+    );
+    return rows[0] || null;
+  },
+});
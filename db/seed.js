@@ -0,0 +1,46 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import dotenv from 'dotenv';
+import { createDatabase } from './index.js';
+import { runMigrations } from './migrate.js';
+
+// Create the first super admin, since there is no admin signup route.
+//   npm run seed -- --username admin --password secret --email admin@example.com [--company 2]
+// Falls back to SEED_ADMIN_USERNAME / SEED_ADMIN_PASSWORD / SEED_ADMIN_EMAIL, and generates a password when none
+// is given. The email is optional and only used for password reset codes. The admin belongs to the first
+// company unless --company (or SEED_ADMIN_COMPANY_ID) names another.
+const getArg = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+dotenv.config();
+
+const username = getArg('username') || process.env.SEED_ADMIN_USERNAME || 'admin';
+const email = getArg('email') || process.env.SEED_ADMIN_EMAIL || null;
+const providedPassword = getArg('password') || process.env.SEED_ADMIN_PASSWORD;
+const password = providedPassword || crypto.randomBytes(12).toString('base64url');
+const companyIdArg = getArg('company') || process.env.SEED_ADMIN_COMPANY_ID;
+
+const db = createDatabase();
+
+try {
+  await runMigrations(db);
+
+  const company = companyIdArg ? await db.companies.findById(Number(companyIdArg)) : await db.companies.findDefault();
+  if (!company) throw new Error(`Company ${companyIdArg} does not exist`);
+
+  if (await db.admins.findByUsername(username)) {
+    console.log(`Admin "${username}" already exists, nothing to do`);
+  } else {
+    const hashedPassword = await bcrypt.hash(password, 10);
+    await db.admins.create({ companyId: company.id, username, password: hashedPassword, role: 'super_admin', email });
+    console.log(`Created super admin "${username}" for ${company.name}`);
+    if (!providedPassword) console.log(`Generated password: ${password}`);
+  }
+  await db.end();
+} catch (error) {
+  console.error('Seeding failed:', error);
+  await db.end();
+  process.exit(1);
+}
@@ -0,0 +1,43 @@
+// Before/after diffs for the audit log
+
+// Secrets whose changes are recorded without their values
+const REDACTED_FIELDS = new Set(['password', 'token', 'storage_key', 'id_number_encrypted']);
+
+// Rendered documents are too large to repeat in every entry; only the fact that they changed is kept
+const SUMMARISED_FIELDS = new Set(['html', 'body_html', 'email_text']);
+
+// Database rows and request bodies spell the same value differently (Date vs 'YYYY-MM-DD',
+// 1 vs true, '500.00' vs 500), so values are normalised before comparing and storing
+const normalize = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) {
+    const isMidnight = value.getHours() === 0 && value.getMinutes() === 0 && value.getSeconds() === 0 && value.getMilliseconds() === 0;
+    if (!isMidnight) return value.toISOString();
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+  if (Buffer.isBuffer(value)) return '[binary]';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+};
+
+const comparable = (value) => {
+  if (typeof value === 'boolean') return Number(value);
+  if (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim())) return Number(value);
+  return value;
+};
+
+// Fields that differ between two versions of a record, as { field: { from, to } }. For updates only
+// the fields present in `after` are compared; pass before = null for creates and after = null for deletes.
+export function diffChanges(before, after) {
+  const changes = {};
+  const fields = before && after ? Object.keys(after) : Object.keys(before || after || {});
+  for (const field of fields) {
+    const from = normalize(before?.[field]);
+    const to = normalize(after?.[field]);
+    if (comparable(from) === comparable(to)) continue;
+    changes[field] = REDACTED_FIELDS.has(field) || SUMMARISED_FIELDS.has(field) ? { changed: true } : { from, to };
+  }
+  return changes;
+}
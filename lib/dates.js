@@ -0,0 +1,19 @@
+// Calendar helpers for YYYY-MM-DD dates and YYYY-MM months, worked out in UTC so the server's time zone
+// does not shift days
+
+// Every date from start to end (inclusive, YYYY-MM-DD)
+export const listDates = (startDate, endDate) => {
+  const dates = [];
+  for (let day = new Date(`${startDate}T00:00:00Z`); day <= new Date(`${endDate}T00:00:00Z`); day.setUTCDate(day.getUTCDate() + 1)) {
+    dates.push(day.toISOString().slice(0, 10));
+  }
+  return dates;
+};
+
+// Resolve a YYYY-MM month into its first and last dates. Returns null for malformed input.
+export const getMonthRange = (month) => {
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month || '')) return null;
+  const [year, monthIndex] = month.split('-').map(Number);
+  const days = new Date(year, monthIndex, 0).getDate();
+  return { start: `${month}-01`, end: `${month}-${String(days).padStart(2, '0')}`, days };
+};
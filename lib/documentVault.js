@@ -0,0 +1,91 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Encrypted storage for KYC files. Each document is one file in the vault directory holding a
+// 12-byte IV, the 16-byte GCM auth tag and the AES-256-GCM ciphertext. Metadata (checksum, type,
+// size, review status) lives in the documents table.
+const vaultDir = process.env.DOCUMENT_VAULT_DIR || path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'vault');
+
+export const DOCUMENT_MAX_BYTES = Number(process.env.DOCUMENT_MAX_BYTES) || 5 * 1024 * 1024;
+
+// Accepted file types, recognised by their leading bytes rather than the MIME type the client claims
+const FILE_SIGNATURES = [
+  { mimeType: 'image/jpeg', extension: 'jpg', bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/png', extension: 'png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeType: 'application/pdf', extension: 'pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+];
+
+export const ALLOWED_MIME_TYPES = FILE_SIGNATURES.map((signature) => signature.mimeType);
+
+export const detectFileType = (buffer) =>
+  FILE_SIGNATURES.find(({ bytes }) => buffer.length >= bytes.length && bytes.every((byte, index) => buffer[index] === byte)) || null;
+
+export const isVaultConfigured = () => Boolean(process.env.DOCUMENT_ENCRYPTION_KEY);
+
+// DOCUMENT_ENCRYPTION_KEY may be any string; it is stretched to a 256-bit key
+const getKey = () => {
+  if (!isVaultConfigured()) {
+    const error = new Error('DOCUMENT_ENCRYPTION_KEY is not set');
+    error.code = 'VAULT_NOT_CONFIGURED';
+    throw error;
+  }
+  return crypto.createHash('sha256').update(process.env.DOCUMENT_ENCRYPTION_KEY).digest();
+};
+
+const encrypt = (buffer) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(buffer), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+};
+
+const decrypt = (buffer) => {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), buffer.subarray(0, 12));
+  decipher.setAuthTag(buffer.subarray(12, 28));
+  return Buffer.concat([decipher.update(buffer.subarray(28)), decipher.final()]);
+};
+
+export const checksum = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Short secrets such as ID numbers, stored as base64 text
+export const encryptText = (text) => encrypt(Buffer.from(String(text), 'utf8')).toString('base64');
+
+export const decryptText = (value) => decrypt(Buffer.from(value, 'base64')).toString('utf8');
+
+// Keep the last four characters visible, e.g. XXXXXXXX1234
+export const maskIdNumber = (value) => {
+  const text = String(value);
+  return text.length <= 4 ? 'X'.repeat(text.length) : `${'X'.repeat(text.length - 4)}${text.slice(-4)}`;
+};
+
+// Unlink that does not fail when the file is already gone
+export const removeFile = async (filePath) => {
+  try {
+    await fs.promises.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+// Encrypt a file into the vault. Returns the storage key and plaintext checksum to record with it.
+export async function storeDocument(buffer) {
+  const storageKey = crypto.randomBytes(16).toString('hex');
+  await fs.promises.mkdir(vaultDir, { recursive: true, mode: 0o700 });
+  await fs.promises.writeFile(path.join(vaultDir, storageKey), encrypt(buffer), { mode: 0o600 });
+  return { storageKey, checksum: checksum(buffer), size: buffer.length };
+}
+
+// Decrypt a stored file and check it still matches the checksum recorded at upload
+export async function readDocument(storageKey, expectedChecksum) {
+  const content = decrypt(await fs.promises.readFile(path.join(vaultDir, path.basename(storageKey))));
+  if (checksum(content) !== expectedChecksum) {
+    const error = new Error(`Checksum mismatch for stored document ${storageKey}`);
+    error.code = 'CHECKSUM_MISMATCH';
+    throw error;
+  }
+  return content;
+}
+
+export const removeDocument = (storageKey) => removeFile(path.join(vaultDir, path.basename(storageKey)));
@@ -0,0 +1,54 @@
+// An error with the HTTP status and message to answer it with. `errors` lists field-level problems.
+export class HttpError extends Error {
+  constructor(status, message, errors) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.errors = errors;
+  }
+
+  toJSON() {
+    return this.errors ? { message: this.message, errors: this.errors } : { message: this.message };
+  }
+}
+
+// A request that does not match its route's schema. Each entry of errors is { location, field, message }.
+export class ValidationError extends HttpError {
+  constructor(errors) {
+    super(400, 'Validation failed', errors);
+    this.name = 'ValidationError';
+  }
+}
+
+const ROUTE_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Run a handler, passing a rejected promise on to the error handler (Express 4 only catches throws)
+const forwardRejections = (handler) => (req, res, next) => {
+  const result = handler(req, res, next);
+  if (result && typeof result.catch === 'function') result.catch(next);
+};
+
+// Wrap app.get/post/put/patch/delete so async handlers can throw, and record every route registered
+// afterwards as { method, path, handlers } for the API document. Returns the list of routes.
+export function trackRoutes(app) {
+  const routes = [];
+  for (const method of ROUTE_METHODS) {
+    const register = app[method].bind(app);
+    app[method] = (path, ...handlers) => {
+      // app.get(name) reads a setting
+      if (handlers.length === 0) return register(path);
+      routes.push({ method, path, handlers });
+      return register(path, ...handlers.map(forwardRejections));
+    };
+  }
+  return routes;
+}
+
+// Proxies whose X-Forwarded-For Express believes when working out req.ip. By default only proxies on the
+// same host or a private network, so a client cannot pick its own IP by sending the header itself.
+// TRUST_PROXY takes Express's `trust proxy` values: true, false, a hop count or a list of addresses and subnets.
+export function getTrustProxySetting(value = process.env.TRUST_PROXY) {
+  if (!value) return 'loopback, linklocal, uniquelocal';
+  if (value === 'true' || value === 'false') return value === 'true';
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
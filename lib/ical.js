@@ -0,0 +1,108 @@
+// Minimal RFC 5545 (iCalendar) reading and writing for all-day events
+
+const escapeText = (value) =>
+  String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const toIcsDate = (date) => date.replace(/-/g, '');
+
+const fromIcsDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+const nextDay = (date) => {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + 1);
+  return day.toISOString().slice(0, 10);
+};
+
+// Build a calendar of all-day events ({ uid, date, summary, description, location, categories })
+export function toIcs({ name, productId = '-//Motion//Holiday Calendar//EN', events }) {
+  const stamp = `${new Date().toISOString().replace(/[-:]/g, '').slice(0, 15)}Z`;
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${productId}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${toIcsDate(event.date)}`,
+      `DTEND;VALUE=DATE:${toIcsDate(nextDay(event.date))}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      'TRANSP:TRANSPARENT'
+    );
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.categories) lines.push(`CATEGORIES:${escapeText(event.categories)}`);
+    lines.push('END:VEVENT');
+  }
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+// Read the VEVENTs of a calendar. Multi-day events list every date they cover (DTEND is exclusive).
+// Returns { events: [{ line, uid, summary, location, categories, dates }], errors: [{ line, message }] }.
+export function parseIcs(text) {
+  // Unfold continuation lines, remembering the line each logical line started on
+  const lines = [];
+  text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((raw, index) => {
+    if (/^[ \t]/.test(raw) && lines.length > 0) lines[lines.length - 1].text += raw.slice(1);
+    else if (raw.trim()) lines.push({ line: index + 1, text: raw });
+  });
+
+  const events = [];
+  const errors = [];
+  let event = null;
+  for (const { line, text: content } of lines) {
+    const separator = content.indexOf(':');
+    if (separator === -1) continue;
+    const [name] = content.slice(0, separator).split(';');
+    const property = name.toUpperCase();
+    const value = content.slice(separator + 1);
+
+    if (property === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+      event = { line, uid: null, summary: '', location: null, categories: null, start: null, end: null, days: null };
+    } else if (property === 'END' && value.toUpperCase() === 'VEVENT' && event) {
+      const start = fromIcsDate(event.start || '');
+      if (!start) {
+        errors.push({ line: event.line, message: 'Event has no valid DTSTART' });
+      } else {
+        const dates = [start];
+        if (event.end) {
+          const end = fromIcsDate(event.end);
+          for (let date = nextDay(start); end && date < end; date = nextDay(date)) dates.push(date);
+        } else {
+          while (dates.length < (event.days || 1)) dates.push(nextDay(dates[dates.length - 1]));
+        }
+        events.push({ line: event.line, uid: event.uid, summary: event.summary, location: event.location, categories: event.categories, dates });
+      }
+      event = null;
+    } else if (event) {
+      if (property === 'UID') event.uid = value;
+      else if (property === 'SUMMARY') event.summary = unescapeText(value);
+      else if (property === 'LOCATION') event.location = unescapeText(value);
+      else if (property === 'CATEGORIES') event.categories = unescapeText(value);
+      else if (property === 'DTSTART') event.start = value;
+      else if (property === 'DTEND') event.end = value;
+      else if (property === 'DURATION' && /^P\d+D$/.test(value)) event.days = Number(value.slice(1, -1));
+    }
+  }
+  return { events, errors };
+}
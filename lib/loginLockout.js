@@ -0,0 +1,29 @@
+// Minutes until logins are accepted again, or 0 when no limit is reached. Each check is { failures, limit },
+// with the failures in the window oldest first ({ created_at }). A lockout lifts once enough failures
+// have aged out of the window.
+export function getMinutesLocked(checks, windowMinutes, now = Date.now()) {
+  let unlocksAt = 0;
+  for (const { failures, limit } of checks) {
+    if (failures.length < limit) continue;
+    const oldestCounted = new Date(failures[failures.length - limit].created_at).getTime();
+    unlocksAt = Math.max(unlocksAt, oldestCounted + windowMinutes * 60 * 1000);
+  }
+  return unlocksAt ? Math.max(1, Math.ceil((unlocksAt - now) / 60000)) : 0;
+}
+
+// Minutes until logins for this account or from this IP are accepted again, or 0 when neither is locked out.
+// `auth` is the auth repository; `limits` is { maxFailures, maxIpFailures, windowMinutes }, the first two
+// counting failures per account and per IP within the window.
+export async function getLockoutMinutes(auth, account, ip, { maxFailures, maxIpFailures, windowMinutes }, now = Date.now()) {
+  const since = new Date(now - windowMinutes * 60 * 1000);
+  return getMinutesLocked([
+    { failures: await auth.listLoginFailures({ account, since }), limit: maxFailures },
+    { failures: ip ? await auth.listLoginFailures({ ip, since }) : [], limit: maxIpFailures },
+  ], windowMinutes, now);
+}
+
+// Count a failed login against the account and IP, dropping failures more than a day old
+export async function recordLoginFailure(auth, account, ip, now = Date.now()) {
+  await auth.recordLoginFailure(account, ip);
+  await auth.pruneLoginFailures(new Date(now - 24 * 60 * 60 * 1000));
+}
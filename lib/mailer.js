@@ -0,0 +1,61 @@
+import fs from 'fs';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+export const MAIL_TRANSPORTS = ['gmail', 'smtp', 'file', 'json'];
+
+// Writes each message as a JSON file instead of delivering it
+const createFileTransport = (directory) => {
+  const json = nodemailer.createTransport({ jsonTransport: true });
+  return {
+    async sendMail(message) {
+      const info = await json.sendMail(message);
+      await fs.promises.mkdir(directory, { recursive: true });
+      const file = path.join(directory, `${Date.now()}-${info.messageId.replace(/[^\w.@-]/g, '')}.json`);
+      await fs.promises.writeFile(file, info.message);
+      return { ...info, file };
+    },
+    verify: (callback) => (callback ? callback(null, true) : Promise.resolve(true)),
+  };
+};
+
+// The transport named by MAIL_TRANSPORT:
+//   gmail (default) - the EMAIL_USER Gmail account, using EMAIL_PASS
+//   smtp - SMTP_HOST, SMTP_PORT (587) and SMTP_SECURE, logging in with SMTP_USER / SMTP_PASS or EMAIL_USER / EMAIL_PASS
+//   file - writes messages as JSON files into MAIL_FILE_DIR (./mail), for development
+//   json - accepts messages without delivering or keeping them, for tests
+export function createMailTransport(env = process.env) {
+  const kind = (env.MAIL_TRANSPORT || 'gmail').toLowerCase();
+  if (kind === 'gmail') {
+    return nodemailer.createTransport({ service: 'gmail', auth: { user: env.EMAIL_USER, pass: env.EMAIL_PASS } });
+  }
+  if (kind === 'smtp') {
+    const user = env.SMTP_USER || env.EMAIL_USER;
+    return nodemailer.createTransport({
+      host: env.SMTP_HOST,
+      port: Number(env.SMTP_PORT) || 587,
+      secure: env.SMTP_SECURE === 'true',
+      auth: user ? { user, pass: env.SMTP_PASS || env.EMAIL_PASS } : undefined,
+    });
+  }
+  if (kind === 'file') return createFileTransport(env.MAIL_FILE_DIR || 'mail');
+  if (kind === 'json') return nodemailer.createTransport({ jsonTransport: true });
+  throw new Error(`MAIL_TRANSPORT must be one of ${MAIL_TRANSPORTS.join(', ')}`);
+}
+
+// Turn nodemailer message options into JSON for the outbox. Attachments are stored inline as base64,
+// so files given by path may be removed once the message is queued.
+export function serializeMessage(message) {
+  const attachments = (message.attachments || []).map(({ filename, contentType, content, path: filePath }) => ({
+    filename,
+    contentType,
+    content: Buffer.from(filePath ? fs.readFileSync(filePath) : content).toString('base64'),
+    encoding: 'base64',
+  }));
+  return JSON.stringify({ ...message, attachments });
+}
+
+export const deserializeMessage = (json) => JSON.parse(json);
+
+// Delay before the next attempt after `attempts` failures: doubling from baseSeconds, capped at maxSeconds
+export const getRetryDelay = (attempts, baseSeconds, maxSeconds) => Math.min(baseSeconds * 2 ** (attempts - 1), maxSeconds) * 1000;
@@ -0,0 +1,116 @@
+// Builds an OpenAPI 3.0 document from the routes recorded by trackRoutes() (lib/http.js). Each route is
+// described by the spec given to its validate() middleware (lib/validation.js); authentication and
+// permissions are read from the middleware in front of it.
+
+const ERROR_SCHEMA = {
+  type: 'object',
+  required: ['message'],
+  properties: {
+    message: { type: 'string' },
+    errors: {
+      type: 'array',
+      description: 'Field-level problems, when the request did not match its schema',
+      items: {
+        type: 'object',
+        properties: {
+          location: { type: 'string', enum: ['params', 'query', 'body'] },
+          field: { type: 'string', example: 'email' },
+          message: { type: 'string', example: 'email must be a valid email address' },
+        },
+      },
+    },
+  },
+};
+
+const errorResponse = (description) => ({ description, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } });
+
+// /api/employees/:id -> /api/employees/{id}
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+// A field definition as plain OpenAPI: `required` flags on properties become the object's required list
+function toSchema(field) {
+  const { required, properties, items, ...schema } = field;
+  if (items) schema.items = toSchema(items);
+  if (properties) {
+    schema.properties = Object.fromEntries(Object.entries(properties).map(([name, property]) => [name, toSchema(property)]));
+    const requiredNames = Object.keys(properties).filter((name) => properties[name].required);
+    if (requiredNames.length > 0) schema.required = requiredNames;
+  }
+  return schema;
+}
+
+const toParameters = (fields = {}, location) =>
+  Object.entries(fields).map(([name, field]) => ({
+    name,
+    in: location,
+    required: location === 'path' || Boolean(field.required),
+    ...(field.description && { description: field.description }),
+    schema: toSchema(field),
+  }));
+
+function toRequestBody(body, contentType) {
+  // A body spec is either one field or a map of names to fields
+  const schema = typeof body.type === 'string' ? toSchema(body) : toSchema({ type: 'object', properties: body });
+  const hasFiles = Object.values(schema.properties || {}).some((property) => property.format === 'binary');
+  return {
+    required: typeof body.type === 'string' ? Boolean(body.required) : Boolean(schema.required),
+    content: { [contentType || (hasFiles ? 'multipart/form-data' : 'application/json')]: { schema } },
+  };
+}
+
+// Tag for a route without one: the resource after /api/, with the employee portal grouped together
+const defaultTag = (path) => {
+  if (path.startsWith('/employee/api/')) return 'employee portal';
+  const [first, second] = path.split('/').filter(Boolean);
+  return first === 'api' ? second : first;
+};
+
+// { title, version, description } describe the API; authenticate is the middleware that checks tokens
+export function buildOpenApiDocument({ routes, title, version, description, authenticate }) {
+  const paths = {};
+  for (const { method, path, handlers } of routes) {
+    const spec = handlers.find((handler) => handler.spec)?.spec || {};
+    const permissions = handlers.flatMap((handler) => handler.permissions || []);
+    const secured = handlers.includes(authenticate);
+    const hasInput = Boolean(spec.params || spec.query || spec.body);
+
+    const notes = [spec.description, permissions.length > 0 && `Requires the ${permissions.join(', ')} permission.`].filter(Boolean);
+    const responses = { 200: { description: spec.response || 'Success' } };
+    if (hasInput) responses[400] = { $ref: '#/components/responses/ValidationFailed' };
+    if (secured) {
+      responses[401] = { $ref: '#/components/responses/Unauthorized' };
+      responses[403] = { $ref: '#/components/responses/Forbidden' };
+    }
+    responses[500] = { $ref: '#/components/responses/ServerError' };
+    responses[503] = { $ref: '#/components/responses/Unavailable' };
+
+    const parameters = [...toParameters(spec.params, 'path'), ...toParameters(spec.query, 'query')];
+    paths[toOpenApiPath(path)] ??= {};
+    paths[toOpenApiPath(path)][method] = {
+      tags: spec.tags || [defaultTag(path)],
+      ...(spec.summary && { summary: spec.summary }),
+      ...(notes.length > 0 && { description: notes.join('\n\n') }),
+      ...(parameters.length > 0 && { parameters }),
+      ...(spec.body && { requestBody: toRequestBody(spec.body, spec.contentType) }),
+      ...(secured && { security: [{ bearerAuth: [] }] }),
+      responses,
+    };
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: { title, version, ...(description && { description }) },
+    paths,
+    components: {
+      securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' } },
+      schemas: { Error: ERROR_SCHEMA },
+      responses: {
+        ValidationFailed: errorResponse('The request did not match its schema, or was otherwise invalid'),
+        Unauthorized: errorResponse('The token is missing, invalid or expired'),
+        Forbidden: errorResponse('The caller may not perform this action'),
+        ServerError: errorResponse('Unexpected server error'),
+        Unavailable: errorResponse('The database or another dependency is unreachable'),
+      },
+    },
+  };
+}
@@ -0,0 +1,67 @@
+import { listDates } from './dates.js';
+
+export const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const countDays = (count) => `${count} day${count === 1 ? '' : 's'}`;
+
+// One employee's payroll record for a month (range is getMonthRange()). `attendance` maps dates to present,
+// half_day, paid_leave or absent, and `daysOff` is getDaysOff() for the month. Days explicitly marked absent
+// or taken as unpaid leave (outside weekly offs and the employee's holidays) are loss-of-pay, prorated over
+// calendar days; a half day is half a day of loss-of-pay. Paid leave counts as payable. Days before the
+// employee joined (joinedOn) or after their last working day are not paid.
+export function computePayrollRecord({ employee, range, attendance, daysOff, joinedOn = null, lastWorkingDay = null }) {
+  const grossSalary = Number(employee.salary_amount);
+  const firstDay = joinedOn && joinedOn > range.start ? joinedOn : range.start;
+  const lastDay = lastWorkingDay && lastWorkingDay < range.end ? lastWorkingDay : range.end;
+  const employed = (date) => date >= firstDay && date <= lastDay;
+
+  const holidayDates = daysOff.holidaysFor(employee.state);
+  const workingDays = listDates(range.start, range.end).filter((date) => employed(date) && !daysOff.isDayOff(date, employee.state)).length;
+  const days = [...attendance].filter(([date]) => employed(date) && !daysOff.isDayOff(date, employee.state));
+  const statuses = days.map(([, status]) => status);
+  const halfDays = statuses.filter((status) => status === 'half_day').length;
+  const presentDays = statuses.filter((status) => status === 'present').length + halfDays / 2;
+  const leaveDays = statuses.filter((status) => status === 'paid_leave').length;
+  const absentDays = statuses.filter((status) => status === 'absent').length + halfDays / 2;
+
+  const daysBeforeJoining = Math.min(range.days, listDates(range.start, firstDay).length - 1);
+  const daysAfterExit = Math.min(range.days - daysBeforeJoining, listDates(lastDay, range.end).length - 1);
+  const lopDays = absentDays + daysBeforeJoining + daysAfterExit;
+  const dailyRate = grossSalary / range.days;
+  const lopDeduction = roundMoney(dailyRate * lopDays);
+  const joiningDeduction = roundMoney(dailyRate * daysBeforeJoining);
+  const exitDeduction = roundMoney(dailyRate * daysAfterExit);
+
+  const lineItems = [{ type: 'earning', label: 'Gross salary', amount: roundMoney(grossSalary) }];
+  if (absentDays > 0) {
+    lineItems.push({
+      type: 'deduction',
+      label: `Loss of pay (${countDays(absentDays)})`,
+      amount: roundMoney(lopDeduction - joiningDeduction - exitDeduction),
+    });
+  }
+  if (daysBeforeJoining > 0) {
+    lineItems.push({ type: 'deduction', label: `Before joining (${countDays(daysBeforeJoining)})`, amount: joiningDeduction });
+  }
+  if (daysAfterExit > 0) {
+    lineItems.push({ type: 'deduction', label: `After last working day (${countDays(daysAfterExit)})`, amount: exitDeduction });
+  }
+
+  return {
+    employee_id: employee.id,
+    name: employee.name,
+    email: employee.email,
+    gross_salary: roundMoney(grossSalary),
+    calendar_days: range.days,
+    holiday_days: holidayDates.size,
+    working_days: workingDays,
+    present_days: presentDays,
+    leave_days: leaveDays,
+    unmarked_days: workingDays - days.length,
+    lop_days: lopDays,
+    payable_days: range.days - lopDays,
+    lop_deduction: lopDeduction,
+    net_pay: roundMoney(grossSalary - lopDeduction),
+    line_items: lineItems,
+  };
+}
@@ -0,0 +1,108 @@
+import puppeteer from 'puppeteer';
+
+const DEFAULT_PDF_OPTIONS = { format: 'A4', margin: { top: '40px', right: '40px', bottom: '40px', left: '40px' } };
+
+const renderError = (code, message) => Object.assign(new Error(message), { code });
+
+// HTML to PDF rendering on one shared Chromium. At most `concurrency` pages render at once and up to
+// `maxQueue` more jobs wait; past that render() fails with code PDF_QUEUE_FULL. A job taking longer
+// than `timeoutMs` fails with PDF_TIMEOUT. The browser is launched on first use, relaunched after a
+// crash (a job it took down is tried once more) and closed after `idleMs` without work.
+export function createPdfRenderer({ launchOptions, concurrency = 2, maxQueue = 20, timeoutMs = 30000, idleMs = 5 * 60 * 1000 }) {
+  const queue = [];
+  let active = 0;
+  let browserPromise = null;
+  let idleTimer = null;
+
+  const getBrowser = () => {
+    if (!browserPromise) {
+      const launching = puppeteer.launch(launchOptions).then((browser) => {
+        browser.on('disconnected', () => {
+          if (browserPromise === launching) browserPromise = null;
+        });
+        return browser;
+      });
+      // A failed launch is retried by the next job
+      launching.catch(() => {
+        if (browserPromise === launching) browserPromise = null;
+      });
+      browserPromise = launching;
+    }
+    return browserPromise;
+  };
+
+  const closeBrowser = async () => {
+    const launching = browserPromise;
+    browserPromise = null;
+    const browser = launching && (await launching.catch(() => null));
+    if (browser) await browser.close().catch(() => {});
+  };
+
+  const renderOnce = async (browser, html, pdfOptions) => {
+    const page = await browser.newPage();
+    let timer;
+    try {
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(renderError('PDF_TIMEOUT', `PDF rendering took longer than ${timeoutMs / 1000} seconds`)), timeoutMs);
+      });
+      const rendering = (async () => {
+        await page.setContent(html, { waitUntil: 'networkidle0', timeout: timeoutMs });
+        return Buffer.from(await page.pdf({ ...DEFAULT_PDF_OPTIONS, ...pdfOptions, timeout: timeoutMs }));
+      })();
+      return await Promise.race([rendering, timeout]);
+    } finally {
+      clearTimeout(timer);
+      // Not awaited: a wedged page must not hold up the queue
+      page.close().catch(() => {});
+    }
+  };
+
+  const runJob = async ({ html, pdfOptions }) => {
+    const browser = await getBrowser();
+    try {
+      return await renderOnce(browser, html, pdfOptions);
+    } catch (error) {
+      if (browser.connected) throw error;
+      console.warn('PDF browser crashed, relaunching:', error.message);
+      return renderOnce(await getBrowser(), html, pdfOptions);
+    }
+  };
+
+  const pump = () => {
+    clearTimeout(idleTimer);
+    while (active < concurrency && queue.length > 0) {
+      const job = queue.shift();
+      active += 1;
+      runJob(job)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          active -= 1;
+          pump();
+        });
+    }
+    if (active === 0 && queue.length === 0) {
+      idleTimer = setTimeout(closeBrowser, idleMs);
+      idleTimer.unref();
+    }
+  };
+
+  return {
+    // Render an HTML document to a PDF buffer (A4 with 40px margins unless pdfOptions say otherwise)
+    render(html, pdfOptions = {}) {
+      if (queue.length >= maxQueue) {
+        return Promise.reject(renderError('PDF_QUEUE_FULL', 'Too many PDFs are waiting to be rendered'));
+      }
+      return new Promise((resolve, reject) => {
+        queue.push({ html, pdfOptions, resolve, reject });
+        pump();
+      });
+    },
+
+    stats: () => ({ active, queued: queue.length, browser: Boolean(browserPromise) }),
+
+    async close() {
+      clearTimeout(idleTimer);
+      await closeBrowser();
+    },
+  };
+}
@@ -0,0 +1,51 @@
+import crypto from 'crypto';
+import { checkValues, field } from './validation.js';
+
+// Fields of the public website forms. Unknown fields are ignored.
+export const FORM_FIELDS = {
+  service_request: {
+    name: field.string({ required: true, max: 255 }),
+    email: field.email({ description: 'email or contact is required' }),
+    contact: field.phone({ max: 50 }),
+    service: field.string({ max: 255 }),
+    message: field.string({ max: 5000 }),
+  },
+  contact_detail: {
+    name: field.string({ required: true, max: 255 }),
+    email: field.email({ required: true }),
+    subject: field.string({ max: 255 }),
+    message: field.string({ required: true, max: 5000 }),
+  },
+  contact: {
+    name: field.string({ required: true, max: 255 }),
+    email: field.email({ required: true }),
+    subject: field.string({ max: 255 }),
+    message: field.string({ required: true, max: 5000 }),
+  },
+};
+
+// Hidden field real visitors leave empty; bots that fill every input give themselves away
+export const HONEYPOT_FIELD = 'website';
+
+// Trim and check a submission. Returns { values, errors }, where errors lists every problem found
+// in the format of lib/validation.js.
+export function validateForm(source, body) {
+  const fields = FORM_FIELDS[source];
+  const values = {};
+  for (const name of Object.keys(fields)) {
+    const raw = body?.[name];
+    values[name] = (typeof raw === 'string' || typeof raw === 'number' ? String(raw).trim() : '') || null;
+  }
+  const errors = checkValues(fields, values);
+  // A service request needs some way to reply
+  if (source === 'service_request' && !values.email && !values.contact) {
+    errors.push({ location: 'body', field: 'email', message: 'email or contact is required' });
+  }
+  return { values, errors };
+}
+
+// Fingerprint of a message for duplicate detection: case and whitespace differences do not count
+export const hashMessage = (values) =>
+  crypto.createHash('sha256')
+    .update([values.subject || values.service || '', values.message || ''].join('\n').toLowerCase().replace(/\s+/g, ' ').trim())
+    .digest('hex');
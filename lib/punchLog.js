@@ -0,0 +1,46 @@
+// Parse punch logs exported by biometric attendance devices. Exports differ between vendors
+// (CSV, tab-separated or space-aligned text, with or without a header), so each line is read as
+// "device user ID first, then a punch date and time somewhere after it". Lines without a
+// recognisable timestamp, such as headers, are skipped.
+
+const ISO_TIMESTAMP = /(\d{4})[-/](\d{1,2})[-/](\d{1,2})[ T]+(\d{1,2}):(\d{2})(?::(\d{2}))?/;
+const DAY_FIRST_TIMESTAMP = /(\d{1,2})[-/](\d{1,2})[-/](\d{4})[ T]+(\d{1,2}):(\d{2})(?::(\d{2}))?/;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const parseTimestamp = (line) => {
+  let match = line.match(ISO_TIMESTAMP);
+  let year;
+  let month;
+  let day;
+  if (match) {
+    [, year, month, day] = match;
+  } else {
+    match = line.match(DAY_FIRST_TIMESTAMP);
+    if (!match) return null;
+    [, day, month, year] = match;
+  }
+  const [, , , , hour, minute, second = '00'] = match;
+  if (Number(month) < 1 || Number(month) > 12 || Number(day) < 1 || Number(day) > 31 || Number(hour) > 23 || Number(minute) > 59) {
+    return null;
+  }
+  return { date: `${year}-${pad(month)}-${pad(day)}`, time: `${pad(hour)}:${minute}:${pad(second)}`, index: match.index };
+};
+
+// Returns { punches: [{ line, deviceUserId, date, time }], skipped: [line numbers] }
+export function parsePunchLog(text) {
+  const punches = [];
+  const skipped = [];
+  text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line) return;
+    const timestamp = parseTimestamp(line);
+    const deviceUserId = timestamp ? line.slice(0, timestamp.index).split(/[\s,;|]+/).map((part) => part.replace(/"/g, '')).find(Boolean) : null;
+    if (!timestamp || !deviceUserId) {
+      skipped.push(index + 1);
+      return;
+    }
+    punches.push({ line: index + 1, deviceUserId, date: timestamp.date, time: timestamp.time });
+  });
+  return { punches, skipped };
+}
@@ -0,0 +1,14 @@
+import ExcelJS from 'exceljs';
+
+// One-sheet XLSX workbook with a bold, frozen header row. Values are written as-is, never as formulas.
+export async function toXlsx({ sheetName, header, rows }) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName.slice(0, 31), { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.addRow(header).font = { bold: true };
+  for (const row of rows) sheet.addRow(row.map((value) => (value === null || value === undefined ? '' : value)));
+  sheet.columns.forEach((column, index) => {
+    const widest = Math.max(...[header, ...rows].map((row) => String(row[index] ?? '').length));
+    column.width = Math.min(Math.max(widest + 2, 6), 40);
+  });
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
@@ -0,0 +1,168 @@
+import { ValidationError } from './http.js';
+
+// Declarative request schemas. A field definition is an OpenAPI (JSON Schema) object, built with the
+// `field` helpers below, plus `required: true` when the value must be present. The same definitions
+// check requests in validate() and describe them in the API document (see lib/openapi.js).
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[\d\s()-]{7,20}$/;
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(new Date(`${value}T00:00:00Z`).getTime());
+const isUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+const FORMATS = {
+  email: { test: (value) => EMAIL_PATTERN.test(value), message: 'must be a valid email address' },
+  phone: { test: (value) => PHONE_PATTERN.test(value), message: 'must be a valid phone number' },
+  date: { test: isDate, message: 'must be in YYYY-MM-DD format' },
+  month: { test: (value) => /^\d{4}-(0[1-9]|1[0-2])$/.test(value), message: 'must be in YYYY-MM format' },
+  time: { test: (value) => /^([01]\d|2[0-3]):[0-5]\d$/.test(value), message: 'must be in HH:MM format' },
+  'date-time': { test: (value) => !Number.isNaN(Date.parse(value)), message: 'must be a valid date and time' },
+  uri: { test: isUrl, message: 'must be a valid http or https URL' },
+};
+
+// Keywords for the min and max options of each kind of field
+const RANGE_KEYWORDS = {
+  string: ['minLength', 'maxLength'],
+  integer: ['minimum', 'maximum'],
+  number: ['minimum', 'maximum'],
+  array: ['minItems', 'maxItems'],
+};
+
+const define = (base, { required, min, max, ...options } = {}) => {
+  const [minKeyword, maxKeyword] = RANGE_KEYWORDS[base.type] || [];
+  return {
+    ...base,
+    ...(min !== undefined && { [minKeyword]: min }),
+    ...(max !== undefined && { [maxKeyword]: max }),
+    ...options,
+    ...(required && { required: true }),
+  };
+};
+
+// Each helper takes { required, min, max } plus any OpenAPI keywords, such as description or example
+export const field = {
+  string: (options) => define({ type: 'string' }, options),
+  email: (options) => define({ type: 'string', format: 'email', maxLength: 255 }, options),
+  phone: (options) => define({ type: 'string', format: 'phone', example: '+91 98765 43210' }, options),
+  date: (options) => define({ type: 'string', format: 'date', example: '2025-04-01' }, options),
+  month: (options) => define({ type: 'string', format: 'month', example: '2025-04' }, options),
+  time: (options) => define({ type: 'string', format: 'time', example: '09:30' }, options),
+  url: (options) => define({ type: 'string', format: 'uri', maxLength: 2048 }, options),
+  enum: (values, options) => define({ type: 'string', enum: values }, options),
+  integer: (options) => define({ type: 'integer' }, options),
+  id: (options) => define({ type: 'integer', minimum: 1 }, options),
+  number: (options) => define({ type: 'number' }, options),
+  boolean: (options) => define({ type: 'boolean' }, options),
+  array: (items, options) => define({ type: 'array', items }, options),
+  // Without properties, any object is accepted
+  object: (properties, options) => define({ type: 'object', ...(properties && { properties }) }, options),
+  // A multipart upload, checked for presence only; the upload middleware checks type and size
+  file: (options) => define({ type: 'string', format: 'binary' }, options),
+  // Any value, for fields the handler reads in several forms; describe them in the description
+  any: (options) => define({}, options),
+};
+
+const TRUE_VALUES = [true, 'true', 1, '1'];
+const FALSE_VALUES = [false, 'false', 0, '0'];
+
+const isMissing = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+// Problem with a present value, or null. Query strings and form bodies carry every value as text,
+// so numbers and booleans are accepted in their text form too.
+function describeProblem(schema, value, path, location, errors) {
+  switch (schema.type) {
+    case 'string': {
+      if (schema.format === 'binary') return null;
+      if (typeof value === 'number') value = String(value);
+      if (typeof value !== 'string') return 'must be text';
+      if (schema.enum && !schema.enum.includes(value)) return `must be one of ${schema.enum.join(', ')}`;
+      if (schema.minLength !== undefined && value.length < schema.minLength) return `must be at least ${schema.minLength} characters`;
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) return `must be ${schema.maxLength} characters or fewer`;
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) return 'is not in the expected format';
+      const format = FORMATS[schema.format];
+      return format && !format.test(value) ? format.message : null;
+    }
+    case 'integer':
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) return 'must be a number';
+      if (schema.type === 'integer' && !Number.isInteger(number)) return 'must be a whole number';
+      if (schema.minimum !== undefined && number < schema.minimum) return `must be at least ${schema.minimum}`;
+      if (schema.maximum !== undefined && number > schema.maximum) return `must be at most ${schema.maximum}`;
+      return null;
+    }
+    case 'boolean':
+      return [...TRUE_VALUES, ...FALSE_VALUES].includes(value) ? null : 'must be true or false';
+    case 'array':
+      if (!Array.isArray(value)) return 'must be a list';
+      if (schema.minItems !== undefined && value.length < schema.minItems) return `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`;
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) return `must have at most ${schema.maxItems} items`;
+      value.forEach((item, index) => checkField(schema.items, item, `${path}[${index}]`, location, errors));
+      return null;
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) return 'must be an object';
+      checkFields(schema.properties, value, path ? `${path}.` : '', location, errors);
+      return null;
+    default:
+      return null;
+  }
+}
+
+function checkField(schema, value, path, location, errors) {
+  if (isMissing(value)) {
+    if (schema.required) errors.push({ location, field: path, message: `${path} is required` });
+    return;
+  }
+  const problem = describeProblem(schema, value, path, location, errors);
+  if (problem) errors.push({ location, field: path, message: `${path} ${problem}` });
+}
+
+function checkFields(properties = {}, values, prefix, location, errors) {
+  for (const [name, schema] of Object.entries(properties)) checkField(schema, values?.[name], `${prefix}${name}`, location, errors);
+}
+
+// Check values already read from a request against a map of fields. Returns the problems found.
+export function checkValues(fields, values, location = 'body') {
+  const errors = [];
+  checkFields(fields, values, '', location, errors);
+  return errors;
+}
+
+// Uploaded file for a multipart field, from upload.single() or upload.fields()
+const findFile = (req, name) => req.files?.[name]?.[0] || (req.file?.fieldname === name ? req.file : undefined);
+
+// A location's spec is either a map of names to fields or, for a body that is not an object, one field
+const isField = (spec) => typeof spec.type === 'string';
+
+// Middleware checking a request against its route's spec: { summary, description, tags, params,
+// query, body }. Every problem found is reported at once as a ValidationError. Values are otherwise
+// left as sent, except booleans: 'false' or 0 would be truthy in the handler, so boolean fields are
+// replaced with true or false. Runs after authentication and any upload middleware.
+export function validate(spec) {
+  const middleware = (req, res, next) => {
+    const errors = [];
+    for (const location of ['params', 'query', 'body']) {
+      const fields = spec[location];
+      if (!fields) continue;
+      if (isField(fields)) {
+        checkField(fields, req[location], location, location, errors);
+        continue;
+      }
+      for (const [name, schema] of Object.entries(fields)) {
+        const value = schema.format === 'binary' ? findFile(req, name) : req[location]?.[name];
+        const count = errors.length;
+        checkField(schema, value, name, location, errors);
+        if (schema.type === 'boolean' && !isMissing(value) && errors.length === count) req[location][name] = TRUE_VALUES.includes(value);
+      }
+    }
+    next(errors.length > 0 ? new ValidationError(errors) : undefined);
+  };
+  middleware.spec = spec;
+  return middleware;
+}
@@ -0,0 +1,47 @@
+import crypto from 'crypto';
+
+const RESPONSE_BODY_MAX_LENGTH = 1000;
+
+export const createWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Signature sent in X-Webhook-Signature: an HMAC-SHA256 of "<timestamp>.<body>" keyed with the
+// subscription's secret. Receivers recompute it and should reject stale timestamps to stop replays.
+export const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// Accepts http(s) URLs only; returns an error message or null
+export const getWebhookUrlError = (value) => {
+  let url;
+  try {
+    url = new URL(String(value || ''));
+  } catch {
+    return 'URL must be a valid http or https URL';
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return 'URL must be a valid http or https URL';
+  if (url.username || url.password) return 'URL must not contain credentials';
+  if (String(value).length > 2048) return 'URL must be 2048 characters or fewer';
+  return null;
+};
+
+// POST a signed JSON body. Resolves with { ok, status, body, durationMs }, where body is the start of
+// the response; network errors and timeouts reject.
+export async function postWebhook({ url, secret, event, eventId, body, timeoutMs }) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Motion-Webhooks/1.0',
+      'X-Webhook-Event': event,
+      'X-Webhook-Id': eventId,
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': signPayload(secret, timestamp, body),
+    },
+    body,
+    redirect: 'manual',
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  const text = await response.text().catch(() => '');
+  return { ok: response.ok, status: response.status, body: text.slice(0, RESPONSE_BODY_MAX_LENGTH), durationMs: Date.now() - started };
+}
@@ -0,0 +1,92 @@
+// Working hours used to judge check-ins and check-outs. Matches the hours promised in the offer
+// letter: 10:00 AM to 6:00 PM, Monday to Saturday. Times are HH:MM in the schedule's time zone.
+export const DEFAULT_WORK_SCHEDULE = {
+  timezone: 'Asia/Kolkata',
+  start_time: '10:00',
+  end_time: '18:00',
+  // 0 = Sunday ... 6 = Saturday
+  working_days: [1, 2, 3, 4, 5, 6],
+  // Minutes after start_time before a check-in counts as late
+  late_grace_minutes: 15,
+  // Minutes before end_time a check-out may happen without counting as an early exit
+  early_exit_grace_minutes: 0,
+  // Hours worked needed for a full day; at least half_day_hours makes a half day, less is absent
+  full_day_hours: 8,
+  half_day_hours: 4,
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Merge changes into a schedule. Returns { schedule } or { error } describing the first invalid field.
+export function updateSchedule(current, changes) {
+  const schedule = { ...DEFAULT_WORK_SCHEDULE, ...current, ...changes };
+  const numberFields = ['late_grace_minutes', 'early_exit_grace_minutes', 'full_day_hours', 'half_day_hours'];
+
+  if (typeof schedule.timezone !== 'string' || !isValidTimezone(schedule.timezone)) return { error: 'Unknown time zone' };
+  if (!TIME_PATTERN.test(schedule.start_time) || !TIME_PATTERN.test(schedule.end_time)) {
+    return { error: 'start_time and end_time must be in HH:MM format' };
+  }
+  if (toMinutes(schedule.end_time) <= toMinutes(schedule.start_time)) return { error: 'end_time must be after start_time' };
+  if (!Array.isArray(schedule.working_days) || !schedule.working_days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)) {
+    return { error: 'working_days must be a list of weekday numbers from 0 (Sunday) to 6 (Saturday)' };
+  }
+  for (const field of numberFields) {
+    schedule[field] = Number(schedule[field]);
+    if (!Number.isFinite(schedule[field]) || schedule[field] < 0) return { error: `${field} must be a non-negative number` };
+  }
+  if (schedule.half_day_hours > schedule.full_day_hours) return { error: 'half_day_hours cannot exceed full_day_hours' };
+
+  schedule.working_days = [...new Set(schedule.working_days)].sort();
+  return { schedule };
+}
+
+// Calendar date (YYYY-MM-DD), weekday and minutes since midnight of an instant in a time zone
+export function getLocalTime(instant, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', weekday: 'short', hourCycle: 'h23',
+    }).formatToParts(instant).map((part) => [part.type, part.value])
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+// Late arrival, early exit, hours worked and the resulting status of one day. Without a check-out
+// the day stays "present" with no hours; late and early minutes only apply on working days.
+export function evaluateDay(schedule, checkInAt, checkOutAt) {
+  const checkIn = getLocalTime(new Date(checkInAt), schedule.timezone);
+  const isWorkingDay = schedule.working_days.includes(checkIn.weekday);
+  const lateMinutes = Math.max(0, checkIn.minutes - toMinutes(schedule.start_time));
+  const result = {
+    late_minutes: isWorkingDay && lateMinutes > schedule.late_grace_minutes ? lateMinutes : 0,
+    early_exit_minutes: 0,
+    worked_minutes: null,
+    status: 'present',
+  };
+  if (!checkOutAt) return result;
+
+  const checkOut = getLocalTime(new Date(checkOutAt), schedule.timezone);
+  const earlyMinutes = checkOut.date === checkIn.date ? Math.max(0, toMinutes(schedule.end_time) - checkOut.minutes) : 0;
+  result.early_exit_minutes = isWorkingDay && earlyMinutes > schedule.early_exit_grace_minutes ? earlyMinutes : 0;
+  result.worked_minutes = Math.max(0, Math.floor((new Date(checkOutAt) - new Date(checkInAt)) / 60000));
+  if (result.worked_minutes < schedule.half_day_hours * 60) result.status = 'absent';
+  else if (result.worked_minutes < schedule.full_day_hours * 60) result.status = 'half_day';
+  return result;
+}
@@ -1,41 +1,130 @@
 import express from 'express';
-import mysql from 'mysql2/promise';
 import bcrypt from 'bcryptjs';
 import cors from 'cors';
 import jwt from 'jsonwebtoken';
 import dotenv from 'dotenv';
 import fs from 'fs';
 import multer from 'multer';
-import puppeteer from 'puppeteer';
-import nodemailer from 'nodemailer';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import crypto from 'crypto';
+import { createDatabase } from './db/index.js';
+import { EMPLOYEE_LIST_COLUMNS, EMPLOYEE_SORTS } from './db/repositories/employees.js';
+import { toStateKey } from './db/repositories/holidays.js';
+import { INQUIRY_SOURCES } from './db/repositories/inquiries.js';
+import { DEFAULT_LEAVE_TYPES } from './db/repositories/leaves.js';
+import { runMigrations } from './db/migrate.js';
+import {
+  ALLOWED_MIME_TYPES, DOCUMENT_MAX_BYTES, detectFileType, encryptText, isVaultConfigured, maskIdNumber,
+  readDocument, removeDocument, removeFile, storeDocument,
+} from './lib/documentVault.js';
+import { diffChanges } from './lib/audit.js';
+import { parseCsv, toCsv } from './lib/csv.js';
+import { parseIcs, toIcs } from './lib/ical.js';
+import { toXlsx } from './lib/spreadsheet.js';
+import { createPdfRenderer } from './lib/pdfRenderer.js';
+import { createMailTransport, deserializeMessage, getRetryDelay, serializeMessage } from './lib/mailer.js';
+import { createWebhookSecret, getWebhookUrlError, postWebhook } from './lib/webhooks.js';
+import { FORM_FIELDS, HONEYPOT_FIELD, hashMessage, validateForm } from './lib/publicForms.js';
+import { parsePunchLog } from './lib/punchLog.js';
+import { HttpError, ValidationError, getTrustProxySetting, trackRoutes } from './lib/http.js';
+import { getLockoutMinutes, recordLoginFailure } from './lib/loginLockout.js';
+import { getMonthRange, listDates } from './lib/dates.js';
+import { computePayrollRecord, roundMoney } from './lib/payroll.js';
+import { field, validate } from './lib/validation.js';
+import { buildOpenApiDocument } from './lib/openapi.js';
+import { DEFAULT_WORK_SCHEDULE, evaluateDay, getLocalTime, updateSchedule } from './lib/workSchedule.js';
 
 dotenv.config();
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Convert logo.jpeg and signature.png to base64
-const logoPath = path.join(__dirname, 'logo.jpeg');
-const signaturePath = path.join(__dirname, 'signature.png');
-const logoBase64 = fs.existsSync(logoPath) ? `data:image/jpeg;base64,${fs.readFileSync(logoPath).toString('base64')}` : '';
-const signatureBase64 = fs.existsSync(signaturePath) ? `data:image/png;base64,${fs.readFileSync(signaturePath).toString('base64')}` : '';
+const toDataUri = (data, type) => (data && type ? `data:${type};base64,${Buffer.from(data).toString('base64')}` : '');
+
+// A company's letterhead details with its logo and signature as data URIs, and the HR signatory,
+// for documents and emails. Stored with PUT /api/company and its logo and signature routes.
+async function getCompanyProfile(companyId) {
+  const [company, assets] = await Promise.all([db.companies.findById(companyId), db.companies.findAssets(companyId)]);
+  if (!company) throw new Error(`Company ${companyId} not found`);
+  return {
+    company: {
+      name: company.name,
+      address: company.address || '',
+      city: company.city || '',
+      email: company.email || '',
+      phone: company.phone || '',
+      website: company.website || '',
+      logo: toDataUri(assets.logo, assets.logo_type),
+      signature: toDataUri(assets.signature, assets.signature_type),
+    },
+    hr: { name: company.hr_name || '', title: company.hr_title || '' },
+  };
+}
+
+// Built-in document templates, used until a version is saved in the document_templates table
+const DOCUMENT_TEMPLATE_KINDS = {
+  offer_letter: { label: 'offer letter', subject: 'Offer Letter from {{company.name}}' },
+  experience_letter: { label: 'experience letter', subject: 'Experience Letter from {{company.name}}' },
+  relieving_letter: { label: 'relieving letter', subject: 'Relieving Letter from {{company.name}}' },
+};
+const defaultTemplates = Object.fromEntries(
+  Object.entries(DOCUMENT_TEMPLATE_KINDS).map(([kind, { subject }]) => [
+    kind,
+    {
+      kind,
+      version: 0,
+      subject,
+      body_html: fs.readFileSync(path.join(__dirname, 'templates', `${kind}.html`), 'utf8'),
+      email_text: fs.readFileSync(path.join(__dirname, 'templates', `${kind}.txt`), 'utf8'),
+    },
+  ])
+);
 
 const app = express();
+// req.ip is the client's address as reported by a trusted proxy (see getTrustProxySetting)
+app.set('trust proxy', getTrustProxySetting());
+// Every route registered from here on may throw or reject, and is listed in the API document
+const routes = trackRoutes(app);
 app.use(express.json());
 app.use(cors());
 
-const upload = multer({ dest: 'uploads/' });
-
-const transporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS,
+// KYC uploads stay in memory until they are validated and encrypted into the vault
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: DOCUMENT_MAX_BYTES, files: 2 },
+  fileFilter: (req, file, cb) => {
+    if (ALLOWED_MIME_TYPES.includes(file.mimetype)) return cb(null, true);
+    const error = new Error(`${file.fieldname} must be a JPEG, PNG or PDF file`);
+    error.code = 'INVALID_FILE_TYPE';
+    error.field = file.fieldname;
+    cb(error);
   },
 });
 
+// Run a multer middleware, answering oversized, mistyped or unexpected files with a 400
+const handleUpload = (middleware, maxBytes = DOCUMENT_MAX_BYTES) => (req, res, next) =>
+  middleware(req, res, (error) => {
+    if (!error) return next();
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      const message = `${error.field} must be ${maxBytes / (1024 * 1024)} MB or smaller`;
+      return next(new ValidationError([{ location: 'body', field: error.field, message }]));
+    }
+    if (error instanceof multer.MulterError || error.code === 'INVALID_FILE_TYPE') {
+      return next(new ValidationError([{ location: 'body', field: error.field || null, message: error.message }]));
+    }
+    next(error);
+  });
+
+const kycUpload = handleUpload(upload.fields([
+  { name: 'aadharPhoto', maxCount: 1 },
+  { name: 'panPhoto', maxCount: 1 },
+]));
+
+// Set MAIL_TRANSPORT to smtp, file or json to send through something other than Gmail (see lib/mailer.js)
+const transporter = createMailTransport();
+const MAIL_FROM = process.env.MAIL_FROM || process.env.EMAIL_USER;
+
 transporter.verify((error, success) => {
   if (error) {
     console.error('Nodemailer configuration failed:', error);
@@ -44,26 +133,254 @@ transporter.verify((error, success) => {
   }
 });
 
-const dbConfig = {
-  host: process.env.DB_HOST,
-  user: process.env.DB_USER,
-  password: process.env.DB_PASSWORD,
-  database: process.env.DB_NAME,
-  port: process.env.DB_PORT,
-  ssl: {
-    ca: fs.readFileSync('ca.pem'),
+// Email outbox. Messages are queued in the database and delivered by processEmailOutbox, which retries
+// failures with doubling delays until EMAIL_MAX_ATTEMPTS is reached.
+const EMAIL_MAX_ATTEMPTS = Number(process.env.EMAIL_MAX_ATTEMPTS) || 6;
+const EMAIL_RETRY_BASE_SECONDS = Number(process.env.EMAIL_RETRY_BASE_SECONDS) || 60;
+const EMAIL_RETRY_MAX_SECONDS = 6 * 60 * 60;
+const EMAIL_POLL_SECONDS = Number(process.env.EMAIL_POLL_SECONDS) || 30;
+const EMAIL_BATCH_SIZE = 20;
+// An email still marked as sending after this long was interrupted and is queued again
+const EMAIL_STALE_MINUTES = 10;
+
+let emailWorkerRunning = false;
+let emailWorkerPending = false;
+
+// Queue an email. Pass a transaction's repositories as `repos` so it is only sent if the change it
+// belongs to commits, and call wakeEmailWorker() once the transaction is done.
+async function queueEmail(repos, category, message, { companyId = null, createdBy = null } = {}) {
+  const id = await repos.emails.enqueue({
+    companyId,
+    category,
+    to: [].concat(message.to).join(', '),
+    subject: message.subject,
+    message: serializeMessage({ from: MAIL_FROM, ...message }),
+    maxAttempts: EMAIL_MAX_ATTEMPTS,
+    createdBy,
+  });
+  if (repos === db) wakeEmailWorker();
+  return id;
+}
+
+const wakeEmailWorker = () => setImmediate(processEmailOutbox);
+
+// Send one claimed email, then record the result or schedule the next attempt
+async function deliverEmail(email) {
+  const attempts = email.attempts + 1;
+  try {
+    const info = await transporter.sendMail(deserializeMessage(email.message));
+    await db.emails.markSent(email.id, attempts, info.messageId || null);
+  } catch (error) {
+    const reason = String(error.message || error).slice(0, 1000);
+    console.error(`Failed to send email ${email.id} (attempt ${attempts} of ${email.max_attempts}):`, reason);
+    if (attempts >= email.max_attempts) {
+      await db.emails.markFailed(email.id, attempts, reason);
+    } else {
+      const delay = getRetryDelay(attempts, EMAIL_RETRY_BASE_SECONDS, EMAIL_RETRY_MAX_SECONDS);
+      await db.emails.markRetry(email.id, attempts, reason, new Date(Date.now() + delay));
+    }
+  }
+}
+
+// Deliver every due email. Runs one at a time; a wake-up during a run triggers another pass.
+async function processEmailOutbox() {
+  if (emailWorkerRunning) {
+    emailWorkerPending = true;
+    return;
+  }
+  emailWorkerRunning = true;
+  try {
+    await db.emails.releaseStale(new Date(Date.now() - EMAIL_STALE_MINUTES * 60 * 1000));
+    do {
+      emailWorkerPending = false;
+      const due = await db.emails.listDue(EMAIL_BATCH_SIZE);
+      for (const email of due) {
+        const { affectedRows } = await db.emails.claim(email.id);
+        if (affectedRows) await deliverEmail(email);
+      }
+      if (due.length === EMAIL_BATCH_SIZE) emailWorkerPending = true;
+    } while (emailWorkerPending);
+  } catch (error) {
+    console.error('Error processing email outbox:', error);
+  } finally {
+    emailWorkerRunning = false;
+  }
+}
+
+// Webhooks. An event is queued as one delivery per subscription to it and posted by processWebhookOutbox,
+// which retries failures with doubling delays until WEBHOOK_MAX_ATTEMPTS is reached.
+const WEBHOOK_EVENTS = [
+  'employee.created', 'employee.updated', 'employee.deleted',
+  'offer_letter.sent',
+  'salary.paid',
+  'attendance.marked',
+  'holiday.created',
+  'service_request.received',
+];
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const WEBHOOK_RETRY_BASE_SECONDS = Number(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+const WEBHOOK_RETRY_MAX_SECONDS = 6 * 60 * 60;
+const WEBHOOK_TIMEOUT_SECONDS = Number(process.env.WEBHOOK_TIMEOUT_SECONDS) || 10;
+const WEBHOOK_POLL_SECONDS = Number(process.env.WEBHOOK_POLL_SECONDS) || 30;
+const WEBHOOK_BATCH_SIZE = 20;
+// A delivery still marked as sending after this long was interrupted and is queued again
+const WEBHOOK_STALE_MINUTES = 10;
+const NO_RESPONSE = { status: null, body: null, durationMs: null };
+
+let webhookWorkerRunning = false;
+let webhookWorkerPending = false;
+
+// Queue an event for every active subscription to it in the company it happened in. As with queueEmail,
+// pass a transaction's repositories to tie the deliveries to the change, and call wakeWebhookWorker() once
+// it commits. An event without a company is delivered to no one, so it can never reach another company.
+async function queueWebhookEvent(repos, event, data, { companyId = null } = {}) {
+  if (companyId === null || companyId === undefined) {
+    console.error(`Webhook event ${event} has no company; not delivered`);
+    return 0;
+  }
+  const subscriptions = await repos.webhooks.listSubscribers(event, companyId);
+  const eventId = crypto.randomUUID();
+  const payload = JSON.stringify({ id: eventId, event, created_at: new Date().toISOString(), data });
+  for (const subscription of subscriptions) {
+    await repos.webhooks.enqueue({
+      companyId: subscription.company_id,
+      subscriptionId: subscription.id,
+      event,
+      eventId,
+      payload,
+      maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+    });
+  }
+  if (repos === db && subscriptions.length > 0) wakeWebhookWorker();
+  return subscriptions.length;
+}
+
+const wakeWebhookWorker = () => setImmediate(processWebhookOutbox);
+
+// Post one claimed delivery, then record the response or schedule the next attempt
+async function deliverWebhook(delivery) {
+  const attempts = delivery.attempts + 1;
+  if (!delivery.active) {
+    await db.webhooks.markFailed(delivery.id, delivery.attempts, 'Subscription is disabled', NO_RESPONSE);
+    return;
+  }
+
+  let response = NO_RESPONSE;
+  let reason;
+  try {
+    response = await postWebhook({
+      url: delivery.url,
+      secret: delivery.secret,
+      event: delivery.event,
+      eventId: delivery.event_id,
+      body: delivery.payload,
+      timeoutMs: WEBHOOK_TIMEOUT_SECONDS * 1000,
+    });
+    if (response.ok) {
+      await db.webhooks.markDelivered(delivery.id, attempts, response);
+      return;
+    }
+    reason = `Endpoint answered HTTP ${response.status}`;
+  } catch (error) {
+    reason = String(error.cause?.message || error.message || error).slice(0, 1000);
+  }
+
+  console.error(`Failed to deliver webhook ${delivery.id} (attempt ${attempts} of ${delivery.max_attempts}):`, reason);
+  if (attempts >= delivery.max_attempts) {
+    await db.webhooks.markFailed(delivery.id, attempts, reason, response);
+  } else {
+    const delay = getRetryDelay(attempts, WEBHOOK_RETRY_BASE_SECONDS, WEBHOOK_RETRY_MAX_SECONDS);
+    await db.webhooks.markRetry(delivery.id, attempts, reason, response, new Date(Date.now() + delay));
+  }
+}
+
+// Post every due delivery. Runs one at a time; a wake-up during a run triggers another pass.
+async function processWebhookOutbox() {
+  if (webhookWorkerRunning) {
+    webhookWorkerPending = true;
+    return;
+  }
+  webhookWorkerRunning = true;
+  try {
+    await db.webhooks.releaseStale(new Date(Date.now() - WEBHOOK_STALE_MINUTES * 60 * 1000));
+    do {
+      webhookWorkerPending = false;
+      const due = await db.webhooks.listDue(WEBHOOK_BATCH_SIZE);
+      for (const delivery of due) {
+        const { affectedRows } = await db.webhooks.claim(delivery.id);
+        if (affectedRows) await deliverWebhook(delivery);
+      }
+      if (due.length === WEBHOOK_BATCH_SIZE) webhookWorkerPending = true;
+    } while (webhookWorkerPending);
+  } catch (error) {
+    console.error('Error processing webhook outbox:', error);
+  } finally {
+    webhookWorkerRunning = false;
+  }
+}
+
+// Employee fields sent with employee.* events. Passwords, KYC files and pay are left out.
+const toWebhookEmployee = (employee) => ({
+  id: employee.id,
+  name: employee.name,
+  email: employee.email,
+  phone: employee.phone,
+  city: employee.city,
+  state: employee.state,
+  country: employee.country,
+  doj: employee.doj ? toDateKey(employee.doj) : null,
+  status: employee.status,
+  role: employee.role,
+  department_id: employee.department_id,
+  designation_id: employee.designation_id,
+  manager_id: employee.manager_id,
+});
+
+// Queue employee.created, employee.updated or employee.deleted with the employee as the change left them
+async function queueEmployeeEvent(repos, event, employeeId, companyId) {
+  const employee = event === 'employee.deleted'
+    ? await repos.employees.findArchived(employeeId, companyId)
+    : await repos.employees.findById(employeeId, companyId);
+  if (!employee) return 0;
+  return queueWebhookEvent(repos, event, toWebhookEmployee(employee), { companyId });
+}
+
+// One shared Chromium renders every PDF. Jobs past PDF_MAX_QUEUE are refused with code PDF_QUEUE_FULL.
+const pdfRenderer = createPdfRenderer({
+  launchOptions: {
+    headless: 'new',
+    args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', '--disable-gpu', '--no-zygote'],
+    pipe: true,
+    executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined,
   },
+  concurrency: Number(process.env.PDF_CONCURRENCY) || 2,
+  maxQueue: Number(process.env.PDF_MAX_QUEUE) || 20,
+  timeoutMs: (Number(process.env.PDF_TIMEOUT_SECONDS) || 30) * 1000,
+});
+
+// Render an HTML document to an A4 PDF buffer
+const renderPdf = (html) => pdfRenderer.render(html);
+
+const startEmailWorker = () => {
+  setInterval(processEmailOutbox, EMAIL_POLL_SECONDS * 1000);
+  wakeEmailWorker();
+};
+
+const startWebhookWorker = () => {
+  setInterval(processWebhookOutbox, WEBHOOK_POLL_SECONDS * 1000);
+  wakeWebhookWorker();
 };
 
-let pool;
+let db;
 
 async function initializeDatabase() {
   try {
-    pool = await mysql.createPool(dbConfig);
-    const connection = await pool.getConnection();
-    await connection.ping();
-    connection.release();
-    console.log('Successfully connected to MySQL database');
+    db = createDatabase();
+    await db.ping();
+    console.log(`Successfully connected to ${db.dialect === 'postgres' ? 'PostgreSQL' : 'MySQL'} database`);
+    // Set RUN_MIGRATIONS=false to manage the schema with `npm run migrate` instead
+    if (process.env.RUN_MIGRATIONS !== 'false') await runMigrations(db);
+    await importLegacyKycFiles();
     return true;
   } catch (error) {
     console.error('Database connection failed:', error);
@@ -76,706 +393,4935 @@ const verifyToken = (req, res, next) => {
   if (!authHeader) return res.status(403).json({ message: 'No token provided' });
 
   const token = authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : authHeader;
-  jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
+  jwt.verify(token, process.env.JWT_SECRET, async (err, decoded) => {
     if (err) {
       console.error('JWT Verify Error:', err);
       return res.status(401).json({ message: 'Unauthorized' });
     }
+    // Tokens signed for other purposes, such as calendar links, are not logins. Every login token names its
+    // company, session, user type and role; anything else has to sign in again.
+    if (decoded.purpose || !decoded.companyId || !decoded.sid || !decoded.type || !decoded.role) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+    try {
+      if (!(await db.auth.findActiveSession(decoded.sid))) return res.status(401).json({ message: 'Session has ended' });
+    } catch (error) {
+      return next(error);
+    }
     req.userId = decoded.id;
-    req.userType = decoded.username ? 'admin' : 'employee';
+    req.companyId = decoded.companyId;
+    req.sessionId = decoded.sid;
+    req.userType = decoded.type;
+    req.userRole = decoded.role;
     next();
   });
 };
-// Employee login
-app.post('/employee/api/login', async (req, res) => {
-  const { email, password } = req.body;
 
-  // Check for missing fields
-  if (!email && !password) {
-    return res.status(400).json({ message: 'Email and password are required' });
+// Roles and the permissions each one grants. Role assignments live in the
+// `role` column of the admins and employees tables and are copied into the JWT at login.
+const ROLE_PERMISSIONS = {
+  super_admin: ['*'],
+  hr: [
+    'employees:read', 'employees:read_sensitive', 'employees:write', 'employees:delete',
+    'salary:read', 'salary:write',
+    'attendance:read', 'attendance:write',
+    'holidays:write', 'settings:manage',
+    'offers:send',
+    'payroll:read', 'payroll:run',
+    'leaves:manage', 'leaves:approve',
+    'templates:manage', 'letters:issue', 'exits:manage',
+    'org:manage',
+    'documents:verify',
+    'audit:read',
+    'inquiries:manage',
+  ],
+  manager: ['employees:read', 'salary:read', 'attendance:read', 'attendance:write', 'leaves:approve'],
+  employee: [],
+};
+
+// Roles that may be assigned to each kind of account
+const ASSIGNABLE_ROLES = {
+  admin: ['super_admin', 'hr', 'manager'],
+  employee: ['hr', 'manager', 'employee'],
+};
+
+const hasPermission = (role, permission) => {
+  const permissions = ROLE_PERMISSIONS[role] || [];
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+// Must run after verifyToken. Passes when the caller's role grants every listed permission.
+// The permissions are kept on the middleware for the API document.
+const authorize = (...permissions) => Object.assign((req, res, next) => {
+  if (!permissions.every((permission) => hasPermission(req.userRole, permission))) {
+    return res.status(403).json({ message: 'You do not have permission to perform this action' });
   }
-  if (!email) {
-    return res.status(400).json({ message: 'Email is required' });
+  next();
+}, { permissions });
+
+// Ids of everyone reporting to managerId, directly or further down the chain, from db.employees.listReportingLines()
+const collectReports = (lines, managerId) => {
+  const reports = new Set();
+  const pending = [Number(managerId)];
+  while (pending.length > 0) {
+    const current = pending.shift();
+    for (const line of lines) {
+      if (Number(line.manager_id) === current && !reports.has(Number(line.id))) {
+        reports.add(Number(line.id));
+        pending.push(Number(line.id));
+      }
+    }
   }
-  if (!password) {
-    return res.status(400).json({ message: 'Password is required' });
+  return reports;
+};
+
+// Employees signed in with the manager role only reach their own team (direct and indirect reports).
+// Returns the set of their employee ids, or null for callers who are not limited to a team.
+const getTeamScope = async (req) => {
+  if (req.userRole !== 'manager' || req.userType !== 'employee') return null;
+  return collectReports(await db.employees.listReportingLines(req.companyId), req.userId);
+};
+
+const inTeam = (team, employeeId) => team === null || team.has(Number(employeeId));
+
+// Check the caller may reach an employee: one of their own company's, and one of their team when they are a
+// manager. Returns { employee } or { status, error }.
+async function checkEmployeeAccess(req, employeeId) {
+  const employee = await db.employees.findById(employeeId, req.companyId);
+  if (!employee) return { status: 404, error: 'Employee not found' };
+  if (!inTeam(await getTeamScope(req), employee.id)) return { status: 403, error: 'This employee is not in your team' };
+  return { employee };
+}
+
+// Record a change in the audit log. Pass a transaction's repositories as `repos` so the entry
+// commits together with the change; unauthenticated callers are logged as actor type "public" and
+// pass the company the change belongs to.
+const recordAudit = (repos, req, { companyId = req.companyId, action, entity, entityId = null, employeeId = null, before = null, after = null }) =>
+  repos.audit.record({
+    companyId: companyId ?? null,
+    actorId: req.userId ?? null,
+    actorType: req.userType || 'public',
+    action,
+    entity,
+    entityId: entityId === null ? null : String(entityId),
+    employeeId: employeeId === null ? null : Number(employeeId),
+    changes: diffChanges(before, after),
+    ip: req.ip,
+  });
+
+// Stands in for the request when a background job records an audit entry
+const SYSTEM_ACTOR = { userId: null, userType: 'system', ip: null };
+
+// Aadhar and PAN documents kept in the vault. Each kind has an upload field and an optional ID number.
+const KYC_DOCUMENT_KINDS = {
+  aadhar: { label: 'Aadhar', field: 'aadharPhoto', numberField: 'aadhar_number', pattern: /^\d{12}$/ },
+  pan: { label: 'PAN', field: 'panPhoto', numberField: 'pan_number', pattern: /^[A-Z]{5}\d{4}[A-Z]$/ },
+};
+
+// Check one uploaded KYC file by its content, and the ID number that goes with it
+function validateKycFile(kind, file, rawNumber) {
+  const { label, pattern } = KYC_DOCUMENT_KINDS[kind];
+  const idNumber = rawNumber ? String(rawNumber).replace(/\s/g, '').toUpperCase() : null;
+  if (idNumber && !pattern.test(idNumber)) return { error: `${label} number is invalid` };
+  const type = detectFileType(file.buffer);
+  if (!type) return { error: `${label} photo must be a JPEG, PNG or PDF file` };
+  return { document: { kind, file, type, idNumber } };
+}
+
+// Validate every KYC file in an employee create/update request
+function collectKycUploads(req) {
+  const documents = [];
+  for (const [kind, { label, field, numberField }] of Object.entries(KYC_DOCUMENT_KINDS)) {
+    const file = req.files?.[field]?.[0];
+    if (!file) {
+      if (req.body[numberField]) return { error: `${label} number must be sent with the ${label} photo` };
+      continue;
+    }
+    const { document, error } = validateKycFile(kind, file, req.body[numberField]);
+    if (error) return { error };
+    documents.push(document);
   }
+  return { documents };
+}
 
+const discardStoredDocuments = (documents) =>
+  Promise.all(documents.map((document) => removeDocument(document.storage_key))).catch((error) =>
+    console.error('Failed to remove stored documents:', error)
+  );
+
+// Encrypt validated files into the vault. Returns the rows to save in the documents table.
+async function storeKycDocuments(documents) {
+  const stored = [];
   try {
-    const [rows] = await pool.query('SELECT * FROM employees WHERE email = ?', [email]);
-    if (rows.length === 0) {
-      return res.status(401).json({ message: 'Incorrect email or password' });
-    }
-    const employee = rows[0];
-    const isValid = await bcrypt.compare(password, employee.password);
-    if (!isValid) {
-      return res.status(401).json({ message: 'Incorrect email or password' });
+    for (const { kind, file, type, idNumber } of documents) {
+      const { storageKey, checksum, size } = await storeDocument(file.buffer);
+      stored.push({
+        kind,
+        storage_key: storageKey,
+        original_name: file.originalname,
+        mime_type: type.mimeType,
+        size_bytes: size,
+        checksum,
+        id_number_encrypted: idNumber ? encryptText(idNumber) : null,
+        id_number_masked: idNumber ? maskIdNumber(idNumber) : null,
+      });
     }
-    const token = jwt.sign({ id: employee.id, email }, process.env.JWT_SECRET, { expiresIn: '1h' });
-    res.json({ token });
   } catch (error) {
-    console.error('Employee login error:', error);
-    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-      return res.status(503).json({ message: 'No internet connection or database unreachable' });
+    await discardStoredDocuments(stored);
+    throw error;
+  }
+  return stored;
+}
+
+// Who is touching a document, for the access log
+const getDocumentActor = (req) => ({
+  actorId: req.userId ?? null,
+  actorType: req.userType ?? null,
+  ip: req.ip,
+  userAgent: req.headers['user-agent'] || null,
+});
+
+// Save stored documents for an employee inside a transaction, replacing any earlier document of the
+// same kind. Returns the replaced documents, whose files should be removed once the transaction commits.
+async function saveKycDocuments(tx, employeeId, stored, req) {
+  const replaced = [];
+  for (const document of stored) {
+    for (const previous of await tx.documents.listByEmployeeAndKind(employeeId, document.kind, req.companyId)) {
+      await tx.documents.delete(previous.id);
+      await tx.documents.logAccess({ documentId: previous.id, employeeId, action: 'replace', ...getDocumentActor(req) });
+      await recordAudit(tx, req, { action: 'delete', entity: 'document', entityId: previous.id, employeeId, before: { kind: document.kind } });
+      replaced.push(previous);
     }
-    res.status(500).json({ message: 'Server error' });
+    const documentId = await tx.documents.create({
+      ...document,
+      company_id: req.companyId,
+      employee_id: employeeId,
+      uploaded_by: req.userId,
+      uploaded_by_type: req.userType,
+    });
+    await tx.documents.logAccess({ documentId, employeeId, action: 'upload', ...getDocumentActor(req) });
+    await recordAudit(tx, req, {
+      action: 'create',
+      entity: 'document',
+      entityId: documentId,
+      employeeId,
+      after: { kind: document.kind, mime_type: document.mime_type, checksum: document.checksum, id_number: document.id_number_masked },
+    });
+  }
+  return replaced;
+}
+
+// Access tokens are short-lived; refresh tokens renew them and rotate on every use. Each login starts a
+// session that both kinds of token belong to, so logging out or revoking the session ends them together.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Failed logins allowed per account and per IP within the lockout window before further attempts are refused
+const LOGIN_LIMITS = {
+  maxFailures: Number(process.env.LOGIN_MAX_FAILURES) || 5,
+  maxIpFailures: Number(process.env.LOGIN_MAX_IP_FAILURES) || 20,
+  windowMinutes: Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+};
+
+const PASSWORD_RESET_CODE_MINUTES = 10;
+const PASSWORD_RESET_MAX_ATTEMPTS = 5;
+const PASSWORD_MIN_LENGTH = 8;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Reset codes are only six digits, so they are keyed with the JWT secret rather than hashed plainly
+const hashResetCode = (code) => crypto.createHmac('sha256', process.env.JWT_SECRET).update(code).digest('hex');
+
+const getRefreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const getTokenClaims = (userType, user) =>
+  userType === 'admin'
+    ? { id: user.id, username: user.username, type: 'admin', role: user.role || 'super_admin', companyId: user.company_id }
+    : { id: user.id, email: user.email, type: 'employee', role: user.role || 'employee', companyId: user.company_id };
+
+// Sign an access token and store a fresh refresh token for a session
+async function issueTokens(repos, sessionId, claims) {
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+  await repos.auth.createRefreshToken(sessionId, hashToken(refreshToken));
+  const token = jwt.sign({ ...claims, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+  return { token, refreshToken, expiresIn: ACCESS_TOKEN_TTL };
+}
+
+async function startSession(req, userType, user) {
+  const sessionId = crypto.randomBytes(16).toString('hex');
+  return db.transaction(async (tx) => {
+    await tx.auth.createSession({
+      id: sessionId,
+      userId: user.id,
+      userType,
+      ip: req.ip,
+      userAgent: req.headers['user-agent']?.slice(0, 512) || null,
+      expiresAt: getRefreshExpiry(),
+    });
+    return issueTokens(tx, sessionId, getTokenClaims(userType, user));
+  });
+}
+
+// Key failed logins are counted under
+const getLoginAccount = (userType, identifier) => `${userType}:${String(identifier).trim().toLowerCase()}`;
+
+const sendLockout = (res, minutes) => {
+  res.set('Retry-After', String(minutes * 60));
+  return res.status(429).json({ message: `Too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.` });
+};
+
+const NEW_PASSWORD_FIELD = field.string({ required: true, min: PASSWORD_MIN_LENGTH, max: 128 });
+
+// Hash and save a new password, revoking the user's sessions (except `keepSessionId`) in the same transaction
+async function savePassword(req, userType, user, password, { keepSessionId = null, reason }) {
+  const hashedPassword = await bcrypt.hash(password, 10);
+  await db.transaction(async (tx) => {
+    await (userType === 'admin' ? tx.admins : tx.employees).updatePassword(user.id, hashedPassword);
+    await tx.auth.revokeUserSessions(userType, user.id, reason, keepSessionId);
+    await tx.auth.usePasswordResets(userType, user.id);
+    await recordAudit(tx, req, {
+      companyId: user.company_id,
+      action: 'update',
+      entity: userType,
+      entityId: user.id,
+      employeeId: userType === 'employee' ? user.id : null,
+      before: { password: user.password },
+      after: { password: hashedPassword },
+    });
+  });
+}
+
+// Employee login
+app.post('/employee/api/login', validate({
+  summary: 'Sign in as an employee',
+  body: { email: field.email({ required: true }), password: field.string({ required: true }) },
+}), async (req, res) => {
+  const { email, password } = req.body;
+  const account = getLoginAccount('employee', email);
+  const ip = req.ip;
+  const lockedFor = await getLockoutMinutes(db.auth, account, ip, LOGIN_LIMITS);
+  if (lockedFor) return sendLockout(res, lockedFor);
+
+  const employee = await db.employees.findByEmail(email);
+  if (!employee) {
+    await recordLoginFailure(db.auth, account, ip);
+    return res.status(401).json({ message: 'Incorrect email or password' });
   }
+  const isValid = await bcrypt.compare(password, employee.password);
+  if (!isValid) {
+    await recordLoginFailure(db.auth, account, ip);
+    return res.status(401).json({ message: 'Incorrect email or password' });
+  }
+  await db.auth.clearLoginFailures(account);
+  if (employee.status === 'exited') return res.status(403).json({ message: 'This account is no longer active' });
+  res.json(await startSession(req, 'employee', employee));
 });
 
+const ID_PARAMS = { id: field.id() };
+const EMPLOYEE_ID_PARAMS = { employeeId: field.id() };
+
+// Fields of an employee record, sent as multipart form data with the KYC photos
+const EMPLOYEE_FIELDS = {
+  name: field.string({ required: true, max: 255 }),
+  email: field.email({ required: true }),
+  phone: field.phone({ required: true }),
+  address: field.string({ required: true, max: 1000 }),
+  city: field.string({ required: true, max: 100 }),
+  country: field.string({ required: true, max: 100 }),
+  state: field.string({ required: true, max: 100 }),
+  dob: field.date({ required: true, description: 'Date of birth' }),
+  salary_amount: field.number({ min: 0 }),
+};
+const KYC_FIELDS = {
+  aadharPhoto: field.file({ description: 'JPEG, PNG or PDF' }),
+  aadhar_number: field.string({ description: '12 digits. Only accepted with aadharPhoto.' }),
+  panPhoto: field.file({ description: 'JPEG, PNG or PDF' }),
+  pan_number: field.string({ description: 'For example ABCDE1234F. Only accepted with panPhoto.' }),
+};
+
 // Employee creation
-app.post('/api/employees', verifyToken, upload.fields([
-  { name: 'aadharPhoto', maxCount: 1 },
-  { name: 'panPhoto', maxCount: 1 },
-]), async (req, res) => {
-  const { name, email, phone, address, city, country, state, dob, password, salary_amount } = req.body;
-  const aadharPhoto = req.files?.aadharPhoto?.[0];
-  const panPhoto = req.files?.panPhoto?.[0];
-
-  // Check for missing required fields
-  const missingFields = [];
-  if (!name) missingFields.push('name');
-  if (!email) missingFields.push('email');
-  if (!phone) missingFields.push('phone');
-  if (!address) missingFields.push('address');
-  if (!city) missingFields.push('city');
-  if (!country) missingFields.push('country');
-  if (!state) missingFields.push('state');
-  if (!dob) missingFields.push('date of birth');
-  if (!password) missingFields.push('password');
-  if (!aadharPhoto) missingFields.push('Aadhar photo');
-
-  if (missingFields.length > 0) {
-    return res.status(400).json({ message: `Missing required fields: ${missingFields.join(', ')}` });
-  }
+app.post('/api/employees', verifyToken, authorize('employees:write'), kycUpload, validate({
+  summary: 'Add an employee',
+  description: 'New records start as candidates (an offer is to follow) or as active staff.',
+  body: {
+    ...EMPLOYEE_FIELDS,
+    password: NEW_PASSWORD_FIELD,
+    status: field.enum(['candidate', 'active'], { default: 'active' }),
+    ...KYC_FIELDS,
+    aadharPhoto: field.file({ required: true, description: 'JPEG, PNG or PDF' }),
+  },
+}), async (req, res) => {
+  const { name, email, phone, address, city, country, state, dob, password, salary_amount, status = 'active' } = req.body;
+
+  const kyc = collectKycUploads(req);
+  if (kyc.error) return res.status(400).json({ message: kyc.error });
 
+  let stored = [];
   try {
     // Check if employee already exists by email
-    const [existing] = await pool.query('SELECT id FROM employees WHERE email = ?', [email]);
-    if (existing.length > 0) {
+    if (await db.employees.emailExists(email)) {
       return res.status(409).json({ message: 'User already exists with this email' });
     }
 
     const hashedPassword = await bcrypt.hash(password, 10);
-    const [result] = await pool.query(
-      `INSERT INTO employees (name, email, phone, address, city, country, state, dob, aadhar_photo, pan_photo, password, salary_amount)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [name, email, phone, address, city, country, state, dob, aadharPhoto ? aadharPhoto.filename : null, panPhoto ? panPhoto.filename : null, hashedPassword, salary_amount || null]
-    );
-    res.json({ message: 'Employee added successfully', id: result.insertId, password });
+    stored = await storeKycDocuments(kyc.documents);
+    const id = await db.transaction(async (tx) => {
+      const employeeId = await tx.employees.create({
+        company_id: req.companyId,
+        name, email, phone, address, city, country, state, dob,
+        password: hashedPassword,
+        salary_amount: salary_amount || null,
+        status,
+      });
+      await recordAudit(tx, req, {
+        action: 'create',
+        entity: 'employee',
+        entityId: employeeId,
+        employeeId,
+        after: { name, email, phone, address, city, country, state, dob, salary_amount: salary_amount || null, status },
+      });
+      await saveKycDocuments(tx, employeeId, stored, req);
+      await queueEmployeeEvent(tx, 'employee.created', employeeId, req.companyId);
+      return employeeId;
+    });
+    wakeWebhookWorker();
+    res.json({ message: 'Employee added successfully', id });
   } catch (error) {
-    console.error('Error adding employee:', error);
-    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-      return res.status(503).json({ message: 'No internet connection or database unreachable' });
-    }
-    res.status(500).json({ message: 'Failed to add employee' });
+    await discardStoredDocuments(stored);
+    throw error;
   }
 });
 
 // Admin login
-app.post('/api/login', async (req, res) => {
+app.post('/api/login', validate({
+  summary: 'Sign in as an admin',
+  body: { username: field.string({ required: true }), password: field.string({ required: true }) },
+}), async (req, res) => {
   const { username, password } = req.body;
+  const account = getLoginAccount('admin', username);
+  const ip = req.ip;
+  const lockedFor = await getLockoutMinutes(db.auth, account, ip, LOGIN_LIMITS);
+  if (lockedFor) return sendLockout(res, lockedFor);
 
-  // Check for missing fields
-  if (!username && !password) {
-    return res.status(400).json({ message: 'Username and password are required' });
+  const admin = await db.admins.findByUsername(username);
+  if (!admin) {
+    await recordLoginFailure(db.auth, account, ip);
+    return res.status(401).json({ message: 'Incorrect username or password' });
   }
-  if (!username) {
-    return res.status(400).json({ message: 'Username is required' });
+  const isValidPassword = await bcrypt.compare(password, admin.password);
+  if (!isValidPassword) {
+    await recordLoginFailure(db.auth, account, ip);
+    return res.status(401).json({ message: 'Incorrect username or password' });
   }
-  if (!password) {
-    return res.status(400).json({ message: 'Password is required' });
+  await db.auth.clearLoginFailures(account);
+  res.json(await startSession(req, 'admin', admin));
+});
+
+// Email a one-time password reset code. Callers answer the same way whether or not the account exists.
+async function sendPasswordResetCode(userType, user) {
+  if (!user?.email) return;
+  // At most one code a minute per account
+  const pending = await db.auth.findPendingPasswordReset(userType, user.id);
+  if (pending && Date.now() - new Date(pending.created_at).getTime() < 60 * 1000) return;
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  await db.auth.createPasswordReset({
+    userId: user.id,
+    userType,
+    codeHash: hashResetCode(code),
+    expiresAt: new Date(Date.now() + PASSWORD_RESET_CODE_MINUTES * 60 * 1000),
+  });
+  const { company } = await getCompanyProfile(user.company_id);
+  await queueEmail(db, 'password_reset', {
+    to: user.email,
+    subject: `Your ${company.name} password reset code`,
+    text: `Your password reset code is ${code}. It expires in ${PASSWORD_RESET_CODE_MINUTES} minutes.\n\nIf you did not ask to reset your password, you can ignore this email.`,
+    html: `<p>Your password reset code is <strong>${code}</strong>. It expires in ${PASSWORD_RESET_CODE_MINUTES} minutes.</p>
+      <p>If you did not ask to reset your password, you can ignore this email.</p>`,
+  }, { companyId: user.company_id });
+}
+
+// Check a reset code and set the new password. Too many wrong codes use up the code.
+async function resetPassword(req, res, { userType, user, account, code, password }) {
+  const reset = user ? await db.auth.findPendingPasswordReset(userType, user.id) : null;
+  if (!reset || reset.attempts >= PASSWORD_RESET_MAX_ATTEMPTS) return res.status(400).json({ message: 'Invalid or expired reset code' });
+  if (!crypto.timingSafeEqual(Buffer.from(reset.code_hash), Buffer.from(hashResetCode(String(code))))) {
+    await db.auth.countPasswordResetAttempt(reset.id);
+    return res.status(400).json({ message: 'Invalid or expired reset code' });
   }
 
-  try {
-    const [rows] = await pool.query('SELECT * FROM admins WHERE username = ?', [username]);
-    if (rows.length === 0) {
-      return res.status(401).json({ message: 'Incorrect username or password' });
-    }
-    const admin = rows[0];
-    const isValidPassword = await bcrypt.compare(password, admin.password);
-    if (!isValidPassword) {
-      return res.status(401).json({ message: 'Incorrect username or password' });
-    }
-    const token = jwt.sign({ id: admin.id, username: admin.username }, process.env.JWT_SECRET, { expiresIn: '1h' });
-    res.json({ token });
-  } catch (error) {
-    console.error('Login error:', error);
-    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-      return res.status(503).json({ message: 'No internet connection or database unreachable' });
-    }
-    res.status(500).json({ message: 'Server error' });
+  await savePassword(req, userType, user, password, { reason: 'password_reset' });
+  await db.auth.clearLoginFailures(account);
+  res.json({ message: 'Password reset successfully. Please log in with your new password.' });
+}
+
+const PASSWORD_RESET_SENT = 'If the account exists and has an email address, a reset code has been sent to it';
+
+// Employee forgot password: email a reset code
+app.post('/employee/api/password/forgot', validate({
+  summary: 'Email an employee a password reset code',
+  body: { email: field.email({ required: true }) },
+}), async (req, res) => {
+  const { email } = req.body;
+  const employee = await db.employees.findByEmail(email);
+  await sendPasswordResetCode('employee', employee?.status === 'exited' ? null : employee);
+  res.json({ message: PASSWORD_RESET_SENT });
+});
+
+// Employee password reset with an emailed code
+app.post('/employee/api/password/reset', validate({
+  summary: 'Reset an employee password with an emailed code',
+  body: { email: field.email({ required: true }), code: field.string({ required: true }), new_password: NEW_PASSWORD_FIELD },
+}), async (req, res) => {
+  const { email, code, new_password } = req.body;
+  const employee = await db.employees.findByEmail(email);
+  await resetPassword(req, res, {
+    userType: 'employee', user: employee?.status === 'exited' ? null : employee, account: getLoginAccount('employee', email), code, password: new_password,
+  });
+});
+
+// Admin forgot password: email a reset code to the admin's email address, if one is set
+app.post('/api/password/forgot', validate({
+  summary: 'Email an admin a password reset code',
+  body: { username: field.string({ required: true }) },
+}), async (req, res) => {
+  const { username } = req.body;
+  await sendPasswordResetCode('admin', await db.admins.findByUsername(username));
+  res.json({ message: PASSWORD_RESET_SENT });
+});
+
+// Admin password reset with an emailed code
+app.post('/api/password/reset', validate({
+  summary: 'Reset an admin password with an emailed code',
+  body: { username: field.string({ required: true }), code: field.string({ required: true }), new_password: NEW_PASSWORD_FIELD },
+}), async (req, res) => {
+  const { username, code, new_password } = req.body;
+  const admin = await db.admins.findByUsername(username);
+  await resetPassword(req, res, {
+    userType: 'admin', user: admin, account: getLoginAccount('admin', username), code, password: new_password,
+  });
+});
+
+// Exchange a refresh token for a new access token and refresh token. A refresh token works once;
+// presenting one that was already used revokes its whole session, since it has probably been stolen.
+app.post('/api/auth/refresh', validate({
+  summary: 'Exchange a refresh token for new tokens',
+  body: { refreshToken: field.string({ required: true }) },
+}), async (req, res) => {
+  const { refreshToken } = req.body;
+  const stored = await db.auth.findRefreshToken(hashToken(String(refreshToken)));
+  if (!stored) return res.status(401).json({ message: 'Invalid refresh token' });
+
+  const session = await db.auth.findActiveSession(stored.session_id);
+  if (!session) return res.status(401).json({ message: 'Session has ended' });
+  if (stored.used_at) {
+    await db.auth.revokeSession(session.id, 'refresh_token_reuse');
+    return res.status(401).json({ message: 'Session has ended' });
+  }
+
+  const user = session.user_type === 'admin' ? await db.admins.findById(session.user_id) : await db.employees.findAccount(session.user_id);
+  if (!user) {
+    await db.auth.revokeSession(session.id, 'user_deleted');
+    return res.status(401).json({ message: 'Session has ended' });
+  }
+
+  const tokens = await db.transaction(async (tx) => {
+    const { affectedRows } = await tx.auth.useRefreshToken(stored.id);
+    if (affectedRows === 0) return null;
+    await tx.auth.extendSession(session.id, getRefreshExpiry());
+    return issueTokens(tx, session.id, getTokenClaims(session.user_type, user));
+  });
+  if (!tokens) {
+    // Lost a race with another request presenting the same token
+    await db.auth.revokeSession(session.id, 'refresh_token_reuse');
+    return res.status(401).json({ message: 'Session has ended' });
+  }
+  res.json(tokens);
+});
+
+// Log out: end the current session
+app.post('/api/auth/logout', verifyToken, validate({ summary: 'End the current session' }), async (req, res) => {
+  await db.auth.revokeSession(req.sessionId, 'logout');
+  res.json({ message: 'Logged out successfully' });
+});
+
+// Log out everywhere: end every session of the current user
+app.post('/api/auth/logout-all', verifyToken, validate({ summary: 'End every session of the current user' }), async (req, res) => {
+  const { affectedRows } = await db.auth.revokeUserSessions(req.userType, req.userId, 'logout_all');
+  res.json({ message: 'Logged out of all sessions', sessionsEnded: affectedRows });
+});
+
+// The current user's active sessions
+app.get('/api/auth/sessions', verifyToken, validate({ summary: "The current user's active sessions" }), async (req, res) => {
+  const sessions = await db.auth.listActiveSessions(req.userType, req.userId);
+  res.json(sessions.map((session) => ({ ...session, current: session.id === req.sessionId })));
+});
+
+// Change the current user's password. Other sessions are logged out; this one stays signed in.
+app.post('/api/auth/change-password', verifyToken, validate({
+  summary: "Change the current user's password",
+  body: { current_password: field.string({ required: true }), new_password: NEW_PASSWORD_FIELD },
+}), async (req, res) => {
+  const { current_password, new_password } = req.body;
+
+  const user = req.userType === 'admin' ? await db.admins.findById(req.userId) : await db.employees.findById(req.userId, req.companyId);
+  if (!user) return res.status(404).json({ message: 'Account not found' });
+  if (!(await bcrypt.compare(current_password, user.password))) return res.status(401).json({ message: 'Current password is incorrect' });
+  if (await bcrypt.compare(new_password, user.password)) {
+    return res.status(400).json({ message: 'New password must be different from the current password' });
+  }
+
+  await savePassword(req, req.userType, user, new_password, { keepSessionId: req.sessionId, reason: 'password_change' });
+  res.json({ message: 'Password changed successfully' });
+});
+
+// Revoke every session of an admin or employee, e.g. for a lost device. Employees need employees:write;
+// admins need roles:manage.
+app.post('/api/auth/sessions/:userType/:id/revoke', verifyToken, validate({
+  summary: 'End every session of an admin or employee',
+  description: 'Employees need employees:write; admins need roles:manage.',
+  params: { userType: field.enum(['admin', 'employee']), id: field.id() },
+}), async (req, res) => {
+  const { userType, id } = req.params;
+  if (!hasPermission(req.userRole, userType === 'admin' ? 'roles:manage' : 'employees:write')) {
+    return res.status(403).json({ message: 'You do not have permission to perform this action' });
   }
+
+  const user = userType === 'admin' ? await db.admins.findRole(id, req.companyId) : await db.employees.findRole(id, req.companyId);
+  if (!user) return res.status(404).json({ message: `${userType === 'admin' ? 'Admin' : 'Employee'} not found` });
+  const sessionsEnded = await db.transaction(async (tx) => {
+    const { affectedRows } = await tx.auth.revokeUserSessions(userType, id, 'revoked');
+    await recordAudit(tx, req, {
+      action: 'revoke', entity: 'session', entityId: `${userType}:${id}`, employeeId: userType === 'employee' ? id : null,
+      after: { sessions_ended: affectedRows },
+    });
+    return affectedRows;
+  });
+  res.json({ message: 'Sessions revoked', sessionsEnded });
 });
 
 // Salary status
-app.get('/api/salary/status/:employeeId', verifyToken, async (req, res) => {
+app.get('/api/salary/status/:employeeId', verifyToken, authorize('salary:read'), validate({
+  summary: "Whether an employee's salary for a month is paid",
+  params: EMPLOYEE_ID_PARAMS,
+  query: { month: field.month({ required: true }) },
+}), async (req, res) => {
   const { employeeId } = req.params;
   const { month } = req.query;
-  if (!month) return res.status(400).json({ message: 'Month is required' });
 
-  try {
-    const [rows] = await pool.query('SELECT paid FROM salary WHERE employee_id = ? AND month = ?', [employeeId, month]);
-    res.json({ isPaid: rows.length > 0 ? rows[0].paid : false });
-  } catch (error) {
-    console.error('Error fetching salary status:', error);
-    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-      return res.status(503).json({ message: 'No internet connection or database unreachable' });
-    }
-    res.status(500).json({ message: 'Failed to fetch salary status' });
-  }
+  const access = await checkEmployeeAccess(req, employeeId);
+  if (access.error) return res.status(access.status).json({ message: access.error });
+  res.json({ isPaid: await db.salary.isPaid(employeeId, month) });
 });
 
 // Employee Profile
-app.get('/employee/api/profile', verifyToken, async (req, res) => {
+app.get('/employee/api/profile', verifyToken, validate({ summary: "The signed-in employee's profile" }), async (req, res) => {
   if (req.userType !== 'employee') return res.status(403).json({ message: 'Unauthorized' });
-  try {
-    const [rows] = await pool.query('SELECT id, name, email, phone, address, city, state, country, dob, salary_amount FROM employees WHERE id = ?', [req.userId]);
-    if (rows.length === 0) return res.status(404).json({ message: 'Employee not found' });
-    res.json({ employee: rows[0] });
-  } catch (error) {
-    console.error('Profile fetch error:', error);
-    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-      return res.status(503).json({ message: 'No internet connection or database unreachable' });
-    }
-    res.status(500).json({ message: 'Server error' });
-  }
+  const employee = await db.employees.findProfile(req.userId);
+  if (!employee) return res.status(404).json({ message: 'Employee not found' });
+  res.json({ employee });
 });
 
 // Employee Attendance History
-app.get('/employee/api/attendance/history/:employeeId', verifyToken, async (req, res) => {
+app.get('/employee/api/attendance/history/:employeeId', verifyToken, validate({
+  summary: "An employee's attendance history",
+  description: 'Employees may read their own; anyone else needs attendance:read.',
+  params: EMPLOYEE_ID_PARAMS,
+}), async (req, res) => {
   const { employeeId } = req.params;
-  if (parseInt(employeeId) !== req.userId && req.userType !== 'admin') {
+  const isSelf = req.userType === 'employee' && parseInt(employeeId) === req.userId;
+  if (!isSelf && !hasPermission(req.userRole, 'attendance:read')) {
     return res.status(403).json({ message: 'Unauthorized' });
   }
-  try {
-    const [rows] = await pool.query('SELECT date, present FROM attendance WHERE employee_id = ? ORDER BY date DESC', [employeeId]);
-    res.json(rows);
-  } catch (error) {
-    console.error('Attendance history error:', error);
-    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-      return res.status(503).json({ message: 'No internet connection or database unreachable' });
-    }
-    res.status(500).json({ message: 'Server error' });
+  if (!isSelf && (await checkEmployeeAccess(req, employeeId)).error) return res.status(403).json({ message: 'Unauthorized' });
+  res.json(await db.attendance.history(employeeId));
+});
+
+// A company's saved work schedule, falling back to the defaults for anything never configured
+async function getWorkSchedule(companyId) {
+  return updateSchedule(await db.settings.get('work_schedule', companyId), {}).schedule;
+}
+
+const HOLIDAY_TYPES = ['national', 'festival', 'optional'];
+
+// Optional holidays are not days off on their own, and a state's holiday is only a day off for employees in that state
+const isHolidayFor = (holiday, state) =>
+  holiday.type !== 'optional' && (!holiday.state || toStateKey(holiday.state) === toStateKey(state));
+
+// Days off between two dates: the schedule's weekly offs, plus holidaysFor(state) for the company's holidays
+// that apply to an employee in that state
+async function getDaysOff(start, end, companyId) {
+  const [holidays, schedule] = await Promise.all([db.holidays.listBetween(start, end, companyId), getWorkSchedule(companyId)]);
+  const weeklyOffs = new Set(listDates(start, end).filter((date) => !schedule.working_days.includes(new Date(`${date}T00:00:00Z`).getUTCDay())));
+  const holidaysFor = (state) => new Set(holidays.filter((holiday) => isHolidayFor(holiday, state)).map((holiday) => toDateKey(holiday.date)));
+  return { weeklyOffs, holidaysFor, isDayOff: (date, state) => weeklyOffs.has(date) || holidaysFor(state).has(date) };
+}
+
+const MISSED_CHECK_OUT_POLL_MINUTES = Number(process.env.MISSED_CHECK_OUT_POLL_MINUTES) || 60;
+
+// Check-ins still open after their day ended are flagged as missed check-outs: no hours, not present and
+// status needs_review until HR marks the day. Payroll and the reports leave such days out, like unmarked ones.
+async function flagMissedCheckOuts(companyId) {
+  const schedule = await getWorkSchedule(companyId);
+  const { date: today } = getLocalTime(new Date(), schedule.timezone);
+  for (const row of await db.attendance.listOpenBefore(today, companyId)) {
+    const date = toDateKey(row.date);
+    await db.transaction(async (tx) => {
+      const before = await tx.attendance.find(row.employee_id, date);
+      if (!(await tx.attendance.flagMissedCheckOut(row.employee_id, date))) return;
+      await recordAudit(tx, SYSTEM_ACTOR, {
+        companyId,
+        action: 'update',
+        entity: 'attendance',
+        entityId: `${row.employee_id}:${date}`,
+        employeeId: row.employee_id,
+        before,
+        after: { ...before, present: false, status: 'needs_review', worked_minutes: null, early_exit_minutes: null, missed_check_out: true },
+      });
+    });
   }
+}
+
+// Flag missed check-outs for every company now and then every MISSED_CHECK_OUT_POLL_MINUTES
+const startMissedCheckOutJob = () => {
+  const run = async () => {
+    try {
+      for (const { id } of await db.companies.listIds()) await flagMissedCheckOuts(id);
+    } catch (error) {
+      console.error('Failed to flag missed check-outs:', error);
+    }
+  };
+  setInterval(run, MISSED_CHECK_OUT_POLL_MINUTES * 60 * 1000);
+  run();
+};
+
+// Today's attendance for the logged-in employee, with the schedule it is judged against
+app.get('/employee/api/attendance/today', verifyToken, validate({ summary: "The signed-in employee's attendance today, with the work schedule" }), async (req, res) => {
+  if (req.userType !== 'employee') return res.status(403).json({ message: 'Unauthorized' });
+  const schedule = await getWorkSchedule(req.companyId);
+  const { date } = getLocalTime(new Date(), schedule.timezone);
+  res.json({ date, attendance: await db.attendance.find(req.userId, date), schedule });
+});
+
+// Employee Check-in. The day is the current date in the schedule's time zone; holidays and weekly offs are refused.
+app.post('/employee/api/attendance/check-in', verifyToken, validate({
+  summary: 'Check in for today',
+  description: 'Refused on holidays and weekly offs.',
+}), async (req, res) => {
+  if (req.userType !== 'employee') return res.status(403).json({ message: 'Unauthorized' });
+  const schedule = await getWorkSchedule(req.companyId);
+  const checkInAt = new Date();
+  const { date } = getLocalTime(checkInAt, schedule.timezone);
+  const employee = await db.employees.findProfile(req.userId);
+  const daysOff = await getDaysOff(date, date, req.companyId);
+  if (daysOff.holidaysFor(employee?.state).has(date)) return res.status(409).json({ message: 'Today is a holiday' });
+  if (daysOff.weeklyOffs.has(date)) return res.status(409).json({ message: 'Today is a weekly off' });
+
+  const before = await db.attendance.find(req.userId, date);
+  if (before?.status === 'on_leave') return res.status(409).json({ message: 'You are on leave today' });
+  if (before?.check_in_at) return res.status(409).json({ message: 'Already checked in today' });
+
+  const { late_minutes } = evaluateDay(schedule, checkInAt);
+  await db.transaction(async (tx) => {
+    await tx.attendance.checkIn(req.userId, date, { checkInAt, lateMinutes: late_minutes });
+    await recordAudit(tx, req, {
+      action: before ? 'update' : 'create',
+      entity: 'attendance',
+      entityId: `${req.userId}:${date}`,
+      employeeId: req.userId,
+      before,
+      after: { ...before, employee_id: req.userId, date, present: true, status: 'present', check_in_at: checkInAt, late_minutes },
+    });
+    await queueWebhookEvent(tx, 'attendance.marked', {
+      employee_id: req.userId, date, present: true, status: 'present', check_in_at: checkInAt, late_minutes, source: 'check_in',
+    }, { companyId: req.companyId });
+  });
+  wakeWebhookWorker();
+  res.json({ message: 'Checked in successfully', date, check_in_at: checkInAt, late: late_minutes > 0, late_minutes });
+});
+
+// Employee Check-out. Hours worked decide whether the day is present, a half day or absent.
+app.post('/employee/api/attendance/check-out', verifyToken, validate({ summary: 'Check out for today' }), async (req, res) => {
+  if (req.userType !== 'employee') return res.status(403).json({ message: 'Unauthorized' });
+  const schedule = await getWorkSchedule(req.companyId);
+  const checkOutAt = new Date();
+  const { date } = getLocalTime(checkOutAt, schedule.timezone);
+
+  const before = await db.attendance.find(req.userId, date);
+  if (!before?.check_in_at) return res.status(409).json({ message: 'You have not checked in today' });
+  if (before.check_out_at) return res.status(409).json({ message: 'Already checked out today' });
+
+  const day = evaluateDay(schedule, before.check_in_at, checkOutAt);
+  await db.transaction(async (tx) => {
+    await tx.attendance.checkOut(req.userId, date, {
+      checkOutAt, workedMinutes: day.worked_minutes, earlyExitMinutes: day.early_exit_minutes, status: day.status,
+    });
+    await recordAudit(tx, req, {
+      action: 'update',
+      entity: 'attendance',
+      entityId: `${req.userId}:${date}`,
+      employeeId: req.userId,
+      before,
+      after: {
+        ...before, present: day.status !== 'absent', status: day.status, check_out_at: checkOutAt,
+        worked_minutes: day.worked_minutes, early_exit_minutes: day.early_exit_minutes,
+      },
+    });
+  });
+  res.json({
+    message: 'Checked out successfully',
+    date,
+    check_in_at: before.check_in_at,
+    check_out_at: checkOutAt,
+    hours_worked: Math.round((day.worked_minutes / 60) * 100) / 100,
+    ...day,
+    early_exit: day.early_exit_minutes > 0,
+  });
 });
 
 // Employee Salary History
-app.get('/employee/api/salary/history/:employeeId', verifyToken, async (req, res) => {
+app.get('/employee/api/salary/history/:employeeId', verifyToken, validate({
+  summary: "An employee's salary history",
+  description: 'Employees may read their own; anyone else needs salary:read.',
+  params: EMPLOYEE_ID_PARAMS,
+}), async (req, res) => {
   const { employeeId } = req.params;
-  if (parseInt(employeeId) !== req.userId && req.userType !== 'admin') {
+  const isSelf = req.userType === 'employee' && parseInt(employeeId) === req.userId;
+  if (!isSelf && !hasPermission(req.userRole, 'salary:read')) {
     return res.status(403).json({ message: 'Unauthorized' });
   }
-  try {
-    const [rows] = await pool.query('SELECT month, paid FROM salary WHERE employee_id = ? ORDER BY month DESC', [employeeId]);
-    res.json(rows);
-  } catch (error) {
-    console.error('Salary history error:', error);
-    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-      return res.status(503).json({ message: 'No internet connection or database unreachable' });
-    }
-    res.status(500).json({ message: 'Server error' });
-  }
+  if (!isSelf && (await checkEmployeeAccess(req, employeeId)).error) return res.status(403).json({ message: 'Unauthorized' });
+  res.json(await db.salary.history(employeeId));
 });
 
 // Save salary
-app.post('/api/salary', verifyToken, async (req, res) => {
+app.post('/api/salary', verifyToken, authorize('salary:write'), validate({
+  summary: "Mark an employee's salary for a month as paid or unpaid",
+  body: { employee_id: field.id({ required: true }), month: field.month({ required: true }), paid: field.boolean({ required: true }) },
+}), async (req, res) => {
   const { employee_id, month, paid } = req.body;
-  if (!employee_id || !month || paid === undefined) {
-    return res.status(400).json({ message: 'Employee ID, month, and paid status are required' });
-  }
-  try {
-    await pool.query(
-      `INSERT INTO salary (employee_id, month, paid)
-       VALUES (?, ?, ?)
-       ON DUPLICATE KEY UPDATE paid = ?`,
-      [employee_id, month, paid, paid]
-    );
-    res.json({ message: 'Salary status updated successfully' });
-  } catch (error) {
-    console.error('Error saving salary:', error);
-    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-      return res.status(503).json({ message: 'No internet connection or database unreachable' });
+  if (!(await db.employees.findById(employee_id, req.companyId))) return res.status(404).json({ message: 'Employee not found' });
+  await db.transaction(async (tx) => {
+    const before = await tx.salary.find(employee_id, month);
+    await tx.salary.setPaid(employee_id, month, paid);
+    await recordAudit(tx, req, {
+      action: before ? 'update' : 'create',
+      entity: 'salary',
+      entityId: `${employee_id}:${month}`,
+      employeeId: employee_id,
+      before,
+      after: { employee_id, month, paid },
+    });
+    if (paid && !before?.paid) {
+      await queueWebhookEvent(tx, 'salary.paid', { employee_id: Number(employee_id), month, net_pay: null, source: 'manual' }, { companyId: req.companyId });
     }
-    res.status(500).json({ message: 'Failed to save salary' });
-  }
+  });
+  wakeWebhookWorker();
+  res.json({ message: 'Salary status updated successfully' });
 });
 
 // Admin Salary History
-app.get('/api/salary/history/:employeeId', verifyToken, async (req, res) => {
+app.get('/api/salary/history/:employeeId', verifyToken, authorize('salary:read'), validate({
+  summary: "An employee's salary history",
+  params: EMPLOYEE_ID_PARAMS,
+}), async (req, res) => {
   const { employeeId } = req.params;
-  try {
-    const [rows] = await pool.query('SELECT month, paid FROM salary WHERE employee_id = ? ORDER BY month DESC', [employeeId]);
-    res.json(rows);
-  } catch (error) {
-    console.error('Error fetching salary history:', error);
-    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-      return res.status(503).json({ message: 'No internet connection or database unreachable' });
-    }
-    res.status(500).json({ message: 'Failed to fetch salary history' });
-  }
+  const access = await checkEmployeeAccess(req, employeeId);
+  if (access.error) return res.status(access.status).json({ message: access.error });
+  res.json(await db.salary.history(employeeId));
 });
 
 // Send offer letter
-app.post('/api/employees/:id/send-offer-letter', verifyToken, async (req, res) => {
+app.post('/api/employees/:id/send-offer-letter', verifyToken, authorize('offers:send'), validate({
+  summary: 'Email an employee an offer letter to accept or decline',
+  params: ID_PARAMS,
+  body: {
+    doj: field.date({ required: true, description: 'Date of joining' }),
+    salary_amount: field.number({ min: 0, description: "Defaults to the employee's salary" }),
+    Role: field.string({ max: 255 }),
+    expires_at: field.date({ description: 'Last day the offer can be answered' }),
+  },
+}), async (req, res) => {
   const { id } = req.params;
-  const { doj, salary_amount, Role } = req.body;
+  const { doj, salary_amount, Role, expires_at } = req.body;
 
-  if (!doj) return res.status(400).json({ message: 'Date of Joining is required' });
-
-  if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
-    console.error('Missing email configuration: EMAIL_USER or EMAIL_PASS not set');
+  if (!MAIL_FROM) {
+    console.error('Missing email configuration: neither MAIL_FROM nor EMAIL_USER is set');
     return res.status(500).json({ message: 'Email configuration is missing' });
   }
 
   try {
     console.log(`Processing offer letter for employee ID: ${id}, doj: ${doj}, salary_amount: ${salary_amount}, Role: ${Role}`);
 
-    const uploadsDir = path.join(__dirname, 'uploads');
-    if (!fs.existsSync(uploadsDir)) {
-      console.log(`Creating uploads directory at: ${uploadsDir}`);
-      fs.mkdirSync(uploadsDir, { recursive: true });
-    }
+    console.log(`Fetching employee with ID: ${id}`);
+    const employee = await db.employees.findById(id, req.companyId);
+    if (!employee) return res.status(404).json({ message: 'Employee not found' });
+    console.log(`Employee found: ${employee.name}, ${employee.email}`);
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = expires_at || getDefaultOfferExpiry();
+    const template = await getActiveTemplate('offer_letter', req.companyId);
+    const context = buildTemplateContext(employee, await getCompanyProfile(req.companyId), {
+      doj,
+      salary_amount,
+      role: Role,
+      position: await getEmployeePosition(employee),
+      offer: { link: getOfferLink(token), expires_on: formatDisplayDate(expiresAt) },
+    });
+    const htmlContent = renderTemplate(template.body_html, context, { escape: true }).output;
+    const subject = renderTemplate(template.subject, context).output;
+    const text = renderTemplate(template.email_text, context).output;
+
+    // Keep a record of the offer before anything is sent, so failed sends stay visible as drafts
+    const offerId = await db.offers.create({
+      employee_id: id,
+      token,
+      role: context.role,
+      salary_amount: salary_amount || employee.salary_amount || null,
+      doj,
+      template_version: template.version,
+      html: htmlContent,
+      subject,
+      email_text: text,
+      expires_at: expiresAt,
+      created_by: req.userId,
+    });
+    await recordAudit(db, req, {
+      action: 'create',
+      entity: 'offer_letter',
+      entityId: offerId,
+      employeeId: id,
+      after: { status: 'draft', role: context.role, salary_amount: salary_amount || employee.salary_amount || null, doj, expires_at: expiresAt },
+    });
+
+    console.log('Generating PDF');
+    const pdf = await renderPdf(htmlContent);
+    console.log('PDF generated successfully');
+
+    // The email goes out from the outbox, so a mail server problem cannot undo the offer or the joining terms
+    console.log(`Queueing email to: ${employee.email}`);
+    console.log(`Updating employee with ID: ${id}, doj: ${doj}, salary_amount: ${salary_amount || employee.salary_amount}`);
+    const emailId = await db.transaction(async (tx) => {
+      const queuedId = await queueEmail(tx, 'offer_letter', {
+        to: employee.email,
+        subject,
+        text,
+        attachments: [{ filename: 'offer_letter.pdf', content: pdf }],
+      }, { companyId: req.companyId, createdBy: req.userId });
+      await tx.offers.markSent(offerId);
+      await recordAudit(tx, req, {
+        action: 'update', entity: 'offer_letter', entityId: offerId, employeeId: id, before: { status: 'draft' }, after: { status: 'sent' },
+      });
+      await tx.employees.updateJoiningTerms(id, doj, salary_amount || employee.salary_amount);
+      await recordAudit(tx, req, {
+        action: 'update',
+        entity: 'employee',
+        entityId: id,
+        employeeId: id,
+        before: employee,
+        after: { doj, salary_amount: salary_amount || employee.salary_amount },
+      });
+      if (employee.status === 'candidate') await setEmployeeStatus(tx, req, employee, 'offered');
+      else await queueEmployeeEvent(tx, 'employee.updated', id, req.companyId);
+      await queueWebhookEvent(tx, 'offer_letter.sent', {
+        offer_id: offerId, employee_id: employee.id, name: employee.name, email: employee.email,
+        role: context.role, doj, expires_at: expiresAt, resent: false,
+      }, { companyId: req.companyId });
+      return queuedId;
+    });
+    wakeEmailWorker();
+    wakeWebhookWorker();
+
+    res.json({ message: 'Offer letter sent successfully', offerId, emailId, expiresAt });
+  } catch (error) {
+    if (error.message?.includes('Could not find Chrome') || error.message?.includes('Failed to launch the browser process')) {
+      console.log('Puppeteer cache directory contents:', fs.existsSync('/opt/render/.cache/puppeteer') ? fs.readdirSync('/opt/render/.cache/puppeteer') : 'Not found');
+    }
+    throw error;
+  }
+});
+// Employee listing. Fields outside EMPLOYEE_SENSITIVE_FIELDS only need employees:read; `documents`
+// adds each employee's KYC document summaries.
+const EMPLOYEE_SENSITIVE_FIELDS = ['phone', 'address', 'dob', 'documents'];
+const EMPLOYEE_DEFAULT_FIELDS = ['id', 'name', 'email', 'salary_amount'];
+const EMPLOYEE_PAGE_LIMIT = 200;
+
+// Cursors carry the sort they were made for and the sort value and id of the last row returned
+const encodeEmployeeCursor = (sort, descending, row) =>
+  Buffer.from(JSON.stringify({ sort, descending, value: row.sort_value, id: row.id })).toString('base64url');
+
+function decodeEmployeeCursor(cursor, sort, descending) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (decoded.sort !== sort || decoded.descending !== descending || !Number.isInteger(decoded.id)) return null;
+    const { type } = EMPLOYEE_SORTS[sort];
+    const value = type === 'number' ? Number(decoded.value) : type === 'datetime' ? new Date(decoded.value) : String(decoded.value);
+    if ((type === 'number' && Number.isNaN(value)) || (type === 'datetime' && Number.isNaN(value.getTime()))) return null;
+    return { value, id: decoded.id };
+  } catch {
+    return null;
+  }
+}
+
+// Sort values as they go into a cursor: dates as YYYY-MM-DD, timestamps as ISO strings
+const toCursorValue = (type, value) => {
+  if (type === 'date') return toDateKey(value);
+  if (type === 'datetime') return new Date(value).toISOString();
+  return type === 'number' ? Number(value) : value;
+};
+
+// Lifecycle of an employee record. on_notice and exited are only reached through the exit process.
+const EMPLOYEE_STATUSES = ['candidate', 'offered', 'active', 'on_notice', 'exited'];
+const EMPLOYEE_STATUS_CHANGES = {
+  candidate: ['offered', 'active'],
+  offered: ['candidate', 'active'],
+  active: [],
+  on_notice: [],
+  // Rehiring someone who left
+  exited: ['candidate', 'active'],
+};
+// Listings leave out exited staff unless asked for them
+const CURRENT_EMPLOYEE_STATUSES = EMPLOYEE_STATUSES.filter((status) => status !== 'exited');
+
+// Change an employee's lifecycle status inside a transaction, recording the change and queueing employee.updated
+async function setEmployeeStatus(tx, req, employee, status) {
+  await tx.employees.updateStatus(employee.id, status);
+  await recordAudit(tx, req, {
+    companyId: employee.company_id,
+    action: 'update',
+    entity: 'employee',
+    entityId: employee.id,
+    employeeId: employee.id,
+    before: { status: employee.status },
+    after: { status },
+  });
+  await queueEmployeeEvent(tx, 'employee.updated', employee.id, employee.company_id);
+}
+
+// Query fields read by parseStatusFilter and parseEmployeeQuery
+const EMPLOYEE_STATUS_QUERY = {
+  status: field.string({ description: `Comma-separated statuses out of ${EMPLOYEE_STATUSES.join(', ')}` }),
+  include_exited: field.boolean({ description: 'List exited staff too. Ignored when status is given.' }),
+};
+const EMPLOYEE_LIST_QUERY = {
+  ...EMPLOYEE_STATUS_QUERY,
+  fields: field.string({ description: 'Comma-separated columns to return; phone, address, dob and documents need employees:read_sensitive' }),
+  search: field.string({ max: 255 }),
+  city: field.string({ max: 100 }),
+  state: field.string({ max: 100 }),
+  department_id: field.id(),
+  designation_id: field.id(),
+  manager_id: field.id(),
+  doj_from: field.date(),
+  doj_to: field.date(),
+  salary_min: field.number(),
+  salary_max: field.number(),
+  sort: field.string({ description: 'A column, prefixed with - for descending', example: '-doj' }),
+  limit: field.integer({ min: 1, description: `At most ${EMPLOYEE_PAGE_LIMIT}; defaults to 50` }),
+  page: field.integer({ min: 1 }),
+  cursor: field.string({ description: 'nextCursor from the previous page, instead of page' }),
+  archived: field.boolean({ description: 'List soft-deleted employees instead; needs employees:delete' }),
+};
+
+// Read status=a,b or include_exited=true into the statuses to list. Returns { statuses } or { error }.
+function parseStatusFilter(query) {
+  if (query.status) {
+    const statuses = String(query.status).split(',').map((status) => status.trim()).filter(Boolean);
+    const unknown = statuses.filter((status) => !EMPLOYEE_STATUSES.includes(status));
+    if (unknown.length > 0 || statuses.length === 0) return { error: `Status must be one of ${EMPLOYEE_STATUSES.join(', ')}` };
+    return { statuses };
+  }
+  return { statuses: query.include_exited === true ? undefined : CURRENT_EMPLOYEE_STATUSES };
+}
+
+// Read the listing query string: fields, search, status (or include_exited=true), city, state, department_id,
+// designation_id, manager_id, doj_from, doj_to, salary_min, salary_max, sort (a column, prefixed with - for descending), limit, page or cursor,
+// and archived=true to list soft-deleted employees instead.
+// Returns { options } for db.employees.list, or { status, error }.
+function parseEmployeeQuery(query, { canReadSensitive, canSeeArchived }) {
+  const fields = query.fields ? String(query.fields).split(',').map((field) => field.trim()).filter(Boolean) : EMPLOYEE_DEFAULT_FIELDS;
+  const unknown = fields.filter((field) => field !== 'documents' && !EMPLOYEE_LIST_COLUMNS.includes(field));
+  if (unknown.length > 0) return { status: 400, error: `Unknown fields: ${unknown.join(', ')}` };
+  const sensitive = fields.filter((field) => EMPLOYEE_SENSITIVE_FIELDS.includes(field));
+  if (sensitive.length > 0 && !canReadSensitive) {
+    return { status: 403, error: `You do not have permission to read ${sensitive.join(', ')}` };
+  }
+
+  const sortParam = String(query.sort || 'id');
+  const descending = sortParam.startsWith('-');
+  const sort = descending ? sortParam.slice(1) : sortParam;
+  if (!EMPLOYEE_SORTS[sort]) return { status: 400, error: `Sort must be one of ${Object.keys(EMPLOYEE_SORTS).join(', ')}` };
+
+  // EMPLOYEE_LIST_QUERY has checked the dates and numbers
+  const toNumber = (value) => (value === undefined || value === '' ? undefined : Number(value));
+  const limit = Math.min(EMPLOYEE_PAGE_LIMIT, Math.max(1, parseInt(query.limit, 10) || 50));
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const { statuses, error: statusError } = parseStatusFilter(query);
+  if (statusError) return { status: 400, error: statusError };
+  const archived = query.archived === true;
+  if (archived && !canSeeArchived) return { status: 403, error: 'You do not have permission to list archived employees' };
+
+  let after;
+  if (query.cursor) {
+    after = decodeEmployeeCursor(String(query.cursor), sort, descending);
+    if (!after) return { status: 400, error: 'Cursor is invalid or was made for a different sort' };
+  }
+
+  return {
+    options: {
+      fields: fields.filter((field) => field !== 'documents'),
+      withDocuments: fields.includes('documents'),
+      archived,
+      // Archived employees are listed whatever their status
+      statuses: archived && !query.status ? undefined : statuses,
+      search: query.search ? String(query.search).trim() : undefined,
+      // Phone numbers are only searched for callers allowed to see them
+      searchPhone: canReadSensitive,
+      city: query.city ? String(query.city).trim() : undefined,
+      state: query.state ? String(query.state).trim() : undefined,
+      departmentId: toNumber(query.department_id),
+      designationId: toNumber(query.designation_id),
+      managerId: toNumber(query.manager_id),
+      dojFrom: query.doj_from || undefined,
+      dojTo: query.doj_to || undefined,
+      salaryMin: toNumber(query.salary_min),
+      salaryMax: toNumber(query.salary_max),
+      sort,
+      descending,
+      after,
+      limit,
+      offset: after ? 0 : (page - 1) * limit,
+      page: after ? undefined : page,
+    },
+  };
+}
+
+// Run an employee listing, attaching document summaries when asked for. Also returns the cursor
+// for the next page when one exists.
+async function fetchEmployees({ withDocuments = false, page, ...options }) {
+  const { total, employees } = await db.employees.list(options);
+  let documents = [];
+  if (withDocuments) {
+    documents = options.limit
+      ? await db.documents.listSummariesFor(employees.map((employee) => employee.id), options.companyId)
+      : await db.documents.listSummaries(options.companyId);
+  }
+  const last = employees[employees.length - 1];
+  const hasMore = Boolean(options.limit) && employees.length === options.limit && (Boolean(options.after) || options.offset + employees.length < total);
+  return {
+    total,
+    nextCursor: hasMore
+      ? encodeEmployeeCursor(options.sort || 'id', Boolean(options.descending), {
+        id: last.id,
+        sort_value: toCursorValue(EMPLOYEE_SORTS[options.sort || 'id'].type, last.sort_value),
+      })
+      : null,
+    employees: employees.map(({ sort_value, ...employee }) => (
+      withDocuments
+        ? {
+          ...employee,
+          documents: documents.filter((document) => document.employee_id === employee.id).map(({ employee_id, ...document }) => document),
+        }
+        : employee
+    )),
+  };
+}
+
+// List employees with paging, search, filters, sorting and field selection (see parseEmployeeQuery)
+app.get('/api/employees/list', verifyToken, authorize('employees:read'), validate({
+  summary: 'List employees with paging, search, filters and sorting',
+  description: 'Managers only see their own team.',
+  query: EMPLOYEE_LIST_QUERY,
+}), async (req, res) => {
+  const { options, status, error: queryError } = parseEmployeeQuery(req.query, {
+    canReadSensitive: hasPermission(req.userRole, 'employees:read_sensitive'),
+    canSeeArchived: hasPermission(req.userRole, 'employees:delete'),
+  });
+  if (queryError) return res.status(status).json({ message: queryError });
+
+  // Managers only see their own team
+  const team = await getTeamScope(req);
+  const { total, nextCursor, employees } = await fetchEmployees({ ...options, companyId: req.companyId, employeeIds: team && [...team] });
+  res.json({
+    employees,
+    total,
+    limit: options.limit,
+    ...(options.page ? { page: options.page, pages: Math.ceil(total / options.limit) } : {}),
+    nextCursor,
+  });
+});
+
+// Fetch all employees (basic info). Kept for older clients; /api/employees/list pages and filters.
+// Exited staff are left out unless include_exited=true (or status=...) is given.
+app.get('/api/employees', verifyToken, authorize('employees:read'), validate({
+  summary: 'List every employee (name, email and salary)',
+  description: 'Kept for older clients; /api/employees/list pages and filters.',
+  query: EMPLOYEE_STATUS_QUERY,
+}), async (req, res) => {
+  const { statuses, error: statusError } = parseStatusFilter(req.query);
+  if (statusError) return res.status(400).json({ message: statusError });
+
+  const team = await getTeamScope(req);
+  const { employees } = await fetchEmployees({
+    fields: ['name', 'email', 'salary_amount'], companyId: req.companyId, statuses, employeeIds: team && [...team],
+  });
+  res.json(employees);
+});
+
+
+// Fetch all employees (full info)
+app.get('/api/employees/full', verifyToken, authorize('employees:read_sensitive'), validate({
+  summary: 'List every employee with contact details and KYC document summaries',
+  query: EMPLOYEE_STATUS_QUERY,
+}), async (req, res) => {
+  const { statuses, error: statusError } = parseStatusFilter(req.query);
+  if (statusError) return res.status(400).json({ message: statusError });
+
+  const { employees } = await fetchEmployees({
+    fields: ['name', 'email', 'phone', 'address', 'city', 'country', 'state', 'dob', 'salary_amount', 'status'],
+    withDocuments: true,
+    companyId: req.companyId,
+    statuses,
+  });
+  res.json(employees);
+});
+
+// Update employee data
+app.put('/api/employees/:id', verifyToken, authorize('employees:write'), kycUpload, validate({
+  summary: "Replace an employee's details",
+  description: 'KYC photos sent replace the stored ones.',
+  params: ID_PARAMS,
+  body: { ...EMPLOYEE_FIELDS, ...KYC_FIELDS },
+}), async (req, res) => {
+  const { id } = req.params;
+  const { name, email, phone, address, city, country, state, dob, salary_amount } = req.body;
+
+  const kyc = collectKycUploads(req);
+  if (kyc.error) return res.status(400).json({ message: kyc.error });
+
+  let stored = [];
+  try {
+    stored = await storeKycDocuments(kyc.documents);
+    // null when the employee does not exist
+    const replaced = await db.transaction(async (tx) => {
+      const before = await tx.employees.findById(id, req.companyId);
+      if (!before) return null;
+      const updateFields = {
+        name, email, phone, address, city, country, state, dob,
+        salary_amount: salary_amount || null,
+      };
+      await tx.employees.update(id, updateFields);
+      await recordAudit(tx, req, { action: 'update', entity: 'employee', entityId: id, employeeId: id, before, after: updateFields });
+      await queueEmployeeEvent(tx, 'employee.updated', id, req.companyId);
+      return saveKycDocuments(tx, id, stored, req);
+    });
+    if (!replaced) {
+      await discardStoredDocuments(stored);
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+
+    wakeWebhookWorker();
+    await discardStoredDocuments(replaced);
+    res.json({ message: 'Employee updated successfully' });
+  } catch (error) {
+    await discardStoredDocuments(stored);
+    throw error;
+  }
+});
+
+// Delete employee
+app.delete('/api/employees/:id', verifyToken, authorize('employees:delete'), validate({
+  summary: 'Archive an employee',
+  description: 'Attendance, salary and documents are kept; the employee can be restored.',
+  params: ID_PARAMS,
+}), async (req, res) => {
+  const { id } = req.params;
+
+  // The record is archived rather than removed, keeping attendance, salary and documents for the history
+  const deleted = await db.transaction(async (tx) => {
+    const before = await tx.employees.findById(id, req.companyId);
+    if (!before) return false;
+    await tx.employees.archive(id);
+    await tx.auth.revokeUserSessions('employee', id, 'user_deleted');
+    await recordAudit(tx, req, { action: 'delete', entity: 'employee', entityId: id, employeeId: id, before });
+    await queueEmployeeEvent(tx, 'employee.deleted', id, req.companyId);
+    return true;
+  });
+  if (!deleted) return res.status(404).json({ message: 'Employee not found' });
+  wakeWebhookWorker();
+
+  res.json({ message: 'Employee deleted successfully' });
+});
+
+// Bring back an archived employee
+app.post('/api/employees/:id/restore', verifyToken, authorize('employees:delete'), validate({
+  summary: 'Bring back an archived employee',
+  params: ID_PARAMS,
+}), async (req, res) => {
+  const { id } = req.params;
+
+  const restored = await db.transaction(async (tx) => {
+    const before = await tx.employees.findArchived(id, req.companyId);
+    if (!before) return false;
+    await tx.employees.restore(id);
+    await recordAudit(tx, req, {
+      action: 'update', entity: 'employee', entityId: id, employeeId: id, before: { deleted_at: before.deleted_at }, after: { deleted_at: null },
+    });
+    await queueEmployeeEvent(tx, 'employee.updated', id, req.companyId);
+    return true;
+  });
+  if (!restored) return res.status(404).json({ message: 'Archived employee not found' });
+  wakeWebhookWorker();
+  res.json({ message: 'Employee restored successfully' });
+});
+
+// Move an employee between candidate, offered and active, or rehire someone who has exited.
+// Notice and exit go through /api/employees/:id/exit.
+app.put('/api/employees/:id/status', verifyToken, authorize('employees:write'), validate({
+  summary: "Change an employee's lifecycle status",
+  description: 'Moves between candidate, offered and active, or rehires someone who has exited. Notice and exit go through /api/employees/{id}/exit.',
+  params: ID_PARAMS,
+  body: { status: field.enum(EMPLOYEE_STATUSES, { required: true }) },
+}), async (req, res) => {
+  const { id } = req.params;
+  const { status } = req.body;
+
+  const employee = await db.employees.findById(id, req.companyId);
+  if (!employee) return res.status(404).json({ message: 'Employee not found' });
+  if (employee.status === status) return res.json({ message: 'Status unchanged' });
+  if (!EMPLOYEE_STATUS_CHANGES[employee.status]?.includes(status)) {
+    const hint = status === 'on_notice' || status === 'exited' || employee.status === 'on_notice' ? '; use the exit process instead' : '';
+    return res.status(409).json({ message: `Cannot change status from ${employee.status} to ${status}${hint}` });
+  }
+
+  await db.transaction(async (tx) => setEmployeeStatus(tx, req, employee, status));
+  wakeWebhookWorker();
+  res.json({ message: 'Status updated successfully' });
+});
+
+// Fetch all employees data
+app.get('/api/employeesdata', verifyToken, authorize('employees:read'), validate({
+  summary: 'List every employee (name and email)',
+  query: EMPLOYEE_STATUS_QUERY,
+}), async (req, res) => {
+  const { statuses, error: statusError } = parseStatusFilter(req.query);
+  if (statusError) return res.status(400).json({ message: statusError });
+
+  const team = await getTeamScope(req);
+  res.json((await fetchEmployees({ fields: ['name', 'email'], companyId: req.companyId, statuses, employeeIds: team && [...team] })).employees);
+});
+
+// Mark one employee present or absent for a day inside a transaction, recording the change and
+// queueing attendance.marked
+async function markAttendance(tx, req, employeeId, date, present) {
+  const before = await tx.attendance.find(employeeId, date);
+  const after = { employee_id: Number(employeeId), date, present, status: present ? 'present' : 'absent', leave_request_id: null };
+  await tx.attendance.mark(employeeId, date, present);
+  await recordAudit(tx, req, {
+    action: before ? 'update' : 'create',
+    entity: 'attendance',
+    entityId: `${employeeId}:${date}`,
+    employeeId,
+    before,
+    after,
+  });
+  await queueWebhookEvent(tx, 'attendance.marked', { ...after, source: 'admin' }, { companyId: req.companyId });
+}
+
+// Save attendance
+// Save attendance
+// Save attendance
+app.post('/api/attendance', verifyToken, authorize('attendance:write'), validate({
+  summary: 'Mark an employee present or absent for a day',
+  body: { employee_id: field.id({ required: true }), date: field.date({ required: true }), present: field.boolean({ required: true }) },
+}), async (req, res) => {
+  const { employee_id, date, present } = req.body;
+
+  const access = await checkEmployeeAccess(req, employee_id);
+  if (access.error) return res.status(access.status).json({ message: access.error });
+  await db.transaction((tx) => markAttendance(tx, req, employee_id, date, present));
+  wakeWebhookWorker();
+  res.json({ message: 'Attendance marked successfully' });
+});
+// Fetch attendance history
+app.get('/api/attendance/history/:employeeId', verifyToken, authorize('attendance:read'), validate({
+  summary: "An employee's attendance history",
+  params: EMPLOYEE_ID_PARAMS,
+}), async (req, res) => {
+  const { employeeId } = req.params;
+  const access = await checkEmployeeAccess(req, employeeId);
+  if (access.error) return res.status(access.status).json({ message: access.error });
+  res.json(await db.attendance.history(employeeId));
+});
+
+// Work schedule used for check-in/check-out
+app.get('/api/attendance/schedule', verifyToken, authorize('attendance:read'), validate({ summary: 'The work schedule used for check-in and check-out' }), async (req, res) => {
+  res.json(await getWorkSchedule(req.companyId));
+});
+
+// Update the work schedule (HR and super admins only: it decides payroll). Only the fields sent are changed; days
+// already recorded are not re-evaluated.
+app.put('/api/attendance/schedule', verifyToken, authorize('settings:manage'), validate({
+  summary: 'Update the work schedule',
+  description: 'Only the fields sent are changed; days already recorded are not re-evaluated.',
+  body: {
+    timezone: field.string({ example: DEFAULT_WORK_SCHEDULE.timezone }),
+    start_time: field.time(),
+    end_time: field.time(),
+    working_days: field.array(field.integer({ min: 0, max: 6 }), { description: '0 = Sunday ... 6 = Saturday' }),
+    late_grace_minutes: field.number({ min: 0 }),
+    early_exit_grace_minutes: field.number({ min: 0 }),
+    full_day_hours: field.number({ min: 0 }),
+    half_day_hours: field.number({ min: 0 }),
+  },
+}), async (req, res) => {
+  const before = await getWorkSchedule(req.companyId);
+  const changes = Object.fromEntries(Object.entries(req.body || {}).filter(([field]) => field in DEFAULT_WORK_SCHEDULE));
+  const { schedule, error } = updateSchedule(before, changes);
+  if (error) return res.status(400).json({ message: error });
+
+  await db.transaction(async (tx) => {
+    await tx.settings.set('work_schedule', schedule, req.companyId);
+    await recordAudit(tx, req, { action: 'update', entity: 'setting', entityId: 'work_schedule', before, after: schedule });
+  });
+  res.json({ message: 'Work schedule updated successfully', schedule });
+});
+
+const ATTENDANCE_IMPORT_MAX_BYTES = 2 * 1024 * 1024;
+const MAX_ATTENDANCE_ROWS = 10000;
+// Longest date range one bulk request or export may cover
+const MAX_BULK_ATTENDANCE_DAYS = 62;
+const MAX_EXPORT_DAYS = 366;
+
+// CSV and punch log files for attendance imports
+const importUpload = handleUpload(
+  multer({ storage: multer.memoryStorage(), limits: { fileSize: ATTENDANCE_IMPORT_MAX_BYTES, files: 1 } }).single('file'),
+  ATTENDANCE_IMPORT_MAX_BYTES
+);
+
+// Accepts true/false, 1/0, yes/no, present/absent and P/A. Returns null for anything else.
+const parsePresent = (value) => {
+  if (typeof value === 'boolean') return value;
+  const text = String(value ?? '').trim().toLowerCase();
+  if (['true', '1', 'yes', 'y', 'present', 'p'].includes(text)) return true;
+  if (['false', '0', 'no', 'n', 'absent', 'a'].includes(text)) return false;
+  return null;
+};
+
+// Validate attendance rows ({ row, employee_id, date, present }) and save the valid ones in one
+// transaction. Invalid rows are skipped and reported by their `row` label. Managers can only mark their team.
+async function saveAttendanceRows(req, rows) {
+  const team = await getTeamScope(req);
+  const employeeStates = new Map(
+    (await db.employees.listStates(req.companyId)).filter((employee) => inTeam(team, employee.id)).map((employee) => [Number(employee.id), employee.state])
+  );
+  const dates = rows.map((row) => row.date).filter(isValidDate).sort();
+  const daysOff = dates.length > 0 ? await getDaysOff(dates[0], dates[dates.length - 1], req.companyId) : null;
+
+  const errors = [];
+  const valid = new Map();
+  for (const row of rows) {
+    const employeeId = Number(row.employee_id);
+    const present = parsePresent(row.present);
+    const key = `${employeeId}:${row.date}`;
+    const reject = (message) => errors.push({ row: row.row, employee_id: row.employee_id ?? null, date: row.date ?? null, message });
+
+    if (!employeeStates.has(employeeId)) reject('Employee not found');
+    else if (!isValidDate(row.date)) reject('Date must be in YYYY-MM-DD format');
+    else if (present === null) reject('Present must be true/false, yes/no or present/absent');
+    else if (daysOff.holidaysFor(employeeStates.get(employeeId)).has(row.date)) reject('Date is a holiday');
+    else if (valid.has(key)) reject('Duplicate row for this employee and date');
+    else valid.set(key, { employeeId, date: row.date, present });
+  }
+
+  if (valid.size > 0) {
+    await db.transaction(async (tx) => {
+      for (const { employeeId, date, present } of valid.values()) {
+        await markAttendance(tx, req, employeeId, date, present);
+      }
+    });
+    wakeWebhookWorker();
+  }
+  return { marked: valid.size, errors };
+}
+
+// Mark attendance for many employees at once. Send `date`, or `start_date` and `end_date`, with
+// records: [{ employee_id, present }]; records may also carry their own `date`. Weekly offs and holidays
+// for every state are skipped in a range.
+const PRESENT_FIELD = field.any({ description: 'true/false, 1/0, yes/no, present/absent or P/A', example: true });
+
+app.post('/api/attendance/bulk', verifyToken, authorize('attendance:write'), validate({
+  summary: 'Mark attendance for many employees at once',
+  description: 'Send date, or start_date and end_date; records may also carry their own date. Weekly offs and holidays are skipped in a range.',
+  body: {
+    date: field.date(),
+    start_date: field.date(),
+    end_date: field.date(),
+    records: field.array(field.object({
+      employee_id: field.id({ required: true }),
+      date: field.date(),
+      present: { ...PRESENT_FIELD, required: true },
+    }), { required: true, min: 1 }),
+  },
+}), async (req, res) => {
+  const { date, start_date, end_date, records } = req.body;
+
+  let dates = [];
+  if (date || start_date || end_date) {
+    const start = date || start_date;
+    const end = date || end_date;
+    if (!start || !end) return res.status(400).json({ message: 'Send date, or both start_date and end_date' });
+    if (end < start) return res.status(400).json({ message: 'End date cannot be before start date' });
+    dates = listDates(start, end);
+    if (dates.length > MAX_BULK_ATTENDANCE_DAYS) {
+      return res.status(400).json({ message: `A bulk request can cover at most ${MAX_BULK_ATTENDANCE_DAYS} days` });
+    }
+  }
+  if (records.length * Math.max(dates.length, 1) > MAX_ATTENDANCE_ROWS) {
+    return res.status(400).json({ message: `A bulk request can mark at most ${MAX_ATTENDANCE_ROWS} records` });
+  }
+
+  let skippedHolidays = [];
+  let skippedWeeklyOffs = [];
+  if (dates.length > 0) {
+    const daysOff = await getDaysOff(dates[0], dates[dates.length - 1], req.companyId);
+    const holidays = daysOff.holidaysFor(null);
+    skippedHolidays = dates.filter((day) => holidays.has(day));
+    skippedWeeklyOffs = dates.filter((day) => daysOff.weeklyOffs.has(day) && !holidays.has(day));
+    dates = dates.filter((day) => !daysOff.isDayOff(day, null));
+  }
+
+  const rows = records.flatMap((record, index) =>
+    record.date || dates.length === 0
+      ? [{ row: index + 1, employee_id: record.employee_id, date: record.date, present: record.present }]
+      : dates.map((day) => ({ row: index + 1, employee_id: record.employee_id, date: day, present: record.present }))
+  );
+  const result = await saveAttendanceRows(req, rows);
+  res.json({ message: `Marked ${result.marked} attendance record(s)`, ...result, skippedHolidays, skippedWeeklyOffs });
+});
+
+// Import attendance from a CSV file (multipart `file`) with employee_id, date and present (or status) columns
+app.post('/api/attendance/import', verifyToken, authorize('attendance:write'), importUpload, validate({
+  summary: 'Import attendance from a CSV file',
+  description: 'Columns: employee_id, date and present (or status). Invalid rows are skipped and reported.',
+  body: { file: field.file({ required: true }) },
+}), async (req, res) => {
+  const [header = [], ...lines] = parseCsv(req.file.buffer.toString('utf8'));
+  const columns = header.map((column) => column.trim().toLowerCase());
+  const employeeColumn = columns.indexOf('employee_id');
+  const dateColumn = columns.indexOf('date');
+  const presentColumn = columns.includes('present') ? columns.indexOf('present') : columns.indexOf('status');
+  if (employeeColumn === -1 || dateColumn === -1 || presentColumn === -1) {
+    return res.status(400).json({ message: 'CSV header must include employee_id, date and present (or status) columns' });
+  }
+  if (lines.length > MAX_ATTENDANCE_ROWS) {
+    return res.status(400).json({ message: `A CSV import can contain at most ${MAX_ATTENDANCE_ROWS} rows` });
+  }
+
+  // Row numbers count the header as row 1, matching what a spreadsheet shows
+  const rows = lines.map((cells, index) => ({
+    row: index + 2,
+    employee_id: cells[employeeColumn]?.trim(),
+    date: cells[dateColumn]?.trim(),
+    present: cells[presentColumn],
+  }));
+  const result = await saveAttendanceRows(req, rows);
+  res.json({ message: `Imported ${result.marked} of ${rows.length} attendance row(s)`, ...result });
+});
+
+// Export attendance between two dates as CSV, optionally for one employee. The file can be re-imported.
+app.get('/api/attendance/export', verifyToken, authorize('attendance:read'), validate({
+  summary: 'Export attendance between two dates as CSV',
+  query: { start_date: field.date({ required: true }), end_date: field.date({ required: true }), employeeId: field.id() },
+  response: 'CSV file that can be re-imported',
+}), async (req, res) => {
+  const { start_date, end_date, employeeId } = req.query;
+  if (end_date < start_date) return res.status(400).json({ message: 'End date cannot be before start date' });
+  if (listDates(start_date, end_date).length > MAX_EXPORT_DAYS) {
+    return res.status(400).json({ message: `An export can cover at most ${MAX_EXPORT_DAYS} days` });
+  }
+
+  const team = await getTeamScope(req);
+  const rows = (await db.attendance.list({ companyId: req.companyId, start: start_date, end: end_date, employeeId })).filter((row) => inTeam(team, row.employee_id));
+  const csv = toCsv(
+    ['employee_id', 'employee_name', 'date', 'present', 'status'],
+    rows.map((row) => [row.employee_id, row.employee_name, toDateKey(row.date), Boolean(row.present), row.status])
+  );
+  res.set({ 'Content-Type': 'text/csv; charset=utf-8', 'Content-Disposition': `attachment; filename="attendance_${start_date}_${end_date}.csv"` });
+  res.send(csv);
+});
+
+// Import a punch log exported from a biometric device (multipart `file`, CSV or plain text). Device user
+// IDs are mapped to employees through /api/attendance/device-users; an employee with any punch on a day is present.
+app.post('/api/attendance/punches/import', verifyToken, authorize('attendance:write'), importUpload, validate({
+  summary: 'Import a biometric device punch log',
+  description: 'Device user IDs are mapped to employees through /api/attendance/device-users; an employee with any punch on a day is present.',
+  body: { file: field.file({ required: true, description: 'CSV or plain text' }) },
+}), async (req, res) => {
+  const { punches, skipped } = parsePunchLog(req.file.buffer.toString('utf8'));
+  if (punches.length === 0) return res.status(400).json({ message: 'No punches found in the file' });
+
+  const deviceUsers = new Map((await db.biometric.listDeviceUsers(req.companyId)).map((user) => [user.device_user_id, user.employee_id]));
+  const unmapped = new Set();
+  const days = new Map();
+  for (const punch of punches) {
+    const employeeId = deviceUsers.get(punch.deviceUserId);
+    if (!employeeId) {
+      unmapped.add(punch.deviceUserId);
+      continue;
+    }
+    const key = `${employeeId}:${punch.date}`;
+    if (!days.has(key)) days.set(key, { row: punch.line, employee_id: employeeId, date: punch.date, present: true });
+  }
+
+  const result = await saveAttendanceRows(req, [...days.values()]);
+  res.json({
+    message: `Marked ${result.marked} attendance record(s) from ${punches.length} punch(es)`,
+    punches: punches.length,
+    ...result,
+    unmappedDeviceUsers: [...unmapped],
+    skippedLines: skipped,
+  });
+});
+
+// Biometric device user ID to employee mappings
+app.get('/api/attendance/device-users', verifyToken, authorize('attendance:read'), validate({ summary: 'Biometric device user to employee mappings' }), async (req, res) => {
+  res.json(await db.biometric.listDeviceUsers(req.companyId));
+});
+
+// Map a device user ID to an employee, replacing any earlier mapping for that ID
+const DEVICE_USER_PARAMS = { deviceUserId: field.string({ max: 64 }) };
+
+app.put('/api/attendance/device-users/:deviceUserId', verifyToken, authorize('attendance:write'), validate({
+  summary: 'Map a device user ID to an employee',
+  description: 'Replaces any earlier mapping for that ID.',
+  params: DEVICE_USER_PARAMS,
+  body: { employee_id: field.id({ required: true }) },
+}), async (req, res) => {
+  const { deviceUserId } = req.params;
+  const { employee_id } = req.body;
+
+  if (!(await db.employees.findById(employee_id, req.companyId))) return res.status(404).json({ message: 'Employee not found' });
+  // Device user IDs are shared by every company; one mapped for another company's employee stays theirs
+  const existing = await db.biometric.findDeviceUser(deviceUserId);
+  if (existing && existing.company_id !== req.companyId) {
+    return res.status(409).json({ message: 'This device user ID is already in use' });
+  }
+  await db.transaction(async (tx) => {
+    const before = await tx.biometric.findDeviceUser(deviceUserId);
+    await tx.biometric.mapDeviceUser(deviceUserId, employee_id);
+    await recordAudit(tx, req, {
+      action: before ? 'update' : 'create',
+      entity: 'biometric_device_user',
+      entityId: deviceUserId,
+      employeeId: employee_id,
+      before,
+      after: { device_user_id: deviceUserId, employee_id },
+    });
+  });
+  res.json({ message: 'Device user mapped successfully', deviceUserId, employeeId: Number(employee_id) });
+});
+
+// Remove a device user mapping
+app.delete('/api/attendance/device-users/:deviceUserId', verifyToken, authorize('attendance:write'), validate({
+  summary: 'Remove a device user mapping',
+  params: DEVICE_USER_PARAMS,
+}), async (req, res) => {
+  const { deviceUserId } = req.params;
+
+  const removed = await db.transaction(async (tx) => {
+    const before = await tx.biometric.findDeviceUser(deviceUserId);
+    if (!before || before.company_id !== req.companyId) return false;
+    await tx.biometric.unmapDeviceUser(deviceUserId);
+    await recordAudit(tx, req, {
+      action: 'delete', entity: 'biometric_device_user', entityId: deviceUserId, employeeId: before.employee_id, before,
+    });
+    return true;
+  });
+  if (!removed) return res.status(404).json({ message: 'Device user not found' });
+  res.json({ message: 'Device user mapping removed' });
+});
+
+// Validate a holiday body, merged over the current values when updating. Returns { holiday } or { error }.
+const validateHoliday = (body, current = {}) => {
+  const holiday = {
+    date: body.date ?? (current.date ? toDateKey(current.date) : undefined),
+    name: body.name !== undefined ? String(body.name).trim() : current.name,
+    type: body.type ?? current.type ?? 'national',
+    state: body.state !== undefined ? String(body.state || '').trim() || null : current.state ?? null,
+  };
+  if (!holiday.date) return { error: 'Date is required' };
+  if (!isValidDate(holiday.date)) return { error: 'Date must be in YYYY-MM-DD format' };
+  if (!holiday.name) return { error: 'Name is required' };
+  if (holiday.name.length > 150) return { error: 'Name must be 150 characters or fewer' };
+  if (!HOLIDAY_TYPES.includes(holiday.type)) return { error: `Type must be one of ${HOLIDAY_TYPES.join(', ')}` };
+  return { holiday };
+};
+
+// Absolute URL on the public site, for links sent outside the app
+const getPublicUrl = (pathname) => `${(process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`).replace(/\/$/, '')}${pathname}`;
+
+// Holidays as an iCalendar file. Types go in CATEGORIES and states in LOCATION, which is how imports read them back.
+const holidaysToIcs = (holidays, name) =>
+  toIcs({
+    name,
+    events: holidays.map((holiday) => ({
+      uid: `holiday-${holiday.id}@motion`,
+      date: toDateKey(holiday.date),
+      summary: holiday.name || 'Holiday',
+      location: holiday.state,
+      categories: holiday.type,
+    })),
+  });
+
+const HOLIDAY_FIELDS = {
+  date: field.date(),
+  name: field.string({ max: 150 }),
+  type: field.enum(HOLIDAY_TYPES, { default: 'national' }),
+  state: field.string({ max: 100, description: 'Leave empty for a holiday in every state' }),
+};
+const HOLIDAY_QUERY = {
+  year: field.string({ pattern: '^\\d{4}$', example: '2025' }),
+  state: field.string({ max: 100, description: 'Also returns holidays for every state' }),
+  type: field.enum(HOLIDAY_TYPES),
+};
+
+// List holidays. Filters: year, from/to (YYYY-MM-DD), state (also returns holidays for every state) and type.
+app.get('/api/holidays', verifyToken, validate({
+  summary: 'List holidays',
+  query: { ...HOLIDAY_QUERY, from: field.date(), to: field.date() },
+}), async (req, res) => {
+  const { year, from, to, state, type } = req.query;
+  res.json(await db.holidays.list({ companyId: req.companyId, start: from || (year && `${year}-01-01`), end: to || (year && `${year}-12-31`), state, type }));
+});
+
+// Describes a holiday's date and state in conflict messages
+const describeHolidayDay = (holiday) => `${holiday.date} (${holiday.state || 'all states'})`;
+
+// Mark holiday. Attendance already recorded for the day is kept; payroll and leave ignore it while the holiday stands.
+// Each state may have its own holiday on a date, alongside one for every state.
+app.post('/api/holidays', verifyToken, authorize('holidays:write'), validate({
+  summary: 'Mark a holiday',
+  description: 'Attendance already recorded for the day is kept; payroll and leave ignore it while the holiday stands.',
+  body: { ...HOLIDAY_FIELDS, date: field.date({ required: true }) },
+}), async (req, res) => {
+  const { holiday, error: validationError } = validateHoliday({ name: 'Holiday', ...req.body });
+  if (validationError) return res.status(400).json({ message: validationError });
+  try {
+    if (await db.holidays.findByDate(holiday.date, holiday.state, req.companyId)) {
+      return res.status(409).json({ message: `${describeHolidayDay(holiday)} is already a holiday` });
+    }
+    const id = await db.transaction(async (tx) => {
+      const holidayId = await tx.holidays.create(holiday, req.companyId);
+      await recordAudit(tx, req, { action: 'create', entity: 'holiday', entityId: holidayId, after: holiday });
+      await queueWebhookEvent(tx, 'holiday.created', { id: holidayId, ...holiday }, { companyId: req.companyId });
+      return holidayId;
+    });
+    wakeWebhookWorker();
+    res.status(201).json({ message: `Marked ${holiday.date} as a holiday`, id, ...holiday });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') return res.status(409).json({ message: `${describeHolidayDay(holiday)} is already a holiday` });
+    throw error;
+  }
+});
+
+// Weekly offs: the weekdays (0 = Sunday ... 6 = Saturday) the work schedule does not cover
+app.get('/api/holidays/weekly-offs', verifyToken, validate({ summary: 'The weekdays the work schedule does not cover' }), async (req, res) => {
+  const schedule = await getWorkSchedule(req.companyId);
+  res.json({ weekly_offs: [0, 1, 2, 3, 4, 5, 6].filter((day) => !schedule.working_days.includes(day)) });
+});
+
+// Set the weekly offs, e.g. { weekly_offs: [0] } for Sundays. Updates the work schedule's working days.
+app.put('/api/holidays/weekly-offs', verifyToken, authorize('holidays:write'), validate({
+  summary: 'Set the weekly offs',
+  description: "Updates the work schedule's working days.",
+  body: { weekly_offs: field.array(field.integer({ min: 0, max: 6 }), { required: true, description: '0 = Sunday ... 6 = Saturday', example: [0] }) },
+}), async (req, res) => {
+  const { weekly_offs } = req.body;
+  // Numbers sent as text would pass the schema but not the comparisons below
+  if (!weekly_offs.every(Number.isInteger)) return res.status(400).json({ message: 'weekly_offs must be a list of weekday numbers' });
+  if (new Set(weekly_offs).size === 7) return res.status(400).json({ message: 'At least one day must be a working day' });
+  const before = await getWorkSchedule(req.companyId);
+  const { schedule } = updateSchedule(before, { working_days: [0, 1, 2, 3, 4, 5, 6].filter((day) => !weekly_offs.includes(day)) });
+  await db.transaction(async (tx) => {
+    await tx.settings.set('work_schedule', schedule, req.companyId);
+    await recordAudit(tx, req, { action: 'update', entity: 'setting', entityId: 'work_schedule', before, after: schedule });
+  });
+  res.json({ message: 'Weekly offs updated successfully', weekly_offs: [...new Set(weekly_offs)].sort() });
+});
+
+// Import holidays from an iCalendar file (multipart `file`). CATEGORIES sets the type and LOCATION the state,
+// unless `type` or `state` is sent with the upload. Dates that are already holidays for the same state are skipped.
+app.post('/api/holidays/import', verifyToken, authorize('holidays:write'), importUpload, validate({
+  summary: 'Import holidays from an iCalendar file',
+  description: 'CATEGORIES sets the type and LOCATION the state, unless type or state is sent with the upload. Dates that are already holidays for the same state are skipped.',
+  body: { file: field.file({ required: true }), type: HOLIDAY_FIELDS.type, state: HOLIDAY_FIELDS.state },
+}), async (req, res) => {
+
+  const { events, errors } = parseIcs(req.file.buffer.toString('utf8'));
+  if (events.length === 0 && errors.length === 0) return res.status(400).json({ message: 'No events found in the file' });
+
+  try {
+    const imported = [];
+    const skipped = [];
+    const seen = new Set();
+    for (const event of events) {
+      const category = String(event.categories || '').split(',').map((value) => value.trim().toLowerCase()).find((value) => HOLIDAY_TYPES.includes(value));
+      for (const date of event.dates) {
+        const { holiday, error } = validateHoliday({
+          date, name: event.summary || 'Holiday', type: req.body.type || category || 'national', state: req.body.state ?? event.location,
+        });
+        if (error) {
+          errors.push({ line: event.line, date, message: error });
+          continue;
+        }
+        // The same date may be imported once per state
+        const key = `${date}:${toStateKey(holiday.state)}`;
+        if (seen.has(key) || (await db.holidays.findByDate(date, holiday.state, req.companyId))) {
+          skipped.push({ line: event.line, date, name: holiday.name, state: holiday.state });
+        } else {
+          seen.add(key);
+          imported.push(holiday);
+        }
+      }
+    }
+
+    await db.transaction(async (tx) => {
+      for (const holiday of imported) {
+        holiday.id = await tx.holidays.create(holiday, req.companyId);
+        await recordAudit(tx, req, { action: 'create', entity: 'holiday', entityId: holiday.id, after: holiday });
+        await queueWebhookEvent(tx, 'holiday.created', holiday, { companyId: req.companyId });
+      }
+    });
+    wakeWebhookWorker();
+    res.json({ message: `Imported ${imported.length} holiday(s)`, imported, skipped, errors });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') return res.status(409).json({ message: 'Holidays changed during the import; please retry' });
+    throw error;
+  }
+});
+
+// Download holidays as an iCalendar file. Same filters as the list.
+app.get('/api/holidays/export', verifyToken, validate({
+  summary: 'Download holidays as an iCalendar file',
+  query: HOLIDAY_QUERY,
+  response: 'iCalendar file',
+}), async (req, res) => {
+  const { year, state, type } = req.query;
+  const holidays = await db.holidays.list({ companyId: req.companyId, start: year && `${year}-01-01`, end: year && `${year}-12-31`, state, type });
+  res.set({ 'Content-Type': 'text/calendar; charset=utf-8', 'Content-Disposition': `attachment; filename="holidays${year ? `_${year}` : ''}.ics"` });
+  res.send(holidaysToIcs(holidays, 'Company Holidays'));
+});
+
+// Subscription link for calendar apps, which cannot send a login token. Employees get their own state's
+// holidays; admins may pass ?state=. The link does not expire.
+app.get('/api/holidays/subscription', verifyToken, validate({
+  summary: 'Subscription link for calendar apps',
+  description: "Employees get their own state's holidays. The link does not expire.",
+  query: { state: field.string({ max: 100, description: 'Admins only' }) },
+}), async (req, res) => {
+  const state = req.userType === 'employee' ? (await db.employees.findProfile(req.userId))?.state || null : req.query.state || null;
+  const token = jwt.sign({ purpose: 'holiday_calendar', companyId: req.companyId, state }, process.env.JWT_SECRET);
+  res.json({ url: getPublicUrl(`/api/holidays/calendar.ics?token=${token}`), state });
+});
+
+// Subscribed calendar feed: holidays from the start of last year to the end of next year
+app.get('/api/holidays/calendar.ics', validate({
+  summary: 'Subscribed calendar feed of holidays',
+  description: 'Covers the start of last year to the end of next year.',
+  query: { token: field.string({ required: true, description: 'From /api/holidays/subscription' }) },
+  response: 'iCalendar file',
+}), async (req, res) => {
+  let feed;
+  try {
+    feed = jwt.verify(String(req.query.token || ''), process.env.JWT_SECRET);
+  } catch {
+    return res.status(401).json({ message: 'Invalid calendar link' });
+  }
+  if (feed.purpose !== 'holiday_calendar' || !feed.companyId) return res.status(401).json({ message: 'Invalid calendar link' });
+
+  const year = new Date().getFullYear();
+  const holidays = await db.holidays.list({ companyId: feed.companyId, start: `${year - 1}-01-01`, end: `${year + 1}-12-31`, state: feed.state });
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.send(holidaysToIcs(holidays, feed.state ? `Company Holidays (${feed.state})` : 'Company Holidays'));
+});
+
+// Update a holiday's date, name, type or state. Attendance is left untouched.
+app.put('/api/holidays/:id', verifyToken, authorize('holidays:write'), validate({
+  summary: "Update a holiday's date, name, type or state",
+  description: 'Only the fields sent are changed. Attendance is left untouched.',
+  params: ID_PARAMS,
+  body: HOLIDAY_FIELDS,
+}), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const before = await db.holidays.findById(id, req.companyId);
+    if (!before) return res.status(404).json({ message: 'Holiday not found' });
+    const { holiday, error: validationError } = validateHoliday(req.body, before);
+    if (validationError) return res.status(400).json({ message: validationError });
+    const existing = await db.holidays.findByDate(holiday.date, holiday.state, req.companyId);
+    if (existing && existing.id !== before.id) return res.status(409).json({ message: `${describeHolidayDay(holiday)} is already a holiday` });
+
+    await db.transaction(async (tx) => {
+      await tx.holidays.update(id, holiday);
+      await recordAudit(tx, req, { action: 'update', entity: 'holiday', entityId: id, before, after: holiday });
+    });
+    res.json({ message: 'Holiday updated successfully', id: Number(id), ...holiday });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') return res.status(409).json({ message: 'That date is already a holiday for that state' });
+    throw error;
+  }
+});
+
+// Unmark a holiday. Attendance recorded for the day counts again.
+app.delete('/api/holidays/:id', verifyToken, authorize('holidays:write'), validate({
+  summary: 'Unmark a holiday',
+  params: ID_PARAMS,
+}), async (req, res) => {
+  const { id } = req.params;
+  const before = await db.holidays.findById(id, req.companyId);
+  if (!before) return res.status(404).json({ message: 'Holiday not found' });
+  await db.transaction(async (tx) => {
+    await tx.holidays.delete(id);
+    await recordAudit(tx, req, { action: 'delete', entity: 'holiday', entityId: id, before });
+  });
+  res.json({ message: 'Holiday deleted successfully' });
+});
+
+const INQUIRY_STATUSES = ['new', 'in_progress', 'closed'];
+const INQUIRY_LABELS = { service_request: 'Service request', contact_detail: 'Contact details', contact: 'Contact message' };
+const INQUIRY_PAGE_LIMIT = 100;
+
+const looksLikeEmail = (value) => typeof value === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value.trim());
+
+// Acknowledge a new inquiry to its sender and tell the company's team: INQUIRY_NOTIFY_EMAIL (or the sending
+// account) for the first company, the company's own email address for the others. `form` is req.form from
+// guardPublicForm. Queued after the submission is answered; failures to queue are only logged.
+function notifyNewInquiry(source, id, inquiry, { company, isDefaultCompany }) {
+  if (!MAIL_FROM) return;
+  const label = INQUIRY_LABELS[source];
+  const fields = [
+    ['Name', inquiry.name], ['Email', inquiry.email], ['Phone', inquiry.contact], ['Service', inquiry.service],
+    ['Subject', inquiry.subject], ['Message', inquiry.message],
+  ].filter(([, value]) => value);
+  const rows = fields.map(([field, value]) => `<tr><th align="left">${field}</th><td>${escapeHtml(value)}</td></tr>`).join('');
+
+  const teamEmail = isDefaultCompany ? process.env.INQUIRY_NOTIFY_EMAIL || MAIL_FROM : company.email;
+  const emails = teamEmail ? [{
+    to: teamEmail,
+    replyTo: looksLikeEmail(inquiry.email) ? inquiry.email.trim() : undefined,
+    subject: `New ${label.toLowerCase()} #${id}${inquiry.name ? ` from ${inquiry.name}` : ''}`,
+    html: `<p>A new ${label.toLowerCase()} was submitted on the website.</p><table>${rows}</table>`,
+  }] : [];
+  if (looksLikeEmail(inquiry.email)) {
+    emails.push({
+      to: inquiry.email.trim(),
+      subject: 'We have received your message',
+      html: `<p>Dear ${escapeHtml(inquiry.name || 'there')},</p>
+        <p>Thank you for contacting ${escapeHtml(company.name)}. We have received your message and will get back to you soon.</p>
+        <table>${rows}</table>
+        <p>Regards,<br>Team ${escapeHtml(company.name)}</p>`,
+    });
+  }
+  Promise.allSettled(emails.map((email) => queueEmail(db, 'inquiry', email, { companyId: company.id }))).then((results) => {
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') console.error(`Failed to queue inquiry email to ${emails[index].to}:`, result.reason);
+    });
+  });
+}
+
+// Public form protection. Per-IP limit on submissions across all forms, the shortest plausible time to
+// fill a form in, and how long an identical message from the same sender counts as a duplicate.
+const FORM_RATE_LIMIT = Number(process.env.FORM_RATE_LIMIT) || 5;
+const FORM_RATE_WINDOW_MINUTES = Number(process.env.FORM_RATE_WINDOW_MINUTES) || 10;
+const FORM_MIN_FILL_SECONDS = Number(process.env.FORM_MIN_FILL_SECONDS) || 3;
+const FORM_DUPLICATE_WINDOW_HOURS = Number(process.env.FORM_DUPLICATE_WINDOW_HOURS) || 24;
+const FORM_TOKEN_FIELD = 'form_token';
+// Without a token there is no fill time to check, so bots could skip that check by leaving it out.
+// FORM_REQUIRE_TOKEN=false accepts tokenless submissions, e.g. while old pages are still cached.
+const FORM_TOKEN_REQUIRED = process.env.FORM_REQUIRE_TOKEN !== 'false';
+
+// The company a public form is sent to: `company_id` on the submission, or the first company, whose website
+// the forms served before there were several. Returns { company, isDefaultCompany }, with a null company
+// when company_id names none.
+async function getFormCompany(companyId) {
+  const defaultCompany = await db.companies.findDefault();
+  if (companyId === undefined || companyId === null || companyId === '') return { company: defaultCompany, isDefaultCompany: true };
+  const company = /^\d+$/.test(String(companyId)) ? await db.companies.findById(Number(companyId)) : null;
+  return { company, isDefaultCompany: company?.id === defaultCompany?.id };
+}
+
+// Token a page fetches when it shows a form and sends back as `form_token`, proving when the form was
+// shown. Submissions without one are rejected unless FORM_REQUIRE_TOKEN=false.
+app.get('/api/forms/token', validate({ summary: 'Token proving when a public form was shown' }), (req, res) => {
+  const token = jwt.sign({ purpose: 'public_form', shownAt: Date.now() }, process.env.JWT_SECRET, { expiresIn: '1d' });
+  res.json({ token, field: FORM_TOKEN_FIELD, honeypotField: HONEYPOT_FIELD });
+});
+
+// Checks run before a public form submission is stored: company, rate limit, honeypot, fill time, field
+// validation and duplicates. Rejections are logged to the company's rejected_submissions for review. Passing
+// submissions continue with their cleaned fields, IP, message fingerprint and company on req.form. The guard
+// checks the fields itself, so that invalid submissions are logged too, and carries their spec for
+// the API document.
+const guardPublicForm = (source) => Object.assign(async (req, res, next) => {
+  const ip = req.ip;
+  const body = req.body || {};
+  const { company, isDefaultCompany } = await getFormCompany(body.company_id);
+  if (!company) throw new ValidationError([{ location: 'body', field: 'company_id', message: 'Company not found' }]);
+  const logRejection = (reason, detail, { withPayload = true } = {}) =>
+    db.inquiries.logRejected({
+      companyId: company.id,
+      source,
+      reason,
+      detail: detail.slice(0, 500),
+      ip,
+      userAgent: req.headers['user-agent']?.slice(0, 512) || null,
+      payload: withPayload ? JSON.stringify(body).slice(0, 10000) : null,
+    });
+
+  const windowStart = new Date(Date.now() - FORM_RATE_WINDOW_MINUTES * 60 * 1000);
+  if ((await db.inquiries.countRecentFromIp(ip, windowStart)) >= FORM_RATE_LIMIT) {
+    // No payload, so a flood cannot fill the log with its content
+    await logRejection('rate_limited', `More than ${FORM_RATE_LIMIT} submissions in ${FORM_RATE_WINDOW_MINUTES} minutes`, { withPayload: false });
+    res.set('Retry-After', String(FORM_RATE_WINDOW_MINUTES * 60));
+    return res.status(429).json({ message: 'Too many submissions. Please try again later.' });
+  }
+
+  if (String(body[HONEYPOT_FIELD] ?? '').trim()) {
+    await logRejection('honeypot', `${HONEYPOT_FIELD} field was filled in`);
+    // Answer like a success so bots learn nothing
+    return res.status(200).json({ message: 'Submitted successfully' });
+  }
+
+  if (body[FORM_TOKEN_FIELD]) {
+    let shownAt;
+    try {
+      const decoded = jwt.verify(String(body[FORM_TOKEN_FIELD]), process.env.JWT_SECRET);
+      if (decoded.purpose === 'public_form') shownAt = decoded.shownAt;
+    } catch {
+      // Reported below as an invalid token
+    }
+    if (!shownAt) {
+      await logRejection('invalid_token', 'Form token was invalid or expired');
+      return res.status(400).json({ message: 'This form has expired. Please reload the page and try again.' });
+    }
+    if (Date.now() - shownAt < FORM_MIN_FILL_SECONDS * 1000) {
+      await logRejection('too_fast', `Submitted ${Date.now() - shownAt} ms after the form was shown`);
+      return res.status(400).json({ message: 'Please take a moment to review your message before submitting.' });
+    }
+  } else if (FORM_TOKEN_REQUIRED) {
+    await logRejection('missing_token', 'No form token was sent');
+    return res.status(400).json({ message: 'This form has expired. Please reload the page and try again.' });
+  }
+
+  const { values, errors } = validateForm(source, body);
+  if (errors.length > 0) {
+    await logRejection('invalid', errors.map((error) => error.message).join('; '));
+    throw new ValidationError(errors);
+  }
+
+  const messageHash = hashMessage(values);
+  const since = new Date(Date.now() - FORM_DUPLICATE_WINDOW_HOURS * 60 * 60 * 1000);
+  const duplicate = await db.inquiries.findDuplicate(source, { companyId: company.id, messageHash, email: values.email, ip, since });
+  if (duplicate) {
+    await logRejection('duplicate', `Same message as ${source} #${duplicate.id}`);
+    return res.status(409).json({ message: 'This message has already been submitted.' });
+  }
+
+  req.form = { ...values, ip, messageHash, company, isDefaultCompany };
+  next();
+}, {
+  spec: {
+    summary: `Submit a ${INQUIRY_LABELS[source].toLowerCase()} from the website`,
+    body: {
+      ...FORM_FIELDS[source],
+      company_id: field.id({ description: 'The company the form is sent to; the first company by default' }),
+      [FORM_TOKEN_FIELD]: field.string({ required: FORM_TOKEN_REQUIRED, description: 'From /api/forms/token' }),
+      [HONEYPOT_FIELD]: field.string({ description: 'Must be left empty' }),
+    },
+  },
+});
+
+app.post('/api/servicerequest', guardPublicForm('service_request'), async (req, res) => {
+  const { name, contact, email, service, message, ip, messageHash, company } = req.form;
+
+  const id = await db.transaction(async (tx) => {
+    const inquiryId = await tx.inquiries.createServiceRequest({ name, contact, email, service, message, ip, messageHash }, company.id);
+    await recordAudit(tx, req, {
+      companyId: company.id, action: 'create', entity: 'service_request', entityId: inquiryId, after: { name, contact, email, service, message },
+    });
+    await queueWebhookEvent(tx, 'service_request.received', { id: inquiryId, name, contact, email, service, message }, { companyId: company.id });
+    return inquiryId;
+  });
+  wakeWebhookWorker();
+  res.status(200).json({ message: 'Service request submitted successfully', id });
+  notifyNewInquiry('service_request', id, { name, contact, email, service, message }, req.form);
+});
+
+// Contact Details Endpoint
+app.post('/api/contactdetail', guardPublicForm('contact_detail'), async (req, res) => {
+  const { name, email, subject, message, ip, messageHash, company } = req.form;
+
+  const id = await db.transaction(async (tx) => {
+    const inquiryId = await tx.inquiries.createContactDetail({ name, email, subject, message, ip, messageHash }, company.id);
+    await recordAudit(tx, req, { companyId: company.id, action: 'create', entity: 'contact_detail', entityId: inquiryId, after: { name, email, subject, message } });
+    return inquiryId;
+  });
+  res.status(200).json({ message: 'Contact details submitted successfully', id });
+  notifyNewInquiry('contact_detail', id, { name, email, subject, message }, req.form);
+});
+
+// Contact Endpoint
+app.post('/api/contact', guardPublicForm('contact'), async (req, res) => {
+  const { name, email, subject, message, ip, messageHash, company } = req.form;
+
+  const id = await db.transaction(async (tx) => {
+    const inquiryId = await tx.inquiries.createContact({ name, email, subject, message, ip, messageHash }, company.id);
+    await recordAudit(tx, req, { companyId: company.id, action: 'create', entity: 'contact', entityId: inquiryId, after: { name, email, subject, message } });
+    return inquiryId;
+  });
+  res.status(200).json({ message: 'Contact submitted successfully', id });
+  notifyNewInquiry('contact', id, { name, email, subject, message }, req.form);
+});
+
+// Route parameters naming one inquiry, e.g. /api/inquiries/service_request/12
+const getInquiryKey = (params) => (INQUIRY_SOURCES[params.source] && /^\d+$/.test(params.id) ? { source: params.source, id: Number(params.id) } : null);
+
+// Inquiry inbox: every website submission, newest first. Filters: source, status, owner (admin:ID or
+// employee:ID, or "none"), q (searches name, email, phone, subject and message), from/to (YYYY-MM-DD).
+const INQUIRY_PAGE_QUERY = {
+  page: field.integer({ min: 1 }),
+  limit: field.integer({ min: 1, description: `At most ${INQUIRY_PAGE_LIMIT}; defaults to 20` }),
+};
+const INQUIRY_PARAMS = { source: field.enum(Object.keys(INQUIRY_SOURCES)), id: field.id() };
+
+app.get('/api/inquiries', verifyToken, authorize('inquiries:manage'), validate({
+  summary: 'Inquiry inbox: every website submission, newest first',
+  query: {
+    source: field.enum(Object.keys(INQUIRY_SOURCES)),
+    status: field.enum(INQUIRY_STATUSES),
+    owner: field.string({ pattern: '^((admin|employee):\\d+|none)$', description: 'admin:ID, employee:ID or none' }),
+    q: field.string({ max: 255, description: 'Searches name, email, phone, subject and message' }),
+    from: field.date(),
+    to: field.date(),
+    ...INQUIRY_PAGE_QUERY,
+  },
+}), async (req, res) => {
+  const { source, status, owner, q, from, to } = req.query;
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(INQUIRY_PAGE_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || 20));
+  const ownerMatch = owner && owner !== 'none' ? /^(admin|employee):(\d+)$/.exec(owner) : null;
+  const dates = getAuditFilters({ from, to });
+
+  const { total, inquiries } = await db.inquiries.list({
+    companyId: req.companyId,
+    source,
+    status,
+    ownerType: ownerMatch?.[1],
+    ownerId: ownerMatch ? Number(ownerMatch[2]) : undefined,
+    unassigned: owner === 'none',
+    search: q ? String(q).trim() : undefined,
+    since: dates.filters.since,
+    until: dates.filters.until,
+    limit,
+    offset: (page - 1) * limit,
+  });
+  res.json({ inquiries, page, limit, total, pages: Math.ceil(total / limit) });
+});
+
+// Inquiry counts by source and status
+app.get('/api/inquiries/summary', verifyToken, authorize('inquiries:manage'), validate({ summary: 'Inquiry counts by source and status' }), async (req, res) => {
+  const summary = Object.fromEntries(Object.keys(INQUIRY_SOURCES).map((source) => [
+    source, Object.fromEntries(INQUIRY_STATUSES.map((status) => [status, 0])),
+  ]));
+  for (const row of await db.inquiries.countByStatus(req.companyId)) {
+    if (summary[row.source]) summary[row.source][row.status] = Number(row.count);
+  }
+  res.json(summary);
+});
+
+const REJECTION_REASONS = ['rate_limited', 'honeypot', 'invalid_token', 'too_fast', 'missing_token', 'invalid', 'duplicate'];
+
+// Rejected public form submissions, newest first. Filter by source and reason; page with page/limit.
+app.get('/api/inquiries/rejected', verifyToken, authorize('inquiries:manage'), validate({
+  summary: 'Rejected public form submissions, newest first',
+  query: { source: field.enum(Object.keys(INQUIRY_SOURCES)), reason: field.enum(REJECTION_REASONS), ...INQUIRY_PAGE_QUERY },
+}), async (req, res) => {
+  const { source, reason } = req.query;
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(INQUIRY_PAGE_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+  const { total, submissions } = await db.inquiries.listRejected({ companyId: req.companyId, source, reason, limit, offset: (page - 1) * limit });
+  res.json({ submissions, page, limit, total, pages: Math.ceil(total / limit) });
+});
+
+// One inquiry with its notes
+app.get('/api/inquiries/:source/:id', verifyToken, authorize('inquiries:manage'), validate({
+  summary: 'One inquiry with its notes',
+  params: INQUIRY_PARAMS,
+}), async (req, res) => {
+  const key = getInquiryKey(req.params);
+  if (!key) return res.status(404).json({ message: 'Inquiry not found' });
+  const inquiry = await db.inquiries.find(key.source, key.id, req.companyId);
+  if (!inquiry) return res.status(404).json({ message: 'Inquiry not found' });
+  res.json({ ...inquiry, notes: await db.inquiries.listNotes(key.source, key.id) });
+});
+
+// Set an inquiry's status and/or owner. The owner must be an admin or employee who can manage inquiries;
+// send owner_type and owner_id as null to unassign.
+app.patch('/api/inquiries/:source/:id', verifyToken, authorize('inquiries:manage'), validate({
+  summary: "Set an inquiry's status and/or owner",
+  description: 'The owner must be an admin or employee who can manage inquiries; send owner_type and owner_id as null to unassign.',
+  params: INQUIRY_PARAMS,
+  body: { status: field.enum(INQUIRY_STATUSES), owner_type: field.enum(['admin', 'employee'], { nullable: true }), owner_id: field.id({ nullable: true }) },
+}), async (req, res) => {
+  const key = getInquiryKey(req.params);
+  if (!key) return res.status(404).json({ message: 'Inquiry not found' });
+  const { status, owner_type, owner_id } = req.body;
+  const changingOwner = owner_type !== undefined || owner_id !== undefined;
+  if (changingOwner && (owner_type || owner_id) && (!['admin', 'employee'].includes(owner_type) || !owner_id)) {
+    return res.status(400).json({ message: 'Owner needs owner_type (admin or employee) and owner_id' });
+  }
+  if (status === undefined && !changingOwner) return res.status(400).json({ message: 'Nothing to update' });
+
+  const before = await db.inquiries.find(key.source, key.id, req.companyId);
+  if (!before) return res.status(404).json({ message: 'Inquiry not found' });
+
+  if (changingOwner && owner_id) {
+    const owner = owner_type === 'admin' ? await db.admins.findRole(owner_id, req.companyId) : await db.employees.findRole(owner_id, req.companyId);
+    if (!owner) return res.status(404).json({ message: 'Owner not found' });
+    if (!hasPermission(owner.role || (owner_type === 'admin' ? 'super_admin' : 'employee'), 'inquiries:manage')) {
+      return res.status(400).json({ message: 'Owner cannot manage inquiries' });
+    }
+  }
+
+  const after = {
+    status: status ?? before.status,
+    ownerType: changingOwner ? owner_type || null : before.owner_type,
+    ownerId: changingOwner ? (owner_id ? Number(owner_id) : null) : before.owner_id,
+  };
+  await db.transaction(async (tx) => {
+    await tx.inquiries.update(key.source, key.id, after);
+    await recordAudit(tx, req, {
+      action: 'update',
+      entity: key.source,
+      entityId: key.id,
+      before: { status: before.status, owner_type: before.owner_type, owner_id: before.owner_id },
+      after: { status: after.status, owner_type: after.ownerType, owner_id: after.ownerId },
+    });
+  });
+  res.json({ message: 'Inquiry updated successfully', ...(await db.inquiries.find(key.source, key.id, req.companyId)) });
+});
+
+// Add a note to an inquiry
+app.post('/api/inquiries/:source/:id/notes', verifyToken, authorize('inquiries:manage'), validate({
+  summary: 'Add a note to an inquiry',
+  params: INQUIRY_PARAMS,
+  body: { note: field.string({ required: true, max: 5000 }) },
+}), async (req, res) => {
+  const key = getInquiryKey(req.params);
+  if (!key) return res.status(404).json({ message: 'Inquiry not found' });
+  const note = String(req.body.note).trim();
+
+  if (!(await db.inquiries.find(key.source, key.id, req.companyId))) return res.status(404).json({ message: 'Inquiry not found' });
+  const id = await db.transaction(async (tx) => {
+    const noteId = await tx.inquiries.addNote(key.source, key.id, { note, authorId: req.userId, authorType: req.userType });
+    await recordAudit(tx, req, { action: 'create', entity: 'inquiry_note', entityId: noteId, after: { source: key.source, inquiry_id: key.id, note } });
+    return noteId;
+  });
+  res.status(201).json({ message: 'Note added successfully', id });
+});
+// Format a DATE column value (Date object or string) as YYYY-MM-DD
+const toDateKey = (value) => {
+  if (value instanceof Date) {
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+  return String(value).slice(0, 10);
+};
+
+// Work out payable days, loss-of-pay and net pay (see computePayrollRecord) for every employee of the company
+// with a salary in the given month. Employees who join after the month are left out.
+async function computePayroll(month, companyId) {
+  const range = getMonthRange(month);
+  const employees = await db.employees.listForPayroll(range.start, range.end, companyId);
+  const attendance = await db.attendance.listWithLeaveBetween(range.start, range.end);
+  const daysOff = await getDaysOff(range.start, range.end, companyId);
+  // Leavers are not paid for the days after their last working day
+  const lastWorkingDays = new Map(
+    (await db.exits.listLastWorkingDaysBetween(range.start, range.end)).map((exit) => [exit.employee_id, toDateKey(exit.last_working_day)])
+  );
+
+  const attendanceByEmployee = new Map();
+  for (const row of attendance) {
+    const date = toDateKey(row.date);
+    // A missed check-out counts as unmarked until HR decides the day
+    if (row.status === 'needs_review') continue;
+    if (!attendanceByEmployee.has(row.employee_id)) attendanceByEmployee.set(row.employee_id, new Map());
+    let dayStatus = row.present ? 'present' : 'absent';
+    if (row.status === 'half_day') dayStatus = 'half_day';
+    if (row.status === 'on_leave') dayStatus = row.paid_leave ? 'paid_leave' : 'absent';
+    attendanceByEmployee.get(row.employee_id).set(date, dayStatus);
+  }
+
+  const records = [];
+  const skipped = [];
+  for (const employee of employees) {
+    if (!Number(employee.salary_amount)) {
+      skipped.push({ employee_id: employee.id, name: employee.name, reason: 'No salary amount set' });
+      continue;
+    }
+    records.push(computePayrollRecord({
+      employee,
+      range,
+      attendance: attendanceByEmployee.get(employee.id) || new Map(),
+      daysOff,
+      joinedOn: employee.doj ? toDateKey(employee.doj) : null,
+      lastWorkingDay: lastWorkingDays.get(employee.id),
+    }));
+  }
+
+  const totals = records.reduce(
+    (sum, record) => ({
+      gross: roundMoney(sum.gross + record.gross_salary),
+      deductions: roundMoney(sum.deductions + record.lop_deduction),
+      net: roundMoney(sum.net + record.net_pay),
+    }),
+    { gross: 0, deductions: 0, net: 0 }
+  );
+
+  return { month, records, skipped, totals };
+}
+
+// Load a stored payroll run together with its records and line items
+async function getPayrollRun(month, companyId) {
+  const run = await db.payroll.findRun(month, companyId);
+  if (!run) return null;
+
+  const records = await db.payroll.listRecords(run.id);
+  const lineItems = await db.payroll.listLineItems(run.id);
+
+  return {
+    ...run,
+    records: records.map((record) => ({
+      ...record,
+      line_items: lineItems
+        .filter((item) => item.record_id === record.id)
+        .map(({ type, label, amount }) => ({ type, label, amount })),
+    })),
+  };
+}
+
+const escapeHtml = (value) =>
+  String(value ?? '').replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+
+const formatCurrency = (amount) =>
+  `₹${Number(amount).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatMonth = (month) =>
+  new Date(`${month}-01T00:00:00`).toLocaleDateString('en-GB', { month: 'long', year: 'numeric' });
+
+function buildPayslipHtml(month, record, employee, { company }) {
+  const earnings = record.line_items.filter((item) => item.type === 'earning');
+  const deductions = record.line_items.filter((item) => item.type === 'deduction');
+  const totalDeductions = deductions.reduce((sum, item) => sum + Number(item.amount), 0);
+  const rows = (items) =>
+    items.length > 0
+      ? items.map((item) => `<tr><td>${escapeHtml(item.label)}</td><td class="amount">${formatCurrency(item.amount)}</td></tr>`).join('')
+      : '<tr><td colspan="2">None</td></tr>';
+
+  return `
+    <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; font-size: 11pt; color: #333; }
+          .header { text-align: center; margin-bottom: 20px; }
+          .header img { width: 90px; margin-bottom: 8px; }
+          .header h1 { font-size: 16pt; margin: 0; }
+          .header p { margin: 2px 0; font-size: 9pt; color: #555; }
+          h2 { text-align: center; font-size: 13pt; margin: 16px 0; }
+          table { width: 100%; border-collapse: collapse; margin-bottom: 16px; }
+          th, td { border: 1px solid #ccc; padding: 6px 8px; text-align: left; }
+          th { background: #f4f4f4; }
+          .amount { text-align: right; }
+          .net { font-size: 13pt; font-weight: bold; text-align: right; }
+          .footer { margin-top: 30px; font-size: 9pt; color: #777; text-align: center; }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          ${company.logo ? `<img src="${company.logo}" alt="${escapeHtml(company.name)} Logo" />` : ''}
+          <h1>${escapeHtml(company.name)}</h1>
+          <p>Address: ${escapeHtml(company.address)}</p>
+          <p>Email: ${escapeHtml(company.email)} | Phone No.: ${escapeHtml(company.phone)} | Website: ${escapeHtml(company.website)}</p>
+        </div>
+        <h2>Payslip for ${escapeHtml(formatMonth(month))}</h2>
+        <table>
+          <tr><th>Employee Name</th><td>${escapeHtml(employee.name)}</td><th>Employee ID</th><td>${escapeHtml(employee.id)}</td></tr>
+          <tr><th>Email</th><td>${escapeHtml(employee.email)}</td><th>Date of Joining</th><td>${employee.doj ? escapeHtml(toDateKey(employee.doj)) : '-'}</td></tr>
+          <tr><th>Calendar Days</th><td>${record.calendar_days}</td><th>Working Days</th><td>${record.working_days}</td></tr>
+          <tr><th>Days Present</th><td>${record.present_days}</td><th>Loss of Pay Days</th><td>${record.lop_days}</td></tr>
+          <tr><th>Paid Leave Days</th><td>${record.leave_days}</td><th>Holidays</th><td>${record.holiday_days}</td></tr>
+          <tr><th>Payable Days</th><td colspan="3">${record.payable_days}</td></tr>
+        </table>
+        <table>
+          <tr><th>Earnings</th><th class="amount">Amount</th></tr>
+          ${rows(earnings)}
+          <tr><th>Gross Earnings</th><th class="amount">${formatCurrency(record.gross_salary)}</th></tr>
+        </table>
+        <table>
+          <tr><th>Deductions</th><th class="amount">Amount</th></tr>
+          ${rows(deductions)}
+          <tr><th>Total Deductions</th><th class="amount">${formatCurrency(totalDeductions)}</th></tr>
+        </table>
+        <p class="net">Net Pay: ${formatCurrency(record.net_pay)}</p>
+        <div class="footer">
+          <p>This is a computer-generated payslip and does not require a signature.</p>
+          <p>${escapeHtml(company.phone)} | ${escapeHtml(company.email)} | ${escapeHtml(company.website)}</p>
+        </div>
+      </body>
+    </html>
+  `;
+}
+
+// Fetch one employee's payroll record for a locked or paid run, with the employee details a payslip needs
+async function getPayslipData(month, employeeId, companyId) {
+  const run = await getPayrollRun(month, companyId);
+  if (!run) return null;
+  const record = run.records.find((item) => item.employee_id === Number(employeeId));
+  if (!record) return null;
+  const employee = await db.employees.findById(employeeId, companyId);
+  if (!employee) return null;
+  return { run, record, employee };
+}
+
+// Render payslips for every employee in a paid run and queue them for emailing. Failures are logged per employee.
+async function emailPayslips(month, companyId) {
+  const run = await getPayrollRun(month, companyId);
+  const profile = await getCompanyProfile(companyId);
+  const { company } = profile;
+  const result = { queued: 0, failed: [] };
+  for (const record of run.records) {
+    try {
+      const employee = await db.employees.findById(record.employee_id, companyId);
+      const pdf = await renderPdf(buildPayslipHtml(month, record, employee, profile));
+      await queueEmail(db, 'payslip', {
+        to: employee.email,
+        subject: `Payslip for ${formatMonth(month)} - ${company.name}`,
+        text: `Dear ${employee.name.split(' ')[0]},
+
+Please find attached your payslip for ${formatMonth(month)}.
+
+Best regards,
+HR
+${company.name}`,
+        attachments: [{ filename: `payslip_${month}.pdf`, content: pdf }],
+      }, { companyId });
+      result.queued += 1;
+    } catch (error) {
+      console.error(`Failed to queue payslip for employee ${record.employee_id}:`, error);
+      result.failed.push(record.employee_id);
+    }
+  }
+  console.log(`Payslips for ${month}: ${result.queued} queued, ${result.failed.length} failed`);
+  return result;
+}
+
+const MONTH_PARAMS = { month: field.month() };
+
+// List payroll runs
+app.get('/api/payroll', verifyToken, authorize('payroll:read'), validate({ summary: 'List payroll runs' }), async (req, res) => {
+  res.json(await db.payroll.listRuns(req.companyId));
+});
+
+// Preview a payroll run without saving it
+app.get('/api/payroll/:month/preview', verifyToken, authorize('payroll:read'), validate({
+  summary: 'Preview a payroll run without saving it',
+  params: MONTH_PARAMS,
+}), async (req, res) => {
+  const { month } = req.params;
+  res.json(await computePayroll(month, req.companyId));
+});
+
+// Fetch a saved payroll run
+app.get('/api/payroll/:month', verifyToken, authorize('payroll:read'), validate({
+  summary: 'Fetch a saved payroll run',
+  params: MONTH_PARAMS,
+}), async (req, res) => {
+  const { month } = req.params;
+  const run = await getPayrollRun(month, req.companyId);
+  if (!run) return res.status(404).json({ message: 'No payroll run for this month' });
+  res.json(run);
+});
+
+// Compute and lock the payroll for a month so its numbers can no longer change
+app.post('/api/payroll/:month/lock', verifyToken, authorize('payroll:run'), validate({
+  summary: 'Compute and lock the payroll for a month',
+  description: 'Locked numbers can no longer change.',
+  params: MONTH_PARAMS,
+}), async (req, res) => {
+  const { month } = req.params;
+  try {
+    const existing = await db.payroll.findRun(month, req.companyId);
+    if (existing) {
+      return res.status(409).json({ message: `Payroll for ${month} is already ${existing.status}` });
+    }
+
+    const payroll = await computePayroll(month, req.companyId);
+    if (payroll.records.length === 0) {
+      return res.status(400).json({ message: 'No employees with a salary amount to run payroll for' });
+    }
+
+    await db.transaction(async (tx) => {
+      const runId = await tx.payroll.createLockedRun(month, req.companyId, payroll.totals, req.userId);
+      await recordAudit(tx, req, {
+        action: 'create',
+        entity: 'payroll_run',
+        entityId: month,
+        after: {
+          status: 'locked',
+          total_gross: payroll.totals.gross,
+          total_deductions: payroll.totals.deductions,
+          total_net: payroll.totals.net,
+          employees: payroll.records.length,
+        },
+      });
+      for (const record of payroll.records) {
+        const recordId = await tx.payroll.createRecord(runId, record);
+        for (const item of record.line_items) {
+          await tx.payroll.createLineItem(recordId, item);
+        }
+        await recordAudit(tx, req, {
+          action: 'create',
+          entity: 'payroll_record',
+          entityId: `${record.employee_id}:${month}`,
+          employeeId: record.employee_id,
+          after: { month, gross_salary: record.gross_salary, lop_days: record.lop_days, lop_deduction: record.lop_deduction, net_pay: record.net_pay },
+        });
+      }
+    });
+
+    res.json({ message: `Payroll for ${month} locked`, run: await getPayrollRun(month, req.companyId), skipped: payroll.skipped });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ message: `Payroll for ${month} is already locked` });
+    }
+    throw error;
+  }
+});
+
+// Mark a locked payroll run as paid and record it in the salary table
+app.post('/api/payroll/:month/pay', verifyToken, authorize('payroll:run'), validate({
+  summary: 'Mark a locked payroll run as paid',
+  description: 'Records the month as paid in the salary table for everyone in the run.',
+  params: MONTH_PARAMS,
+  body: { emailPayslips: field.boolean({ description: 'Email everyone their payslip afterwards' }) },
+}), async (req, res) => {
+  const { month } = req.params;
+  const run = await db.payroll.findRun(month, req.companyId);
+  if (!run) return res.status(404).json({ message: 'No payroll run for this month' });
+  if (run.status !== 'locked') {
+    return res.status(409).json({ message: `Payroll for ${month} is already ${run.status}` });
+  }
+
+  const records = await db.payroll.listRecords(run.id);
+
+  const paid = await db.transaction(async (tx) => {
+    const { affectedRows } = await tx.payroll.markPaid(run.id, req.userId);
+    if (affectedRows === 0) return false;
+    await recordAudit(tx, req, { action: 'update', entity: 'payroll_run', entityId: month, before: run, after: { status: 'paid' } });
+    for (const record of records) {
+      const before = await tx.salary.find(record.employee_id, month);
+      await tx.salary.setPaid(record.employee_id, month, true);
+      await recordAudit(tx, req, {
+        action: before ? 'update' : 'create',
+        entity: 'salary',
+        entityId: `${record.employee_id}:${month}`,
+        employeeId: record.employee_id,
+        before,
+        after: { employee_id: record.employee_id, month, paid: true },
+      });
+      if (!before?.paid) {
+        await queueWebhookEvent(tx, 'salary.paid', {
+          employee_id: record.employee_id, month, net_pay: Number(record.net_pay), source: 'payroll',
+        }, { companyId: req.companyId });
+      }
+    }
+    return true;
+  });
+  // Lost a race with another request paying the same run
+  if (!paid) return res.status(409).json({ message: `Payroll for ${month} is already paid` });
+  wakeWebhookWorker();
+
+  // Emailing the whole company can take a while, so it happens after the response
+  const { emailPayslips: sendPayslips } = req.body;
+  if (sendPayslips) {
+    emailPayslips(month, req.companyId).catch((error) => console.error(`Error emailing payslips for ${month}:`, error));
+  }
+
+  res.json({ message: `Payroll for ${month} marked as paid`, employees: records.length, emailingPayslips: Boolean(sendPayslips) });
+});
+
+// Email payslips for a paid month to everyone in the run
+app.post('/api/payroll/:month/payslips/email', verifyToken, authorize('payroll:run'), validate({
+  summary: 'Email payslips for a paid month to everyone in the run',
+  params: MONTH_PARAMS,
+}), async (req, res) => {
+  const { month } = req.params;
+  const run = await db.payroll.findRun(month, req.companyId);
+  if (!run) return res.status(404).json({ message: 'No payroll run for this month' });
+  if (run.status !== 'paid') return res.status(409).json({ message: 'Payslips can only be emailed once the month is paid' });
+
+  emailPayslips(month, req.companyId).catch((error) => console.error(`Error emailing payslips for ${month}:`, error));
+  res.status(202).json({ message: `Emailing payslips for ${month}` });
+});
+
+// Download an employee's payslip (admin)
+app.get('/api/payroll/:month/payslips/:employeeId', verifyToken, authorize('payroll:read'), validate({
+  summary: "Download an employee's payslip",
+  params: { ...MONTH_PARAMS, ...EMPLOYEE_ID_PARAMS },
+  response: 'PDF file',
+}), async (req, res) => {
+  const { month, employeeId } = req.params;
+  const payslip = await getPayslipData(month, employeeId, req.companyId);
+  if (!payslip) return res.status(404).json({ message: 'Payslip not found' });
+
+  const pdf = await renderPdf(buildPayslipHtml(month, payslip.record, payslip.employee, await getCompanyProfile(req.companyId)));
+  res.set({ 'Content-Type': 'application/pdf', 'Content-Disposition': `attachment; filename="payslip_${employeeId}_${month}.pdf"` });
+  res.send(pdf);
+});
+
+// Employee payslips available for download
+app.get('/employee/api/payslips', verifyToken, validate({ summary: "The signed-in employee's payslips available for download" }), async (req, res) => {
+  if (req.userType !== 'employee') return res.status(403).json({ message: 'Unauthorized' });
+  res.json(await db.payroll.listPaidForEmployee(req.userId));
+});
+
+// Employee payslip download
+app.get('/employee/api/payslips/:month', verifyToken, validate({
+  summary: "Download the signed-in employee's payslip",
+  params: MONTH_PARAMS,
+  response: 'PDF file',
+}), async (req, res) => {
+  if (req.userType !== 'employee') return res.status(403).json({ message: 'Unauthorized' });
+  const { month } = req.params;
+  const payslip = await getPayslipData(month, req.userId, req.companyId);
+  // Employees only see payslips once the month has actually been paid
+  if (!payslip || payslip.run.status !== 'paid') return res.status(404).json({ message: 'Payslip not found' });
+
+  const pdf = await renderPdf(buildPayslipHtml(month, payslip.record, payslip.employee, await getCompanyProfile(req.companyId)));
+  res.set({ 'Content-Type': 'application/pdf', 'Content-Disposition': `attachment; filename="payslip_${month}.pdf"` });
+  res.send(pdf);
+});
+
+// Reports. Every report answers JSON by default, or a download with ?format=csv or ?format=xlsx.
+const REPORT_FORMATS = ['json', 'csv', 'xlsx'];
+const MAX_REPORT_MONTHS = 36;
+
+// Send a report ({ filename, sheetName, header, rows, data }) in the requested format
+async function sendReport(req, res, report) {
+  const format = req.query.format || 'json';
+  if (format === 'json') return res.json(report.data);
+  if (format === 'csv') {
+    res.set({ 'Content-Type': 'text/csv; charset=utf-8', 'Content-Disposition': `attachment; filename="${report.filename}.csv"` });
+    return res.send(toCsv(report.header, report.rows));
+  }
+  res.set({
+    'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'Content-Disposition': `attachment; filename="${report.filename}.xlsx"`,
+  });
+  res.send(await toXlsx({ sheetName: report.sheetName, header: report.header, rows: report.rows }));
+}
+
+// ?format= and ?employeeId= taken by every report
+const REPORT_QUERY = {
+  format: field.enum(REPORT_FORMATS, { description: 'json by default' }),
+  employeeId: field.id({ description: 'Limit the report to one employee' }),
+};
+
+// Whose data a report may cover: the caller's company, narrowed to their team for managers (see getTeamScope)
+const getReportScope = async (req) => ({ companyId: req.companyId, team: await getTeamScope(req) });
+
+// Employees a report covers: everyone in the scope, or just ?employeeId=
+async function getReportEmployees(employeeId, { companyId, team }) {
+  const employees = (await db.employees.listForReports(companyId)).filter((employee) => inTeam(team, employee.id));
+  return employeeId ? employees.filter((employee) => employee.id === Number(employeeId)) : employees;
+}
+
+// Months from one YYYY-MM to another, inclusive
+const listMonths = (from, to) => {
+  const months = [];
+  for (let day = new Date(`${from}-01T00:00:00Z`); day.toISOString().slice(0, 7) <= to; day.setUTCMonth(day.getUTCMonth() + 1)) {
+    months.push(day.toISOString().slice(0, 7));
+  }
+  return months;
+};
+
+// Date an employee joined: doj, or the day their record was created when no doj was entered
+const getJoiningDate = (employee) => toDateKey(employee.doj || employee.created_at);
+
+const MUSTER_LEGEND = {
+  P: 'Present', A: 'Absent', HD: 'Half day', L: 'Paid leave', LWP: 'Leave without pay', H: 'Holiday', WO: 'Weekly off',
+  R: 'Missed check-out, needs review',
+};
+
+// Attendance muster: one row per employee, one column per day of the month
+async function buildMusterReport(month, employeeId, scope) {
+  const range = getMonthRange(month);
+  const employees = await getReportEmployees(employeeId, scope);
+  const attendance = await db.attendance.listWithLeaveBetween(range.start, range.end);
+  const daysOff = await getDaysOff(range.start, range.end, scope.companyId);
+  const dates = listDates(range.start, range.end);
+
+  const codes = new Map();
+  for (const row of attendance) {
+    let code = row.present ? 'P' : 'A';
+    if (row.status === 'half_day') code = 'HD';
+    if (row.status === 'on_leave') code = row.paid_leave ? 'L' : 'LWP';
+    if (row.status === 'needs_review') code = 'R';
+    codes.set(`${row.employee_id}:${toDateKey(row.date)}`, code);
+  }
+
+  const musters = employees.map((employee) => {
+    const holidays = daysOff.holidaysFor(employee.state);
+    const days = Object.fromEntries(dates.map((date) => {
+      if (holidays.has(date)) return [date, 'H'];
+      if (daysOff.weeklyOffs.has(date)) return [date, 'WO'];
+      return [date, codes.get(`${employee.id}:${date}`) || ''];
+    }));
+    const count = (code) => Object.values(days).filter((value) => value === code).length;
+    const totals = {
+      present: count('P') + count('HD') / 2,
+      absent: count('A') + count('LWP') + count('HD') / 2,
+      paid_leave: count('L'),
+      holidays: count('H'),
+      weekly_offs: count('WO'),
+      needs_review: count('R'),
+      unmarked: count(''),
+    };
+    return { employee_id: employee.id, name: employee.name, days, totals };
+  });
+
+  return {
+    filename: `muster_${month}`,
+    sheetName: `Muster ${month}`,
+    header: ['Employee ID', 'Name', ...dates.map((date) => date.slice(8)), 'Present', 'Absent', 'Paid Leave', 'Holidays', 'Weekly Offs', 'Needs Review', 'Unmarked'],
+    rows: musters.map((muster) => [
+      muster.employee_id, muster.name, ...dates.map((date) => muster.days[date]), ...Object.values(muster.totals),
+    ]),
+    data: { month, legend: MUSTER_LEGEND, dates, employees: musters },
+  };
+}
+
+// Salary register: pay per employee for a month and whether it has been paid. Amounts come from the
+// locked payroll run when there is one, otherwise from a payroll preview.
+async function buildSalaryRegister(month, employeeId, scope) {
+  const employees = await getReportEmployees(employeeId, scope);
+  const run = await db.payroll.findRun(month, scope.companyId);
+  const records = new Map((run ? await db.payroll.listRecords(run.id) : (await computePayroll(month, scope.companyId)).records)
+    .map((record) => [record.employee_id, record]));
+  const paid = new Map((await db.salary.listForMonth(month)).map((row) => [row.employee_id, Boolean(row.paid)]));
+
+  const register = employees.map((employee) => {
+    const record = records.get(employee.id);
+    const gross = record ? Number(record.gross_salary) : Number(employee.salary_amount) || 0;
+    return {
+      employee_id: employee.id,
+      name: employee.name,
+      email: employee.email,
+      gross_salary: roundMoney(gross),
+      lop_days: record ? Number(record.lop_days) : 0,
+      lop_deduction: record ? roundMoney(Number(record.lop_deduction)) : 0,
+      net_pay: record ? roundMoney(Number(record.net_pay)) : roundMoney(gross),
+      paid: paid.get(employee.id) || false,
+    };
+  });
+  const sum = (rows) => ({ count: rows.length, amount: roundMoney(rows.reduce((total, row) => total + row.net_pay, 0)) });
+  const totals = {
+    paid: sum(register.filter((row) => row.paid)),
+    unpaid: sum(register.filter((row) => !row.paid)),
+    all: sum(register),
+  };
+
+  return {
+    filename: `salary_register_${month}`,
+    sheetName: `Salary ${month}`,
+    header: ['Employee ID', 'Name', 'Email', 'Gross Salary', 'LOP Days', 'LOP Deduction', 'Net Pay', 'Paid'],
+    rows: [
+      ...register.map((row) => [row.employee_id, row.name, row.email, row.gross_salary, row.lop_days, row.lop_deduction, row.net_pay, row.paid ? 'Yes' : 'No']),
+      [],
+      ['', 'Total paid', `${totals.paid.count} employee(s)`, '', '', '', totals.paid.amount, ''],
+      ['', 'Total unpaid', `${totals.unpaid.count} employee(s)`, '', '', '', totals.unpaid.amount, ''],
+      ['', 'Total', `${totals.all.count} employee(s)`, '', '', '', totals.all.amount, ''],
+    ],
+    data: { month, payroll_status: run ? run.status : 'not_run', employees: register, totals },
+  };
+}
+
+// Headcount per month: employees at the start, joiners during the month (by doj) and employees at the end
+async function buildHeadcountReport(months, scope) {
+  const joiningDates = (await getReportEmployees(null, scope)).map(getJoiningDate);
+  const counts = months.map((month) => {
+    const range = getMonthRange(month);
+    const opening = joiningDates.filter((date) => date < range.start).length;
+    const joiners = joiningDates.filter((date) => date >= range.start && date <= range.end).length;
+    return { month, opening, joiners, closing: opening + joiners };
+  });
+
+  return {
+    filename: `headcount_${months[0]}_${months[months.length - 1]}`,
+    sheetName: 'Headcount',
+    header: ['Month', 'Opening Headcount', 'Joiners', 'Closing Headcount'],
+    rows: counts.map((row) => [row.month, row.opening, row.joiners, row.closing]),
+    data: { months: counts },
+  };
+}
+
+// Employees who joined (by doj) between two months
+async function buildJoinersReport(months, employeeId, scope) {
+  const start = getMonthRange(months[0]).start;
+  const end = getMonthRange(months[months.length - 1]).end;
+  const joiners = (await getReportEmployees(employeeId, scope))
+    .map((employee) => ({ ...employee, joining_date: getJoiningDate(employee) }))
+    .filter((employee) => employee.joining_date >= start && employee.joining_date <= end)
+    .sort((a, b) => a.joining_date.localeCompare(b.joining_date))
+    .map((employee) => ({
+      employee_id: employee.id, name: employee.name, email: employee.email, phone: employee.phone,
+      city: employee.city, state: employee.state, doj: employee.doj ? toDateKey(employee.doj) : null,
+    }));
+
+  return {
+    filename: `joiners_${months[0]}_${months[months.length - 1]}`,
+    sheetName: 'Joiners',
+    header: ['Employee ID', 'Name', 'Email', 'Phone', 'City', 'State', 'Date of Joining'],
+    rows: joiners.map((row) => [row.employee_id, row.name, row.email, row.phone, row.city, row.state, row.doj]),
+    data: { from: months[0], to: months[months.length - 1], joiners },
+  };
+}
+
+// Employees ranked by days absent in a month (unpaid leave counts, a half day counts half), then by late arrivals
+async function buildAbsenteeReport(month, employeeId, limit, scope) {
+  const range = getMonthRange(month);
+  const employees = await getReportEmployees(employeeId, scope);
+  const attendance = await db.attendance.listWithLeaveBetween(range.start, range.end);
+  const daysOff = await getDaysOff(range.start, range.end, scope.companyId);
+  const employeeStates = new Map(employees.map((employee) => [employee.id, employee.state]));
+
+  const stats = new Map(employees.map((employee) => [
+    employee.id, { employee_id: employee.id, name: employee.name, absent_days: 0, half_days: 0, unpaid_leave_days: 0, late_days: 0 },
+  ]));
+  for (const row of attendance) {
+    const employee = stats.get(row.employee_id);
+    if (!employee || daysOff.isDayOff(toDateKey(row.date), employeeStates.get(row.employee_id))) continue;
+    if (row.status === 'half_day') employee.half_days += 1;
+    else if (row.status === 'on_leave' && !row.paid_leave) employee.unpaid_leave_days += 1;
+    else if (row.status !== 'on_leave' && row.status !== 'needs_review' && !row.present) employee.absent_days += 1;
+    if (row.late_minutes > 0) employee.late_days += 1;
+  }
+
+  const ranking = [...stats.values()]
+    .map((employee) => ({ ...employee, total_absence: employee.absent_days + employee.unpaid_leave_days + employee.half_days / 2 }))
+    .filter((employee) => employee.total_absence > 0 || employee.late_days > 0)
+    .sort((a, b) => b.total_absence - a.total_absence || b.late_days - a.late_days || a.employee_id - b.employee_id)
+    .slice(0, limit)
+    .map((employee, index) => ({ rank: index + 1, ...employee }));
+
+  return {
+    filename: `absentees_${month}`,
+    sheetName: `Absentees ${month}`,
+    header: ['Rank', 'Employee ID', 'Name', 'Absent Days', 'Half Days', 'Unpaid Leave Days', 'Total Absence', 'Late Arrivals'],
+    rows: ranking.map((row) => [row.rank, row.employee_id, row.name, row.absent_days, row.half_days, row.unpaid_leave_days, row.total_absence, row.late_days]),
+    data: { month, employees: ranking },
+  };
+}
+
+// Monthly attendance muster (employees x days)
+app.get('/api/reports/muster', verifyToken, authorize('attendance:read'), validate({
+  summary: 'Monthly attendance muster',
+  query: { month: field.month({ required: true }), ...REPORT_QUERY },
+  response: 'The report as JSON, or a CSV or XLSX download',
+}), async (req, res) => {
+  const { month, employeeId } = req.query;
+
+  await sendReport(req, res, await buildMusterReport(month, employeeId, await getReportScope(req)));
+});
+
+// Salary register with paid and unpaid totals
+app.get('/api/reports/salary-register', verifyToken, authorize('salary:read'), validate({
+  summary: 'Salary register with paid and unpaid totals',
+  query: { month: field.month({ required: true }), ...REPORT_QUERY },
+  response: 'The report as JSON, or a CSV or XLSX download',
+}), async (req, res) => {
+  const { month, employeeId } = req.query;
+
+  await sendReport(req, res, await buildSalaryRegister(month, employeeId, await getReportScope(req)));
+});
+
+// Months a headcount or joiners report covers: ?month=, or ?from= and ?to=; the last 12 months by default
+const getReportMonths = (query) => {
+  const yearAgo = new Date();
+  yearAgo.setUTCDate(1);
+  yearAgo.setUTCMonth(yearAgo.getUTCMonth() - 11);
+  const from = query.month || query.from || yearAgo.toISOString().slice(0, 7);
+  const to = query.month || query.to || new Date().toISOString().slice(0, 7);
+  if (to < from) return { error: 'The end month cannot be before the start month' };
+  const months = listMonths(from, to);
+  if (months.length > MAX_REPORT_MONTHS) return { error: `A report can cover at most ${MAX_REPORT_MONTHS} months` };
+  return { months };
+};
+
+const REPORT_MONTHS_QUERY = {
+  month: field.month({ description: 'A single month; overrides from and to' }),
+  from: field.month({ description: '12 months ago by default' }),
+  to: field.month({ description: 'This month by default' }),
+};
+
+// Headcount and joiners per month
+app.get('/api/reports/headcount', verifyToken, authorize('employees:read'), validate({
+  summary: 'Headcount and joiners per month',
+  query: { ...REPORT_MONTHS_QUERY, format: REPORT_QUERY.format },
+  response: 'The report as JSON, or a CSV or XLSX download',
+}), async (req, res) => {
+  const { months, error: monthError } = getReportMonths(req.query);
+  if (monthError) return res.status(400).json({ message: monthError });
+
+  await sendReport(req, res, await buildHeadcountReport(months, await getReportScope(req)));
+});
+
+// Employees who joined in a month or range of months
+app.get('/api/reports/joiners', verifyToken, authorize('employees:read'), validate({
+  summary: 'Employees who joined in a month or range of months',
+  query: { ...REPORT_MONTHS_QUERY, ...REPORT_QUERY },
+  response: 'The report as JSON, or a CSV or XLSX download',
+}), async (req, res) => {
+  const { months, error: monthError } = getReportMonths(req.query);
+  if (monthError) return res.status(400).json({ message: monthError });
+
+  await sendReport(req, res, await buildJoinersReport(months, req.query.employeeId, await getReportScope(req)));
+});
+
+// Absentee ranking for a month. ?limit= keeps the top N.
+app.get('/api/reports/absentees', verifyToken, authorize('attendance:read'), validate({
+  summary: 'Absentee ranking for a month',
+  query: { month: field.month({ required: true }), limit: field.integer({ min: 1, description: 'Keep the top N' }), ...REPORT_QUERY },
+  response: 'The report as JSON, or a CSV or XLSX download',
+}), async (req, res) => {
+  const { month, employeeId } = req.query;
+  const limit = req.query.limit ? Number(req.query.limit) : undefined;
+
+  await sendReport(req, res, await buildAbsenteeReport(month, employeeId, limit, await getReportScope(req)));
+});
+
+// Dates from start to end (inclusive, YYYY-MM-DD) that are working days for the employee:
+// not weekly offs and not holidays in their state
+async function getLeaveDates(employeeId, startDate, endDate) {
+  const employee = await db.employees.findProfile(employeeId);
+  const daysOff = await getDaysOff(startDate, endDate, employee?.company_id);
+  return listDates(startDate, endDate).filter((date) => !daysOff.isDayOff(date, employee?.state));
+}
+
+// Quota, used, pending and remaining leave per leave type for one employee in a calendar year
+async function getLeaveBalances(employeeId, year, companyId) {
+  const types = await db.leaves.listActiveTypes(companyId);
+  const requests = await db.leaves.sumDaysByType(employeeId, `${year}-01-01`, `${year}-12-31`);
+  return types.map((type) => {
+    const daysWith = (status) =>
+      Number(requests.find((row) => row.leave_type_id === type.id && row.status === status)?.days || 0);
+    const used = daysWith('approved');
+    const pending = daysWith('pending');
+    return {
+      leave_type_id: type.id,
+      name: type.name,
+      code: type.code,
+      paid: Boolean(type.paid),
+      quota: type.yearly_quota,
+      used,
+      pending,
+      available: type.yearly_quota === null ? null : type.yearly_quota - used - pending,
+    };
+  });
+}
+
+const isValidDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !Number.isNaN(new Date(`${value}T00:00:00Z`).getTime());
+
+const formatDisplayDate = (value) => {
+  const [year, month, day] = toDateKey(value).split('-');
+  return `${day}-${month}-${year}`;
+};
+
+// Designation title and department name of an employee, empty when not assigned
+async function getEmployeePosition(employee) {
+  const designation = employee.designation_id ? await db.designations.findById(employee.designation_id, employee.company_id) : null;
+  const department = employee.department_id ? await db.departments.findById(employee.department_id, employee.company_id) : null;
+  return { designation: designation?.title || '', department: department?.name || '' };
+}
+
+// Values available to document templates as {{placeholders}}. `profile` is the employee's company
+// (see getCompanyProfile). `data` carries per-document values such as doj, salary_amount, role and
+// last_working_day, falling back to what is stored on the employee (`data.position` from
+// getEmployeePosition supplies the default role and the department).
+function buildTemplateContext(employee, { company, hr }, data = {}) {
+  const salaryAmount = data.salary_amount || employee.salary_amount;
+  const doj = data.doj || employee.doj;
+  return {
+    date: formatDisplayDate(new Date()),
+    doj: doj ? formatDisplayDate(doj) : '',
+    last_working_day: data.last_working_day ? formatDisplayDate(data.last_working_day) : '',
+    salary: salaryAmount ? `₹${salaryAmount}` : '₹16,000 (default)',
+    role: data.role || data.position?.designation || 'Full Stack Developer',
+    department: data.position?.department || '',
+    offer: data.offer || { link: '', expires_on: '' },
+    employee: {
+      id: employee.id,
+      name: employee.name,
+      first_name: employee.name.split(' ')[0],
+      email: employee.email,
+      phone: employee.phone,
+      address: employee.address,
+      city: employee.city,
+      state: employee.state,
+      country: employee.country,
+      full_address: [employee.address, employee.city, employee.state, employee.country].filter(Boolean).join(', '),
+    },
+    company,
+    hr,
+  };
+}
+
+// Replace {{path.to.value}} placeholders with values from the context. Unknown placeholders render
+// as empty strings and are reported in `missing`.
+function renderTemplate(template, context, { escape = false } = {}) {
+  const missing = new Set();
+  const output = template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+    const value = key.split('.').reduce((current, part) => (current == null ? undefined : current[part]), context);
+    if (value === undefined || value === null || typeof value === 'object') {
+      missing.add(key);
+      return '';
+    }
+    return escape ? escapeHtml(value) : String(value);
+  });
+  return { output, missing: [...missing] };
+}
+
+// A company's active template version for a kind, or the built-in default when none has been saved
+async function getActiveTemplate(kind, companyId) {
+  return (await db.templates.findActive(kind, companyId)) || defaultTemplates[kind];
+}
+
+// Render a document for an employee as HTML, plus the email subject and body that go with it
+async function renderDocument(kind, employeeId, companyId, data, templateOverride) {
+  const employee = await db.employees.findById(employeeId, companyId);
+  if (!employee) return null;
+  const template = { ...(await getActiveTemplate(kind, companyId)), ...templateOverride };
+  const context = buildTemplateContext(employee, await getCompanyProfile(companyId), { ...data, position: await getEmployeePosition(employee) });
+  const html = renderTemplate(template.body_html, context, { escape: true });
+  return {
+    employee,
+    template,
+    html: html.output,
+    subject: renderTemplate(template.subject, context).output,
+    text: renderTemplate(template.email_text, context).output,
+    missing: html.missing,
+  };
+}
+
+const TEMPLATE_PARAMS = { kind: field.enum(Object.keys(DOCUMENT_TEMPLATE_KINDS)) };
+const TEMPLATE_VERSION_PARAMS = { ...TEMPLATE_PARAMS, version: field.integer({ min: 0, description: '0 is the built-in default' }) };
+
+// List template kinds with their active version
+app.get('/api/templates', verifyToken, authorize('templates:manage'), validate({ summary: 'List template kinds with their active version' }), async (req, res) => {
+  const rows = await db.templates.listActive(req.companyId);
+  res.json(
+    Object.keys(DOCUMENT_TEMPLATE_KINDS).map((kind) => {
+      const active = rows.find((row) => row.kind === kind);
+      return active ? { ...active } : { kind, version: 0, subject: defaultTemplates[kind].subject, builtIn: true };
+    })
+  );
+});
+
+// List every saved version of a template, plus the built-in default as version 0
+app.get('/api/templates/:kind', verifyToken, authorize('templates:manage'), validate({
+  summary: 'List every version of a template',
+  params: TEMPLATE_PARAMS,
+}), async (req, res) => {
+  const { kind } = req.params;
+  const rows = await db.templates.listVersions(kind, req.companyId);
+  res.json({
+    kind,
+    versions: [...rows, { version: 0, subject: defaultTemplates[kind].subject, is_active: !rows.some((row) => row.is_active), builtIn: true }],
+  });
+});
+
+// Fetch a single template version with its content
+app.get('/api/templates/:kind/versions/:version', verifyToken, authorize('templates:manage'), validate({
+  summary: 'Fetch a template version with its content',
+  params: TEMPLATE_VERSION_PARAMS,
+}), async (req, res) => {
+  const { kind, version } = req.params;
+  if (Number(version) === 0) return res.json({ ...defaultTemplates[kind], builtIn: true });
+
+  const template = await db.templates.findVersion(kind, version, req.companyId);
+  if (!template) return res.status(404).json({ message: 'Template version not found' });
+  res.json(template);
+});
+
+// Save a new version of a template. Versions are immutable; editing a template means adding a version.
+app.post('/api/templates/:kind', verifyToken, authorize('templates:manage'), validate({
+  summary: 'Save a new version of a template',
+  description: 'Versions are immutable; editing a template means adding a version.',
+  params: TEMPLATE_PARAMS,
+  body: {
+    subject: field.string({ required: true }),
+    body_html: field.string({ required: true }),
+    email_text: field.string({ required: true }),
+    activate: field.boolean({ description: 'Make the new version active; true by default' }),
+  },
+}), async (req, res) => {
+  const { kind } = req.params;
+  const { subject, body_html, email_text, activate = true } = req.body;
+
+  const version = await db.transaction(async (tx) => {
+    const next = (await tx.templates.lockLatestVersion(kind, req.companyId)) + 1;
+    if (activate) await tx.templates.deactivateAll(kind, req.companyId);
+    await tx.templates.createVersion({
+      kind, version: next, subject, body_html, email_text, is_active: Boolean(activate), created_by: req.userId,
+    }, req.companyId);
+    await recordAudit(tx, req, {
+      action: 'create',
+      entity: 'document_template',
+      entityId: `${kind}:${next}`,
+      after: { kind, version: next, subject, body_html, email_text, is_active: Boolean(activate) },
+    });
+    return next;
+  });
+  res.status(201).json({ message: 'Template version saved', kind, version, active: Boolean(activate) });
+});
+
+// Make a version the active one. Version 0 reverts to the built-in default.
+app.put('/api/templates/:kind/versions/:version/activate', verifyToken, authorize('templates:manage'), validate({
+  summary: 'Make a template version the active one',
+  params: TEMPLATE_VERSION_PARAMS,
+}), async (req, res) => {
+  const { kind, version } = req.params;
+
+  if (Number(version) !== 0 && !(await db.templates.findVersion(kind, version, req.companyId))) {
+    return res.status(404).json({ message: 'Template version not found' });
+  }
+  await db.transaction(async (tx) => {
+    const active = await tx.templates.findActive(kind, req.companyId);
+    await tx.templates.deactivateAll(kind, req.companyId);
+    await tx.templates.activate(kind, version, req.companyId);
+    await recordAudit(tx, req, {
+      action: 'update',
+      entity: 'document_template',
+      entityId: kind,
+      before: { active_version: active ? active.version : 0 },
+      after: { active_version: Number(version) },
+    });
+  });
+  res.json({ message: `Version ${version} of ${kind} is now active` });
+});
+
+// Delete an inactive template version
+app.delete('/api/templates/:kind/versions/:version', verifyToken, authorize('templates:manage'), validate({
+  summary: 'Delete an inactive template version',
+  params: TEMPLATE_VERSION_PARAMS,
+}), async (req, res) => {
+  const { kind, version } = req.params;
+
+  const template = await db.templates.findVersion(kind, version, req.companyId);
+  if (!template) return res.status(404).json({ message: 'Template version not found' });
+  if (template.is_active) return res.status(409).json({ message: 'Activate another version before deleting this one' });
+
+  await db.transaction(async (tx) => {
+    await tx.templates.deleteVersion(kind, version, req.companyId);
+    await recordAudit(tx, req, { action: 'delete', entity: 'document_template', entityId: `${kind}:${version}`, before: template });
+  });
+  res.json({ message: 'Template version deleted' });
+});
+
+// Render a template for an employee without sending anything. Pass body_html/subject/email_text to
+// preview unsaved changes, or version to preview a stored version; format=pdf returns the PDF.
+app.post('/api/templates/:kind/preview', verifyToken, authorize('templates:manage'), validate({
+  summary: 'Render a template for an employee without sending anything',
+  params: TEMPLATE_PARAMS,
+  body: {
+    employee_id: field.id({ required: true }),
+    format: field.enum(['html', 'pdf']),
+    version: field.integer({ min: 0, description: 'Preview a stored version instead of the active one' }),
+    data: field.object(undefined, { description: 'Extra placeholder values, such as doj or role' }),
+    subject: field.string({ description: 'Unsaved changes to preview' }),
+    body_html: field.string(),
+    email_text: field.string(),
+  },
+  response: 'The rendered subject, HTML and text, or a PDF with format=pdf',
+}), async (req, res) => {
+  const { kind } = req.params;
+  const { employee_id, format = 'html', version, data, subject, body_html, email_text } = req.body;
+
+  let override = {};
+  if (version !== undefined) {
+    const stored = Number(version) === 0 ? defaultTemplates[kind] : await db.templates.findVersion(kind, version, req.companyId);
+    if (!stored) return res.status(404).json({ message: 'Template version not found' });
+    const { subject: storedSubject, body_html: storedBody, email_text: storedText } = stored;
+    override = { subject: storedSubject, body_html: storedBody, email_text: storedText };
+  }
+  if (subject) override.subject = subject;
+  if (body_html) override.body_html = body_html;
+  if (email_text) override.email_text = email_text;
+
+  const document = await renderDocument(kind, employee_id, req.companyId, data, override);
+  if (!document) return res.status(404).json({ message: 'Employee not found' });
+
+  if (format === 'pdf') {
+    const pdf = await renderPdf(document.html);
+    res.set({ 'Content-Type': 'application/pdf', 'Content-Disposition': `inline; filename="${kind}_preview.pdf"` });
+    return res.send(pdf);
+  }
+  res.json({ subject: document.subject, html: document.html, text: document.text, missing: document.missing });
+});
+
+// Render an experience or relieving letter. The last working day defaults to the one on the employee's
+// exit, and a relieving letter (which confirms the final settlement) needs a completed, settled exit.
+// Returns { document } or { status, error }.
+async function prepareLeavingLetter(kind, employeeId, companyId, { role, last_working_day }) {
+  if (!(await db.employees.findById(employeeId, companyId))) return { status: 404, error: 'Employee not found' };
+  const exit = await db.exits.findCurrent(employeeId);
+  const lastWorkingDay = last_working_day || (exit ? toDateKey(exit.last_working_day) : null);
+  if (!lastWorkingDay) return { status: 400, error: 'Last working day is required' };
+  if (kind === 'relieving_letter' && (exit?.status !== 'completed' || exit.settlement_status !== 'settled')) {
+    return { status: 409, error: 'A relieving letter needs a completed exit with the final settlement settled' };
+  }
+  return { document: await renderDocument(kind, employeeId, companyId, { role, last_working_day: lastWorkingDay }) };
+}
+
+// Render a letter to PDF and queue it for emailing to the employee
+async function queueLeavingLetter(req, kind, document) {
+  const pdf = await renderPdf(document.html);
+  return queueEmail(db, kind, {
+    to: document.employee.email,
+    subject: document.subject,
+    text: document.text,
+    attachments: [{ filename: `${kind}.pdf`, content: pdf }],
+  }, { companyId: req.companyId, createdBy: req.userId });
+}
+
+const LETTER_PARAMS = { id: field.id(), kind: field.enum(['experience_letter', 'relieving_letter']) };
+const LETTER_FIELDS = {
+  role: field.string({ max: 255 }),
+  last_working_day: field.date({ description: "The last working day on the employee's exit by default" }),
+};
+
+// Download an experience or relieving letter for an employee
+app.get('/api/employees/:id/letters/:kind', verifyToken, authorize('letters:issue'), validate({
+  summary: 'Download an experience or relieving letter for an employee',
+  params: LETTER_PARAMS,
+  query: LETTER_FIELDS,
+  response: 'PDF file',
+}), async (req, res) => {
+  const { id, kind } = req.params;
+  const { role, last_working_day } = req.query;
+
+  const { document, status, error: letterError } = await prepareLeavingLetter(kind, id, req.companyId, { role, last_working_day });
+  if (letterError) return res.status(status).json({ message: letterError });
+
+  const pdf = await renderPdf(document.html);
+  res.set({ 'Content-Type': 'application/pdf', 'Content-Disposition': `attachment; filename="${kind}_${id}.pdf"` });
+  res.send(pdf);
+});
+
+// Email an experience or relieving letter to an employee
+app.post('/api/employees/:id/letters/:kind/send', verifyToken, authorize('letters:issue'), validate({
+  summary: 'Email an experience or relieving letter to an employee',
+  params: LETTER_PARAMS,
+  body: LETTER_FIELDS,
+}), async (req, res) => {
+  const { id, kind } = req.params;
+  const { role, last_working_day } = req.body;
+
+  const { document, status, error: letterError } = await prepareLeavingLetter(kind, id, req.companyId, { role, last_working_day });
+  if (letterError) return res.status(status).json({ message: letterError });
+
+  await queueLeavingLetter(req, kind, document);
+  res.json({ message: `${DOCUMENT_TEMPLATE_KINDS[kind].label[0].toUpperCase()}${DOCUMENT_TEMPLATE_KINDS[kind].label.slice(1)} sent successfully` });
+});
+
+const EXIT_REASONS = ['resignation', 'termination', 'retirement', 'contract_end', 'absconding', 'other'];
+const SETTLEMENT_STATUSES = ['pending', 'in_progress', 'settled'];
+
+const EXIT_FIELDS = {
+  notice_date: field.date({ description: 'Today by default' }),
+  last_working_day: field.date(),
+  reason: field.enum(EXIT_REASONS),
+  reason_detail: field.string({ max: 5000 }),
+  settlement_status: field.enum(SETTLEMENT_STATUSES),
+  settlement_amount: field.number({ nullable: true }),
+  notes: field.string({ max: 5000 }),
+};
+
+// An employee's exit in progress (or last completed one) and every earlier exit, including cancelled ones
+app.get('/api/employees/:id/exit', verifyToken, authorize('exits:manage'), validate({
+  summary: "An employee's current exit and every earlier one",
+  params: ID_PARAMS,
+}), async (req, res) => {
+  const { id } = req.params;
+
+  const employee = await db.employees.findById(id, req.companyId);
+  if (!employee) return res.status(404).json({ message: 'Employee not found' });
+  const [current, history] = await Promise.all([db.exits.findCurrent(id), db.exits.listForEmployee(id)]);
+  res.json({ employee: { id: employee.id, name: employee.name, status: employee.status }, exit: current, history });
+});
+
+// Start the exit process for an active employee, who then serves notice until the last working day
+app.post('/api/employees/:id/exit', verifyToken, authorize('exits:manage'), validate({
+  summary: 'Start the exit process for an active employee',
+  description: 'The employee serves notice until the last working day.',
+  params: ID_PARAMS,
+  body: {
+    notice_date: EXIT_FIELDS.notice_date,
+    last_working_day: field.date({ required: true }),
+    reason: field.enum(EXIT_REASONS, { required: true }),
+    reason_detail: EXIT_FIELDS.reason_detail,
+    notes: EXIT_FIELDS.notes,
+  },
+}), async (req, res) => {
+  const { id } = req.params;
+  const { last_working_day, reason, reason_detail = null, notice_date = toDateKey(new Date()), notes = null } = req.body;
+  if (last_working_day < notice_date) return res.status(400).json({ message: 'Last working day cannot be before the notice date' });
+
+  const employee = await db.employees.findById(id, req.companyId);
+  if (!employee) return res.status(404).json({ message: 'Employee not found' });
+  if (employee.status !== 'active') return res.status(409).json({ message: `Only active employees can start an exit (status is ${employee.status})` });
+
+  const exitId = await db.transaction(async (tx) => {
+    const createdId = await tx.exits.create({
+      employeeId: id, noticeDate: notice_date, lastWorkingDay: last_working_day, reason, reasonDetail: reason_detail, notes, createdBy: req.userId,
+    });
+    await recordAudit(tx, req, {
+      action: 'create',
+      entity: 'employee_exit',
+      entityId: createdId,
+      employeeId: id,
+      after: { notice_date, last_working_day, reason, reason_detail, settlement_status: 'pending', notes },
+    });
+    await setEmployeeStatus(tx, req, employee, 'on_notice');
+    return createdId;
+  });
+  wakeWebhookWorker();
+  res.status(201).json({ message: 'Exit started', id: exitId });
+});
+
+// Update an exit: dates and reason while it is open, final settlement and notes at any time
+app.patch('/api/employees/:id/exit', verifyToken, authorize('exits:manage'), validate({
+  summary: 'Update an exit',
+  description: 'Dates and reason can change while the exit is open; the final settlement and notes at any time.',
+  params: ID_PARAMS,
+  body: EXIT_FIELDS,
+}), async (req, res) => {
+  const { id } = req.params;
+  const fields = Object.keys(EXIT_FIELDS);
+  const changes = Object.fromEntries(fields.filter((field) => req.body[field] !== undefined).map((field) => [field, req.body[field]]));
+  if (Object.keys(changes).length === 0) return res.status(400).json({ message: `Nothing to update; send any of ${fields.join(', ')}` });
+
+  if (!(await db.employees.findById(id, req.companyId))) return res.status(404).json({ message: 'Employee not found' });
+  const exit = await db.exits.findCurrent(id);
+  if (!exit) return res.status(404).json({ message: 'No exit in progress for this employee' });
+  const locked = ['notice_date', 'last_working_day', 'reason'].filter((field) => changes[field] !== undefined);
+  if (exit.status === 'completed' && locked.length > 0) {
+    return res.status(409).json({ message: `${locked.join(', ')} cannot change once the exit is completed` });
+  }
+
+  const before = {
+    ...exit,
+    notice_date: exit.notice_date ? toDateKey(exit.notice_date) : null,
+    last_working_day: toDateKey(exit.last_working_day),
+  };
+  const after = { ...before, ...changes };
+  if (after.notice_date && after.last_working_day < after.notice_date) {
+    return res.status(400).json({ message: 'Last working day cannot be before the notice date' });
+  }
+  if (after.settlement_amount !== null && after.settlement_amount !== undefined) after.settlement_amount = Number(after.settlement_amount);
+  if (changes.settlement_status) after.settled_at = changes.settlement_status === 'settled' ? exit.settled_at || new Date() : null;
+
+  await db.transaction(async (tx) => {
+    await tx.exits.update(exit.id, after);
+    await recordAudit(tx, req, { action: 'update', entity: 'employee_exit', entityId: exit.id, employeeId: id, before, after });
+  });
+  res.json({ message: 'Exit updated successfully' });
+});
+
+// Complete an exit once the last working day has come: the employee becomes exited and is signed out.
+// With send_letters, the experience letter (and the relieving letter, if settled) is emailed to them.
+app.post('/api/employees/:id/exit/complete', verifyToken, authorize('exits:manage'), validate({
+  summary: 'Complete an exit once the last working day has come',
+  description: 'The employee becomes exited and is signed out everywhere. With send_letters, the experience letter '
+    + '(and the relieving letter, if settled) is emailed to them, which also needs the letters:issue permission.',
+  params: ID_PARAMS,
+  body: { send_letters: field.boolean(), role: LETTER_FIELDS.role },
+}), async (req, res) => {
+  const { id } = req.params;
+  const { send_letters = false, role } = req.body;
+  if (send_letters && !hasPermission(req.userRole, 'letters:issue')) {
+    return res.status(403).json({ message: 'You do not have permission to issue letters' });
+  }
+
+  const [employee, exit] = await Promise.all([db.employees.findById(id, req.companyId), db.exits.findCurrent(id)]);
+  if (!employee) return res.status(404).json({ message: 'Employee not found' });
+  if (!exit || exit.status !== 'open') return res.status(404).json({ message: 'No exit in progress for this employee' });
+  if (toDateKey(exit.last_working_day) > toDateKey(new Date())) {
+    return res.status(409).json({ message: `The exit can be completed from the last working day, ${toDateKey(exit.last_working_day)}` });
+  }
+
+  await db.transaction(async (tx) => {
+    await tx.exits.close(exit.id, 'completed');
+    await recordAudit(tx, req, {
+      action: 'update', entity: 'employee_exit', entityId: exit.id, employeeId: id, before: { status: 'open' }, after: { status: 'completed' },
+    });
+    await setEmployeeStatus(tx, req, employee, 'exited');
+    await tx.auth.revokeUserSessions('employee', id, 'employee_exited');
+  });
+  wakeWebhookWorker();
+
+  const letters = [];
+  if (send_letters) {
+    for (const kind of ['experience_letter', 'relieving_letter']) {
+      const { document, error: letterError } = await prepareLeavingLetter(kind, id, req.companyId, { role });
+      if (letterError) {
+        letters.push({ kind, queued: false, reason: letterError });
+        continue;
+      }
+      await queueLeavingLetter(req, kind, document);
+      letters.push({ kind, queued: true });
+    }
+  }
+  res.json({ message: 'Exit completed', letters });
+});
+
+// Withdraw an open exit (for example a retracted resignation); the employee is active again
+app.post('/api/employees/:id/exit/cancel', verifyToken, authorize('exits:manage'), validate({
+  summary: 'Withdraw an open exit',
+  params: ID_PARAMS,
+}), async (req, res) => {
+  const { id } = req.params;
+
+  const [employee, exit] = await Promise.all([db.employees.findById(id, req.companyId), db.exits.findCurrent(id)]);
+  if (!employee) return res.status(404).json({ message: 'Employee not found' });
+  if (!exit || exit.status !== 'open') return res.status(404).json({ message: 'No exit in progress for this employee' });
+
+  await db.transaction(async (tx) => {
+    await tx.exits.close(exit.id, 'cancelled');
+    await recordAudit(tx, req, {
+      action: 'update', entity: 'employee_exit', entityId: exit.id, employeeId: id, before: { status: 'open' }, after: { status: 'cancelled' },
+    });
+    await setEmployeeStatus(tx, req, employee, 'active');
+  });
+  wakeWebhookWorker();
+  res.json({ message: 'Exit cancelled' });
+});
+
+// Company profile: the letterhead details used on offer letters, payslips and emails
+const COMPANY_FIELDS = {
+  name: field.string({ max: 255 }),
+  address: field.string({ max: 1000 }),
+  city: field.string({ max: 100 }),
+  phone: field.string({ max: 30 }),
+  email: field.email(),
+  website: field.string({ max: 255 }),
+  hr_name: field.string({ max: 255, description: 'Signs offer letters' }),
+  hr_title: field.string({ max: 100 }),
+};
+
+// Company details from a request body, keeping the current value of each field not sent
+const validateCompany = (body, current = {}) => {
+  const company = {};
+  for (const field of Object.keys(COMPANY_FIELDS)) {
+    company[field] = body[field] !== undefined ? String(body[field] ?? '').trim() || null : current[field] ?? null;
+  }
+  if (!company.name) return { error: 'Name is required' };
+  return { company };
+};
+
+// Logos and signatures are small images kept in the companies table
+const BRAND_ASSET_MAX_BYTES = 1024 * 1024;
+const BRAND_ASSET_TYPES = ['image/jpeg', 'image/png'];
+const brandAssetUpload = handleUpload(
+  multer({ storage: multer.memoryStorage(), limits: { fileSize: BRAND_ASSET_MAX_BYTES, files: 1 } }).single('file'),
+  BRAND_ASSET_MAX_BYTES
+);
+
+// The caller's company
+app.get('/api/company', verifyToken, validate({ summary: "The caller's company" }), async (req, res) => {
+  const company = await db.companies.findById(req.companyId);
+  if (!company) return res.status(404).json({ message: 'Company not found' });
+  res.json(company);
+});
+
+// Update the company's details. Fields not sent keep their current values.
+app.put('/api/company', verifyToken, authorize('company:manage'), validate({
+  summary: "Update the company's details",
+  description: 'Fields not sent keep their current values.',
+  body: COMPANY_FIELDS,
+}), async (req, res) => {
+  const before = await db.companies.findById(req.companyId);
+  if (!before) return res.status(404).json({ message: 'Company not found' });
+  const { company, error: validationError } = validateCompany(req.body, before);
+  if (validationError) return res.status(400).json({ message: validationError });
+
+  await db.transaction(async (tx) => {
+    await tx.companies.update(req.companyId, company);
+    await recordAudit(tx, req, { action: 'update', entity: 'company', entityId: req.companyId, before, after: company });
+  });
+  res.json({ message: 'Company updated successfully', id: req.companyId, ...company });
+});
+
+// Replace the logo or the HR signature (multipart `file`, a JPEG or PNG of at most 1 MB)
+const uploadBrandAsset = (asset) => async (req, res) => {
+  const type = detectFileType(req.file.buffer);
+  if (!type || !BRAND_ASSET_TYPES.includes(type.mimeType)) return res.status(400).json({ message: `The ${asset} must be a JPEG or PNG image` });
+
+  const before = await db.companies.findById(req.companyId);
+  if (!before) return res.status(404).json({ message: 'Company not found' });
+  await db.transaction(async (tx) => {
+    if (asset === 'logo') await tx.companies.updateLogo(req.companyId, req.file.buffer, type.mimeType);
+    else await tx.companies.updateSignature(req.companyId, req.file.buffer, type.mimeType);
+    await recordAudit(tx, req, {
+      action: 'update',
+      entity: 'company',
+      entityId: req.companyId,
+      before: { [`${asset}_type`]: before[`${asset}_type`] },
+      after: { [`${asset}_type`]: type.mimeType, [`${asset}_bytes`]: req.file.size },
+    });
+  });
+  res.json({ message: `${asset[0].toUpperCase()}${asset.slice(1)} updated successfully` });
+};
+
+// Serve the logo or the HR signature image
+const sendBrandAsset = (asset) => async (req, res) => {
+  const assets = await db.companies.findAssets(req.companyId);
+  if (!assets?.[asset]) return res.status(404).json({ message: `No ${asset} has been uploaded` });
+  res.set('Content-Type', assets[`${asset}_type`]);
+  res.send(Buffer.from(assets[asset]));
+};
+
+const BRAND_ASSET_BODY = { file: field.file({ required: true, description: 'A JPEG or PNG of at most 1 MB' }) };
+
+app.get('/api/company/logo', verifyToken, validate({ summary: "The company's logo", response: 'JPEG or PNG image' }), sendBrandAsset('logo'));
+app.put('/api/company/logo', verifyToken, authorize('company:manage'), brandAssetUpload, validate({
+  summary: "Replace the company's logo",
+  body: BRAND_ASSET_BODY,
+}), uploadBrandAsset('logo'));
+app.get('/api/company/signature', verifyToken, validate({ summary: 'The HR signature', response: 'JPEG or PNG image' }), sendBrandAsset('signature'));
+app.put('/api/company/signature', verifyToken, authorize('company:manage'), brandAssetUpload, validate({
+  summary: 'Replace the HR signature used on offer letters',
+  body: BRAND_ASSET_BODY,
+}), uploadBrandAsset('signature'));
+
+// Set up another company with its first super admin ({ ...company details, admin: { username, password, email } })
+// and the default leave types. Its logo and signature are uploaded by that admin.
+app.post('/api/companies', verifyToken, authorize('companies:create'), validate({
+  summary: 'Set up another company with its first super admin',
+  description: 'The logo and signature are uploaded afterwards by that admin.',
+  body: {
+    ...COMPANY_FIELDS,
+    name: field.string({ required: true, max: 255 }),
+    admin: field.object({
+      username: field.string({ required: true, max: 255 }),
+      password: NEW_PASSWORD_FIELD,
+      email: field.email(),
+    }, { required: true }),
+  },
+}), async (req, res) => {
+  const { company } = validateCompany(req.body);
+  const { username, password, email = null } = req.body.admin;
+
+  try {
+    if (await db.admins.findByUsername(username)) return res.status(409).json({ message: 'Username already exists' });
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const { companyId, adminId } = await db.transaction(async (tx) => {
+      const newCompanyId = await tx.companies.create(company);
+      const newAdminId = await tx.admins.create({ companyId: newCompanyId, username, password: hashedPassword, role: 'super_admin', email });
+      for (const leaveType of DEFAULT_LEAVE_TYPES) await tx.leaves.createType(leaveType, newCompanyId);
+      await recordAudit(tx, req, { companyId: newCompanyId, action: 'create', entity: 'company', entityId: newCompanyId, after: company });
+      await recordAudit(tx, req, {
+        companyId: newCompanyId, action: 'create', entity: 'admin', entityId: newAdminId, after: { username, role: 'super_admin', email },
+      });
+      return { companyId: newCompanyId, adminId: newAdminId };
+    });
+    res.status(201).json({ message: 'Company created successfully', id: companyId, ...company, admin: { id: adminId, username, email } });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') return res.status(409).json({ message: 'Username already exists' });
+    throw error;
+  }
+});
+
+const validateDepartment = (body, current = {}) => {
+  const department = {
+    name: body.name !== undefined ? String(body.name).trim() : current.name,
+    description: body.description !== undefined ? String(body.description || '').trim() || null : current.description ?? null,
+  };
+  if (!department.name) return { error: 'Name is required' };
+  return { department };
+};
+
+// Optional id fields (checked by validate()): a number, null to clear, or undefined when not sent
+const parseOptionalId = (value) => {
+  if (value === undefined) return undefined;
+  return value === null || value === '' ? null : Number(value);
+};
+
+const validateDesignation = (body, current = {}) => {
+  const departmentId = parseOptionalId(body.department_id);
+  const level = parseOptionalId(body.level);
+  const designation = {
+    title: body.title !== undefined ? String(body.title).trim() : current.title,
+    departmentId: departmentId !== undefined ? departmentId : current.department_id ?? null,
+    level: level !== undefined ? level : current.level ?? null,
+  };
+  if (!designation.title) return { error: 'Title is required' };
+  return { designation };
+};
+
+const DEPARTMENT_FIELDS = { name: field.string({ max: 100 }), description: field.string() };
+const DESIGNATION_FIELDS = {
+  title: field.string({ max: 100 }),
+  department_id: field.id({ nullable: true }),
+  level: field.integer({ min: 1, nullable: true, description: 'A lower level is more senior' }),
+};
+
+// List departments with their current headcount
+app.get('/api/departments', verifyToken, authorize('employees:read'), validate({ summary: 'List departments with their current headcount' }), async (req, res) => {
+  res.json(await db.departments.list(req.companyId));
+});
+
+// Add a department
+app.post('/api/departments', verifyToken, authorize('org:manage'), validate({
+  summary: 'Add a department',
+  body: { ...DEPARTMENT_FIELDS, name: field.string({ required: true, max: 100 }) },
+}), async (req, res) => {
+  const { department, error: validationError } = validateDepartment(req.body);
+  if (validationError) return res.status(400).json({ message: validationError });
+
+  try {
+    if (await db.departments.findByName(department.name, req.companyId)) return res.status(409).json({ message: 'A department with this name already exists' });
+    const id = await db.transaction(async (tx) => {
+      const departmentId = await tx.departments.create(department, req.companyId);
+      await recordAudit(tx, req, { action: 'create', entity: 'department', entityId: departmentId, after: department });
+      return departmentId;
+    });
+    res.status(201).json({ message: 'Department created successfully', id, ...department });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') return res.status(409).json({ message: 'A department with this name already exists' });
+    throw error;
+  }
+});
+
+// Rename or describe a department. Only the fields sent are changed.
+app.put('/api/departments/:id', verifyToken, authorize('org:manage'), validate({
+  summary: 'Rename or describe a department',
+  description: 'Only the fields sent are changed.',
+  params: ID_PARAMS,
+  body: DEPARTMENT_FIELDS,
+}), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const before = await db.departments.findById(id, req.companyId);
+    if (!before) return res.status(404).json({ message: 'Department not found' });
+    const { department, error: validationError } = validateDepartment(req.body, before);
+    if (validationError) return res.status(400).json({ message: validationError });
+    const existing = await db.departments.findByName(department.name, req.companyId);
+    if (existing && existing.id !== before.id) return res.status(409).json({ message: 'A department with this name already exists' });
+
+    await db.transaction(async (tx) => {
+      await tx.departments.update(id, department);
+      await recordAudit(tx, req, { action: 'update', entity: 'department', entityId: id, before, after: department });
+    });
+    res.json({ message: 'Department updated successfully', id: Number(id), ...department });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') return res.status(409).json({ message: 'A department with this name already exists' });
+    throw error;
+  }
+});
+
+// Remove a department nobody belongs to any more
+app.delete('/api/departments/:id', verifyToken, authorize('org:manage'), validate({
+  summary: 'Remove a department nobody belongs to any more',
+  params: ID_PARAMS,
+}), async (req, res) => {
+  const { id } = req.params;
+  const before = await db.departments.findById(id, req.companyId);
+  if (!before) return res.status(404).json({ message: 'Department not found' });
+  const references = await db.departments.countReferences(id);
+  if (references.employees > 0 || references.designations > 0) {
+    return res.status(409).json({
+      message: 'Move its employees and designations to another department first',
+      employees: references.employees,
+      designations: references.designations,
+    });
+  }
+
+  await db.transaction(async (tx) => {
+    await tx.departments.delete(id);
+    await recordAudit(tx, req, { action: 'delete', entity: 'department', entityId: id, before });
+  });
+  res.json({ message: 'Department deleted successfully' });
+});
+
+// List designations, optionally for one ?department_id=
+app.get('/api/designations', verifyToken, authorize('employees:read'), validate({
+  summary: 'List designations',
+  query: { department_id: field.id() },
+}), async (req, res) => {
+  const departmentId = parseOptionalId(req.query.department_id);
+
+  res.json(await db.designations.list({ companyId: req.companyId, departmentId }));
+});
+
+// Add a designation ({ title, department_id, level }); a lower level is more senior
+app.post('/api/designations', verifyToken, authorize('org:manage'), validate({
+  summary: 'Add a designation',
+  body: { ...DESIGNATION_FIELDS, title: field.string({ required: true, max: 100 }) },
+}), async (req, res) => {
+  const { designation, error: validationError } = validateDesignation(req.body);
+  if (validationError) return res.status(400).json({ message: validationError });
+
+  try {
+    if (designation.departmentId && !(await db.departments.findById(designation.departmentId, req.companyId))) {
+      return res.status(400).json({ message: 'Department not found' });
+    }
+    if (await db.designations.findByTitle(designation.title, req.companyId)) return res.status(409).json({ message: 'A designation with this title already exists' });
+    const id = await db.transaction(async (tx) => {
+      const designationId = await tx.designations.create(designation, req.companyId);
+      await recordAudit(tx, req, { action: 'create', entity: 'designation', entityId: designationId, after: designation });
+      return designationId;
+    });
+    res.status(201).json({ message: 'Designation created successfully', id, ...designation });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') return res.status(409).json({ message: 'A designation with this title already exists' });
+    throw error;
+  }
+});
+
+// Update a designation. Only the fields sent are changed.
+app.put('/api/designations/:id', verifyToken, authorize('org:manage'), validate({
+  summary: 'Update a designation',
+  description: 'Only the fields sent are changed.',
+  params: ID_PARAMS,
+  body: DESIGNATION_FIELDS,
+}), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const before = await db.designations.findById(id, req.companyId);
+    if (!before) return res.status(404).json({ message: 'Designation not found' });
+    const { designation, error: validationError } = validateDesignation(req.body, before);
+    if (validationError) return res.status(400).json({ message: validationError });
+    if (designation.departmentId && !(await db.departments.findById(designation.departmentId, req.companyId))) {
+      return res.status(400).json({ message: 'Department not found' });
+    }
+    const existing = await db.designations.findByTitle(designation.title, req.companyId);
+    if (existing && existing.id !== before.id) return res.status(409).json({ message: 'A designation with this title already exists' });
+
+    await db.transaction(async (tx) => {
+      await tx.designations.update(id, designation);
+      await recordAudit(tx, req, { action: 'update', entity: 'designation', entityId: id, before, after: designation });
+    });
+    res.json({ message: 'Designation updated successfully', id: Number(id), ...designation });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') return res.status(409).json({ message: 'A designation with this title already exists' });
+    throw error;
+  }
+});
+
+// Remove a designation nobody holds any more
+app.delete('/api/designations/:id', verifyToken, authorize('org:manage'), validate({
+  summary: 'Remove a designation nobody holds any more',
+  params: ID_PARAMS,
+}), async (req, res) => {
+  const { id } = req.params;
+  const before = await db.designations.findById(id, req.companyId);
+  if (!before) return res.status(404).json({ message: 'Designation not found' });
+  const employees = await db.designations.countEmployees(id);
+  if (employees > 0) return res.status(409).json({ message: 'Move the employees holding this designation first', employees });
+
+  await db.transaction(async (tx) => {
+    await tx.designations.delete(id);
+    await recordAudit(tx, req, { action: 'delete', entity: 'designation', entityId: id, before });
+  });
+  res.json({ message: 'Designation deleted successfully' });
+});
 
-    console.log(`Fetching employee with ID: ${id}`);
-    const [employees] = await pool.query('SELECT * FROM employees WHERE id = ?', [id]);
-    if (employees.length === 0) return res.status(404).json({ message: 'Employee not found' });
-    const employee = employees[0];
-    console.log(`Employee found: ${employee.name}, ${employee.email}`);
+// Set an employee's department, designation and reporting manager. Fields not sent keep their
+// value; null clears one. A manager must be a current employee outside the employee's own reporting chain.
+app.put('/api/employees/:id/position', verifyToken, authorize('employees:write'), validate({
+  summary: "Set an employee's department, designation and reporting manager",
+  description: 'Fields not sent keep their value; null clears one. '
+    + "A manager must be a current employee outside the employee's own reporting chain.",
+  params: ID_PARAMS,
+  body: {
+    department_id: field.id({ nullable: true }),
+    designation_id: field.id({ nullable: true }),
+    manager_id: field.id({ nullable: true }),
+  },
+}), async (req, res) => {
+  const { id } = req.params;
+  const fields = Object.fromEntries(['department_id', 'designation_id', 'manager_id'].map((name) => [name, parseOptionalId(req.body[name])]));
 
-    const salaryDisplay = salary_amount ? `₹${salary_amount}` : (employee.salary_amount ? `₹${employee.salary_amount}` : '₹16,000 (default)');
-    const htmlContent = `
-      <html>
-        <head>
-          <style>
-            body { font-family: Arial, sans-serif; margin: 40px; line-height: 1.6; font-size: 12pt; }
-            .header { text-align: center; margin-bottom: 20px; }
-            .header img { width: 100px; margin-bottom: 10px; }
-            .header h1 { font-size: 16pt; margin: 0; color: #333; }
-            .header p { margin: 2px 0; font-size: 10pt; color: #555; }
-            .content { text-align: justify; margin: 20px 0; }
-            .content p { margin: 8px 0; }
-            .content h2 { font-size: 14pt; margin-top: 15px; color: #333; page-break-before: avoid; }
-            .highlight { font-weight: bold; color: #e74c3c; }
-            .footer { margin-top: 20px; font-size: 10pt; color: #777; text-align: center; }
-            .signature { page-break-inside: avoid; }
-            .signature img { width: 150px; }
-            .signature-line { border-top: 1px solid #000; width: 200px; margin: 10px auto; }
-          </style>
-        </head>
-        <body>
-          <div class="header">
-            <img src="${logoBase64}" alt="Motion View Ventures Logo" />
-            <h1>Motion View Ventures Pvt. Ltd.</h1>
-            <p>Address: Near Medi Mercy Emergency Hospital, B.H Colony, Vijay Nagar, Kankarbagh, Patna, Bihar - 800026</p>
-            <p>Email: contact@motionviewventure.in | Phone No.: +91 7079367125 | Website: motionviewventures.in</p>
-          </div>
-          <div class="content">
-            <p>Date: ${new Date().toLocaleDateString('en-GB', { day: '2-digit', month: '2-digit', year: 'numeric' }).replace(/\//g, '-')}</p>
-            <p>Mr./Ms: ${employee.name}</p>
-            <p><strong>SUBJECT: OFFER LETTER FOR THE POST OF ${Role || 'Full Stack Developer'}</strong></p>
-            <p>Dear ${employee.name.split(' ')[0]},</p>
-            <p>This is regarding your application for the above position and the subsequent discussions thereof. We are pleased to inform you that you have been offered the position of <span class="highlight">${Role || 'Full Stack Developer'}</span> and will be posted to the Patna office. You shall join your duties on ${new Date(doj).toLocaleDateString('en-GB', { day: '2-digit', month: '2-digit', year: 'numeric' }).replace(/\//g, '-')}.</p>
-            <h2>1. Employment Type:</h2>
-            <p>You will be employed on a Full-time basis at Motionview Venture Pvt. Ltd. This is a Fixed-term position, subject to the terms and conditions outlined in this letter.</p>
-            <h2>2. Working Hours:</h2>
-            <p>Your standard working hours will be from 10:00 AM to 6:00 PM, 6 days a week. You may be required to work additional hours based on business needs. Any Change in the Schedule will be informed you in writing, prior to its effective Date.</p>
-            <h2>3. Compensation:</h2>
-            <p>You will receive a gross monthly salary of ${salaryDisplay}, payable on a monthly basis.</p>
-            <p>The offer letter is valid, subject to the authenticity and correctness of information, preliminary documents (if any) provided by you about your education, experience etc. The Offer (including the appointment) can be withdrawn/terminated at any point in time (without any legal liability on the Company), if the information provided by you is found to be untrue/incorrect.</p>
-            <p>By accepting this offer, you agree, acknowledge, and authorize the Company to carry out necessary verifications, background checks on you from (which may be carried out in-house by the HR team or by a third party) your institution, college, previous employer/s, etc. In case of any negative feedback during the verification process, the Company reserves its right to withdraw/terminate this offer (including your appointment) without any legal liability on the Company. In any of the above event(s), you agree to pay back to the Company the amount(s) paid to you, without any objection.</p>
-            <h2>4. Leave(s) & Holiday(s)</h2>
-            <p>You shall be entitled to leave and holidays as per the HR policy of the Company (in force from time to time), which may be revised, modified or altered by the Management at its sole discretion.</p>
-            <p>However S/he shall be entitled to enjoy paid Weekly Offs, National & Festival Holidays, as per the provisions.</p>
-            <h2>5. Continuing or Habitual Absence and Unauthorized Leave</h2>
-            <p>Absence for a continuing period of 3 (three) days including absence when leave though applied for but not granted, will lead to termination of job without any notice or intimation and without any obligation on the Company, legally and/or otherwise. Further, where leave has been applied for and granted and you have overstayed for a period of two (2) days, will lead to termination of job without any notice or intimation and without any obligation on the Company, legally and/or otherwise. In case you remain absent from duty habitually without prior permission or sanction of leave for a continuous period of two (2) days in a month, then your services shall be liable to termination at the sole discretion of the Management.</p>
-            <h2>6. Physical and Mental Fitness</h2>
-            <p>Your engagement and continuance in the job is further subject to your remaining physically and mentally fit and the Management shall have a right to get you medically examined at any time from any registered medical practitioner or civil surgeon at its discretion. If you are found medically unfit, your engagement may be terminated at any time by giving you one month's notice or Stipend in lieu thereof.</p>
-            <h2>7. Date of Birth</h2>
-            <p>Your date of birth as recorded at the time of your engagement with the company shall be considered as the authentic date of birth for all purposes throughout your service with the company and no change shall be permitted under any circumstances.</p>
-            <h2>8. Concealment of Material Information</h2>
-            <p>If any information/representation made by you in your application for internship and subsequent documents/testimonials submitted is/are found to be untrue or false or if facts come to our notice which have been either concealed or suppressed by you, the Management reserves the right to dispense with your services without giving any notice or compensation in lieu thereof and recover the amount(s)/salary paid to you.</p>
-            <h2>9. Correspondence/Communications/Notice and change of address</h2>
-            <p>Your address as indicated in your application for job shall be deemed to be correct for sending you any communication. Every communication addressed to you at the given address shall be deemed to have been duly served upon you.</p>
-            <h2>10. Confidentiality Clause:</h2>
-            <p>During and after your employment, you must maintain the confidentiality of all proprietary, sensitive, and business-critical information of Motionview Venture Pvt. Ltd. This includes but is not limited to financial data, client information, trade secrets, business strategies, and internal policies. Unauthorized disclosure, duplication, or misuse of such information, either directly or indirectly, will be treated as a serious offense and may result in legal action.</p>
-            <h2>11. Non-Compete and Non-Solicitation:</h2>
-            <p>For a period, after the termination of your employment, you shall not engage, directly or indirectly, in any business, profession, or activity that competes with the operations of Motionview Venture Pvt. Ltd. Furthermore, you shall not solicit or attempt to solicit any employees, clients, or business partners of Motionview Venture Pvt. Ltd. for personal or professional gain. Any breach of this clause may result in legal action.</p>
-            <h2>12. Code of Conduct:</h2>
-            <p>As an employee of Motionview Venture Pvt. Ltd., you are expected to adhere to all company policies, procedures, and ethical guidelines. This includes maintaining professionalism, integrity, and accountability in all workplace activities. Any violation of the company's code of conduct, including but not limited to misconduct, harassment, fraud, or negligence, may result in disciplinary action, up to and including termination of employment.</p>
-            <h2>13. Dispute Resolution:</h2>
-            <p>In the event of any dispute, controversy, or claim arising out of relating to your employment with Motionview Venture Pvt. Ltd., both parties agree to first attempt to resolve the matter amicably through negotiation. If the dispute remains unresolved, it shall be settled through a Court of Law. The decision of the arbitrator/court shall be final and binding on both parties.</p>
-            <p>If the above terms and conditions are acceptable to you, please acknowledge by signing below and returning one copy of this letter to us.</p>
-            <p>We at Motionview Venture Pvt. Ltd. are excited to have you as part of our team and are confident that it will be a mutually rewarding and fulfilling journey for you. We look forward to a long and a fruitful association with you in the transformational growth journey at Motionview Venture Pvt. Ltd.</p>
-            <p>Cordially Yours,<br>For Motion View Ventures Pvt. Ltd.</p>
-            <div class="signature">
-              <img src="${signatureBase64}" alt="Authorized Signature" />
-            </div>
-            <p>Agreed and Accepted</p>
-            <div class="signature">
-              <p>Name: ${employee.name}</p>
-              <p>Address: ${employee.address}, ${employee.city}, ${employee.state}, ${employee.country}</p>
-            </div>
-          </div>
-          <div class="footer">
-            <p>+91 7079367125 | contact@motionviewventure.in | motionviewventures.in</p>
-          </div>
-        </body>
-      </html>
-    `;
-
-    console.log('Launching Puppeteer with options:', {
-      headless: 'new',
-      args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', '--disable-gpu', '--single-process', '--no-zygote'],
-      pipe: true,
-      dumpio: true,
-      executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined,
-    });
-
-    const browser = await puppeteer.launch({
-      headless: 'new',
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-gpu',
-        '--single-process',
-        '--no-zygote',
-      ],
-      pipe: true,
-      dumpio: true,
-      executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined,
-    });
-    console.log('Puppeteer launched successfully');
-
-    const page = await browser.newPage();
-    await page.setContent(htmlContent, { waitUntil: 'networkidle0' });
-    const pdfPath = path.join(__dirname, 'uploads', `offer_letter_${id}.pdf`);
-    console.log(`Generating PDF at: ${pdfPath}`);
-    await page.pdf({
-      path: pdfPath,
-      format: 'A4',
-      margin: { top: '40px', right: '40px', bottom: '40px', left: '40px' },
-    });
-    await browser.close();
-    console.log('PDF generated successfully');
+  const employee = await db.employees.findById(id, req.companyId);
+  if (!employee) return res.status(404).json({ message: 'Employee not found' });
+  const before = { department_id: employee.department_id, designation_id: employee.designation_id, manager_id: employee.manager_id };
+  const after = {
+    department_id: fields.department_id !== undefined ? fields.department_id : before.department_id,
+    designation_id: fields.designation_id !== undefined ? fields.designation_id : before.designation_id,
+    manager_id: fields.manager_id !== undefined ? fields.manager_id : before.manager_id,
+  };
 
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: employee.email,
-      subject: 'Offer Letter from Motion View Ventures Pvt. Ltd.',
-      text: `Dear ${employee.name.split(' ')[0]},
+  if (fields.department_id && !(await db.departments.findById(fields.department_id, req.companyId))) {
+    return res.status(400).json({ message: 'Department not found' });
+  }
+  if (fields.designation_id && !(await db.designations.findById(fields.designation_id, req.companyId))) {
+    return res.status(400).json({ message: 'Designation not found' });
+  }
+  if (fields.manager_id) {
+    if (fields.manager_id === employee.id) return res.status(400).json({ message: 'An employee cannot report to themselves' });
+    const manager = await db.employees.findById(fields.manager_id, req.companyId);
+    if (!manager || manager.status === 'exited') return res.status(400).json({ message: 'Manager not found' });
+    if (collectReports(await db.employees.listReportingLines(req.companyId), employee.id).has(manager.id)) {
+      return res.status(409).json({ message: `${manager.name} already reports to ${employee.name}` });
+    }
+  }
 
-I hope you are doing well.
+  await db.transaction(async (tx) => {
+    await tx.employees.updatePosition(id, { departmentId: after.department_id, designationId: after.designation_id, managerId: after.manager_id });
+    await recordAudit(tx, req, { action: 'update', entity: 'employee', entityId: id, employeeId: id, before, after });
+    await queueEmployeeEvent(tx, 'employee.updated', id, req.companyId);
+  });
+  wakeWebhookWorker();
+  res.json({ message: 'Position updated successfully', id: Number(id), ...after });
+});
 
-I am pleased to extend a warm welcome to you as the newest member of Motion View Ventures Pvt. Ltd. We are excited to have you join our team and look forward to seeing the great contributions you will make.
+// Reporting hierarchy as nested { id, name, email, status, department, designation, reports: [...] } nodes.
+// Employees with no current manager are the roots. ?root= returns one employee's part of the chart;
+// managers always get their own team, headed by themselves.
+app.get('/api/org-chart', verifyToken, authorize('employees:read'), validate({
+  summary: 'Reporting hierarchy as nested nodes',
+  description: 'Employees with no current manager are the roots. Managers always get their own team, headed by themselves.',
+  query: { root: field.id({ description: "Return one employee's part of the chart" }) },
+}), async (req, res) => {
+  const rootParam = parseOptionalId(req.query.root);
 
-Please find attached your offer letter outlining the details of your role, compensation, and other important information. Kindly review the document and confirm your acceptance by replying to this mail or signing and returning a copy.
+  const lines = await db.employees.listReportingLines(req.companyId);
+  const team = await getTeamScope(req);
+  let rootId = rootParam ?? null;
+  if (team !== null) {
+    if (rootId !== null && rootId !== req.userId && !team.has(rootId)) {
+      return res.status(403).json({ message: 'This employee is not in your team' });
+    }
+    rootId = rootId ?? req.userId;
+  }
 
-If you have any questions, feel free to reach out. We are here to support you as you embark on this new journey with us.
+  const nodes = new Map(lines.map((line) => [Number(line.id), {
+    id: Number(line.id),
+    name: line.name,
+    email: line.email,
+    status: line.status,
+    department: line.department_id ? { id: Number(line.department_id), name: line.department_name } : null,
+    designation: line.designation_id
+      ? { id: Number(line.designation_id), title: line.designation_title, level: line.designation_level }
+      : null,
+    reports: [],
+  }]));
+  const roots = [];
+  for (const line of lines) {
+    const manager = line.manager_id ? nodes.get(Number(line.manager_id)) : null;
+    if (manager) manager.reports.push(nodes.get(Number(line.id)));
+    else roots.push(nodes.get(Number(line.id)));
+  }
 
-Once again, welcome aboard! We look forward to working with you.
+  if (rootId !== null) {
+    if (!nodes.has(rootId)) return res.status(404).json({ message: 'Employee not found' });
+    return res.json({ roots: [nodes.get(rootId)], total: collectReports(lines, rootId).size + 1 });
+  }
+  res.json({ roots, total: nodes.size });
+});
 
-Best regards,
-Priya Gupta
-HR
-Motion View Ventures Pvt. Ltd.
+const OFFER_EXPIRY_DAYS = Number(process.env.OFFER_EXPIRY_DAYS) || 7;
 
-Address: Near Medi Mercy Emergency Hospital, B.H Colony, Vijay Nagar, Kankarbagh, Patna, Bihar - 800026
-Email: contact@motionviewventure.in
-Phone No.: +91 7079367125
-Website: motionviewventures.in`,
-      attachments: [{ filename: 'offer_letter.pdf', path: pdfPath }],
-    };
+const getDefaultOfferExpiry = () => {
+  const expiry = new Date();
+  expiry.setDate(expiry.getDate() + OFFER_EXPIRY_DAYS);
+  return toDateKey(expiry);
+};
 
-    console.log(`Sending email to: ${employee.email}`);
-    await transporter.sendMail(mailOptions);
-    console.log('Email sent successfully');
+// Public link candidates use to view and respond to an offer
+const getOfferLink = (token) => getPublicUrl(`/offers/${token}`);
 
-    console.log(`Updating employee with ID: ${id}, doj: ${doj}, salary_amount: ${salary_amount || employee.salary_amount}`);
-    await pool.query('UPDATE employees SET doj = ?, salary_amount = ? WHERE id = ?', [doj, salary_amount || employee.salary_amount, id]);
+// Offers still awaiting a response once their expiry date has passed become expired
+const expireOffers = () => db.offers.expireOverdue();
 
-    console.log(`Deleting PDF file: ${pdfPath}`);
-    fs.unlinkSync(pdfPath);
+const renderOfferPage = (title, body) => `
+  <html>
+    <head>
+      <meta name="viewport" content="width=device-width, initial-scale=1" />
+      <title>${escapeHtml(title)}</title>
+      <style>
+        body { font-family: Arial, sans-serif; background: #f4f4f4; margin: 0; padding: 20px; }
+        .container { max-width: 860px; margin: 0 auto; background: #fff; padding: 20px; }
+        .actions { text-align: center; margin: 20px 0; }
+        .actions button { font-size: 12pt; padding: 10px 24px; margin: 0 8px; border: none; cursor: pointer; color: #fff; }
+        .accept { background: #27ae60; }
+        .decline { background: #c0392b; }
+        .notice { text-align: center; font-size: 13pt; }
+      </style>
+    </head>
+    <body><div class="container">${body}</div></body>
+  </html>
+`;
 
-    res.json({ message: 'Offer letter sent successfully' });
-  } catch (error) {
-    console.error('Error sending offer letter:', {
-      message: error.message,
-      stack: error.stack,
-      code: error.code,
-    });
-    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-      return res.status(503).json({ message: 'No internet connection or database unreachable' });
-    }
-    if (error.message.includes('Could not find Chrome') || error.message.includes('Failed to launch the browser process')) {
-      console.log('Puppeteer cache directory contents:', fs.existsSync('/opt/render/.cache/puppeteer') ? fs.readdirSync('/opt/render/.cache/puppeteer') : 'Not found');
-      return res.status(500).json({ 
-        message: 'Puppeteer failed to launch Chromium.',
-        error: error.message,
-        suggestion: 'Ensure Chromium is installed during build (check build logs for `npx puppeteer browsers install chrome`). Verify Render free tier disk space and memory limits.'
-      });
+// Candidate-facing offer page. The first visit moves a sent offer to "viewed".
+app.get('/offers/:token', validate({
+  summary: 'Candidate-facing offer page',
+  description: 'The first visit moves a sent offer to viewed.',
+  tags: ['offers'],
+  params: { token: field.string() },
+  response: 'HTML page',
+}), async (req, res) => {
+  try {
+    await expireOffers();
+    const offer = await db.offers.findByToken(req.params.token);
+    if (!offer || offer.status === 'draft') {
+      return res.status(404).send(renderOfferPage('Offer not found', '<p class="notice">This offer link is invalid.</p>'));
     }
-    if (error.code === 'ENOENT') {
-      return res.status(500).json({ 
-        message: 'File system error (e.g., uploads directory or PDF file issue)', 
-        error: error.message,
-        path: pdfPath,
+
+    if (offer.status === 'sent') {
+      await db.transaction(async (tx) => {
+        await tx.offers.markViewed(offer.id);
+        await recordAudit(tx, req, {
+          action: 'update',
+          entity: 'offer_letter',
+          entityId: offer.id,
+          employeeId: offer.employee_id,
+          companyId: offer.company_id,
+          before: { status: 'sent' },
+          after: { status: 'viewed' },
+        });
       });
     }
-    if (error.message.includes('EAUTH')) {
-      return res.status(500).json({ message: 'Email authentication failed', error: error.message });
-    }
-    res.status(500).json({ message: 'Failed to send offer letter', error: error.message });
-  }
-});
-// Fetch all employees (basic info)
-app.get('/api/employees', verifyToken, async (req, res) => {
-  try {
-    const [rows] = await pool.query('SELECT id, name, email, salary_amount FROM employees');
-    res.json(rows);
+
+    const token = escapeHtml(req.params.token);
+    const canRespond = offer.status === 'sent' || offer.status === 'viewed';
+    const footer = canRespond
+      ? `<p class="notice">Please respond by ${escapeHtml(formatDisplayDate(offer.expires_at))}.</p>
+         <div class="actions">
+           <form method="POST" action="/offers/${token}/accept" style="display:inline"><button class="accept" type="submit">Accept Offer</button></form>
+           <form method="POST" action="/offers/${token}/decline" style="display:inline"><button class="decline" type="submit">Decline Offer</button></form>
+         </div>`
+      : `<p class="notice">This offer has been ${escapeHtml(offer.status)}.</p>`;
+    res.send(renderOfferPage('Offer Letter', `${offer.html}${footer}`));
   } catch (error) {
-    console.error('Error fetching employees:', error);
-    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-      return res.status(503).json({ message: 'No internet connection or database unreachable' });
-    }
-    res.status(500).json({ message: 'Failed to fetch employees' });
+    console.error('Error showing offer:', error);
+    res.status(500).send(renderOfferPage('Error', '<p class="notice">Something went wrong. Please try again later.</p>'));
   }
 });
 
+// Record the candidate's response with timestamp and IP. Answers with a page for form posts, JSON otherwise.
+const respondToOffer = (decision) => async (req, res) => {
+  const wantsHtml = req.is('application/x-www-form-urlencoded');
+  const reply = (status, message) =>
+    wantsHtml
+      ? res.status(status).send(renderOfferPage('Offer Letter', `<p class="notice">${escapeHtml(message)}</p>`))
+      : res.status(status).json({ message });
 
-// Fetch all employees (full info)
-app.get('/api/employees/full', verifyToken, async (req, res) => {
   try {
-    const [rows] = await pool.query(
-      'SELECT id, name, email, phone, address, city, country, state, dob, aadhar_photo, pan_photo, salary_amount FROM employees'
-    );
-    res.json(rows);
+    await expireOffers();
+    const offer = await db.offers.findByToken(req.params.token);
+    if (!offer || offer.status === 'draft') return reply(404, 'This offer link is invalid.');
+    if (offer.status !== 'sent' && offer.status !== 'viewed') return reply(409, `This offer has already been ${offer.status}.`);
+
+    const declineReason = decision === 'declined' ? req.body?.reason || null : null;
+    await db.transaction(async (tx) => {
+      await tx.offers.recordResponse(offer.id, {
+        status: decision,
+        ip: req.ip,
+        userAgent: req.headers['user-agent'] || null,
+        declineReason,
+      });
+      await recordAudit(tx, req, {
+        action: 'update',
+        entity: 'offer_letter',
+        entityId: offer.id,
+        employeeId: offer.employee_id,
+        companyId: offer.company_id,
+        before: { status: offer.status },
+        after: { status: decision, decline_reason: declineReason },
+      });
+      // An accepted offer makes the candidate an employee; a declined one leaves them a candidate
+      const employee = await tx.employees.findById(offer.employee_id, offer.company_id);
+      if (employee?.status === 'offered') await setEmployeeStatus(tx, req, employee, decision === 'accepted' ? 'active' : 'candidate');
+    });
+    wakeWebhookWorker();
+    reply(200, decision === 'accepted' ? 'Thank you! Your acceptance has been recorded.' : 'Your response has been recorded. Thank you for letting us know.');
   } catch (error) {
-    console.error('Error fetching full employee data:', error);
-    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-      return res.status(503).json({ message: 'No internet connection or database unreachable' });
-    }
-    res.status(500).json({ message: 'Failed to fetch employee data' });
+    console.error(`Error recording offer response (${decision}):`, error);
+    reply(500, 'Something went wrong. Please try again later.');
   }
+};
+
+app.post('/offers/:token/accept', express.urlencoded({ extended: false }), validate({
+  summary: 'Accept an offer',
+  description: 'Answers with an HTML page for form posts, JSON otherwise.',
+  tags: ['offers'],
+  params: { token: field.string() },
+}), respondToOffer('accepted'));
+app.post('/offers/:token/decline', express.urlencoded({ extended: false }), validate({
+  summary: 'Decline an offer',
+  description: 'Answers with an HTML page for form posts, JSON otherwise.',
+  tags: ['offers'],
+  params: { token: field.string() },
+  body: { reason: field.string({ max: 5000 }) },
+  contentType: 'application/x-www-form-urlencoded',
+}), respondToOffer('declined'));
+
+const OFFER_STATUSES = ['draft', 'sent', 'viewed', 'accepted', 'declined', 'expired'];
+
+// List offers
+app.get('/api/offers', verifyToken, authorize('offers:send'), validate({
+  summary: 'List offers',
+  query: { status: field.enum(OFFER_STATUSES), employeeId: field.id() },
+}), async (req, res) => {
+  const { status, employeeId } = req.query;
+
+  await expireOffers();
+  res.json(await db.offers.list({ companyId: req.companyId, status, employeeId }));
 });
 
-// Update employee data
-app.put('/api/employees/:id', verifyToken, upload.fields([
-  { name: 'aadharPhoto', maxCount: 1 },
-  { name: 'panPhoto', maxCount: 1 },
-]), async (req, res) => {
+// Resend an offer that has not been answered. Expired offers get a fresh expiry date. The letter is rendered
+// again from the template version it was made with, so the email and PDF show the new expiry date.
+app.post('/api/offers/:id/resend', verifyToken, authorize('offers:send'), validate({
+  summary: 'Resend an offer that has not been answered',
+  description: 'Expired offers get a fresh expiry date. The letter is rendered again with the new expiry date.',
+  params: ID_PARAMS,
+  body: { expires_at: field.date() },
+}), async (req, res) => {
   const { id } = req.params;
-  const { name, email, phone, address, city, country, state, dob, salary_amount } = req.body;
-  const aadharPhoto = req.files?.aadharPhoto?.[0];
-  const panPhoto = req.files?.panPhoto?.[0];
+  const { expires_at } = req.body;
 
-  if (!name || !email || !phone || !address || !city || !country || !state || !dob) {
-    return res.status(400).json({ message: 'All fields are required' });
+  await expireOffers();
+  const offer = await db.offers.findWithEmployeeEmail(id, req.companyId);
+  if (!offer) return res.status(404).json({ message: 'Offer not found' });
+  if (offer.status === 'accepted' || offer.status === 'declined') {
+    return res.status(409).json({ message: `Offer has already been ${offer.status}` });
   }
 
-  try {
-    const [current] = await pool.query('SELECT aadhar_photo, pan_photo FROM employees WHERE id = ?', [id]);
-    if (current.length === 0) return res.status(404).json({ message: 'Employee not found' });
-
-    const updateFields = {
-      name, email, phone, address, city, country, state, dob,
-      salary_amount: salary_amount || null,
-      aadhar_photo: aadharPhoto ? aadharPhoto.filename : current[0].aadhar_photo,
-      pan_photo: panPhoto ? panPhoto.filename : current[0].pan_photo,
-    };
+  const expiresAt = expires_at || (offer.status === 'expired' ? getDefaultOfferExpiry() : toDateKey(offer.expires_at));
+  if (expiresAt < toDateKey(new Date())) return res.status(400).json({ message: 'Expiry date cannot be in the past' });
 
-    const [result] = await pool.query(
-      `UPDATE employees SET name = ?, email = ?, phone = ?, address = ?, city = ?, country = ?, state = ?, dob = ?, salary_amount = ?, aadhar_photo = ?, pan_photo = ?
-       WHERE id = ?`,
-      [name, email, phone, address, city, country, state, dob, updateFields.salary_amount, updateFields.aadhar_photo, updateFields.pan_photo, id]
-    );
+  // Falls back to the active template when the offer's version has since been deleted
+  const template = Number(offer.template_version) === 0
+    ? defaultTemplates.offer_letter
+    : await db.templates.findVersion('offer_letter', offer.template_version, req.companyId);
+  const letter = await renderDocument('offer_letter', offer.employee_id, req.companyId, {
+    doj: offer.doj,
+    salary_amount: offer.salary_amount,
+    role: offer.role,
+    offer: { link: getOfferLink(offer.token), expires_on: formatDisplayDate(expiresAt) },
+  }, template || undefined);
+  if (!letter) return res.status(404).json({ message: 'Employee not found' });
 
-    if (result.affectedRows === 0) return res.status(404).json({ message: 'Employee not found' });
+  const pdf = await renderPdf(letter.html);
+  await db.transaction(async (tx) => {
+    await queueEmail(tx, 'offer_letter', {
+      to: offer.email,
+      subject: letter.subject,
+      text: letter.text,
+      attachments: [{ filename: 'offer_letter.pdf', content: pdf }],
+    }, { companyId: req.companyId, createdBy: req.userId });
+    await tx.offers.markResent(id, {
+      expiresAt, templateVersion: letter.template.version, html: letter.html, subject: letter.subject, emailText: letter.text,
+    });
+    await recordAudit(tx, req, {
+      action: 'update',
+      entity: 'offer_letter',
+      entityId: id,
+      employeeId: offer.employee_id,
+      before: { status: offer.status, expires_at: offer.expires_at },
+      after: { status: offer.status === 'viewed' ? 'viewed' : 'sent', expires_at: expiresAt },
+    });
+    await queueWebhookEvent(tx, 'offer_letter.sent', {
+      offer_id: offer.id, employee_id: offer.employee_id, name: offer.name, email: offer.email,
+      role: offer.role, doj: offer.doj ? toDateKey(offer.doj) : null, expires_at: expiresAt, resent: true,
+    }, { companyId: req.companyId });
+  });
+  wakeEmailWorker();
+  wakeWebhookWorker();
+  res.json({ message: 'Offer letter resent successfully', expiresAt });
+});
 
-    if (aadharPhoto && current[0].aadhar_photo) fs.unlinkSync(path.join(__dirname, 'uploads', current[0].aadhar_photo));
-    if (panPhoto && current[0].pan_photo) fs.unlinkSync(path.join(__dirname, 'uploads', current[0].pan_photo));
+const LEAVE_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+const LEAVE_YEAR_QUERY = { year: field.string({ pattern: '^\\d{4}$', example: '2025', description: 'This year by default' }) };
 
-    res.json({ message: 'Employee updated successfully' });
+// List leave types
+app.get('/api/leave-types', verifyToken, validate({ summary: 'List leave types' }), async (req, res) => {
+  res.json(await db.leaves.listTypes(req.companyId));
+});
+
+// Create a leave type. A null yearly quota means unlimited.
+app.post('/api/leave-types', verifyToken, authorize('leaves:manage'), validate({
+  summary: 'Create a leave type',
+  body: {
+    name: field.string({ required: true, max: 100 }),
+    code: field.string({ required: true, max: 20 }),
+    yearly_quota: field.integer({ min: 0, nullable: true, description: 'Null means unlimited' }),
+    paid: field.boolean(),
+  },
+}), async (req, res) => {
+  const { name, code, yearly_quota = null, paid = true } = req.body;
+
+  try {
+    const leaveType = {
+      name,
+      code: code.toUpperCase(),
+      yearly_quota: yearly_quota === null ? null : Number(yearly_quota),
+      paid: Boolean(paid),
+    };
+    const id = await db.transaction(async (tx) => {
+      const leaveTypeId = await tx.leaves.createType(leaveType, req.companyId);
+      await recordAudit(tx, req, { action: 'create', entity: 'leave_type', entityId: leaveTypeId, after: leaveType });
+      return leaveTypeId;
+    });
+    res.status(201).json({ message: 'Leave type created successfully', id });
   } catch (error) {
-    console.error('Error updating employee:', error);
-    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-      return res.status(503).json({ message: 'No internet connection or database unreachable' });
-    }
-    res.status(500).json({ message: 'Failed to update employee' });
+    if (error.code === 'ER_DUP_ENTRY') return res.status(409).json({ message: 'A leave type with this code already exists' });
+    throw error;
   }
 });
 
-// Delete employee
-app.delete('/api/employees/:id', verifyToken, async (req, res) => {
+// Update a leave type
+app.put('/api/leave-types/:id', verifyToken, authorize('leaves:manage'), validate({
+  summary: 'Update a leave type',
+  params: ID_PARAMS,
+  body: {
+    name: field.string({ required: true, max: 100 }),
+    yearly_quota: field.integer({ min: 0, nullable: true, description: 'Null means unlimited' }),
+    paid: field.boolean(),
+    active: field.boolean(),
+  },
+}), async (req, res) => {
   const { id } = req.params;
+  const { name, yearly_quota = null, paid = true, active = true } = req.body;
 
-  try {
-    const [current] = await pool.query('SELECT aadhar_photo, pan_photo FROM employees WHERE id = ?', [id]);
-    if (current.length === 0) return res.status(404).json({ message: 'Employee not found' });
+  const updated = await db.transaction(async (tx) => {
+    const before = await tx.leaves.findType(id, req.companyId);
+    if (!before) return false;
+    const leaveType = {
+      name,
+      yearly_quota: yearly_quota === null ? null : Number(yearly_quota),
+      paid: Boolean(paid),
+      active: Boolean(active),
+    };
+    await tx.leaves.updateType(id, leaveType, req.companyId);
+    await recordAudit(tx, req, { action: 'update', entity: 'leave_type', entityId: id, before, after: leaveType });
+    return true;
+  });
+  if (!updated) return res.status(404).json({ message: 'Leave type not found' });
+  res.json({ message: 'Leave type updated successfully' });
+});
+
+// Employee leave requests
+app.get('/employee/api/leaves', verifyToken, validate({ summary: "The signed-in employee's leave requests" }), async (req, res) => {
+  if (req.userType !== 'employee') return res.status(403).json({ message: 'Unauthorized' });
+  res.json(await db.leaves.listForEmployee(req.userId));
+});
 
-    const [result] = await pool.query('DELETE FROM employees WHERE id = ?', [id]);
-    if (result.affectedRows === 0) return res.status(404).json({ message: 'Employee not found' });
+// Employee leave balance
+app.get('/employee/api/leaves/balance', verifyToken, validate({
+  summary: "The signed-in employee's leave balance per leave type",
+  query: LEAVE_YEAR_QUERY,
+}), async (req, res) => {
+  if (req.userType !== 'employee') return res.status(403).json({ message: 'Unauthorized' });
+  const year = Number(req.query.year) || new Date().getFullYear();
+  res.json({ year, balances: await getLeaveBalances(req.userId, year, req.companyId) });
+});
 
-    if (current[0].aadhar_photo) fs.unlinkSync(path.join(__dirname, 'uploads', current[0].aadhar_photo));
-    if (current[0].pan_photo) fs.unlinkSync(path.join(__dirname, 'uploads', current[0].pan_photo));
+// Apply for leave
+app.post('/employee/api/leaves', verifyToken, validate({
+  summary: 'Apply for leave',
+  description: 'Holidays and weekly offs in the range are not counted as leave days.',
+  body: {
+    leave_type_id: field.id({ required: true }),
+    start_date: field.date({ required: true }),
+    end_date: field.date({ required: true }),
+    reason: field.string({ max: 5000 }),
+  },
+}), async (req, res) => {
+  if (req.userType !== 'employee') return res.status(403).json({ message: 'Unauthorized' });
+  const { leave_type_id, start_date, end_date, reason } = req.body;
 
-    res.json({ message: 'Employee deleted successfully' });
-  } catch (error) {
-    console.error('Error deleting employee:', error);
-    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-      return res.status(503).json({ message: 'No internet connection or database unreachable' });
-    }
-    res.status(500).json({ message: 'Failed to delete employee' });
+  if (end_date < start_date) return res.status(400).json({ message: 'End date cannot be before start date' });
+  if (start_date.slice(0, 4) !== end_date.slice(0, 4)) {
+    return res.status(400).json({ message: 'Leave cannot span two calendar years; apply separately for each year' });
   }
+
+  if (!(await db.leaves.findActiveType(leave_type_id, req.companyId))) return res.status(404).json({ message: 'Leave type not found' });
+
+  if (await db.leaves.hasOverlapping(req.userId, start_date, end_date)) return res.status(409).json({ message: 'You already have leave applied for these dates' });
+
+  const days = (await getLeaveDates(req.userId, start_date, end_date)).length;
+  if (days === 0) return res.status(400).json({ message: 'The selected dates are all holidays or weekly offs' });
+
+  const balance = (await getLeaveBalances(req.userId, Number(start_date.slice(0, 4)), req.companyId))
+    .find((item) => item.leave_type_id === Number(leave_type_id));
+  if (balance && balance.available !== null && days > balance.available) {
+    return res.status(400).json({ message: `Insufficient leave balance: ${balance.available} day(s) available` });
+  }
+
+  const leave = { employee_id: req.userId, leave_type_id, start_date, end_date, days, reason: reason || null };
+  const id = await db.transaction(async (tx) => {
+    const leaveId = await tx.leaves.create(leave);
+    await recordAudit(tx, req, {
+      action: 'create', entity: 'leave_request', entityId: leaveId, employeeId: req.userId, after: { ...leave, status: 'pending' },
+    });
+    return leaveId;
+  });
+  res.status(201).json({ message: 'Leave applied successfully', id, days });
 });
 
-// Fetch all employees data
-app.get('/api/employeesdata', verifyToken, async (req, res) => {
-  try {
-    const [rows] = await pool.query('SELECT id, name, email FROM employees');
-    res.json(rows);
-  } catch (error) {
-    console.error('Error fetching employees:', error);
-    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-      return res.status(503).json({ message: 'No internet connection or database unreachable' });
-    }
-    res.status(500).json({ message: 'Failed to fetch employees' });
+// Cancel a pending leave, or an approved one that has not started yet
+app.post('/employee/api/leaves/:id/cancel', verifyToken, validate({
+  summary: 'Cancel a pending leave, or an approved one that has not started yet',
+  params: ID_PARAMS,
+}), async (req, res) => {
+  if (req.userType !== 'employee') return res.status(403).json({ message: 'Unauthorized' });
+  const { id } = req.params;
+
+  const leave = await db.leaves.findById(id);
+  if (!leave || leave.employee_id !== req.userId) return res.status(404).json({ message: 'Leave request not found' });
+  if (leave.status !== 'pending' && leave.status !== 'approved') {
+    return res.status(409).json({ message: `Leave request is already ${leave.status}` });
+  }
+  if (leave.status === 'approved' && toDateKey(leave.start_date) <= toDateKey(new Date())) {
+    return res.status(409).json({ message: 'Leave that has already started cannot be cancelled' });
   }
+
+  await db.transaction(async (tx) => {
+    await tx.leaves.cancel(id);
+    await tx.attendance.deleteByLeaveRequest(id);
+    await recordAudit(tx, req, {
+      action: 'update', entity: 'leave_request', entityId: id, employeeId: leave.employee_id, before: leave, after: { status: 'cancelled' },
+    });
+  });
+
+  res.json({ message: 'Leave cancelled successfully' });
 });
 
-// Save attendance
-// Save attendance
-// Save attendance
-app.post('/api/attendance', verifyToken, async (req, res) => {
-  const { employee_id, date, present } = req.body;
-  if (!employee_id || !date || present === undefined) {
-    return res.status(400).json({ message: 'Employee ID, date, and present status are required' });
+// List leave requests for review
+app.get('/api/leaves', verifyToken, authorize('leaves:approve'), validate({
+  summary: 'List leave requests for review',
+  query: { status: field.enum(LEAVE_STATUSES), employeeId: field.id() },
+}), async (req, res) => {
+  const { status, employeeId } = req.query;
+
+  const team = await getTeamScope(req);
+  res.json((await db.leaves.list({ companyId: req.companyId, status, employeeId })).filter((leave) => inTeam(team, leave.employee_id)));
+});
+
+// Approve or reject a pending leave request. Approval marks each leave day as "on_leave" in attendance.
+const reviewLeave = (decision) => async (req, res) => {
+  const { id } = req.params;
+  const { note } = req.body;
+
+  const leave = await db.leaves.findById(id);
+  if (!leave) return res.status(404).json({ message: 'Leave request not found' });
+  if (leave.status !== 'pending') return res.status(409).json({ message: `Leave request is already ${leave.status}` });
+  if (req.userType === 'employee' && leave.employee_id === req.userId) {
+    return res.status(403).json({ message: 'You cannot review your own leave request' });
   }
+  const access = await checkEmployeeAccess(req, leave.employee_id);
+  if (access.error) return res.status(access.status).json({ message: access.error });
 
-  try {
-    await pool.query(
-      `INSERT INTO attendance (employee_id, date, present)
-       VALUES (?, ?, ?)
-       ON DUPLICATE KEY UPDATE present = ?`,
-      [employee_id, date, present, present]
-    );
-    res.json({ message: 'Attendance marked successfully' });
-  } catch (error) {
-    console.error('Error saving attendance:', error);
-    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-      return res.status(503).json({ message: 'No internet connection or database unreachable' });
+  const dates = decision === 'approved' ? await getLeaveDates(leave.employee_id, toDateKey(leave.start_date), toDateKey(leave.end_date)) : [];
+
+  await db.transaction(async (tx) => {
+    await tx.leaves.review(id, { status: decision, note: note || null, reviewedBy: req.userId, reviewerType: req.userType });
+    for (const date of dates) {
+      await tx.attendance.markLeave(leave.employee_id, date, Number(id));
     }
-    if (error.code === 'ER_NO_SUCH_TABLE') {
-      res.status(500).json({ message: 'Attendance table does not exist in the database' });
-    } else {
-      res.status(500).json({ message: 'Failed to save attendance', error: error.message });
+    await recordAudit(tx, req, {
+      action: 'update',
+      entity: 'leave_request',
+      entityId: id,
+      employeeId: leave.employee_id,
+      before: leave,
+      after: { status: decision, review_note: note || null, attendance_days_marked: dates.length || null },
+    });
+  });
+
+  res.json({ message: `Leave request ${decision}` });
+};
+
+app.post('/api/leaves/:id/approve', verifyToken, authorize('leaves:approve'), validate({
+  summary: 'Approve a pending leave request',
+  description: 'Each leave day is marked on_leave in attendance.',
+  params: ID_PARAMS,
+  body: { note: field.string({ max: 5000 }) },
+}), reviewLeave('approved'));
+app.post('/api/leaves/:id/reject', verifyToken, authorize('leaves:approve'), validate({
+  summary: 'Reject a pending leave request',
+  params: ID_PARAMS,
+  body: { note: field.string({ max: 5000 }) },
+}), reviewLeave('rejected'));
+
+// Leave balance for any employee
+app.get('/api/leaves/balance/:employeeId', verifyToken, authorize('leaves:approve'), validate({
+  summary: "An employee's leave balance per leave type",
+  params: EMPLOYEE_ID_PARAMS,
+  query: LEAVE_YEAR_QUERY,
+}), async (req, res) => {
+  const { employeeId } = req.params;
+  const year = Number(req.query.year) || new Date().getFullYear();
+  const access = await checkEmployeeAccess(req, employeeId);
+  if (access.error) return res.status(access.status).json({ message: access.error });
+  res.json({ employee_id: Number(employeeId), year, balances: await getLeaveBalances(employeeId, year, req.companyId) });
+});
+
+// List roles and the permissions they grant
+app.get('/api/roles', verifyToken, authorize('roles:manage'), validate({ summary: 'List roles and the permissions they grant' }), (req, res) => {
+  const roles = Object.entries(ROLE_PERMISSIONS).map(([name, permissions]) => ({ name, permissions }));
+  res.json({ roles, assignable: ASSIGNABLE_ROLES });
+});
+
+// List current role assignments for admins and employees
+app.get('/api/roles/assignments', verifyToken, authorize('roles:manage'), validate({
+  summary: 'List current role assignments for admins and employees',
+}), async (req, res) => {
+  const admins = await db.admins.listRoles(req.companyId);
+  const employees = await db.employees.listRoles(req.companyId);
+  res.json({
+    admins: admins.map((admin) => ({ ...admin, role: admin.role || 'super_admin' })),
+    employees: employees.map((employee) => ({ ...employee, role: employee.role || 'employee' })),
+  });
+});
+
+// Assign a role to an admin or employee. Takes effect when that user next logs in or refreshes their token.
+app.put('/api/roles/assignments/:userType/:id', verifyToken, authorize('roles:manage'), validate({
+  summary: 'Assign a role to an admin or employee',
+  description: 'Takes effect when that user next logs in or refreshes their token.',
+  params: { userType: field.enum(Object.keys(ASSIGNABLE_ROLES)), id: field.id() },
+  body: { role: field.enum([...new Set(Object.values(ASSIGNABLE_ROLES).flat())], { required: true }) },
+}), async (req, res) => {
+  const { userType, id } = req.params;
+  const { role } = req.body;
+
+  if (!ASSIGNABLE_ROLES[userType].includes(role)) {
+    return res.status(400).json({ message: `Role must be one of: ${ASSIGNABLE_ROLES[userType].join(', ')}` });
+  }
+
+  const repository = userType === 'admin' ? db.admins : db.employees;
+  const current = await repository.findRole(id, req.companyId);
+  if (!current) return res.status(404).json({ message: `${userType === 'admin' ? 'Admin' : 'Employee'} not found` });
+
+  // Never leave the system without a super admin
+  if (userType === 'admin' && (current.role || 'super_admin') === 'super_admin' && role !== 'super_admin') {
+    if ((await db.admins.countSuperAdmins(req.companyId)) <= 1) {
+      return res.status(409).json({ message: 'Cannot remove the last super admin' });
     }
   }
+
+  await db.transaction(async (tx) => {
+    await (userType === 'admin' ? tx.admins : tx.employees).updateRole(id, role);
+    await recordAudit(tx, req, {
+      action: 'update',
+      entity: userType,
+      entityId: id,
+      employeeId: userType === 'employee' ? id : null,
+      before: { role: current.role },
+      after: { role },
+    });
+  });
+  res.json({ message: 'Role updated successfully', userType, id: Number(id), role });
 });
-// Fetch attendance history
-app.get('/api/attendance/history/:employeeId', verifyToken, async (req, res) => {
-  const { employeeId } = req.params;
-  try {
-    const [rows] = await pool.query('SELECT date, present FROM attendance WHERE employee_id = ? ORDER BY date DESC', [employeeId]);
-    res.json(rows);
-  } catch (error) {
-    console.error('Error fetching attendance history:', error);
-    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-      return res.status(503).json({ message: 'No internet connection or database unreachable' });
-    }
-    res.status(500).json({ message: 'Failed to fetch attendance history' });
+
+// Parse audit log filters from a query string. Dates are YYYY-MM-DD and `to` includes the whole day.
+function getAuditFilters(query) {
+  const { entity, entityId, from, to } = query;
+  if (from && to && to < from) return { error: 'The to date cannot be before the from date' };
+
+  let until;
+  if (to) {
+    const nextDay = new Date(`${to}T00:00:00Z`);
+    nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+    until = nextDay.toISOString().slice(0, 10);
   }
+  return {
+    filters: {
+      entity,
+      entityId,
+      since: from,
+      until,
+      limit: Math.min(Number(query.limit) || 100, 500),
+      offset: Math.max(Number(query.offset) || 0, 0),
+    },
+  };
+}
+
+const AUDIT_QUERY = {
+  entity: field.string({ example: 'employee' }),
+  entityId: field.string(),
+  from: field.date(),
+  to: field.date({ description: 'Includes the whole day' }),
+  limit: field.integer({ min: 1, description: 'At most 500; defaults to 100' }),
+  offset: field.integer({ min: 0 }),
+};
+
+// Audit log, newest first. Filter by employeeId, entity, entityId and a from/to date range; page with limit/offset.
+app.get('/api/audit', verifyToken, authorize('audit:read'), validate({
+  summary: 'Audit log, newest first',
+  query: { employeeId: field.id(), ...AUDIT_QUERY },
+}), async (req, res) => {
+  const { filters, error: filterError } = getAuditFilters(req.query);
+  if (filterError) return res.status(400).json({ message: filterError });
+
+  res.json(await db.audit.list({ ...filters, companyId: req.companyId, employeeId: req.query.employeeId }));
+});
+
+// History of changes to the employee's own records
+app.get('/employee/api/audit', verifyToken, validate({
+  summary: "History of changes to the signed-in employee's own records",
+  query: AUDIT_QUERY,
+}), async (req, res) => {
+  if (req.userType !== 'employee') return res.status(403).json({ message: 'Unauthorized' });
+  const { filters, error: filterError } = getAuditFilters(req.query);
+  if (filterError) return res.status(400).json({ message: filterError });
+
+  const entries = await db.audit.list({ ...filters, companyId: req.companyId, employeeId: req.userId });
+  res.json(entries.map(({ ip, ...entry }) => entry));
 });
 
-app.get('/api/holidays', verifyToken, async (req, res) => {
+// Move Aadhar/PAN photos uploaded before the vault existed out of uploads/ and into the vault
+async function importLegacyKycFiles() {
+  if (!isVaultConfigured()) {
+    console.warn('DOCUMENT_ENCRYPTION_KEY is not set; KYC uploads are disabled until it is configured');
+    return;
+  }
   try {
-    const [rows] = await pool.query('SELECT date FROM holidays');
-    res.json(rows);
-  } catch (error) {
-    console.error('Error fetching holidays:', error);
-    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-      return res.status(503).json({ message: 'No internet connection or database unreachable' });
+    for (const employee of await db.employees.listLegacyDocuments()) {
+      const files = [['aadhar', employee.aadhar_photo], ['pan', employee.pan_photo]].filter(([, filename]) => filename);
+      for (const [kind, filename] of files) {
+        const filePath = path.join(__dirname, 'uploads', path.basename(filename));
+        if (!fs.existsSync(filePath)) {
+          console.warn(`Legacy ${kind} file for employee ${employee.id} is missing: ${filename}`);
+          continue;
+        }
+        const content = await fs.promises.readFile(filePath);
+        const { storageKey, checksum, size } = await storeDocument(content);
+        await db.documents.create({
+          company_id: employee.company_id,
+          employee_id: employee.id,
+          kind,
+          storage_key: storageKey,
+          original_name: filename,
+          mime_type: detectFileType(content)?.mimeType || 'application/octet-stream',
+          size_bytes: size,
+          checksum,
+          id_number_encrypted: null,
+          id_number_masked: null,
+          uploaded_by: null,
+          uploaded_by_type: 'system',
+        });
+      }
+      await db.employees.clearLegacyDocuments(employee.id);
+      for (const [, filename] of files) await removeFile(path.join(__dirname, 'uploads', path.basename(filename)));
+      console.log(`Moved KYC files for employee ${employee.id} into the document vault`);
     }
-    res.status(500).json({ message: 'Failed to fetch holidays' });
+  } catch (error) {
+    console.error('Failed to import legacy KYC files:', error);
   }
+}
+
+// Decrypt a document and send it as a download, recording who fetched it
+async function sendDocument(req, res, document) {
+  const content = await readDocument(document.storage_key, document.checksum);
+  await db.documents.logAccess({ documentId: document.id, employeeId: document.employee_id, action: 'download', ...getDocumentActor(req) });
+  const extension = detectFileType(content)?.extension || 'bin';
+  res.set({
+    'Content-Type': document.mime_type,
+    'Content-Disposition': `attachment; filename="${document.kind}_${document.employee_id}.${extension}"`,
+    'Cache-Control': 'no-store',
+  });
+  res.send(content);
+}
+
+// List an employee's KYC documents. ID numbers are masked.
+app.get('/api/employees/:id/documents', verifyToken, authorize('employees:read_sensitive'), validate({
+  summary: "List an employee's KYC documents",
+  description: 'ID numbers are masked.',
+  params: ID_PARAMS,
+}), async (req, res) => {
+  const access = await checkEmployeeAccess(req, req.params.id);
+  if (access.error) return res.status(access.status).json({ message: access.error });
+  res.json(await db.documents.listForEmployee(req.params.id, req.companyId));
 });
 
-// Mark holiday (New endpoint)
-app.post('/api/holidays', verifyToken, async (req, res) => {
-  const { date } = req.body;
-  if (!date) return res.status(400).json({ message: 'Date is required' });
+// Upload or replace one KYC document: multipart `file`, `kind` (aadhar or pan) and optional `id_number`
+app.post('/api/employees/:id/documents', verifyToken, authorize('employees:write'), handleUpload(upload.single('file')), validate({
+  summary: 'Upload or replace one KYC document',
+  params: ID_PARAMS,
+  body: {
+    file: field.file({ required: true }),
+    kind: field.enum(Object.keys(KYC_DOCUMENT_KINDS), { required: true }),
+    id_number: field.string(),
+  },
+}), async (req, res) => {
+  const { id } = req.params;
+  const { kind, id_number } = req.body;
+
+  const { document, error: validationError } = validateKycFile(kind, req.file, id_number);
+  if (validationError) return res.status(400).json({ message: validationError });
+
+  let stored = [];
   try {
-    await pool.query('DELETE FROM attendance WHERE date = ?', [date]); // Remove existing attendance
-    await pool.query('INSERT IGNORE INTO holidays (date) VALUES (?)', [date]);
-    res.json({ message: `Marked ${date} as a holiday` });
+    if (!(await db.employees.findById(id, req.companyId))) return res.status(404).json({ message: 'Employee not found' });
+
+    stored = await storeKycDocuments([document]);
+    const replaced = await db.transaction((tx) => saveKycDocuments(tx, id, stored, req));
+    await discardStoredDocuments(replaced);
+    res.status(201).json({ message: 'Document uploaded successfully', replaced: replaced.length > 0 });
   } catch (error) {
-    console.error('Error marking holiday:', error);
-    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-      return res.status(503).json({ message: 'No internet connection or database unreachable' });
-    }
-    res.status(500).json({ message: 'Failed to mark holiday' });
+    await discardStoredDocuments(stored);
+    throw error;
   }
 });
 
-app.post('/api/servicerequest', async (req, res) => {
-  const { name, contact, email, service, message } = req.body;
-  const query = 'INSERT INTO service_requests (name, contact, email, service, message) VALUES (?, ?, ?, ?, ?)';
-  
+// Download a KYC document (admin)
+app.get('/api/documents/:id/download', verifyToken, authorize('employees:read_sensitive'), validate({
+  summary: 'Download a KYC document',
+  params: ID_PARAMS,
+  response: 'The document file',
+}), async (req, res) => {
   try {
-    const [result] = await pool.query(query, [name, contact, email, service, message]);
-    res.status(200).json({ message: 'Service request submitted successfully', id: result.insertId });
+    const document = await db.documents.findById(req.params.id, req.companyId);
+    if (!document) return res.status(404).json({ message: 'Document not found' });
+    await sendDocument(req, res, document);
   } catch (error) {
-    console.error('Error inserting service request:', error);
-    res.status(500).json({ message: 'Internal server error' });
+    if (error.code === 'ENOENT') return res.status(404).json({ message: 'Document file is missing from storage' });
+    if (error.code === 'CHECKSUM_MISMATCH') return res.status(500).json({ message: 'Document failed its integrity check' });
+    throw error;
   }
 });
 
-// Contact Details Endpoint
-app.post('/api/contactdetail', async (req, res) => {
-  const { name, email, subject, message } = req.body;
-  const query = 'INSERT INTO contact_details (name, email, subject, message) VALUES (?, ?, ?, ?)';
-  
+// Who uploaded, replaced, downloaded or reviewed a document
+app.get('/api/documents/:id/access-log', verifyToken, authorize('employees:read_sensitive'), validate({
+  summary: 'Who uploaded, replaced, downloaded or reviewed a document',
+  params: ID_PARAMS,
+}), async (req, res) => {
+  if (!(await db.documents.findById(req.params.id, req.companyId))) return res.status(404).json({ message: 'Document not found' });
+  res.json(await db.documents.listAccessLog(req.params.id));
+});
+
+// Mark a document as verified or rejected. Rejections need a reason for the employee.
+const reviewDocument = (decision) => async (req, res) => {
+  const { id } = req.params;
+  const { note } = req.body;
+
+  const document = await db.documents.findById(id, req.companyId);
+  if (!document) return res.status(404).json({ message: 'Document not found' });
+
+  await db.transaction(async (tx) => {
+    await tx.documents.review(id, { status: decision, note: note || null, reviewedBy: req.userId, reviewerType: req.userType });
+    await tx.documents.logAccess({
+      documentId: document.id,
+      employeeId: document.employee_id,
+      action: decision === 'verified' ? 'verify' : 'reject',
+      ...getDocumentActor(req),
+    });
+    await recordAudit(tx, req, {
+      action: 'update',
+      entity: 'document',
+      entityId: document.id,
+      employeeId: document.employee_id,
+      before: document,
+      after: { status: decision, review_note: note || null },
+    });
+  });
+  res.json({ message: `Document ${decision}` });
+};
+
+app.post('/api/documents/:id/verify', verifyToken, authorize('documents:verify'), validate({
+  summary: 'Mark a document as verified',
+  params: ID_PARAMS,
+  body: { note: field.string({ max: 5000 }) },
+}), reviewDocument('verified'));
+app.post('/api/documents/:id/reject', verifyToken, authorize('documents:verify'), validate({
+  summary: 'Reject a document',
+  params: ID_PARAMS,
+  body: { note: field.string({ required: true, max: 5000, description: 'The reason, shown to the employee' }) },
+}), reviewDocument('rejected'));
+
+// Employee's own KYC documents and their review status
+app.get('/employee/api/documents', verifyToken, validate({
+  summary: "The signed-in employee's KYC documents and their review status",
+}), async (req, res) => {
+  if (req.userType !== 'employee') return res.status(403).json({ message: 'Unauthorized' });
+  res.json(await db.documents.listForEmployee(req.userId, req.companyId));
+});
+
+// Employee download of their own document
+app.get('/employee/api/documents/:id/download', verifyToken, validate({
+  summary: 'Download one of the signed-in employee\'s documents',
+  params: ID_PARAMS,
+  response: 'The document file',
+}), async (req, res) => {
+  if (req.userType !== 'employee') return res.status(403).json({ message: 'Unauthorized' });
   try {
-    const [result] = await pool.query(query, [name, email, subject, message]);
-    res.status(200).json({ message: 'Contact details submitted successfully', id: result.insertId });
+    const document = await db.documents.findById(req.params.id, req.companyId);
+    if (!document || document.employee_id !== req.userId) return res.status(404).json({ message: 'Document not found' });
+    await sendDocument(req, res, document);
   } catch (error) {
-    console.error('Error inserting contact details:', error);
-    res.status(500).json({ message: 'Internal server error' });
+    if (error.code === 'ENOENT') return res.status(404).json({ message: 'Document file is missing from storage' });
+    throw error;
   }
 });
 
-// Contact Endpoint
-app.post('/api/contact', async (req, res) => {
-  const { name, email, subject, message } = req.body;
-  const query = 'INSERT INTO contacts (name, email, subject, message) VALUES (?, ?, ?, ?)';
-  
-  try {
-    const [result] = await pool.query(query, [name, email, subject, message]);
-    res.status(200).json({ message: 'Contact submitted successfully', id: result.insertId });
-  } catch (error) {
-    console.error('Error inserting contact:', error);
-    res.status(500).json({ message: 'Internal server error' });
+const EMAIL_STATUSES = ['queued', 'sending', 'sent', 'failed'];
+
+// ?page= and ?limit= for the email and webhook delivery logs
+const LOG_PAGE_QUERY = {
+  page: field.integer({ min: 1 }),
+  limit: field.integer({ min: 1, description: 'At most 100; defaults to 20' }),
+};
+
+// Outbox emails, newest first, with counts per status. Filter by status and category; page with page/limit.
+app.get('/api/emails', verifyToken, authorize('emails:manage'), validate({
+  summary: 'Outbox emails, newest first, with counts per status',
+  query: { status: field.enum(EMAIL_STATUSES), category: field.string({ example: 'offer_letter' }), ...LOG_PAGE_QUERY },
+}), async (req, res) => {
+  const { status, category } = req.query;
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+  const [{ total, emails }, counts] = await Promise.all([
+    db.emails.list({ companyId: req.companyId, status, category, limit, offset: (page - 1) * limit }),
+    db.emails.countByStatus(req.companyId),
+  ]);
+  res.json({
+    emails,
+    counts: Object.fromEntries(EMAIL_STATUSES.map((name) => [name, Number(counts.find((row) => row.status === name)?.count || 0)])),
+    page,
+    limit,
+    total,
+    pages: Math.ceil(total / limit),
+  });
+});
+
+// One outbox email with its content. Attachments are listed without their data, and password reset
+// codes are never shown.
+app.get('/api/emails/:id', verifyToken, authorize('emails:manage'), validate({
+  summary: 'One outbox email with its content',
+  description: 'Attachments are listed without their data, and password reset codes are never shown.',
+  params: ID_PARAMS,
+}), async (req, res) => {
+  const { message, ...email } = (await db.emails.find(req.params.id, req.companyId)) || {};
+  if (!email.id) return res.status(404).json({ message: 'Email not found' });
+
+  const { attachments = [], text, html, ...headers } = deserializeMessage(message);
+  const hidden = email.category === 'password_reset';
+  res.json({
+    ...email,
+    message: {
+      ...headers,
+      text: hidden ? null : text,
+      html: hidden ? null : html,
+      attachments: attachments.map(({ filename, contentType, content }) => ({
+        filename,
+        contentType,
+        size: Buffer.byteLength(content, 'base64'),
+      })),
+    },
+  });
+});
+
+// Queue a failed (or already sent) email again with a fresh set of attempts
+app.post('/api/emails/:id/resend', verifyToken, authorize('emails:manage'), validate({
+  summary: 'Queue a failed or already sent email again',
+  params: ID_PARAMS,
+}), async (req, res) => {
+  const { id } = req.params;
+
+  const email = await db.emails.find(id, req.companyId);
+  if (!email) return res.status(404).json({ message: 'Email not found' });
+  if (email.status !== 'failed' && email.status !== 'sent') {
+    return res.status(409).json({ message: 'Email is already waiting to be sent' });
+  }
+
+  await db.transaction(async (tx) => {
+    await tx.emails.requeue(id);
+    await recordAudit(tx, req, {
+      action: 'update',
+      entity: 'email',
+      entityId: id,
+      before: { status: email.status, attempts: email.attempts },
+      after: { status: 'queued', attempts: 0 },
+    });
+  });
+  wakeEmailWorker();
+  res.json({ message: 'Email queued for sending' });
+});
+
+const WEBHOOK_DELIVERY_STATUSES = ['queued', 'sending', 'delivered', 'failed'];
+
+// Validate a webhook subscription body, merged over the current values when updating.
+// Returns { subscription } or { error }.
+const validateWebhookSubscription = (body, current = {}) => {
+  const subscription = {
+    url: body.url !== undefined ? String(body.url).trim() : current.url,
+    description: body.description !== undefined ? String(body.description || '').trim() || null : current.description ?? null,
+    events: body.events !== undefined ? body.events : current.events,
+    active: body.active !== undefined ? body.active : current.active ?? true,
+  };
+  const urlError = getWebhookUrlError(subscription.url);
+  if (urlError) return { error: urlError };
+  if (typeof subscription.active !== 'boolean') return { error: 'Active must be true or false' };
+  subscription.events = [...new Set(subscription.events)];
+  return { subscription };
+};
+
+const WEBHOOK_FIELDS = {
+  url: field.url({ description: 'Where events are POSTed' }),
+  events: field.array(field.enum(WEBHOOK_EVENTS), { min: 1 }),
+  description: field.string({ max: 255 }),
+  active: field.boolean(),
+};
+
+// Events a webhook can subscribe to
+app.get('/api/webhooks/events', verifyToken, authorize('webhooks:manage'), validate({ summary: 'Events a webhook can subscribe to' }), (req, res) => {
+  res.json(WEBHOOK_EVENTS);
+});
+
+// The company's webhook subscriptions. Secrets are only shown when created or rotated.
+app.get('/api/webhooks', verifyToken, authorize('webhooks:manage'), validate({
+  summary: "The company's webhook subscriptions",
+  description: 'Secrets are only shown when created or rotated.',
+}), async (req, res) => {
+  res.json(await db.webhooks.listSubscriptions(req.companyId));
+});
+
+// Register a URL for events ({ url, events, description, active }). The answer carries the signing secret.
+app.post('/api/webhooks', verifyToken, authorize('webhooks:manage'), validate({
+  summary: 'Register a URL for events',
+  description: 'The answer carries the signing secret.',
+  body: {
+    ...WEBHOOK_FIELDS,
+    url: field.url({ required: true, description: 'Where events are POSTed' }),
+    events: field.array(field.enum(WEBHOOK_EVENTS), { required: true, min: 1 }),
+  },
+}), async (req, res) => {
+  const { subscription, error: validationError } = validateWebhookSubscription(req.body);
+  if (validationError) return res.status(400).json({ message: validationError });
+
+  const secret = createWebhookSecret();
+  const id = await db.transaction(async (tx) => {
+    const subscriptionId = await tx.webhooks.createSubscription({ ...subscription, companyId: req.companyId, secret, createdBy: req.userId });
+    await recordAudit(tx, req, { action: 'create', entity: 'webhook', entityId: subscriptionId, after: subscription });
+    return subscriptionId;
+  });
+  res.status(201).json({ message: 'Webhook created successfully', id, ...subscription, secret });
+});
+
+// Update a webhook. Send rotate_secret: true to replace its signing secret; the new one is in the answer.
+app.put('/api/webhooks/:id', verifyToken, authorize('webhooks:manage'), validate({
+  summary: 'Update a webhook',
+  description: 'Fields not sent keep their current values. The new secret is in the answer when rotate_secret is true.',
+  params: ID_PARAMS,
+  body: { ...WEBHOOK_FIELDS, rotate_secret: field.boolean() },
+}), async (req, res) => {
+  const { id } = req.params;
+
+  const before = await db.webhooks.findSubscription(id, req.companyId);
+  if (!before) return res.status(404).json({ message: 'Webhook not found' });
+  const { subscription, error: validationError } = validateWebhookSubscription(req.body, before);
+  if (validationError) return res.status(400).json({ message: validationError });
+
+  const secret = req.body.rotate_secret === true ? createWebhookSecret() : undefined;
+  await db.transaction(async (tx) => {
+    await tx.webhooks.updateSubscription(id, subscription);
+    if (secret) await tx.webhooks.updateSecret(id, secret);
+    await recordAudit(tx, req, {
+      action: 'update', entity: 'webhook', entityId: id, before, after: { ...subscription, ...(secret && { secret_rotated: true }) },
+    });
+  });
+  res.json({ message: 'Webhook updated successfully', id: Number(id), ...subscription, ...(secret && { secret }) });
+});
+
+// Delete a webhook together with its delivery log
+app.delete('/api/webhooks/:id', verifyToken, authorize('webhooks:manage'), validate({
+  summary: 'Delete a webhook together with its delivery log',
+  params: ID_PARAMS,
+}), async (req, res) => {
+  const { id } = req.params;
+
+  const before = await db.webhooks.findSubscription(id, req.companyId);
+  if (!before) return res.status(404).json({ message: 'Webhook not found' });
+  await db.transaction(async (tx) => {
+    await tx.webhooks.deleteSubscription(id);
+    await recordAudit(tx, req, { action: 'delete', entity: 'webhook', entityId: id, before });
+  });
+  res.json({ message: 'Webhook deleted successfully' });
+});
+
+// Send a webhook.test event to one webhook, to check the receiver and its signature verification
+app.post('/api/webhooks/:id/test', verifyToken, authorize('webhooks:manage'), validate({
+  summary: 'Send a webhook.test event to one webhook',
+  params: ID_PARAMS,
+}), async (req, res) => {
+  const { id } = req.params;
+
+  const subscription = await db.webhooks.findSubscription(id, req.companyId);
+  if (!subscription) return res.status(404).json({ message: 'Webhook not found' });
+  if (!subscription.active) return res.status(409).json({ message: 'Webhook is disabled' });
+
+  const eventId = crypto.randomUUID();
+  const deliveryId = await db.webhooks.enqueue({
+    companyId: req.companyId,
+    subscriptionId: subscription.id,
+    event: 'webhook.test',
+    eventId,
+    payload: JSON.stringify({ id: eventId, event: 'webhook.test', created_at: new Date().toISOString(), data: { webhook_id: subscription.id } }),
+    maxAttempts: 1,
+  });
+  wakeWebhookWorker();
+  res.status(202).json({ message: 'Test event queued', deliveryId });
+});
+
+// Delivery log, newest first, with counts per status. Filter by webhook_id, status and event; page with page/limit.
+app.get('/api/webhooks/deliveries', verifyToken, authorize('webhooks:manage'), validate({
+  summary: 'Webhook delivery log, newest first, with counts per status',
+  query: {
+    webhook_id: field.id(),
+    status: field.enum(WEBHOOK_DELIVERY_STATUSES),
+    event: field.enum([...WEBHOOK_EVENTS, 'webhook.test']),
+    ...LOG_PAGE_QUERY,
+  },
+}), async (req, res) => {
+  const { webhook_id: subscriptionId, status, event } = req.query;
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+  const [{ total, deliveries }, counts] = await Promise.all([
+    db.webhooks.listDeliveries({ companyId: req.companyId, subscriptionId, status, event, limit, offset: (page - 1) * limit }),
+    db.webhooks.countByStatus(req.companyId),
+  ]);
+  res.json({
+    deliveries,
+    counts: Object.fromEntries(WEBHOOK_DELIVERY_STATUSES.map((name) => [name, Number(counts.find((row) => row.status === name)?.count || 0)])),
+    page,
+    limit,
+    total,
+    pages: Math.ceil(total / limit),
+  });
+});
+
+// One delivery with the payload sent and the start of the receiver's last response
+app.get('/api/webhooks/deliveries/:id', verifyToken, authorize('webhooks:manage'), validate({
+  summary: "One delivery with the payload sent and the start of the receiver's last response",
+  params: ID_PARAMS,
+}), async (req, res) => {
+  const delivery = await db.webhooks.findDelivery(req.params.id, req.companyId);
+  if (!delivery) return res.status(404).json({ message: 'Delivery not found' });
+  res.json({ ...delivery, payload: JSON.parse(delivery.payload) });
+});
+
+// Send a delivery again as a new delivery with a fresh set of attempts. The event ID stays the same,
+// so receivers can recognise an event they have already handled.
+app.post('/api/webhooks/deliveries/:id/replay', verifyToken, authorize('webhooks:manage'), validate({
+  summary: 'Send a delivery again as a new delivery',
+  description: 'The event ID stays the same, so receivers can recognise an event they have already handled.',
+  params: ID_PARAMS,
+}), async (req, res) => {
+  const { id } = req.params;
+
+  const delivery = await db.webhooks.findDelivery(id, req.companyId);
+  if (!delivery) return res.status(404).json({ message: 'Delivery not found' });
+  if (delivery.status === 'queued' || delivery.status === 'sending') {
+    return res.status(409).json({ message: 'Delivery is still waiting to be sent' });
   }
+  const subscription = await db.webhooks.findSubscription(delivery.subscription_id, req.companyId);
+  if (!subscription.active) return res.status(409).json({ message: 'Webhook is disabled' });
+
+  const deliveryId = await db.transaction(async (tx) => {
+    const replayId = await tx.webhooks.enqueue({
+      companyId: req.companyId,
+      subscriptionId: delivery.subscription_id,
+      event: delivery.event,
+      eventId: delivery.event_id,
+      payload: delivery.payload,
+      maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+      replayOf: delivery.id,
+    });
+    await recordAudit(tx, req, {
+      action: 'create', entity: 'webhook_delivery', entityId: replayId, after: { replay_of: delivery.id, event: delivery.event, event_id: delivery.event_id },
+    });
+    return replayId;
+  });
+  wakeWebhookWorker();
+  res.status(202).json({ message: 'Delivery queued for replay', deliveryId });
 });
+
 // Health check endpoint
-app.get('/api/health', async (req, res) => {
-  if (!pool) return res.status(503).json({ status: 'error', message: 'Database not connected' });
+app.get('/api/health', validate({ summary: 'Whether the database is reachable', tags: ['health'] }), async (req, res) => {
+  if (!db) return res.status(503).json({ status: 'error', message: 'Database not connected' });
 
   try {
-    const connection = await pool.getConnection();
-    await connection.ping();
-    connection.release();
+    await db.ping();
     res.json({ status: 'ok', message: 'Database connected' });
   } catch (error) {
     res.status(503).json({ status: 'error', message: 'Database connection failed' });
   }
 });
 
+// OpenAPI document for every route above, built from their schemas on the first request
+const API_VERSION = JSON.parse(fs.readFileSync(path.join(__dirname, 'package.json'), 'utf8')).version;
+let apiDocument = null;
+app.get('/api/docs', validate({ summary: 'OpenAPI document for this API', tags: ['docs'] }), (req, res) => {
+  apiDocument ||= buildOpenApiDocument({
+    routes,
+    title: 'Motion API',
+    version: API_VERSION,
+    description: 'Errors are answered with { message, errors }, where errors lists field-level problems.',
+    authenticate: verifyToken,
+  });
+  res.json(apiDocument);
+});
+
+app.use((req, res) => res.status(404).json({ message: `Cannot ${req.method} ${req.path}` }));
+
+// Errors thrown by routes or passed to next(). Every error response is { message, errors? }; errors
+// nobody expected are logged and answered without their details.
+const ERROR_RESPONSES = {
+  ECONNREFUSED: { status: 503, message: 'No internet connection or database unreachable' },
+  ENOTFOUND: { status: 503, message: 'No internet connection or database unreachable' },
+  PDF_QUEUE_FULL: { status: 503, message: 'Too many documents are being generated. Please try again shortly.', retryAfter: 30 },
+  VAULT_NOT_CONFIGURED: { status: 503, message: 'Document storage is not configured' },
+};
+app.use((error, req, res, next) => {
+  if (res.headersSent) return next(error);
+  if (error instanceof HttpError) return res.status(error.status).json(error);
+  // Bodies express.json() could not read
+  if (error.type === 'entity.parse.failed') return res.status(400).json({ message: 'Request body is not valid JSON' });
+  if (error.type === 'entity.too.large') return res.status(413).json({ message: 'Request body is too large' });
+
+  console.error(`${req.method} ${req.originalUrl} failed:`, error);
+  const known = ERROR_RESPONSES[error.code];
+  if (known?.retryAfter) res.set('Retry-After', String(known.retryAfter));
+  res.status(known?.status || 500).json({ message: known?.message || 'Something went wrong. Please try again later.' });
+});
+
 const PORT = process.env.PORT || 5000;
 
 async function startServer() {
   const dbConnected = await initializeDatabase();
   if (dbConnected) {
+    startEmailWorker();
+    startWebhookWorker();
+    startMissedCheckOutJob();
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
     });
@@ -0,0 +1,47 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, toCsv } from '../lib/csv.js';
+
+describe('parseCsv', () => {
+  it('splits rows and fields', () => {
+    assert.deepEqual(parseCsv('employee_id,date,status\r\n1,2025-06-02,present\n2,2025-06-02,absent'), [
+      ['employee_id', 'date', 'status'],
+      ['1', '2025-06-02', 'present'],
+      ['2', '2025-06-02', 'absent'],
+    ]);
+  });
+
+  it('reads quoted fields with commas, escaped quotes and line breaks', () => {
+    assert.deepEqual(parseCsv('name,note\n"Rao, Priya","Said ""hi""\non Monday"\n'), [
+      ['name', 'note'],
+      ['Rao, Priya', 'Said "hi"\non Monday'],
+    ]);
+  });
+
+  it('drops a byte order mark and blank lines', () => {
+    assert.deepEqual(parseCsv('\uFEFFa,b\r\n\r\n , \r\n1,2\r\n'), [['a', 'b'], ['1', '2']]);
+  });
+
+  it('keeps empty fields', () => {
+    assert.deepEqual(parseCsv('1,,3\n,,x'), [['1', '', '3'], ['', '', 'x']]);
+  });
+});
+
+describe('toCsv', () => {
+  it('quotes cells with commas, quotes or line breaks', () => {
+    assert.equal(toCsv(['name', 'note'], [['Rao, Priya', 'Said "hi"\non Monday']]), 'name,note\r\n"Rao, Priya","Said ""hi""\non Monday"\r\n');
+  });
+
+  it('writes empty cells for null and ISO timestamps for dates', () => {
+    assert.equal(toCsv(['a', 'b', 'c'], [[null, undefined, new Date('2025-06-02T04:30:00Z')]]), 'a,b,c\r\n,,2025-06-02T04:30:00.000Z\r\n');
+  });
+
+  it('stops cells from being read as formulas but leaves negative numbers alone', () => {
+    assert.equal(toCsv(['a', 'b', 'c', 'd'], [['=SUM(A1:A9)', '@cmd', '-12.5', '+1']]), "a,b,c,d\r\n'=SUM(A1:A9),'@cmd,-12.5,+1\r\n");
+  });
+
+  it('round-trips through parseCsv', () => {
+    const rows = [['1', 'Rao, Priya', 'Line one\r\nline two'], ['2', '"Quoted"', '']];
+    assert.deepEqual(parseCsv(toCsv(['id', 'name', 'note'], rows)), [['id', 'name', 'note'], ...rows]);
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseIcs, toIcs } from '../lib/ical.js';
+
+const calendar = (...lines) => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+
+describe('toIcs', () => {
+  it('writes all-day events ending the next day', () => {
+    const ics = toIcs({ name: 'Company Holidays', events: [{ uid: 'holiday-1@motion', date: '2025-12-31', summary: 'New Year’s Eve' }] });
+    assert.match(ics, /\r\nDTSTART;VALUE=DATE:20251231\r\nDTEND;VALUE=DATE:20260101\r\n/);
+    assert.match(ics, /\r\nX-WR-CALNAME:Company Holidays\r\n/);
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+  });
+
+  it('folds lines longer than 75 octets without splitting characters', () => {
+    const summary = 'Dīpāvalī – Festival of Lights, observed across every office and branch in the country';
+    const ics = toIcs({ events: [{ uid: 'holiday-2@motion', date: '2025-10-20', summary }] });
+    const lines = ics.split('\r\n');
+    assert.ok(lines.some((line) => line.startsWith(' ')));
+    for (const line of lines) assert.ok(Buffer.byteLength(line) <= 75, line);
+    assert.equal(parseIcs(ics).events[0].summary, summary);
+  });
+
+  it('round-trips escaped text through parseIcs', () => {
+    const event = {
+      uid: 'holiday-3@motion', date: '2025-08-15', summary: 'Independence Day; flag hoisting, 9:00\nC:\\office', location: 'Tamil Nadu', categories: 'national',
+    };
+    const { events, errors } = parseIcs(toIcs({ events: [event] }));
+    assert.deepEqual(errors, []);
+    assert.deepEqual(events, [{
+      line: 6, uid: event.uid, summary: event.summary, location: event.location, categories: event.categories, dates: ['2025-08-15'],
+    }]);
+  });
+});
+
+describe('parseIcs', () => {
+  it('treats DTEND as exclusive', () => {
+    const { events } = parseIcs(calendar('BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20251230', 'DTEND;VALUE=DATE:20260102', 'SUMMARY:Year end', 'END:VEVENT'));
+    assert.deepEqual(events[0].dates, ['2025-12-30', '2025-12-31', '2026-01-01']);
+  });
+
+  it('reads DURATION in days when there is no DTEND', () => {
+    const { events } = parseIcs(calendar('BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20250228', 'DURATION:P2D', 'END:VEVENT'));
+    assert.deepEqual(events[0].dates, ['2025-02-28', '2025-03-01']);
+  });
+
+  it('gives an event without an end a single day', () => {
+    const { events } = parseIcs(calendar('BEGIN:VEVENT', 'DTSTART:20250501T000000Z', 'SUMMARY:May Day', 'END:VEVENT'));
+    assert.deepEqual(events[0].dates, ['2025-05-01']);
+  });
+
+  it('unfolds continuation lines and reports the line each event starts on', () => {
+    const text = calendar(
+      'BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20250414', 'SUMMARY:Ambedkar', '  Jayanti\\, Tamil', '  New Year', 'END:VEVENT',
+      'BEGIN:VEVENT', 'SUMMARY:No start', 'END:VEVENT'
+    );
+    const { events, errors } = parseIcs(`\uFEFF${text.replace(/\r\n/g, '\n')}`);
+    assert.equal(events[0].summary, 'Ambedkar Jayanti, Tamil New Year');
+    assert.equal(events[0].line, 3);
+    assert.deepEqual(errors, [{ line: 9, message: 'Event has no valid DTSTART' }]);
+  });
+});
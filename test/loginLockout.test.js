@@ -0,0 +1,139 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { getTrustProxySetting } from '../lib/http.js';
+import { getLockoutMinutes, getMinutesLocked, recordLoginFailure } from '../lib/loginLockout.js';
+
+const LIMITS = { maxFailures: 5, maxIpFailures: 3, windowMinutes: 15 };
+const WINDOW_MINUTES = LIMITS.windowMinutes;
+
+// The auth repository's login failure methods, kept in memory
+function createAuthStub() {
+  let failures = [];
+  return {
+    recordLoginFailure: async (account, ip) => {
+      failures.push({ account, ip, created_at: new Date() });
+    },
+    listLoginFailures: async ({ account, ip, since }) =>
+      failures.filter((failure) => (account ? failure.account === account : failure.ip === ip) && failure.created_at > since),
+    pruneLoginFailures: async (olderThan) => {
+      failures = failures.filter((failure) => failure.created_at >= olderThan);
+    },
+  };
+}
+
+// Refuses logins the way the login routes do, then records every attempt as a failure. Each attempt
+// names a different account so only the per-IP limit applies.
+function startLoginServer(trustProxy) {
+  const auth = createAuthStub();
+  let attempts = 0;
+  const app = express();
+  app.set('trust proxy', trustProxy);
+  app.post('/login', async (req, res) => {
+    const account = `employee:user${++attempts}@example.com`;
+    const minutes = await getLockoutMinutes(auth, account, req.ip, LIMITS);
+    if (minutes > 0) return res.status(429).json({ ip: req.ip, minutes });
+    await recordLoginFailure(auth, account, req.ip);
+    res.status(401).json({ ip: req.ip });
+  });
+  return new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+const login = async (server, forwardedFor) => {
+  const response = await fetch(`http://127.0.0.1:${server.address().port}/login`, {
+    method: 'POST',
+    headers: forwardedFor ? { 'X-Forwarded-For': forwardedFor } : {},
+  });
+  return { status: response.status, ...(await response.json()) };
+};
+
+describe('getMinutesLocked', () => {
+  const now = Date.parse('2025-04-01T10:00:00Z');
+  const failuresAt = (...minutesAgo) => minutesAgo.map((minutes) => ({ created_at: new Date(now - minutes * 60000) }));
+
+  it('is 0 while every check is under its limit', () => {
+    assert.equal(getMinutesLocked([{ failures: failuresAt(5, 1), limit: 3 }], WINDOW_MINUTES, now), 0);
+  });
+
+  it('counts down from the oldest failure that reaches the limit', () => {
+    assert.equal(getMinutesLocked([{ failures: failuresAt(10, 5, 1), limit: 3 }], WINDOW_MINUTES, now), 5);
+    assert.equal(getMinutesLocked([{ failures: failuresAt(12, 10, 5, 1), limit: 3 }], WINDOW_MINUTES, now), 5);
+  });
+
+  it('uses the check that stays locked longest', () => {
+    const checks = [{ failures: failuresAt(14, 13), limit: 2 }, { failures: failuresAt(3), limit: 1 }];
+    assert.equal(getMinutesLocked(checks, WINDOW_MINUTES, now), 12);
+  });
+});
+
+describe('getLockoutMinutes', () => {
+  it('locks an account once it reaches its limit', async () => {
+    const auth = createAuthStub();
+    for (let attempt = 1; attempt <= LIMITS.maxFailures; attempt++) {
+      assert.equal(await getLockoutMinutes(auth, 'admin:root', `192.0.2.${attempt}`, LIMITS), 0);
+      await recordLoginFailure(auth, 'admin:root', `192.0.2.${attempt}`);
+    }
+    assert.equal(await getLockoutMinutes(auth, 'admin:root', '192.0.2.99', LIMITS), WINDOW_MINUTES);
+    assert.equal(await getLockoutMinutes(auth, 'admin:other', '192.0.2.99', LIMITS), 0);
+  });
+
+  it('lifts the lockout once the failures leave the window', async () => {
+    const auth = createAuthStub();
+    for (let attempt = 1; attempt <= LIMITS.maxIpFailures; attempt++) await recordLoginFailure(auth, `admin:user${attempt}`, '192.0.2.1');
+    assert.equal(await getLockoutMinutes(auth, 'admin:new', '192.0.2.1', LIMITS), WINDOW_MINUTES);
+    const later = Date.now() + (WINDOW_MINUTES + 1) * 60000;
+    assert.equal(await getLockoutMinutes(auth, 'admin:new', '192.0.2.1', LIMITS, later), 0);
+  });
+});
+
+describe('per-IP login lockout behind a proxy', () => {
+  let server;
+  before(async () => {
+    server = await startLoginServer(getTrustProxySetting(undefined));
+  });
+  after(() => server.close());
+
+  it('locks out a client that forges a different X-Forwarded-For on every attempt', async () => {
+    // The proxy appends the address it saw; everything before it came from the client
+    for (let attempt = 1; attempt <= LIMITS.maxIpFailures; attempt++) {
+      const result = await login(server, `198.51.100.${attempt}, 203.0.113.7`);
+      assert.equal(result.status, 401);
+      assert.equal(result.ip, '203.0.113.7');
+    }
+    const locked = await login(server, '192.0.2.99, 203.0.113.7');
+    assert.equal(locked.status, 429);
+    assert.equal(locked.ip, '203.0.113.7');
+  });
+
+  it('does not lock out the address a client forges as its own', async () => {
+    for (let attempt = 1; attempt <= LIMITS.maxIpFailures; attempt++) await login(server, '203.0.113.50, 203.0.113.8');
+    const victim = await login(server, '203.0.113.50');
+    assert.equal(victim.status, 401);
+    assert.equal(victim.ip, '203.0.113.50');
+  });
+});
+
+describe('getTrustProxySetting', () => {
+  it('trusts proxies on the same host or a private network by default', () => {
+    assert.equal(getTrustProxySetting(undefined), 'loopback, linklocal, uniquelocal');
+  });
+
+  it('reads TRUST_PROXY values', () => {
+    assert.equal(getTrustProxySetting('false'), false);
+    assert.equal(getTrustProxySetting('true'), true);
+    assert.equal(getTrustProxySetting('2'), 2);
+    assert.equal(getTrustProxySetting('10.0.0.0/8'), '10.0.0.0/8');
+  });
+
+  it('ignores X-Forwarded-For entirely when no proxy is trusted', async () => {
+    const server = await startLoginServer(getTrustProxySetting('false'));
+    try {
+      const result = await login(server, '203.0.113.7');
+      assert.equal(result.ip, '127.0.0.1');
+    } finally {
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getMonthRange, listDates } from '../lib/dates.js';
+import { computePayrollRecord } from '../lib/payroll.js';
+
+// June 2025 has 30 days, eight of them Saturdays and Sundays
+const range = getMonthRange('2025-06');
+const weeklyOffs = new Set(listDates(range.start, range.end).filter((date) => [0, 6].includes(new Date(`${date}T00:00:00Z`).getUTCDay())));
+const daysOff = { weeklyOffs, holidaysFor: () => new Set(), isDayOff: (date) => weeklyOffs.has(date) };
+const employee = { id: 1, name: 'Asha', email: 'asha@example.com', state: null, salary_amount: '30000.00' };
+
+describe('computePayrollRecord', () => {
+  it('a full month is paid in full', () => {
+    const record = computePayrollRecord({ employee, range, attendance: new Map(), daysOff });
+    assert.equal(record.working_days, 21);
+    assert.equal(record.payable_days, 30);
+    assert.equal(record.net_pay, 30000);
+  });
+
+  it('an employee joining mid-month is paid from the joining date', () => {
+    const attendance = new Map([['2025-06-13', 'present'], ['2025-06-16', 'absent']]);
+    const record = computePayrollRecord({ employee, range, attendance, daysOff, joinedOn: '2025-06-11' });
+
+    assert.equal(record.working_days, 14);
+    assert.equal(record.lop_days, 11);
+    assert.equal(record.payable_days, 19);
+    assert.equal(record.net_pay, 19000);
+    assert.deepEqual(record.line_items.slice(1), [
+      { type: 'deduction', label: 'Loss of pay (1 day)', amount: 1000 },
+      { type: 'deduction', label: 'Before joining (10 days)', amount: 10000 },
+    ]);
+  });
+
+  it('attendance marked before the joining date is ignored', () => {
+    const attendance = new Map([['2025-06-02', 'absent']]);
+    const record = computePayrollRecord({ employee, range, attendance, daysOff, joinedOn: '2025-06-11' });
+    assert.equal(record.lop_days, 10);
+    assert.equal(record.unmarked_days, 14);
+  });
+
+  it('an employee joining after the month is not paid for it', () => {
+    const record = computePayrollRecord({ employee, range, attendance: new Map(), daysOff, joinedOn: '2025-07-01' });
+    assert.equal(record.working_days, 0);
+    assert.equal(record.payable_days, 0);
+    assert.equal(record.net_pay, 0);
+  });
+
+  it('a leaver is paid up to the last working day', () => {
+    const record = computePayrollRecord({ employee, range, attendance: new Map(), daysOff, lastWorkingDay: '2025-06-20' });
+    assert.equal(record.payable_days, 20);
+    assert.equal(record.net_pay, 20000);
+    assert.deepEqual(record.line_items.slice(1), [{ type: 'deduction', label: 'After last working day (10 days)', amount: 10000 }]);
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePunchLog } from '../lib/punchLog.js';
+
+describe('parsePunchLog', () => {
+  it('reads a CSV export with a header', () => {
+    const { punches, skipped } = parsePunchLog('UserID,Timestamp,Status\r\n101,2025-06-02 09:05:12,0\r\n101,2025-06-02 18:01:40,1\r\n');
+    assert.deepEqual(punches, [
+      { line: 2, deviceUserId: '101', date: '2025-06-02', time: '09:05:12' },
+      { line: 3, deviceUserId: '101', date: '2025-06-02', time: '18:01:40' },
+    ]);
+    assert.deepEqual(skipped, [1]);
+  });
+
+  it('reads day-first dates and fills in missing seconds', () => {
+    const { punches } = parsePunchLog('102\t02/06/2025 9:05\n103\t15-06-2025 18:30:05');
+    assert.deepEqual(punches, [
+      { line: 1, deviceUserId: '102', date: '2025-06-02', time: '09:05:00' },
+      { line: 2, deviceUserId: '103', date: '2025-06-15', time: '18:30:05' },
+    ]);
+  });
+
+  it('reads ISO dates with slashes, a T separator and single-digit parts', () => {
+    const { punches } = parsePunchLog('104 2025/6/3 8:15:00\n105 2025-06-03T17:45:00');
+    assert.deepEqual(punches.map(({ date, time }) => [date, time]), [['2025-06-03', '08:15:00'], ['2025-06-03', '17:45:00']]);
+  });
+
+  it('reads space-aligned columns and quoted fields', () => {
+    const { punches } = parsePunchLog('   106      1   2025-06-02 09:00:00   0   1\n"107";"2025-06-02 09:10:00"');
+    assert.deepEqual(punches.map((punch) => punch.deviceUserId), ['106', '107']);
+  });
+
+  it('skips lines without a valid timestamp or a user ID, but not blank lines', () => {
+    const text = '\uFEFFNo.  User  Date/Time\n\n108,2025-13-01 09:00:00\n109,2025-06-02 25:00:00\n2025-06-02 09:00:00\n110,2025-06-02 09:00:00\n';
+    const { punches, skipped } = parsePunchLog(text);
+    assert.deepEqual(punches, [{ line: 6, deviceUserId: '110', date: '2025-06-02', time: '09:00:00' }]);
+    assert.deepEqual(skipped, [1, 3, 4, 5]);
+  });
+});
@@ -0,0 +1,70 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { field, validate } from '../lib/validation.js';
+
+// A route shaped like PUT /api/leave-types/:id, answering with what the handler saw
+function startServer() {
+  const app = express();
+  app.use(express.json());
+  app.put('/leave-types/:id', validate({
+    params: { id: field.id() },
+    query: { notify: field.boolean() },
+    body: { name: field.string({ required: true }), paid: field.boolean(), active: field.boolean() },
+  }), (req, res) => {
+    const { paid = true, active = true } = req.body;
+    res.json({ paid: Boolean(paid), active: Boolean(active), notify: req.query.notify, id: req.params.id });
+  });
+  app.use((error, req, res, next) => res.status(error.status || 500).json(error));
+  return new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+describe('validate', () => {
+  let server;
+  const put = async (body, query = '') => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/leave-types/3${query}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+
+  it('hands boolean fields sent as "false" or 0 to the handler as false', async () => {
+    const { status, body } = await put({ name: 'Casual Leave', paid: 'false', active: 0 });
+    assert.equal(status, 200);
+    assert.equal(body.paid, false);
+    assert.equal(body.active, false);
+  });
+
+  it('hands "true" and "1" to the handler as true, in the body and the query string', async () => {
+    const { body } = await put({ name: 'Casual Leave', paid: 'true', active: '1' }, '?notify=1');
+    assert.deepEqual(body, { paid: true, active: true, notify: true, id: '3' });
+  });
+
+  it('leaves booleans that were not sent to the handler defaults', async () => {
+    const { body } = await put({ name: 'Casual Leave' });
+    assert.equal(body.paid, true);
+    assert.equal(body.notify, undefined);
+  });
+
+  it('reports every problem at once', async () => {
+    const { status, body } = await put({ paid: 'no' }, '?notify=maybe');
+    assert.equal(status, 400);
+    assert.deepEqual(body, {
+      message: 'Validation failed',
+      errors: [
+        { location: 'query', field: 'notify', message: 'notify must be true or false' },
+        { location: 'body', field: 'name', message: 'name is required' },
+        { location: 'body', field: 'paid', message: 'paid must be true or false' },
+      ],
+    });
+  });
+});
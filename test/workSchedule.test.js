@@ -0,0 +1,27 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_WORK_SCHEDULE, evaluateDay } from '../lib/workSchedule.js';
+
+// Times are UTC; the default schedule runs 10:00 to 18:00 in Asia/Kolkata (04:30 to 12:30 UTC), Monday to Saturday
+describe('evaluateDay', () => {
+  it('leaves a day without a check-out with no hours', () => {
+    assert.deepEqual(evaluateDay(DEFAULT_WORK_SCHEDULE, '2025-06-02T04:30:00Z'), {
+      late_minutes: 0, early_exit_minutes: 0, worked_minutes: null, status: 'present',
+    });
+  });
+
+  it('judges the day by the hours worked', () => {
+    assert.equal(evaluateDay(DEFAULT_WORK_SCHEDULE, '2025-06-02T04:30:00Z', '2025-06-02T12:30:00Z').status, 'present');
+    assert.equal(evaluateDay(DEFAULT_WORK_SCHEDULE, '2025-06-02T04:30:00Z', '2025-06-02T09:30:00Z').status, 'half_day');
+    assert.equal(evaluateDay(DEFAULT_WORK_SCHEDULE, '2025-06-02T04:30:00Z', '2025-06-02T07:30:00Z').status, 'absent');
+  });
+
+  it('counts late arrivals and early exits past their grace periods on working days only', () => {
+    const monday = evaluateDay(DEFAULT_WORK_SCHEDULE, '2025-06-02T05:00:00Z', '2025-06-02T12:00:00Z');
+    assert.equal(monday.late_minutes, 30);
+    assert.equal(monday.early_exit_minutes, 30);
+    const sunday = evaluateDay(DEFAULT_WORK_SCHEDULE, '2025-06-01T05:00:00Z', '2025-06-01T12:00:00Z');
+    assert.equal(sunday.late_minutes, 0);
+    assert.equal(sunday.early_exit_minutes, 0);
+  });
+});